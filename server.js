@@ -13,12 +13,17 @@ const { connectDatabase } = require('./src/config/database');
 const securityMiddleware = require('./src/middleware/security');
 const auditMiddleware = require('./src/middleware/audit');
 const logger = require('./src/config/logger');
+const { startJobs, stopJobs } = require('./src/jobs');
 
 // Import route handlers
 const authRoutes = require('./src/routes/api/auth/auth.routes');
 const ticketRoutes = require('./src/routes/api/tickets/tickets.routes');
 const userRoutes = require('./src/routes/api/users/users.routes');
 const analyticsRoutes = require('./src/routes/api/analytics/analytics.routes');
+const securityRoutes = require('./src/routes/api/security/security.routes');
+const auditRoutes = require('./src/routes/api/audit/audit.routes');
+const settingsRoutes = require('./src/routes/api/settings/settings.routes');
+const surveyRoutes = require('./src/routes/api/surveys/surveys.routes');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -210,9 +215,20 @@ app.get('/api', (req, res) => {
           'POST /api/auth/register', 
           'POST /api/auth/logout',
           'POST /api/auth/refresh',
+          'POST /api/auth/2fa/verify',
+          'POST /api/auth/2fa/setup',
+          'POST /api/auth/2fa/enable',
+          'POST /api/auth/2fa/disable',
+          'POST /api/auth/verify-email',
           'POST /api/auth/forgot-password',
           'POST /api/auth/reset-password',
-          'GET /api/auth/profile'
+          'POST /api/auth/change-password',
+          'GET /api/auth/verify',
+          'GET /api/auth/profile',
+          'PUT /api/auth/profile',
+          'GET /api/auth/sessions',
+          'DELETE /api/auth/sessions/:id',
+          'GET /api/auth/recaptcha-config'
         ]
       },
       tickets: {
@@ -247,6 +263,40 @@ app.get('/api', (req, res) => {
           'GET /api/analytics/tickets',
           'GET /api/analytics/users'
         ]
+      },
+      security: {
+        base: '/api/security',
+        description: 'Security event review (super admin)',
+        routes: [
+          'GET /api/security/events',
+          'GET /api/security/events/summary',
+          'GET /api/security/events/:id',
+          'PUT /api/security/events/:id/resolve'
+        ]
+      },
+      audit: {
+        base: '/api/audit',
+        description: 'Audit trail of data changes (admin)',
+        routes: [
+          'GET /api/audit',
+          'GET /api/audit/:id'
+        ]
+      },
+      settings: {
+        base: '/api/settings',
+        description: 'System settings (admin; changes by super admin)',
+        routes: [
+          'GET /api/settings',
+          'PUT /api/settings/:key'
+        ]
+      },
+      surveys: {
+        base: '/api/surveys',
+        description: 'Satisfaction surveys via emailed links (no login)',
+        routes: [
+          'GET /api/surveys/:token',
+          'POST /api/surveys/:token'
+        ]
       }
     },
     contact: {
@@ -269,12 +319,20 @@ app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/tickets', ticketRoutes);
 app.use('/api/v1/users', userRoutes);
 app.use('/api/v1/analytics', analyticsRoutes);
+app.use('/api/v1/security', securityRoutes);
+app.use('/api/v1/audit', auditRoutes);
+app.use('/api/v1/settings', settingsRoutes);
+app.use('/api/v1/surveys', surveyRoutes);
 
 // Default API routes (latest version)
 app.use('/api/auth', authRoutes);
 app.use('/api/tickets', ticketRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/security', securityRoutes);
+app.use('/api/audit', auditRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/surveys', surveyRoutes);
 
 // Serve uploaded files with security checks
 app.use('/uploads', 
@@ -439,6 +497,9 @@ app.use((error, req, res, next) => {
 // Graceful shutdown handling
 const gracefulShutdown = (signal) => {
   logger.info(`${signal} received, starting graceful shutdown`);
+
+  // Stop background jobs
+  stopJobs();
   
   // Close server
   server.close(() => {
@@ -531,6 +592,9 @@ async function startServer() {
     // Store server reference for graceful shutdown
     global.server = server;
 
+    // Start background jobs (ticket auto-escalation)
+    startJobs();
+
     return server;
 
   } catch (error) {
@@ -124,6 +124,26 @@ const logger = winston.createLogger({
   ]
 });
 
+/**
+ * Hand a security log entry to the security_events store.
+ * Required lazily: the store's models depend on this logger.
+ */
+const persistSecurityEvent = (source, entry) => {
+  if (process.env.ENABLE_SECURITY_EVENT_STORE === 'false') {
+    return;
+  }
+
+  setImmediate(() => {
+    try {
+      require('../services/securityEventService')
+        .recordFromLog(source, entry)
+        .catch(error => logger.error('Failed to persist security event:', error));
+    } catch (error) {
+      logger.error('Failed to persist security event:', error);
+    }
+  });
+};
+
 // Security-specific logging functions
 const securityLogger = {
   /**
@@ -140,6 +160,8 @@ const securityLogger = {
       timestamp: new Date().toISOString(),
       ...details
     });
+
+    persistSecurityEvent('auth', { event, email, ip, userAgent, success, details });
   },
 
   /**
@@ -156,6 +178,8 @@ const securityLogger = {
       userAgent,
       timestamp: new Date().toISOString()
     });
+
+    persistSecurityEvent('permission_denied', { userId, action, resource, ip, userAgent });
   },
 
   /**
@@ -171,6 +195,8 @@ const securityLogger = {
       userAgent,
       timestamp: new Date().toISOString()
     });
+
+    persistSecurityEvent('suspicious_activity', { event, details, ip, userAgent });
   },
 
   /**
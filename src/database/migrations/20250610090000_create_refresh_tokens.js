@@ -0,0 +1,30 @@
+// src/database/migrations/20250610090000_create_refresh_tokens.js
+// Server-side refresh token store (rotation and revocation)
+
+exports.up = function(knex) {
+  return knex.schema
+    .createTable('refresh_tokens', table => {
+      table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+      table.string('token_id', 64).unique().notNullable(); // tokenId claim of the JWT
+      table.uuid('family_id').notNullable(); // shared by every rotation of one login
+      table.uuid('user_id').references('id').inTable('users').onDelete('CASCADE').notNullable();
+      table.string('replaced_by_token_id', 64);
+      table.timestamp('expires_at').notNullable();
+      table.timestamp('last_used_at');
+      table.timestamp('revoked_at');
+      table.string('revoked_reason', 50); // rotated, logout, reuse_detected, user_suspended, ...
+      table.specificType('ip_address', 'INET');
+      table.text('user_agent');
+      table.timestamps(true, true);
+
+      // Indexes
+      table.index(['family_id']);
+      table.index(['user_id']);
+      table.index(['expires_at']);
+      table.index(['revoked_at']);
+    });
+};
+
+exports.down = function(knex) {
+  return knex.schema.dropTableIfExists('refresh_tokens');
+};
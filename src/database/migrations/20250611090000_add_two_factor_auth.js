@@ -0,0 +1,60 @@
+// src/database/migrations/20250611090000_add_two_factor_auth.js
+// TOTP two-factor authentication for staff accounts
+
+// ALTER TYPE ... ADD VALUE cannot run inside a transaction block on older PostgreSQL
+exports.config = { transaction: false };
+
+exports.up = async function(knex) {
+  await knex.raw(`
+    ALTER TYPE security_event_type ADD VALUE IF NOT EXISTS 'two_factor_enabled';
+    ALTER TYPE security_event_type ADD VALUE IF NOT EXISTS 'two_factor_disabled';
+    ALTER TYPE security_event_type ADD VALUE IF NOT EXISTS 'two_factor_failed';
+    ALTER TYPE security_event_type ADD VALUE IF NOT EXISTS 'two_factor_recovery_code_used';
+  `);
+
+  await knex.schema.alterTable('users', table => {
+    table.boolean('two_factor_enabled').defaultTo(false);
+    table.text('two_factor_secret'); // AES-256-GCM encrypted base32 secret
+    table.text('two_factor_pending_secret'); // awaiting confirmation during enrollment
+    table.jsonb('two_factor_recovery_codes').defaultTo('[]'); // SHA-256 hashes, removed on use
+    table.bigInteger('two_factor_last_step'); // last accepted TOTP time step, blocks code replay
+    table.timestamp('two_factor_enabled_at');
+
+    table.index(['two_factor_enabled']);
+  });
+
+  await knex('system_settings').insert([
+    {
+      key: 'two_factor_required_admin',
+      value: 'false',
+      description: 'Require two-factor authentication for admin accounts',
+      type: 'boolean',
+      is_public: false
+    },
+    {
+      key: 'two_factor_required_super_admin',
+      value: 'true',
+      description: 'Require two-factor authentication for super admin accounts',
+      type: 'boolean',
+      is_public: false
+    }
+  ]).onConflict('key').ignore();
+};
+
+exports.down = async function(knex) {
+  await knex('system_settings')
+    .whereIn('key', ['two_factor_required_admin', 'two_factor_required_super_admin'])
+    .del();
+
+  await knex.schema.alterTable('users', table => {
+    table.dropIndex(['two_factor_enabled']);
+    table.dropColumn('two_factor_enabled');
+    table.dropColumn('two_factor_secret');
+    table.dropColumn('two_factor_pending_secret');
+    table.dropColumn('two_factor_recovery_codes');
+    table.dropColumn('two_factor_last_step');
+    table.dropColumn('two_factor_enabled_at');
+  });
+
+  // Enum values cannot be dropped in PostgreSQL; they are left in place
+};
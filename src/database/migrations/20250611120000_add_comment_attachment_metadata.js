@@ -0,0 +1,22 @@
+// src/database/migrations/20250611120000_add_comment_attachment_metadata.js
+// Metadata on comments (timeline activity entries) and attachments (upload details)
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('ticket_comments', table => {
+    table.jsonb('metadata').defaultTo('{}');
+  });
+
+  await knex.schema.alterTable('ticket_attachments', table => {
+    table.jsonb('metadata').defaultTo('{}');
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('ticket_attachments', table => {
+    table.dropColumn('metadata');
+  });
+
+  await knex.schema.alterTable('ticket_comments', table => {
+    table.dropColumn('metadata');
+  });
+};
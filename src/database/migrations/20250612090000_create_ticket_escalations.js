@@ -0,0 +1,42 @@
+// src/database/migrations/20250612090000_create_ticket_escalations.js
+// Ticket escalation records (manual and category-threshold auto-escalation)
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('ticket_escalations', table => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('ticket_id').references('id').inTable('tickets').onDelete('CASCADE').notNullable();
+    table.integer('level').notNullable(); // 1 = team lead, 2 = supervisor, 3 = management
+    table.integer('previous_level').notNullable().defaultTo(0);
+    table.string('tier', 50).notNullable();
+    table.text('reason').notNullable();
+    table.uuid('escalated_by').references('id').inTable('users').onDelete('SET NULL'); // null when automatic
+    table.uuid('escalated_to').references('id').inTable('users').onDelete('SET NULL');
+    table.boolean('is_automatic').defaultTo(false);
+    table.string('trigger', 50).notNullable().defaultTo('manual'); // manual, category_threshold, unassigned_priority, overdue
+    table.jsonb('metadata').defaultTo('{}');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    // Indexes
+    table.index(['ticket_id']);
+    table.index(['escalated_to']);
+    table.index(['level']);
+    table.index(['created_at']);
+  });
+
+  await knex.schema.alterTable('tickets', table => {
+    table.integer('escalation_level').notNullable().defaultTo(0);
+    table.timestamp('escalated_at');
+
+    table.index(['escalation_level']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('tickets', table => {
+    table.dropIndex(['escalation_level']);
+    table.dropColumn('escalation_level');
+    table.dropColumn('escalated_at');
+  });
+
+  await knex.schema.dropTableIfExists('ticket_escalations');
+};
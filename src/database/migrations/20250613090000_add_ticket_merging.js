@@ -0,0 +1,35 @@
+// src/database/migrations/20250613090000_add_ticket_merging.js
+// Ticket merge links and ticket followers
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('tickets', table => {
+    table.uuid('merged_into_id').references('id').inTable('tickets').onDelete('SET NULL');
+    table.timestamp('merged_at');
+
+    table.index(['merged_into_id']);
+  });
+
+  await knex.schema.createTable('ticket_followers', table => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('ticket_id').references('id').inTable('tickets').onDelete('CASCADE').notNullable();
+    table.uuid('user_id').references('id').inTable('users').onDelete('CASCADE').notNullable();
+    table.string('source', 20).notNullable().defaultTo('manual'); // manual, merge
+    table.uuid('added_by').references('id').inTable('users').onDelete('SET NULL');
+    table.jsonb('metadata').defaultTo('{}');
+    table.timestamp('created_at').defaultTo(knex.fn.now());
+
+    // Indexes
+    table.unique(['ticket_id', 'user_id']);
+    table.index(['user_id']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('ticket_followers');
+
+  await knex.schema.alterTable('tickets', table => {
+    table.dropIndex(['merged_into_id']);
+    table.dropColumn('merged_into_id');
+    table.dropColumn('merged_at');
+  });
+};
@@ -0,0 +1,22 @@
+// src/database/migrations/20250614090000_add_ticket_follower_preferences.js
+// Per-event notification preferences for ticket followers
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('ticket_followers', table => {
+    table.boolean('notify_comments').notNullable().defaultTo(true);
+    table.boolean('notify_status').notNullable().defaultTo(true);
+    table.boolean('notify_assignment').notNullable().defaultTo(true);
+    table.boolean('notify_attachments').notNullable().defaultTo(true);
+    table.timestamp('updated_at').defaultTo(knex.fn.now());
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('ticket_followers', table => {
+    table.dropColumn('notify_comments');
+    table.dropColumn('notify_status');
+    table.dropColumn('notify_assignment');
+    table.dropColumn('notify_attachments');
+    table.dropColumn('updated_at');
+  });
+};
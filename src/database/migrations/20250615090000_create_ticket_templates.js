@@ -0,0 +1,35 @@
+// src/database/migrations/20250615090000_create_ticket_templates.js
+// Reusable ticket templates with {{placeholder}} title and description skeletons
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('ticket_templates', table => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('name', 150).notNullable();
+    table.text('description');
+    table.specificType('category', 'ticket_category').notNullable();
+    table.specificType('urgency', 'ticket_urgency').notNullable().defaultTo('medium');
+    table.string('title_template', 500).notNullable();
+    table.text('description_template').notNullable();
+    table.jsonb('variables').defaultTo('[]'); // [{ name, label, required, default }]
+    table.specificType('default_tags', 'text[]').defaultTo('{}');
+    table.jsonb('default_metadata').defaultTo('{}');
+    table.boolean('is_archived').defaultTo(false);
+    table.timestamp('archived_at');
+    table.uuid('archived_by').references('id').inTable('users').onDelete('SET NULL');
+    table.integer('usage_count').notNullable().defaultTo(0);
+    table.uuid('created_by').references('id').inTable('users').onDelete('SET NULL');
+    table.uuid('updated_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamps(true, true);
+
+    // Indexes
+    table.index(['category']);
+    table.index(['is_archived']);
+  });
+
+  // Template names are unique among templates still in use
+  await knex.raw('CREATE UNIQUE INDEX ticket_templates_active_name_unique ON ticket_templates (lower(name)) WHERE NOT is_archived');
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('ticket_templates');
+};
@@ -0,0 +1,31 @@
+// src/database/migrations/20250616090000_create_comment_macros.js
+// Canned responses (macros) that agents apply when commenting on tickets
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('comment_macros', table => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('name', 150).notNullable();
+    table.text('description');
+    table.specificType('category', 'ticket_category'); // null = available for every category
+    table.text('content').notNullable(); // may contain {{ticket_field}} placeholders
+    table.boolean('is_internal').defaultTo(false);
+    table.jsonb('actions').defaultTo('{}'); // { status, urgency, add_tags, remove_tags, assign_to }
+    table.boolean('is_active').defaultTo(true);
+    table.integer('usage_count').notNullable().defaultTo(0);
+    table.timestamp('last_used_at');
+    table.uuid('created_by').references('id').inTable('users').onDelete('SET NULL');
+    table.uuid('updated_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamps(true, true);
+
+    // Indexes
+    table.index(['category']);
+    table.index(['is_active']);
+  });
+
+  // Macro names are unique among active macros
+  await knex.raw('CREATE UNIQUE INDEX comment_macros_active_name_unique ON comment_macros (lower(name)) WHERE is_active');
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('comment_macros');
+};
@@ -0,0 +1,33 @@
+// src/database/migrations/20250617090000_add_ticket_reopen_tracking.js
+// Reopen count and the reopen window policy for resolved and closed tickets
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('tickets', table => {
+    table.integer('reopen_count').notNullable().defaultTo(0);
+    table.timestamp('last_reopened_at');
+
+    table.index(['reopen_count']);
+  });
+
+  await knex('system_settings').insert([
+    {
+      key: 'ticket_reopen_window_days',
+      value: '7',
+      description: 'Days after resolution during which a ticket can be reopened (0 disables reopening)',
+      type: 'number',
+      is_public: true
+    }
+  ]).onConflict('key').ignore();
+};
+
+exports.down = async function(knex) {
+  await knex('system_settings')
+    .where('key', 'ticket_reopen_window_days')
+    .del();
+
+  await knex.schema.alterTable('tickets', table => {
+    table.dropIndex(['reopen_count']);
+    table.dropColumn('reopen_count');
+    table.dropColumn('last_reopened_at');
+  });
+};
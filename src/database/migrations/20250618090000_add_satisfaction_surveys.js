@@ -0,0 +1,52 @@
+// src/database/migrations/20250618090000_add_satisfaction_surveys.js
+// Satisfaction survey tracking and supervisor review flags for low ratings
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('tickets', table => {
+    table.timestamp('survey_sent_at');
+    table.timestamp('satisfaction_submitted_at');
+    table.boolean('needs_review').notNullable().defaultTo(false);
+    table.string('review_reason', 255);
+    table.timestamp('review_flagged_at');
+    table.timestamp('reviewed_at');
+    table.uuid('reviewed_by').references('id').inTable('users').onDelete('SET NULL');
+    table.text('review_notes');
+
+    table.index(['needs_review']);
+  });
+
+  await knex('system_settings').insert([
+    {
+      key: 'satisfaction_survey_link_days',
+      value: '14',
+      description: 'Days a satisfaction survey link stays valid after it is emailed',
+      type: 'number',
+      is_public: false
+    },
+    {
+      key: 'satisfaction_review_threshold',
+      value: '2',
+      description: 'Satisfaction ratings at or below this value flag the ticket for supervisor review',
+      type: 'number',
+      is_public: false
+    }
+  ]).onConflict('key').ignore();
+};
+
+exports.down = async function(knex) {
+  await knex('system_settings')
+    .whereIn('key', ['satisfaction_survey_link_days', 'satisfaction_review_threshold'])
+    .del();
+
+  await knex.schema.alterTable('tickets', table => {
+    table.dropIndex(['needs_review']);
+    table.dropColumn('survey_sent_at');
+    table.dropColumn('satisfaction_submitted_at');
+    table.dropColumn('needs_review');
+    table.dropColumn('review_reason');
+    table.dropColumn('review_flagged_at');
+    table.dropColumn('reviewed_at');
+    table.dropColumn('reviewed_by');
+    table.dropColumn('review_notes');
+  });
+};
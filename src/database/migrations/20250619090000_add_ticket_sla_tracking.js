@@ -0,0 +1,85 @@
+// src/database/migrations/20250619090000_add_ticket_sla_tracking.js
+// Per-category first-response targets, ticket SLA due-by timestamps and breach flags
+
+const FIRST_RESPONSE_HOURS = {
+  'cpd-points': 8,
+  'license-management': 8,
+  'performance-issues': 4,
+  'payment-gateway': 2,
+  'user-interface': 8,
+  'data-inconsistencies': 8,
+  'system-errors': 2
+};
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('categories', table => {
+    table.integer('first_response_hours');
+  });
+
+  for (const [id, hours] of Object.entries(FIRST_RESPONSE_HOURS)) {
+    await knex('categories').where('id', id).update({ first_response_hours: hours });
+  }
+
+  await knex.schema.alterTable('tickets', table => {
+    table.timestamp('first_response_due_at');
+    table.timestamp('resolution_due_at');
+    table.boolean('first_response_breached').notNullable().defaultTo(false);
+    table.boolean('resolution_breached').notNullable().defaultTo(false);
+
+    table.index(['resolution_due_at']);
+    table.index(['resolution_breached']);
+  });
+
+  // Backfill existing tickets with the default urgency multipliers
+  await knex.raw(`
+    WITH targets AS (
+      SELECT
+        t.id,
+        CASE t.urgency WHEN 'critical' THEN 0.25 WHEN 'high' THEN 0.5 WHEN 'low' THEN 1.5 ELSE 1 END AS factor,
+        COALESCE(c.first_response_hours, 8) AS first_response_hours,
+        COALESCE(c.sla_hours, c.estimated_resolution_hours, 48) AS resolution_hours
+      FROM tickets t
+      LEFT JOIN categories c ON c.id = t.category
+    )
+    UPDATE tickets SET
+      first_response_due_at = tickets.created_at + targets.first_response_hours * targets.factor * interval '1 hour',
+      resolution_due_at = tickets.created_at + targets.resolution_hours * targets.factor * interval '1 hour'
+    FROM targets
+    WHERE targets.id = tickets.id
+  `);
+
+  await knex.raw(`
+    UPDATE tickets SET
+      first_response_breached = COALESCE(first_response_at, resolved_at, closed_at, NOW()) > first_response_due_at,
+      resolution_breached = COALESCE(resolved_at, closed_at, NOW()) > resolution_due_at
+  `);
+
+  await knex('system_settings').insert([
+    {
+      key: 'sla_urgency_multipliers',
+      value: JSON.stringify({ critical: 0.25, high: 0.5, medium: 1, low: 1.5 }),
+      description: 'Factor applied to category SLA targets for each urgency level',
+      type: 'json',
+      is_public: false
+    }
+  ]).onConflict('key').ignore();
+};
+
+exports.down = async function(knex) {
+  await knex('system_settings')
+    .where('key', 'sla_urgency_multipliers')
+    .del();
+
+  await knex.schema.alterTable('tickets', table => {
+    table.dropIndex(['resolution_due_at']);
+    table.dropIndex(['resolution_breached']);
+    table.dropColumn('first_response_due_at');
+    table.dropColumn('resolution_due_at');
+    table.dropColumn('first_response_breached');
+    table.dropColumn('resolution_breached');
+  });
+
+  await knex.schema.alterTable('categories', table => {
+    table.dropColumn('first_response_hours');
+  });
+};
@@ -0,0 +1,64 @@
+// src/database/migrations/20250620090000_add_business_hours_sla.js
+// Business calendar settings, paused SLA clocks and business-hours resolution time
+
+const GHANA_PUBLIC_HOLIDAYS = [
+  { date: '01-01', name: "New Year's Day" },
+  { date: '01-07', name: 'Constitution Day' },
+  { date: '03-06', name: 'Independence Day' },
+  { date: '05-01', name: 'May Day' },
+  { date: '08-04', name: "Founders' Day" },
+  { date: '09-21', name: 'Kwame Nkrumah Memorial Day' },
+  { date: '12-25', name: 'Christmas Day' },
+  { date: '12-26', name: 'Boxing Day' },
+  { date: '2025-04-18', name: 'Good Friday' },
+  { date: '2025-04-21', name: 'Easter Monday' },
+  { date: '2026-04-03', name: 'Good Friday' },
+  { date: '2026-04-06', name: 'Easter Monday' }
+];
+
+exports.up = async function(knex) {
+  await knex.schema.alterTable('tickets', table => {
+    table.timestamp('sla_paused_at');
+    table.float('sla_paused_hours').notNullable().defaultTo(0);
+    table.float('business_resolution_hours');
+
+    table.index(['sla_paused_at']);
+  });
+
+  await knex('system_settings').insert([
+    {
+      key: 'business_timezone',
+      value: 'Africa/Accra',
+      description: 'Timezone business hours and public holidays are counted in',
+      type: 'string',
+      is_public: true
+    },
+    {
+      key: 'business_days',
+      value: JSON.stringify([1, 2, 3, 4, 5]),
+      description: 'Working days counted by SLA clocks (0 = Sunday, 6 = Saturday)',
+      type: 'json',
+      is_public: true
+    },
+    {
+      key: 'public_holidays',
+      value: JSON.stringify(GHANA_PUBLIC_HOLIDAYS),
+      description: 'Public holidays skipped by SLA clocks: recurring (MM-DD) or one-off (YYYY-MM-DD) dates',
+      type: 'json',
+      is_public: true
+    }
+  ]).onConflict('key').ignore();
+};
+
+exports.down = async function(knex) {
+  await knex('system_settings')
+    .whereIn('key', ['business_timezone', 'business_days', 'public_holidays'])
+    .del();
+
+  await knex.schema.alterTable('tickets', table => {
+    table.dropIndex(['sla_paused_at']);
+    table.dropColumn('sla_paused_at');
+    table.dropColumn('sla_paused_hours');
+    table.dropColumn('business_resolution_hours');
+  });
+};
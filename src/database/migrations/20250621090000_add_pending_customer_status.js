@@ -0,0 +1,65 @@
+// src/database/migrations/20250621090000_add_pending_customer_status.js
+// Pending-customer ticket status with reporter reminders and auto-close after inactivity
+
+// ALTER TYPE ... ADD VALUE cannot run inside a transaction block on older PostgreSQL
+exports.config = { transaction: false };
+
+exports.up = async function(knex) {
+  await knex.raw(`
+    ALTER TYPE ticket_status ADD VALUE IF NOT EXISTS 'pending-customer' AFTER 'in-progress';
+  `);
+
+  await knex.schema.alterTable('tickets', table => {
+    table.timestamp('pending_since');
+    table.integer('pending_reminders_sent').notNullable().defaultTo(0);
+    table.timestamp('last_pending_reminder_at');
+
+    table.index(['pending_since']);
+  });
+
+  // Tickets paused through the old SLA pause endpoint have no way back to a
+  // running clock once that endpoint is gone; they are waiting on the reporter
+  await knex('tickets')
+    .whereNotNull('sla_paused_at')
+    .whereNotIn('status', ['pending-customer', 'resolved', 'closed'])
+    .update({
+      status: 'pending-customer',
+      pending_since: knex.ref('sla_paused_at')
+    });
+
+  await knex('system_settings').insert([
+    {
+      key: 'pending_customer_reminder_days',
+      value: '3',
+      description: 'Days between reminders to a reporter whose ticket is waiting on their reply (0 disables reminders)',
+      type: 'number',
+      is_public: true
+    },
+    {
+      key: 'pending_customer_auto_close_days',
+      value: '7',
+      description: 'Days without a reply from the reporter before a pending-customer ticket is closed (0 disables auto-close)',
+      type: 'number',
+      is_public: true
+    }
+  ]).onConflict('key').ignore();
+};
+
+exports.down = async function(knex) {
+  await knex('system_settings')
+    .whereIn('key', ['pending_customer_reminder_days', 'pending_customer_auto_close_days'])
+    .del();
+
+  await knex('tickets')
+    .where('status', 'pending-customer')
+    .update({ status: 'in-progress' });
+
+  await knex.schema.alterTable('tickets', table => {
+    table.dropIndex(['pending_since']);
+    table.dropColumn('pending_since');
+    table.dropColumn('pending_reminders_sent');
+    table.dropColumn('last_pending_reminder_at');
+  });
+
+  // Enum values cannot be dropped in PostgreSQL; they are left in place
+};
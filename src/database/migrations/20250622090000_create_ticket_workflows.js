@@ -0,0 +1,63 @@
+// src/database/migrations/20250622090000_create_ticket_workflows.js
+// Ticket workflows: statuses, allowed transitions, roles and required fields, per category
+
+const STAFF = ['admin', 'super_admin'];
+const EVERYONE = ['user', 'admin', 'super_admin'];
+
+// Matches the transitions previously hardcoded in ticketService and TicketsController
+const DEFAULT_TRANSITIONS = [
+  { from: 'open', to: 'in-progress', roles: STAFF, required_fields: [] },
+  { from: 'open', to: 'pending-customer', roles: STAFF, required_fields: [] },
+  { from: 'open', to: 'resolved', roles: STAFF, required_fields: ['resolution_notes'] },
+  { from: 'open', to: 'closed', roles: EVERYONE, required_fields: [] },
+  { from: 'in-progress', to: 'open', roles: STAFF, required_fields: [] },
+  { from: 'in-progress', to: 'pending-customer', roles: STAFF, required_fields: [] },
+  { from: 'in-progress', to: 'resolved', roles: STAFF, required_fields: ['resolution_notes'] },
+  { from: 'in-progress', to: 'closed', roles: EVERYONE, required_fields: [] },
+  { from: 'pending-customer', to: 'in-progress', roles: EVERYONE, required_fields: [] },
+  { from: 'pending-customer', to: 'resolved', roles: STAFF, required_fields: ['resolution_notes'] },
+  { from: 'pending-customer', to: 'closed', roles: EVERYONE, required_fields: [] },
+  { from: 'resolved', to: 'open', roles: EVERYONE, required_fields: [] },
+  { from: 'resolved', to: 'in-progress', roles: EVERYONE, required_fields: [] },
+  { from: 'resolved', to: 'closed', roles: EVERYONE, required_fields: [] },
+  { from: 'closed', to: 'open', roles: EVERYONE, required_fields: [] },
+  { from: 'closed', to: 'in-progress', roles: EVERYONE, required_fields: [] }
+];
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('ticket_workflows', table => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.string('name', 150).notNullable();
+    table.text('description');
+    table.specificType('category', 'ticket_category'); // null = default for every category
+    table.jsonb('statuses').notNullable(); // ticket statuses the workflow uses
+    table.jsonb('transitions').notNullable(); // [{ from, to, roles, required_fields }]
+    table.boolean('is_active').defaultTo(true);
+    table.uuid('created_by').references('id').inTable('users').onDelete('SET NULL');
+    table.uuid('updated_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamps(true, true);
+
+    // Indexes
+    table.index(['category']);
+    table.index(['is_active']);
+  });
+
+  // One active workflow per category, and one active default
+  await knex.raw(`
+    CREATE UNIQUE INDEX ticket_workflows_active_category_unique
+    ON ticket_workflows ((COALESCE(category::text, ''))) WHERE is_active
+  `);
+
+  await knex('ticket_workflows').insert({
+    name: 'Default workflow',
+    description: 'Used for every category without a workflow of its own',
+    category: null,
+    statuses: JSON.stringify(['open', 'in-progress', 'pending-customer', 'resolved', 'closed']),
+    transitions: JSON.stringify(DEFAULT_TRANSITIONS),
+    is_active: true
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.dropTableIfExists('ticket_workflows');
+};
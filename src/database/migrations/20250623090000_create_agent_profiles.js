@@ -0,0 +1,45 @@
+// src/database/migrations/20250623090000_create_agent_profiles.js
+// Agent profiles (category skills, capacity, availability) and auto-assignment settings
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('agent_profiles', table => {
+    table.uuid('id').primary().defaultTo(knex.raw('gen_random_uuid()'));
+    table.uuid('user_id').notNullable().unique().references('id').inTable('users').onDelete('CASCADE');
+    table.jsonb('skills').notNullable().defaultTo('[]'); // ticket categories the agent handles
+    table.integer('max_open_tickets').notNullable().defaultTo(10);
+    table.boolean('is_available').notNullable().defaultTo(true);
+    table.timestamp('out_of_office_from');
+    table.timestamp('out_of_office_until');
+    table.timestamp('last_assigned_at'); // last automatic assignment, for round-robin
+    table.uuid('updated_by').references('id').inTable('users').onDelete('SET NULL');
+    table.timestamps(true, true);
+
+    // Indexes
+    table.index(['is_available']);
+  });
+
+  await knex('system_settings').insert([
+    {
+      key: 'auto_assignment_enabled',
+      value: 'true',
+      description: 'Assign new tickets to an available agent automatically',
+      type: 'boolean',
+      is_public: false
+    },
+    {
+      key: 'auto_assignment_strategy',
+      value: 'skill_match',
+      description: 'How new tickets are assigned: round_robin, least_open_tickets or skill_match',
+      type: 'string',
+      is_public: false
+    }
+  ]).onConflict('key').ignore();
+};
+
+exports.down = async function(knex) {
+  await knex('system_settings')
+    .whereIn('key', ['auto_assignment_enabled', 'auto_assignment_strategy'])
+    .del();
+
+  await knex.schema.dropTableIfExists('agent_profiles');
+};
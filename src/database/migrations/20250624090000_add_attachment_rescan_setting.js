@@ -0,0 +1,20 @@
+// src/database/migrations/20250624090000_add_attachment_rescan_setting.js
+// Window for the scheduled full virus rescan of recent attachments
+
+exports.up = async function(knex) {
+  await knex('system_settings').insert([
+    {
+      key: 'attachment_rescan_days',
+      value: '7',
+      description: 'Attachments uploaded within this many days are rescanned by the scheduled full scan (0 disables it)',
+      type: 'number',
+      is_public: false
+    }
+  ]).onConflict('key').ignore();
+};
+
+exports.down = async function(knex) {
+  await knex('system_settings')
+    .where('key', 'attachment_rescan_days')
+    .del();
+};
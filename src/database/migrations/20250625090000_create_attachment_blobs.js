@@ -0,0 +1,32 @@
+// src/database/migrations/20250625090000_create_attachment_blobs.js
+// Content-addressed attachment storage: one reference-counted blob per SHA-256 hash
+
+exports.up = async function(knex) {
+  await knex.schema.createTable('attachment_blobs', table => {
+    table.string('hash', 64).primary(); // SHA-256, hex
+    table.string('file_path', 500).notNullable();
+    table.integer('file_size').notNullable();
+    table.integer('reference_count').notNullable().defaultTo(0);
+    table.string('integrity_status', 20).notNullable().defaultTo('ok'); // ok, missing, corrupted
+    table.timestamp('last_verified_at');
+    table.timestamps(true, true);
+
+    // Indexes
+    table.index(['integrity_status']);
+  });
+
+  // Existing attachments keep their own file (blob_hash stays null)
+  await knex.schema.alterTable('ticket_attachments', table => {
+    table.string('blob_hash', 64).references('hash').inTable('attachment_blobs').onDelete('SET NULL');
+
+    table.index(['blob_hash']);
+  });
+};
+
+exports.down = async function(knex) {
+  await knex.schema.alterTable('ticket_attachments', table => {
+    table.dropColumn('blob_hash');
+  });
+
+  await knex.schema.dropTableIfExists('attachment_blobs');
+};
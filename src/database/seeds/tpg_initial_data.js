@@ -6,12 +6,17 @@ const bcrypt = require('bcryptjs');
 exports.seed = async function(knex) {
   // Clear existing data (in correct order due to foreign keys)
   await knex('ticket_attachments').del();
+  await knex('attachment_blobs').del();
   await knex('ticket_comments').del();
   await knex('tickets').del();
   await knex('sessions').del();
   await knex('security_events').del();
   await knex('audit_logs').del();
   await knex('email_templates').del();
+  await knex('ticket_templates').del();
+  await knex('comment_macros').del();
+  await knex('ticket_workflows').del();
+  await knex('agent_profiles').del();
   await knex('system_settings').del();
   await knex('categories').del();
   await knex('users').del();
@@ -28,6 +33,7 @@ exports.seed = async function(knex) {
       requires_escalation: false,
       estimated_resolution_hours: 48,
       sla_hours: 72,
+      first_response_hours: 8,
       examples: JSON.stringify([
         'CPD points not reflecting after course completion',
         'Incorrect CPD credit allocation for completed training',
@@ -52,6 +58,7 @@ exports.seed = async function(knex) {
       requires_escalation: true,
       estimated_resolution_hours: 72,
       sla_hours: 120,
+      first_response_hours: 8,
       examples: JSON.stringify([
         'License renewal application processing delays',
         'License verification and status checking problems',
@@ -76,6 +83,7 @@ exports.seed = async function(knex) {
       requires_escalation: false,
       estimated_resolution_hours: 24,
       sla_hours: 48,
+      first_response_hours: 4,
       examples: JSON.stringify([
         'Portal pages loading very slowly or timing out',
         'Dashboard taking excessive time to display data',
@@ -100,6 +108,7 @@ exports.seed = async function(knex) {
       requires_escalation: true,
       estimated_resolution_hours: 24,
       sla_hours: 48,
+      first_response_hours: 2,
       auto_escalate_after_hours: 8,
       examples: JSON.stringify([
         'Payment processing failures or error messages',
@@ -125,6 +134,7 @@ exports.seed = async function(knex) {
       requires_escalation: false,
       estimated_resolution_hours: 24,
       sla_hours: 48,
+      first_response_hours: 8,
       examples: JSON.stringify([
         'Buttons or links not responding to clicks',
         'Navigation menu not displaying correctly',
@@ -149,6 +159,7 @@ exports.seed = async function(knex) {
       requires_escalation: true,
       estimated_resolution_hours: 48,
       sla_hours: 96,
+      first_response_hours: 8,
       examples: JSON.stringify([
         'Personal or professional information showing incorrectly',
         'Historical records missing from account',
@@ -173,6 +184,7 @@ exports.seed = async function(knex) {
       requires_escalation: false,
       estimated_resolution_hours: 24,
       sla_hours: 72,
+      first_response_hours: 2,
       examples: JSON.stringify([
         'Error messages appearing during normal operations',
         'System crashes or unexpected logouts',
@@ -274,6 +286,40 @@ exports.seed = async function(knex) {
       type: 'string',
       is_public: true
     },
+    {
+      key: 'business_timezone',
+      value: 'Africa/Accra',
+      description: 'Timezone business hours and public holidays are counted in',
+      type: 'string',
+      is_public: true
+    },
+    {
+      key: 'business_days',
+      value: JSON.stringify([1, 2, 3, 4, 5]),
+      description: 'Working days counted by SLA clocks (0 = Sunday, 6 = Saturday)',
+      type: 'json',
+      is_public: true
+    },
+    {
+      key: 'public_holidays',
+      value: JSON.stringify([
+        { date: '01-01', name: "New Year's Day" },
+        { date: '01-07', name: 'Constitution Day' },
+        { date: '03-06', name: 'Independence Day' },
+        { date: '05-01', name: 'May Day' },
+        { date: '08-04', name: "Founders' Day" },
+        { date: '09-21', name: 'Kwame Nkrumah Memorial Day' },
+        { date: '12-25', name: 'Christmas Day' },
+        { date: '12-26', name: 'Boxing Day' },
+        { date: '2025-04-18', name: 'Good Friday' },
+        { date: '2025-04-21', name: 'Easter Monday' },
+        { date: '2026-04-03', name: 'Good Friday' },
+        { date: '2026-04-06', name: 'Easter Monday' }
+      ]),
+      description: 'Public holidays skipped by SLA clocks: recurring (MM-DD) or one-off (YYYY-MM-DD) dates',
+      type: 'json',
+      is_public: true
+    },
     {
       key: 'ticket_id_prefix',
       value: process.env.TICKET_ID_PREFIX || 'TPG',
@@ -302,6 +348,20 @@ exports.seed = async function(knex) {
       type: 'number',
       is_public: false
     },
+    {
+      key: 'two_factor_required_admin',
+      value: 'false',
+      description: 'Require two-factor authentication for admin accounts',
+      type: 'boolean',
+      is_public: false
+    },
+    {
+      key: 'two_factor_required_super_admin',
+      value: 'true',
+      description: 'Require two-factor authentication for super admin accounts',
+      type: 'boolean',
+      is_public: false
+    },
     {
       key: 'email_domain',
       value: process.env.EMAIL_DOMAIN || '@tpg.gov.gh',
@@ -323,6 +383,69 @@ exports.seed = async function(knex) {
       type: 'boolean',
       is_public: false
     },
+    {
+      key: 'ticket_reopen_window_days',
+      value: '7',
+      description: 'Days after resolution during which a ticket can be reopened (0 disables reopening)',
+      type: 'number',
+      is_public: true
+    },
+    {
+      key: 'satisfaction_survey_link_days',
+      value: '14',
+      description: 'Days a satisfaction survey link stays valid after it is emailed',
+      type: 'number',
+      is_public: false
+    },
+    {
+      key: 'satisfaction_review_threshold',
+      value: '2',
+      description: 'Satisfaction ratings at or below this value flag the ticket for supervisor review',
+      type: 'number',
+      is_public: false
+    },
+    {
+      key: 'pending_customer_reminder_days',
+      value: '3',
+      description: 'Days between reminders to a reporter whose ticket is waiting on their reply (0 disables reminders)',
+      type: 'number',
+      is_public: true
+    },
+    {
+      key: 'pending_customer_auto_close_days',
+      value: '7',
+      description: 'Days without a reply from the reporter before a pending-customer ticket is closed (0 disables auto-close)',
+      type: 'number',
+      is_public: true
+    },
+    {
+      key: 'attachment_rescan_days',
+      value: '7',
+      description: 'Attachments uploaded within this many days are rescanned by the scheduled full scan (0 disables it)',
+      type: 'number',
+      is_public: false
+    },
+    {
+      key: 'auto_assignment_enabled',
+      value: 'true',
+      description: 'Assign new tickets to an available agent automatically',
+      type: 'boolean',
+      is_public: false
+    },
+    {
+      key: 'auto_assignment_strategy',
+      value: 'skill_match',
+      description: 'How new tickets are assigned: round_robin, least_open_tickets or skill_match',
+      type: 'string',
+      is_public: false
+    },
+    {
+      key: 'sla_urgency_multipliers',
+      value: JSON.stringify({ critical: 0.25, high: 0.5, medium: 1, low: 1.5 }),
+      description: 'Factor applied to category SLA targets for each urgency level',
+      type: 'json',
+      is_public: false
+    },
     {
       key: 'system_maintenance_mode',
       value: 'false',
@@ -434,6 +557,136 @@ exports.seed = async function(knex) {
     }
   ]);
 
+  // Insert canned ticket templates
+  await knex('ticket_templates').insert([
+    {
+      name: 'CPD points not reflected after workshop',
+      description: 'Points from an attended workshop or seminar are missing from the CPD record',
+      category: 'cpd-points',
+      urgency: 'medium',
+      title_template: 'CPD points missing for {{workshop_name}}',
+      description_template: 'I attended {{workshop_name}} on {{workshop_date}} but the CPD points have not been added to my record. Certificate or attendance reference: {{reference}}.',
+      variables: JSON.stringify([
+        { name: 'workshop_name', label: 'Workshop name', required: true },
+        { name: 'workshop_date', label: 'Workshop date', required: true },
+        { name: 'reference', label: 'Certificate or attendance reference', required: false, default: 'not available' }
+      ]),
+      default_tags: ['cpd', 'workshop'],
+      default_metadata: JSON.stringify({}),
+      is_archived: false,
+      usage_count: 0
+    },
+    {
+      name: 'License renewal payment not confirmed',
+      description: 'A license renewal was paid for but the license status has not changed',
+      category: 'payment-gateway',
+      urgency: 'high',
+      title_template: 'Renewal payment of GHS {{amount}} not confirmed',
+      description_template: 'I paid GHS {{amount}} for my license renewal on {{payment_date}} using {{payment_method}}. The payment has not been confirmed and my license still shows as pending. Transaction reference: {{transaction_reference}}.',
+      variables: JSON.stringify([
+        { name: 'amount', label: 'Amount paid (GHS)', required: true },
+        { name: 'payment_date', label: 'Payment date', required: true },
+        { name: 'payment_method', label: 'Payment method', required: true, default: 'mobile money' },
+        { name: 'transaction_reference', label: 'Transaction reference', required: true }
+      ]),
+      default_tags: ['payment', 'license-renewal'],
+      default_metadata: JSON.stringify({}),
+      is_archived: false,
+      usage_count: 0
+    },
+    {
+      name: 'Error message on a portal page',
+      description: 'An error appears while using a specific page of the portal',
+      category: 'system-errors',
+      urgency: 'medium',
+      title_template: 'Error on the {{page}} page',
+      description_template: 'When I {{action}} on the {{page}} page, the portal shows the following error: {{error_message}}',
+      variables: JSON.stringify([
+        { name: 'page', label: 'Page', required: true },
+        { name: 'action', label: 'What you were doing', required: true },
+        { name: 'error_message', label: 'Error message shown', required: true }
+      ]),
+      default_tags: ['error'],
+      default_metadata: JSON.stringify({}),
+      is_archived: false,
+      usage_count: 0
+    }
+  ]);
+
+  // Insert agent comment macros
+  await knex('comment_macros').insert([
+    {
+      name: 'License renewal: payment received, processing',
+      description: 'Confirms the renewal payment and sets expectations for processing time',
+      category: 'license-management',
+      content: 'Hello {{reporter_name}},\n\nWe have confirmed your renewal payment for {{ticket_number}}. Your license renewal is being processed and the updated status will show on your profile within 2 working days.\n\nRegards,\n{{agent_name}}',
+      is_internal: false,
+      actions: JSON.stringify({ status: 'in-progress', assign_to: 'self', add_tags: ['renewal-processing'] }),
+      is_active: true,
+      usage_count: 0
+    },
+    {
+      name: 'License renewal: renewed successfully',
+      description: 'Tells the pharmacist the renewal is complete and resolves the ticket',
+      category: 'license-management',
+      content: 'Hello {{reporter_name}},\n\nYour license has been renewed and the new status is now visible on your profile. Please log out and back in if it does not show yet.\n\nRegards,\n{{agent_name}}',
+      is_internal: false,
+      actions: JSON.stringify({ status: 'resolved', remove_tags: ['renewal-processing'] }),
+      is_active: true,
+      usage_count: 0
+    },
+    {
+      name: 'Payment gateway: request transaction reference',
+      description: 'Asks for the transaction reference needed to trace a payment',
+      category: 'payment-gateway',
+      content: 'Hello {{reporter_name}},\n\nTo trace this payment we need the transaction reference from your mobile money or bank confirmation message, and the exact amount paid. Please reply to this ticket with those details.\n\nRegards,\n{{agent_name}}',
+      is_internal: false,
+      actions: JSON.stringify({ assign_to: 'self', add_tags: ['awaiting-reference'] }),
+      is_active: true,
+      usage_count: 0
+    },
+    {
+      name: 'Payment gateway: refer to finance',
+      description: 'Internal note escalating a payment that cannot be matched',
+      category: 'payment-gateway',
+      content: 'Payment for {{ticket_number}} could not be matched to a transaction. Referred to finance for reconciliation.',
+      is_internal: true,
+      actions: JSON.stringify({ urgency: 'high', add_tags: ['finance-review'], remove_tags: ['awaiting-reference'] }),
+      is_active: true,
+      usage_count: 0
+    }
+  ]);
+
+  // Insert the default ticket workflow
+  const staff = ['admin', 'super_admin'];
+  const everyone = ['user', 'admin', 'super_admin'];
+
+  await knex('ticket_workflows').insert({
+    name: 'Default workflow',
+    description: 'Used for every category without a workflow of its own',
+    category: null,
+    statuses: JSON.stringify(['open', 'in-progress', 'pending-customer', 'resolved', 'closed']),
+    transitions: JSON.stringify([
+      { from: 'open', to: 'in-progress', roles: staff, required_fields: [] },
+      { from: 'open', to: 'pending-customer', roles: staff, required_fields: [] },
+      { from: 'open', to: 'resolved', roles: staff, required_fields: ['resolution_notes'] },
+      { from: 'open', to: 'closed', roles: everyone, required_fields: [] },
+      { from: 'in-progress', to: 'open', roles: staff, required_fields: [] },
+      { from: 'in-progress', to: 'pending-customer', roles: staff, required_fields: [] },
+      { from: 'in-progress', to: 'resolved', roles: staff, required_fields: ['resolution_notes'] },
+      { from: 'in-progress', to: 'closed', roles: everyone, required_fields: [] },
+      { from: 'pending-customer', to: 'in-progress', roles: everyone, required_fields: [] },
+      { from: 'pending-customer', to: 'resolved', roles: staff, required_fields: ['resolution_notes'] },
+      { from: 'pending-customer', to: 'closed', roles: everyone, required_fields: [] },
+      { from: 'resolved', to: 'open', roles: everyone, required_fields: [] },
+      { from: 'resolved', to: 'in-progress', roles: everyone, required_fields: [] },
+      { from: 'resolved', to: 'closed', roles: everyone, required_fields: [] },
+      { from: 'closed', to: 'open', roles: everyone, required_fields: [] },
+      { from: 'closed', to: 'in-progress', roles: everyone, required_fields: [] }
+    ]),
+    is_active: true
+  });
+
   console.log('✅ TPG initial data seeded successfully');
   console.log('📧 Default admin email:', process.env.DEFAULT_ADMIN_EMAIL || 'admin@tpg.gov.gh');
   console.log('🔑 Default admin password:', process.env.DEFAULT_ADMIN_PASSWORD || 'TempPassword123!');
@@ -0,0 +1,84 @@
+// src/jobs/index.js - TPG Background Job Registration
+const scheduler = require('./scheduler');
+const escalationService = require('../services/escalationService');
+const slaService = require('../services/slaService');
+const pendingCustomerService = require('../services/pendingCustomerService');
+const virusScanService = require('../services/virusScanService');
+const attachmentStorageService = require('../services/attachmentStorageService');
+const logger = require('../config/logger');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+let registered = false;
+
+/**
+ * Register and start background jobs. Jobs are registered on the first
+ * call only, so calling again (e.g. after stopJobs) just restarts them.
+ * Disabled with ENABLE_BACKGROUND_JOBS=false (e.g. on secondary instances).
+ */
+function startJobs() {
+  if (process.env.ENABLE_BACKGROUND_JOBS === 'false') {
+    logger.info('Background jobs disabled');
+    return;
+  }
+
+  if (!registered) {
+    registerJobs();
+    registered = true;
+  }
+
+  scheduler.start();
+}
+
+function stopJobs() {
+  scheduler.stop();
+}
+
+function registerJobs() {
+  scheduler.register(
+    'ticket_escalation_sweep',
+    (parseInt(process.env.ESCALATION_SWEEP_INTERVAL_MINUTES) || 15) * MINUTE,
+    () => escalationService.runAutoEscalation(),
+    { runOnStart: true }
+  );
+
+  scheduler.register(
+    'sla_breach_sweep',
+    (parseInt(process.env.SLA_SWEEP_INTERVAL_MINUTES) || 5) * MINUTE,
+    () => slaService.runBreachSweep(),
+    { runOnStart: true }
+  );
+
+  scheduler.register(
+    'pending_customer_sweep',
+    (parseInt(process.env.PENDING_CUSTOMER_SWEEP_INTERVAL_MINUTES) || 60) * MINUTE,
+    () => pendingCustomerService.runPendingSweep(),
+    { runOnStart: true }
+  );
+
+  scheduler.register(
+    'attachment_scan_sweep',
+    (parseInt(process.env.VIRUS_SCAN_SWEEP_INTERVAL_MINUTES) || 5) * MINUTE,
+    () => virusScanService.runScanSweep(),
+    { runOnStart: true }
+  );
+
+  scheduler.register(
+    'attachment_full_rescan',
+    (parseInt(process.env.ATTACHMENT_RESCAN_INTERVAL_HOURS) || 24) * HOUR,
+    () => virusScanService.runScheduledRescan()
+  );
+
+  scheduler.register(
+    'attachment_integrity_check',
+    (parseInt(process.env.ATTACHMENT_INTEGRITY_INTERVAL_HOURS) || 24) * HOUR,
+    () => attachmentStorageService.runIntegrityCheck()
+  );
+}
+
+module.exports = {
+  startJobs,
+  stopJobs,
+  scheduler
+};
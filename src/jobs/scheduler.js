@@ -0,0 +1,124 @@
+// src/jobs/scheduler.js - TPG Background Job Scheduler
+const logger = require('../config/logger');
+
+/**
+ * Minimal in-process interval scheduler. A job never overlaps itself:
+ * a tick is skipped while the previous run is still in progress.
+ */
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.started = false;
+  }
+
+  /**
+   * Register a job to run every intervalMs
+   */
+  register(name, intervalMs, handler, options = {}) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      handler,
+      runOnStart: options.runOnStart || false,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastError: null
+    });
+
+    if (this.started) {
+      this.schedule(this.jobs.get(name));
+    }
+  }
+
+  /**
+   * Start all registered jobs
+   */
+  start() {
+    if (this.started) {
+      return;
+    }
+
+    this.started = true;
+    this.jobs.forEach(job => this.schedule(job));
+
+    logger.info(`Background jobs started: ${[...this.jobs.keys()].join(', ') || 'none'}`);
+  }
+
+  /**
+   * Stop all jobs. Runs already in progress finish on their own.
+   */
+  stop() {
+    this.jobs.forEach(job => {
+      if (job.timer) {
+        clearInterval(job.timer);
+        job.timer = null;
+      }
+    });
+
+    this.started = false;
+    logger.info('Background jobs stopped');
+  }
+
+  /**
+   * Run a job immediately, unless it is already running
+   */
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job not found: ${name}`);
+    }
+
+    if (job.running) {
+      logger.warn(`Job ${name} is still running, skipping this run`);
+      return null;
+    }
+
+    job.running = true;
+    const startedAt = Date.now();
+
+    try {
+      const result = await job.handler();
+      job.lastError = null;
+      return result;
+    } catch (error) {
+      job.lastError = error.message;
+      logger.error(`Job ${name} failed:`, error);
+      return null;
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date().toISOString();
+      logger.debug(`Job ${name} finished in ${Date.now() - startedAt}ms`);
+    }
+  }
+
+  /**
+   * Status of every registered job
+   */
+  getStatus() {
+    return [...this.jobs.values()].map(job => ({
+      name: job.name,
+      interval_ms: job.intervalMs,
+      running: job.running,
+      last_run_at: job.lastRunAt,
+      last_error: job.lastError
+    }));
+  }
+
+  schedule(job) {
+    job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+
+    // Never keep the process alive just for a background job
+    job.timer.unref();
+
+    if (job.runOnStart) {
+      setImmediate(() => this.run(job.name));
+    }
+  }
+}
+
+module.exports = new JobScheduler();
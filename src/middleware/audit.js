@@ -1,5 +1,7 @@
 // src/middleware/audit.js - TPG Audit Middleware
 const logger = require('../config/logger');
+const SecurityEvent = require('../models/SecurityEvent');
+const securityEventService = require('../services/securityEventService');
 
 /**
  * Log all incoming requests
@@ -131,10 +133,27 @@ const auditUserAction = (action) => {
 /**
  * Log security events
  */
-const logSecurityEvent = (eventType, userId, details, req) => {
-  // This would typically save to the security_events table
-  // For now, just log it
-  logger.security.logSuspiciousActivity(eventType, details, req.ip, req.get('User-Agent'));
+const logSecurityEvent = (eventType, userId, details, req, severity = 'warning') => {
+  logger.warn('Security Event', {
+    category: 'security',
+    event: eventType,
+    userId,
+    details,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  // Unknown event types are stored as suspicious activity
+  const storedType = SecurityEvent.EVENT_TYPES.includes(eventType) ? eventType : 'suspicious_activity';
+
+  securityEventService.record({
+    eventType: storedType,
+    userId,
+    details: storedType === eventType ? details : { activity: eventType, ...details },
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    severity
+  });
 };
 
 /**
@@ -3,6 +3,8 @@ const authService = require('../services/authService');
 const User = require('../models/User');
 const logger = require('../config/logger');
 
+const SESSION_TOUCH_INTERVAL_MINUTES = 5;
+
 /**
  * Extract JWT token from request headers
  */
@@ -80,9 +82,25 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Check the login session has not been signed out or expired
+    const session = await authService.getLiveSession(decoded);
+    if (!session) {
+      return res.status(401).json({
+        error: 'Session expired',
+        message: 'Your session has ended. Please log in again.'
+      });
+    }
+
+    // Record activity, at most every few minutes to avoid a write per request
+    if (session.getIdleMinutes() >= SESSION_TOUCH_INTERVAL_MINUTES) {
+      session.$query().patch({ ip_address: req.ip, user_agent: req.get('User-Agent') })
+        .catch(error => logger.error('Session activity update failed:', error));
+    }
+
     // Attach user to request
     req.user = user;
     req.token = token;
+    req.sessionId = session.session_id;
     
     next();
   } catch (error) {
@@ -214,9 +232,12 @@ const optionalAuth = async (req, res, next) => {
     const decoded = authService.verifyAccessToken(token);
     const user = await User.query().findById(decoded.id);
     
-    if (user && user.status === 'active' && !user.isLocked()) {
+    const session = user ? await authService.getLiveSession(decoded) : null;
+
+    if (user && session && user.status === 'active' && !user.isLocked()) {
       req.user = user;
       req.token = token;
+      req.sessionId = session.session_id;
     }
     
     next();
@@ -306,8 +327,11 @@ const requireTicketAccess = (action = 'view') => {
         return next();
       }
 
-      // Users can only access their own tickets
-      if (ticket.user_id !== req.user.id) {
+      // Users can only access their own tickets; followers may also view them
+      const canAccess = ticket.user_id === req.user.id ||
+        (action === 'view' && await ticket.isFollowedBy(req.user.id));
+
+      if (!canAccess) {
         logger.security.logPermissionDenied(
           req.user.id,
           `ticket_${action}`,
@@ -0,0 +1,110 @@
+// src/models/AgentProfile.js - TPG Agent Profile Model with Objection.js
+const { Model } = require('objection');
+
+class AgentProfile extends Model {
+  static get tableName() {
+    return 'agent_profiles';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  // Capacity of agents who have no profile yet
+  static get DEFAULT_MAX_OPEN_TICKETS() {
+    return 10;
+  }
+
+  // Define the JSON schema for validation
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['user_id'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        user_id: { type: 'string', format: 'uuid' },
+        skills: {
+          type: 'array',
+          items: {
+            type: 'string',
+            enum: [
+              'cpd-points',
+              'license-management',
+              'performance-issues',
+              'payment-gateway',
+              'user-interface',
+              'data-inconsistencies',
+              'system-errors'
+            ]
+          },
+          default: []
+        },
+        max_open_tickets: { type: 'integer', minimum: 0, default: AgentProfile.DEFAULT_MAX_OPEN_TICKETS },
+        is_available: { type: 'boolean', default: true },
+        out_of_office_from: { type: ['string', 'null'], format: 'date-time' },
+        out_of_office_until: { type: ['string', 'null'], format: 'date-time' },
+        last_assigned_at: { type: ['string', 'null'], format: 'date-time' },
+        updated_by: { type: ['string', 'null'], format: 'uuid' }
+      }
+    };
+  }
+
+  // Define relationships
+  static get relationMappings() {
+    const User = require('./User');
+
+    return {
+      user: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: User,
+        join: {
+          from: 'agent_profiles.user_id',
+          to: 'users.id'
+        }
+      }
+    };
+  }
+
+  // Hooks - called before insert
+  async $beforeInsert(context) {
+    await super.$beforeInsert(context);
+
+    const now = new Date().toISOString();
+    this.created_at = now;
+    this.updated_at = now;
+
+    // Generate UUID if not provided
+    if (!this.id) {
+      this.id = require('uuid').v4();
+    }
+  }
+
+  // Hooks - called before update
+  async $beforeUpdate(context) {
+    await super.$beforeUpdate(context);
+    this.updated_at = new Date().toISOString();
+  }
+
+  // Instance methods
+
+  /**
+   * Whether the agent is out of office at a given time. Either bound may be
+   * left open; a profile with neither is never out of office.
+   */
+  isOutOfOffice(at = new Date()) {
+    const from = this.out_of_office_from ? new Date(this.out_of_office_from) : null;
+    const until = this.out_of_office_until ? new Date(this.out_of_office_until) : null;
+
+    if (!from && !until) {
+      return false;
+    }
+
+    return (!from || at >= from) && (!until || at < until);
+  }
+
+  hasSkill(category) {
+    return (this.skills || []).includes(category);
+  }
+}
+
+module.exports = AgentProfile;
@@ -0,0 +1,273 @@
+// src/models/AttachmentBlob.js - TPG Attachment Blob Model with Objection.js
+const { Model, raw } = require('objection');
+const path = require('path');
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const logger = require('../config/logger');
+
+class AttachmentBlob extends Model {
+  static get tableName() {
+    return 'attachment_blobs';
+  }
+
+  static get idColumn() {
+    return 'hash';
+  }
+
+  // Define the JSON schema for validation
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['hash', 'file_path', 'file_size'],
+      properties: {
+        hash: { type: 'string', pattern: '^[0-9a-f]{64}$' },
+        file_path: { type: 'string', maxLength: 500 },
+        file_size: { type: 'integer', minimum: 0 },
+        reference_count: { type: 'integer', minimum: 0, default: 0 },
+        integrity_status: {
+          type: 'string',
+          enum: ['ok', 'missing', 'corrupted'],
+          default: 'ok'
+        },
+        last_verified_at: { type: ['string', 'null'], format: 'date-time' }
+      }
+    };
+  }
+
+  // Define relationships
+  static get relationMappings() {
+    const TicketAttachment = require('./TicketAttachment');
+
+    return {
+      attachments: {
+        relation: Model.HasManyRelation,
+        modelClass: TicketAttachment,
+        join: {
+          from: 'attachment_blobs.hash',
+          to: 'ticket_attachments.blob_hash'
+        }
+      }
+    };
+  }
+
+  // Hooks - called before insert
+  async $beforeInsert(context) {
+    await super.$beforeInsert(context);
+
+    const now = new Date().toISOString();
+    this.created_at = now;
+    this.updated_at = now;
+  }
+
+  // Hooks - called before update
+  async $beforeUpdate(context) {
+    await super.$beforeUpdate(context);
+    this.updated_at = new Date().toISOString();
+  }
+
+  // Static methods
+
+  /**
+   * Blob storage root. Lives under the upload path so new uploads can be
+   * linked into place without copying.
+   */
+  static getStoragePath() {
+    return path.join(process.env.UPLOAD_PATH || './uploads', 'blobs');
+  }
+
+  /**
+   * Blob path for a hash, fanned out over two directory levels
+   */
+  static getBlobPath(hash) {
+    return path.join(this.getStoragePath(), hash.slice(0, 2), hash.slice(2, 4), hash);
+  }
+
+  /**
+   * SHA-256 of a file, streamed so large files are not held in memory
+   */
+  static calculateFileHash(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      require('fs').createReadStream(filePath)
+        .on('error', reject)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * Take a reference to the blob for a newly uploaded file and return the
+   * blob. The row is upserted first, so concurrent uploads of the same
+   * content queue on its lock; the file is then linked into place if it is
+   * not already there. The source is only removed once the reference is
+   * committed, so a failed transaction leaves the caller's file intact.
+   */
+  static async acquire(hash, sourcePath, fileSize) {
+    const blobPath = this.getBlobPath(hash);
+
+    const blob = await this.transaction(async trx => {
+      const now = new Date().toISOString();
+      const row = await this.query(trx)
+        .insert({ hash, file_path: blobPath, file_size: fileSize, reference_count: 1 })
+        .onConflict('hash')
+        .merge({ reference_count: raw('attachment_blobs.reference_count + 1'), updated_at: now })
+        .returning('*');
+
+      if (await fileExists(row.file_path)) {
+        return row;
+      }
+
+      // New content, or a blob whose file went missing: this upload provides it
+      await placeFile(sourcePath, blobPath);
+
+      if (row.reference_count > 1) {
+        logger.warn(`Attachment blob ${hash} restored from a new upload`);
+      }
+
+      if (row.file_path === blobPath && row.integrity_status === 'ok') {
+        return row;
+      }
+
+      return await row.$query(trx).patchAndFetch({ file_path: blobPath, integrity_status: 'ok' });
+    });
+
+    await removeFile(sourcePath);
+
+    return blob;
+  }
+
+  /**
+   * Drop a reference to a blob. The last reference deletes the row and the
+   * file together while the row is locked, so an upload of the same content
+   * waits and then puts a fresh file in place.
+   */
+  static async release(hash) {
+    await this.transaction(async trx => {
+      const blob = await this.query(trx).findById(hash).forUpdate();
+      if (!blob) {
+        return;
+      }
+
+      if (blob.reference_count > 1) {
+        await blob.$query(trx).patch({ reference_count: blob.reference_count - 1 });
+        return;
+      }
+
+      await blob.$query(trx).delete();
+      await blob.deleteFile();
+    });
+  }
+
+  /**
+   * Delete a blob nothing references, unless it was acquired after
+   * `unchangedSince`. Returns whether it was deleted.
+   */
+  static async purge(hash, unchangedSince) {
+    return await this.transaction(async trx => {
+      const blob = await this.query(trx).findById(hash).forUpdate();
+      if (!blob || new Date(blob.updated_at) >= unchangedSince) {
+        return false;
+      }
+
+      await blob.$query(trx).delete();
+      await blob.deleteFile();
+      return true;
+    });
+  }
+
+  /**
+   * Check a blob's file against its hash and recount its references, with
+   * the row locked so a concurrent acquire or release is neither overwritten
+   * nor reported missing mid-restore. The count is only corrected on blobs
+   * unchanged since `settledBefore`: a newer reference may belong to an
+   * upload whose attachment is not saved yet. Returns null when the blob is
+   * gone, else its status, references and the count it was corrected from.
+   */
+  static async verify(hash, settledBefore) {
+    return await this.transaction(async trx => {
+      const blob = await this.query(trx).findById(hash).forUpdate();
+      if (!blob) {
+        return null;
+      }
+
+      const references = await blob.$relatedQuery('attachments', trx).resultSize();
+      const changes = {};
+      let correctedFrom = null;
+
+      if (references !== blob.reference_count && new Date(blob.updated_at) < settledBefore) {
+        changes.reference_count = references;
+        correctedFrom = blob.reference_count;
+      }
+
+      let status;
+      try {
+        status = await this.calculateFileHash(blob.file_path) === hash ? 'ok' : 'corrupted';
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        status = 'missing';
+      }
+
+      await blob.$query(trx).patch({
+        ...changes,
+        integrity_status: status,
+        last_verified_at: new Date().toISOString()
+      });
+
+      return { file_path: blob.file_path, status, references, correctedFrom };
+    });
+  }
+
+  // Instance methods
+
+  async deleteFile() {
+    try {
+      await fs.unlink(this.file_path);
+      logger.info(`Deleted attachment blob: ${this.hash}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`Failed to delete attachment blob: ${this.file_path}`, error);
+      }
+    }
+  }
+}
+
+async function fileExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Hard-link a file into blob storage, copying across filesystems. A file
+ * already at the target has the same content by construction.
+ */
+async function placeFile(sourcePath, blobPath) {
+  await fs.mkdir(path.dirname(blobPath), { recursive: true });
+
+  try {
+    await fs.link(sourcePath, blobPath);
+  } catch (error) {
+    if (error.code === 'EXDEV') {
+      await fs.copyFile(sourcePath, blobPath);
+    } else if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  }
+}
+
+async function removeFile(filePath) {
+  try {
+    await fs.unlink(filePath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`Failed to remove uploaded file: ${filePath}`, error);
+    }
+  }
+}
+
+module.exports = AttachmentBlob;
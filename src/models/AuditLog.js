@@ -1,10 +1,96 @@
-// src/models/AuditLog.js - Placeholder
+// src/models/AuditLog.js - TPG Audit Log Model with Objection.js
 const { Model } = require('objection');
 
 class AuditLog extends Model {
   static get tableName() {
     return 'audit_logs';
   }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  // Resource types written by auditService
+  static get RESOURCE_TYPES() {
+    return ['ticket', 'comment', 'attachment', 'user', 'setting', 'ticket_template', 'comment_macro', 'ticket_workflow', 'agent_profile'];
+  }
+
+  // Define the JSON schema for validation
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['action', 'resource_type'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        user_id: { type: ['string', 'null'], format: 'uuid' },
+        action: { type: 'string', minLength: 1, maxLength: 100 },
+        resource_type: { type: 'string', minLength: 1, maxLength: 50 },
+        resource_id: { type: ['string', 'null'], maxLength: 100 },
+        old_values: { type: ['object', 'null'] },
+        new_values: { type: ['object', 'null'] },
+        ip_address: { type: ['string', 'null'] },
+        user_agent: { type: ['string', 'null'] },
+        session_id: { type: ['string', 'null'], maxLength: 255 }
+      }
+    };
+  }
+
+  // Define relationships
+  static get relationMappings() {
+    const User = require('./User');
+
+    return {
+      // User who performed the action
+      actor: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: User,
+        join: {
+          from: 'audit_logs.user_id',
+          to: 'users.id'
+        }
+      }
+    };
+  }
+
+  // Hooks - called before insert
+  async $beforeInsert(context) {
+    await super.$beforeInsert(context);
+
+    this.created_at = new Date().toISOString();
+
+    // Generate UUID if not provided
+    if (!this.id) {
+      this.id = require('uuid').v4();
+    }
+  }
+
+  // Instance methods
+
+  /**
+   * Field names touched by this entry
+   */
+  getChangedFields() {
+    return [...new Set([
+      ...Object.keys(this.old_values || {}),
+      ...Object.keys(this.new_values || {})
+    ])];
+  }
+
+  // Static methods
+
+  /**
+   * Full change history of one resource, oldest first
+   */
+  static async getResourceHistory(resourceType, resourceId, trx = null) {
+    return await this.query(trx)
+      .where('resource_type', resourceType)
+      .where('resource_id', String(resourceId))
+      .withGraphFetched('actor(selectBasic)')
+      .modifiers({
+        selectBasic: builder => builder.select('id', 'username', 'email', 'role')
+      })
+      .orderBy('created_at', 'asc');
+  }
 }
 
-module.exports = AuditLog;
\ No newline at end of file
+module.exports = AuditLog;
@@ -0,0 +1,76 @@
+// src/models/Category.js - TPG Ticket Category Model with Objection.js
+const { Model } = require('objection');
+
+class Category extends Model {
+  static get tableName() {
+    return 'categories';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  // Define the JSON schema for validation
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: {
+        id: { type: 'string', maxLength: 50 },
+        name: { type: 'string', minLength: 1, maxLength: 255 },
+        description: { type: ['string', 'null'] },
+        icon: { type: ['string', 'null'], maxLength: 50 },
+        color: { type: ['string', 'null'], maxLength: 20 },
+        is_active: { type: 'boolean', default: true },
+        requires_escalation: { type: 'boolean', default: false },
+        estimated_resolution_hours: { type: ['integer', 'null'], minimum: 1 },
+        sla_hours: { type: ['integer', 'null'], minimum: 1 },
+        first_response_hours: { type: ['integer', 'null'], minimum: 1 },
+        auto_escalate_after_hours: { type: ['integer', 'null'], minimum: 1 },
+        examples: { type: 'array', items: { type: 'string' }, default: [] },
+        common_solutions: { type: 'array', items: { type: 'string' }, default: [] }
+      }
+    };
+  }
+
+  // Hooks - called before insert
+  async $beforeInsert(context) {
+    await super.$beforeInsert(context);
+
+    const now = new Date().toISOString();
+    this.created_at = now;
+    this.updated_at = now;
+  }
+
+  // Hooks - called before update
+  async $beforeUpdate(context) {
+    await super.$beforeUpdate(context);
+    this.updated_at = new Date().toISOString();
+  }
+
+  // Instance methods
+
+  /**
+   * Hours after which open tickets in this category escalate automatically,
+   * or null when auto-escalation is not configured
+   */
+  getAutoEscalationHours() {
+    if (!this.requires_escalation || !this.auto_escalate_after_hours) {
+      return null;
+    }
+
+    return this.auto_escalate_after_hours;
+  }
+
+  // Static methods
+
+  /**
+   * Active categories keyed by id
+   */
+  static async getActiveMap() {
+    const categories = await this.query().where('is_active', true);
+    return new Map(categories.map(category => [category.id, category]));
+  }
+}
+
+module.exports = Category;
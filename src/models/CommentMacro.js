@@ -0,0 +1,161 @@
+// src/models/CommentMacro.js - TPG Comment Macro Model with Objection.js
+const { Model } = require('objection');
+
+// {{field}} placeholders in macro content
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+class CommentMacro extends Model {
+  static get tableName() {
+    return 'comment_macros';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  // Ticket fields that macro content may reference
+  static get FIELDS() {
+    return [
+      'ticket_number',
+      'title',
+      'category',
+      'urgency',
+      'status',
+      'created_date',
+      'reporter_name',
+      'assignee_name',
+      'agent_name'
+    ];
+  }
+
+  // Define the JSON schema for validation
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['name', 'content'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        name: { type: 'string', minLength: 3, maxLength: 150 },
+        description: { type: ['string', 'null'] },
+        category: {
+          type: ['string', 'null'],
+          enum: [
+            'cpd-points',
+            'license-management',
+            'performance-issues',
+            'payment-gateway',
+            'user-interface',
+            'data-inconsistencies',
+            'system-errors',
+            null
+          ]
+        },
+        content: { type: 'string', minLength: 1, maxLength: 3000 },
+        is_internal: { type: 'boolean', default: false },
+        actions: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ['open', 'in-progress', 'pending-customer', 'resolved', 'closed'] },
+            urgency: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+            add_tags: { type: 'array', items: { type: 'string' } },
+            remove_tags: { type: 'array', items: { type: 'string' } },
+            assign_to: { type: 'string' } // 'self' or an admin user ID
+          },
+          default: {}
+        },
+        is_active: { type: 'boolean', default: true },
+        usage_count: { type: 'integer', minimum: 0, default: 0 },
+        last_used_at: { type: ['string', 'null'], format: 'date-time' },
+        created_by: { type: ['string', 'null'], format: 'uuid' },
+        updated_by: { type: ['string', 'null'], format: 'uuid' }
+      }
+    };
+  }
+
+  // Define relationships
+  static get relationMappings() {
+    const User = require('./User');
+
+    return {
+      creator: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: User,
+        join: {
+          from: 'comment_macros.created_by',
+          to: 'users.id'
+        }
+      }
+    };
+  }
+
+  // Hooks - called before insert
+  async $beforeInsert(context) {
+    await super.$beforeInsert(context);
+
+    const now = new Date().toISOString();
+    this.created_at = now;
+    this.updated_at = now;
+
+    // Generate UUID if not provided
+    if (!this.id) {
+      this.id = require('uuid').v4();
+    }
+  }
+
+  // Hooks - called before update
+  async $beforeUpdate(context) {
+    await super.$beforeUpdate(context);
+    this.updated_at = new Date().toISOString();
+  }
+
+  // Instance methods
+
+  /**
+   * Check if the macro can be used on a ticket in the given category
+   */
+  appliesToCategory(category) {
+    return !this.category || this.category === category;
+  }
+
+  /**
+   * Check if applying the macro changes anything besides adding a comment
+   */
+  hasActions() {
+    return Object.keys(this.actions || {}).length > 0;
+  }
+
+  /**
+   * Fill placeholders from a ticket, its reporter and assignee, and the agent
+   * applying the macro. Unknown or empty fields render as an empty string.
+   */
+  render(ticket, agent = null) {
+    const values = {
+      ticket_number: ticket.ticket_number,
+      title: ticket.title,
+      category: ticket.category,
+      urgency: ticket.urgency,
+      status: ticket.status,
+      created_date: ticket.created_at ? new Date(ticket.created_at).toLocaleDateString('en-GB') : '',
+      reporter_name: ticket.user?.username,
+      assignee_name: ticket.assignedUser?.username,
+      agent_name: agent?.username
+    };
+
+    return this.content.replace(PLACEHOLDER_PATTERN, (match, name) => {
+      const value = values[name];
+      return value === undefined || value === null ? '' : String(value);
+    });
+  }
+
+  // Static methods
+
+  /**
+   * Placeholders in a piece of text that are not ticket fields
+   */
+  static findUnknownPlaceholders(text) {
+    const names = [...(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+    return [...new Set(names)].filter(name => !CommentMacro.FIELDS.includes(name));
+  }
+}
+
+module.exports = CommentMacro;
@@ -0,0 +1,129 @@
+// src/models/RefreshToken.js - TPG Refresh Token Model with Objection.js
+const { Model } = require('objection');
+
+class RefreshToken extends Model {
+  static get tableName() {
+    return 'refresh_tokens';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  // Define the JSON schema for validation
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['token_id', 'family_id', 'user_id', 'expires_at'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        token_id: { type: 'string', maxLength: 64 },
+        family_id: { type: 'string', format: 'uuid' },
+        user_id: { type: 'string', format: 'uuid' },
+        replaced_by_token_id: { type: ['string', 'null'], maxLength: 64 },
+        expires_at: { type: 'string', format: 'date-time' },
+        last_used_at: { type: ['string', 'null'], format: 'date-time' },
+        revoked_at: { type: ['string', 'null'], format: 'date-time' },
+        revoked_reason: { type: ['string', 'null'], maxLength: 50 },
+        ip_address: { type: ['string', 'null'] },
+        user_agent: { type: ['string', 'null'] }
+      }
+    };
+  }
+
+  // Define relationships
+  static get relationMappings() {
+    const User = require('./User');
+
+    return {
+      user: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: User,
+        join: {
+          from: 'refresh_tokens.user_id',
+          to: 'users.id'
+        }
+      }
+    };
+  }
+
+  // Hooks - called before insert
+  async $beforeInsert(context) {
+    await super.$beforeInsert(context);
+
+    const now = new Date().toISOString();
+    this.created_at = now;
+    this.updated_at = now;
+
+    // Generate UUID if not provided
+    if (!this.id) {
+      this.id = require('uuid').v4();
+    }
+  }
+
+  // Hooks - called before update
+  async $beforeUpdate(context) {
+    await super.$beforeUpdate(context);
+    this.updated_at = new Date().toISOString();
+  }
+
+  // Instance methods
+
+  /**
+   * Check if token has been revoked (including by rotation)
+   */
+  isRevoked() {
+    return !!this.revoked_at;
+  }
+
+  /**
+   * Check if token has passed its expiry
+   */
+  isExpired() {
+    return new Date(this.expires_at) <= new Date();
+  }
+
+  /**
+   * Check if token can still be exchanged
+   */
+  isActive() {
+    return !this.isRevoked() && !this.isExpired();
+  }
+
+  // Static methods
+
+  /**
+   * Find token record by its JWT tokenId claim
+   */
+  static async findByTokenId(tokenId, trx) {
+    return await this.query(trx).findOne({ token_id: tokenId });
+  }
+
+  /**
+   * Revoke every live token in a rotation family
+   */
+  static async revokeFamily(familyId, reason, trx) {
+    return await this.query(trx)
+      .where('family_id', familyId)
+      .whereNull('revoked_at')
+      .patch({
+        revoked_at: new Date().toISOString(),
+        revoked_reason: reason
+      });
+  }
+
+  /**
+   * Revoke every live token belonging to a user
+   */
+  static async revokeAllForUser(userId, reason, trx) {
+    return await this.query(trx)
+      .where('user_id', userId)
+      .whereNull('revoked_at')
+      .patch({
+        revoked_at: new Date().toISOString(),
+        revoked_reason: reason
+      });
+  }
+}
+
+module.exports = RefreshToken;
@@ -0,0 +1,93 @@
+// src/models/SecurityEvent.js - TPG Security Event Model with Objection.js
+const { Model } = require('objection');
+
+class SecurityEvent extends Model {
+  static get tableName() {
+    return 'security_events';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  // Values of the security_event_type enum
+  static get EVENT_TYPES() {
+    return [
+      'login_success',
+      'login_failed',
+      'password_changed',
+      'account_locked',
+      'permission_denied',
+      'suspicious_activity',
+      'email_verified',
+      'password_reset_requested',
+      'password_reset_completed',
+      'two_factor_enabled',
+      'two_factor_disabled',
+      'two_factor_failed',
+      'two_factor_recovery_code_used'
+    ];
+  }
+
+  static get SEVERITIES() {
+    return ['info', 'warning', 'error', 'critical'];
+  }
+
+  // Define the JSON schema for validation
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['event_type'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        user_id: { type: ['string', 'null'], format: 'uuid' },
+        event_type: { type: 'string', enum: SecurityEvent.EVENT_TYPES },
+        details: { type: 'object', default: {} },
+        ip_address: { type: ['string', 'null'] },
+        user_agent: { type: ['string', 'null'] },
+        severity: {
+          type: 'string',
+          enum: SecurityEvent.SEVERITIES,
+          default: 'info'
+        },
+        resolved: { type: 'boolean', default: false },
+        resolution_notes: { type: ['string', 'null'] },
+        resolved_at: { type: ['string', 'null'], format: 'date-time' }
+      }
+    };
+  }
+
+  // Define relationships
+  static get relationMappings() {
+    const User = require('./User');
+
+    return {
+      user: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: User,
+        join: {
+          from: 'security_events.user_id',
+          to: 'users.id'
+        }
+      }
+    };
+  }
+
+  // Hooks - called before insert
+  async $beforeInsert(context) {
+    await super.$beforeInsert(context);
+
+    this.created_at = new Date().toISOString();
+
+    // Generate UUID if not provided
+    if (!this.id) {
+      this.id = require('uuid').v4();
+    }
+
+    if (!this.details) {
+      this.details = {};
+    }
+  }
+}
+
+module.exports = SecurityEvent;
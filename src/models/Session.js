@@ -0,0 +1,109 @@
+// src/models/Session.js - TPG Login Session Model with Objection.js
+const { Model } = require('objection');
+
+class Session extends Model {
+  static get tableName() {
+    return 'sessions';
+  }
+
+  // One session per login; shares its id with the refresh token family
+  static get idColumn() {
+    return 'session_id';
+  }
+
+  // Define the JSON schema for validation
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['session_id', 'user_id', 'expires_at'],
+      properties: {
+        session_id: { type: 'string', maxLength: 255 },
+        user_id: { type: 'string', format: 'uuid' },
+        session_data: { type: ['object', 'null'] },
+        ip_address: { type: ['string', 'null'] },
+        user_agent: { type: ['string', 'null'] },
+        expires_at: { type: 'string', format: 'date-time' }
+      }
+    };
+  }
+
+  // Define relationships
+  static get relationMappings() {
+    const User = require('./User');
+
+    return {
+      user: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: User,
+        join: {
+          from: 'sessions.user_id',
+          to: 'users.id'
+        }
+      }
+    };
+  }
+
+  // Hooks - called before insert
+  async $beforeInsert(context) {
+    await super.$beforeInsert(context);
+
+    const now = new Date().toISOString();
+    this.created_at = now;
+    this.updated_at = now;
+
+    if (!this.session_data) {
+      this.session_data = {};
+    }
+  }
+
+  // Hooks - called before update
+  async $beforeUpdate(context) {
+    await super.$beforeUpdate(context);
+    this.updated_at = new Date().toISOString();
+  }
+
+  // Instance methods
+
+  /**
+   * Check if session has passed its expiry
+   */
+  isExpired() {
+    return new Date(this.expires_at) <= new Date();
+  }
+
+  /**
+   * Minutes since the session was last touched
+   */
+  getIdleMinutes() {
+    return Math.floor((Date.now() - new Date(this.updated_at).getTime()) / (1000 * 60));
+  }
+
+  /**
+   * Get session data safe for the owning user / admins
+   */
+  getPublicData(currentSessionId = null) {
+    return {
+      id: this.session_id,
+      ip_address: this.ip_address,
+      user_agent: this.user_agent,
+      created_at: this.created_at,
+      last_active_at: this.updated_at,
+      expires_at: this.expires_at,
+      current: this.session_id === currentSessionId
+    };
+  }
+
+  // Static methods
+
+  /**
+   * Get live (unexpired) sessions for a user, most recently active first
+   */
+  static async getActiveForUser(userId) {
+    return await this.query()
+      .where('user_id', userId)
+      .where('expires_at', '>', new Date().toISOString())
+      .orderBy('updated_at', 'desc');
+  }
+}
+
+module.exports = Session;
@@ -0,0 +1,91 @@
+// src/models/SystemSetting.js - TPG System Setting Model with Objection.js
+const { Model } = require('objection');
+const logger = require('../config/logger');
+
+class SystemSetting extends Model {
+  static get tableName() {
+    return 'system_settings';
+  }
+
+  static get idColumn() {
+    return 'key';
+  }
+
+  // Define the JSON schema for validation
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['key'],
+      properties: {
+        key: { type: 'string', maxLength: 100 },
+        value: { type: ['string', 'null'] },
+        description: { type: ['string', 'null'], maxLength: 500 },
+        type: {
+          type: 'string',
+          enum: ['string', 'number', 'boolean', 'json'],
+          default: 'string'
+        },
+        is_public: { type: 'boolean', default: false }
+      }
+    };
+  }
+
+  // Hooks - called before insert
+  async $beforeInsert(context) {
+    await super.$beforeInsert(context);
+
+    const now = new Date().toISOString();
+    this.created_at = now;
+    this.updated_at = now;
+  }
+
+  // Hooks - called before update
+  async $beforeUpdate(context) {
+    await super.$beforeUpdate(context);
+    this.updated_at = new Date().toISOString();
+  }
+
+  // Instance methods
+
+  /**
+   * Convert the stored text value to its declared type
+   */
+  getTypedValue() {
+    if (this.value === null || this.value === undefined) {
+      return null;
+    }
+
+    switch (this.type) {
+      case 'number':
+        return Number(this.value);
+      case 'boolean':
+        return this.value === 'true';
+      case 'json':
+        try {
+          return JSON.parse(this.value);
+        } catch (error) {
+          logger.warn(`Invalid JSON in system setting ${this.key}`);
+          return null;
+        }
+      default:
+        return this.value;
+    }
+  }
+
+  // Static methods
+
+  /**
+   * Get a typed setting value, falling back when the key is missing
+   */
+  static async getValue(key, defaultValue = null) {
+    const setting = await this.query().findById(key);
+    if (!setting) {
+      return defaultValue;
+    }
+
+    const value = setting.getTypedValue();
+    return value === null ? defaultValue : value;
+  }
+}
+
+module.exports = SystemSetting;
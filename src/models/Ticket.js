@@ -40,7 +40,7 @@ class Ticket extends Model {
         },
         status: { 
           type: 'string', 
-          enum: ['open', 'in-progress', 'resolved', 'closed'],
+          enum: ['open', 'in-progress', 'pending-customer', 'resolved', 'closed'],
           default: 'open'
         },
         user_id: { type: 'string', format: 'uuid' },
@@ -54,7 +54,31 @@ class Ticket extends Model {
         metadata: { type: 'object', default: {} },
         resolved_at: { type: ['string', 'null'], format: 'date-time' },
         closed_at: { type: ['string', 'null'], format: 'date-time' },
-        first_response_at: { type: ['string', 'null'], format: 'date-time' }
+        first_response_at: { type: ['string', 'null'], format: 'date-time' },
+        first_response_due_at: { type: ['string', 'null'], format: 'date-time' },
+        resolution_due_at: { type: ['string', 'null'], format: 'date-time' },
+        first_response_breached: { type: 'boolean', default: false },
+        resolution_breached: { type: 'boolean', default: false },
+        sla_paused_at: { type: ['string', 'null'], format: 'date-time' },
+        sla_paused_hours: { type: 'number', minimum: 0, default: 0 },
+        business_resolution_hours: { type: ['number', 'null'], minimum: 0 },
+        pending_since: { type: ['string', 'null'], format: 'date-time' },
+        pending_reminders_sent: { type: 'integer', minimum: 0, default: 0 },
+        last_pending_reminder_at: { type: ['string', 'null'], format: 'date-time' },
+        escalation_level: { type: 'integer', minimum: 0, default: 0 },
+        escalated_at: { type: ['string', 'null'], format: 'date-time' },
+        merged_into_id: { type: ['string', 'null'], format: 'uuid' },
+        merged_at: { type: ['string', 'null'], format: 'date-time' },
+        reopen_count: { type: 'integer', minimum: 0, default: 0 },
+        last_reopened_at: { type: ['string', 'null'], format: 'date-time' },
+        survey_sent_at: { type: ['string', 'null'], format: 'date-time' },
+        satisfaction_submitted_at: { type: ['string', 'null'], format: 'date-time' },
+        needs_review: { type: 'boolean', default: false },
+        review_reason: { type: ['string', 'null'], maxLength: 255 },
+        review_flagged_at: { type: ['string', 'null'], format: 'date-time' },
+        reviewed_at: { type: ['string', 'null'], format: 'date-time' },
+        reviewed_by: { type: ['string', 'null'], format: 'uuid' },
+        review_notes: { type: ['string', 'null'], maxLength: 2000 }
       }
     };
   }
@@ -64,6 +88,8 @@ class Ticket extends Model {
     const User = require('./User');
     const TicketComment = require('./TicketComment');
     const TicketAttachment = require('./TicketAttachment');
+    const TicketEscalation = require('./TicketEscalation');
+    const TicketFollower = require('./TicketFollower');
 
     return {
       // Ticket creator
@@ -104,6 +130,46 @@ class Ticket extends Model {
           from: 'tickets.id',
           to: 'ticket_attachments.ticket_id'
         }
+      },
+
+      // Escalation history
+      escalations: {
+        relation: Model.HasManyRelation,
+        modelClass: TicketEscalation,
+        join: {
+          from: 'tickets.id',
+          to: 'ticket_escalations.ticket_id'
+        }
+      },
+
+      // Ticket this one was merged into
+      mergedInto: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Ticket,
+        join: {
+          from: 'tickets.merged_into_id',
+          to: 'tickets.id'
+        }
+      },
+
+      // Tickets merged into this one
+      mergedTickets: {
+        relation: Model.HasManyRelation,
+        modelClass: Ticket,
+        join: {
+          from: 'tickets.id',
+          to: 'tickets.merged_into_id'
+        }
+      },
+
+      // Users following this ticket
+      followers: {
+        relation: Model.HasManyRelation,
+        modelClass: TicketFollower,
+        join: {
+          from: 'tickets.id',
+          to: 'ticket_followers.ticket_id'
+        }
       }
     };
   }
@@ -130,11 +196,6 @@ class Ticket extends Model {
     if (!this.tags) {
       this.tags = [];
     }
-
-    // Set estimated resolution hours based on category if not provided
-    if (!this.estimated_resolution_hours) {
-      this.estimated_resolution_hours = this.getDefaultResolutionHours();
-    }
   }
 
   // Hooks - called before update
@@ -163,34 +224,28 @@ class Ticket extends Model {
   // Instance methods
 
   /**
-   * Get default resolution hours based on category
+   * Check if ticket is overdue: unresolved and past its resolution SLA.
+   * A paused SLA clock is judged at the moment it was paused.
    */
-  getDefaultResolutionHours() {
-    const defaultHours = {
-      'cpd-points': 48,
-      'license-management': 72,
-      'performance-issues': 24,
-      'payment-gateway': 24,
-      'user-interface': 24,
-      'data-inconsistencies': 48,
-      'system-errors': 24
-    };
+  isOverdue() {
+    if (!this.resolution_due_at || this.status === 'resolved' || this.status === 'closed') {
+      return false;
+    }
 
-    return defaultHours[this.category] || 24;
+    const clock = this.sla_paused_at ? new Date(this.sla_paused_at) : new Date();
+    return clock > new Date(this.resolution_due_at);
   }
 
   /**
-   * Check if ticket is overdue
+   * Whole hours an overdue ticket is past its resolution SLA (0 if not overdue)
    */
-  isOverdue() {
-    if (!this.estimated_resolution_hours || this.status === 'resolved' || this.status === 'closed') {
-      return false;
+  getOverdueHours() {
+    if (!this.isOverdue()) {
+      return 0;
     }
 
-    const createdAt = new Date(this.created_at);
-    const expectedResolutionTime = new Date(createdAt.getTime() + (this.estimated_resolution_hours * 60 * 60 * 1000));
-    
-    return new Date() > expectedResolutionTime;
+    const clock = this.sla_paused_at ? new Date(this.sla_paused_at).getTime() : Date.now();
+    return Math.round((clock - new Date(this.resolution_due_at).getTime()) / (1000 * 60 * 60));
   }
 
   /**
@@ -202,6 +257,19 @@ class Ticket extends Model {
     return Math.round((now - createdAt) / (1000 * 60 * 60));
   }
 
+  /**
+   * Last moment the ticket can be reopened, counted from resolution
+   * (or closing, for tickets closed without being resolved)
+   */
+  getReopenDeadline(windowDays) {
+    const finishedAt = this.resolved_at || this.closed_at;
+    if (!finishedAt) {
+      return null;
+    }
+
+    return new Date(new Date(finishedAt).getTime() + (windowDays * 24 * 60 * 60 * 1000));
+  }
+
   /**
    * Get resolution time in hours (if resolved)
    */
@@ -218,20 +286,45 @@ class Ticket extends Model {
   /**
    * Check if ticket needs escalation
    */
-  needsEscalation() {
+  needsEscalation(category = null) {
+    return this.getEscalationTrigger(category) !== null;
+  }
+
+  /**
+   * Why this ticket should escalate now, or null. A category threshold
+   * escalates again each time it elapses since the last escalation; the
+   * built-in rules only apply to tickets that were never escalated.
+   */
+  getEscalationTrigger(category = null) {
+    const TicketEscalation = require('./TicketEscalation');
+
+    if (!['open', 'in-progress'].includes(this.status) || (this.escalation_level || 0) >= TicketEscalation.MAX_LEVEL) {
+      return null;
+    }
+
+    const thresholdHours = category ? category.getAutoEscalationHours() : null;
+    if (thresholdHours) {
+      const since = new Date(this.escalated_at || this.created_at);
+      if ((Date.now() - since.getTime()) / (1000 * 60 * 60) >= thresholdHours) {
+        return 'category_threshold';
+      }
+    }
+
+    if (this.escalation_level > 0) {
+      return null;
+    }
+
     // Escalate if high/critical priority and older than 4 hours without assignment
-    if (['high', 'critical'].includes(this.urgency) && !this.assigned_to) {
-      const ageInHours = this.getAgeInHours();
-      return ageInHours >= 4;
+    if (['high', 'critical'].includes(this.urgency) && !this.assigned_to && this.getAgeInHours() >= 4) {
+      return 'unassigned_priority';
     }
 
     // Escalate if overdue by more than 12 hours
-    if (this.isOverdue()) {
-      const overdueHours = this.getAgeInHours() - this.estimated_resolution_hours;
-      return overdueHours >= 12;
+    if (this.getOverdueHours() >= 12) {
+      return 'overdue';
     }
 
-    return false;
+    return null;
   }
 
   /**
@@ -309,6 +402,18 @@ class Ticket extends Model {
     return false;
   }
 
+  /**
+   * Check if user follows this ticket (e.g. reporter of a merged duplicate)
+   */
+  async isFollowedBy(userId) {
+    const TicketFollower = require('./TicketFollower');
+    const follower = await TicketFollower.query()
+      .where({ ticket_id: this.id, user_id: userId })
+      .first();
+
+    return !!follower;
+  }
+
   /**
    * Check if user can edit this ticket
    */
@@ -382,9 +487,8 @@ class Ticket extends Model {
     const query = `
       SELECT * FROM tickets 
       WHERE status IN ('open', 'in-progress') 
-      AND estimated_resolution_hours IS NOT NULL
-      AND created_at + (estimated_resolution_hours || ' hours')::interval < NOW()
-      ORDER BY created_at ASC
+      AND resolution_due_at < NOW()
+      ORDER BY resolution_due_at ASC
     `;
     
     return await this.query().raw(query);
@@ -471,6 +575,7 @@ class Ticket extends Model {
       by_category: this.groupBy(tickets, 'category'),
       by_urgency: this.groupBy(tickets, 'urgency'),
       resolution_stats: this.calculateResolutionStats(tickets),
+      reopen_stats: this.calculateReopenStats(tickets),
       satisfaction_stats: this.calculateSatisfactionStats(tickets)
     };
   }
@@ -513,6 +618,24 @@ class Ticket extends Model {
     };
   }
 
+  /**
+   * Calculate reopen statistics. The reopen rate is the share of tickets
+   * that were ever resolved or closed which later had to be reopened.
+   */
+  static calculateReopenStats(tickets) {
+    const finishedTickets = tickets.filter(t => t.resolved_at || t.closed_at || t.reopen_count > 0);
+    const reopenedTickets = tickets.filter(t => t.reopen_count > 0);
+    const totalReopens = reopenedTickets.reduce((sum, t) => sum + t.reopen_count, 0);
+
+    return {
+      reopened_tickets: reopenedTickets.length,
+      total_reopens: totalReopens,
+      reopen_rate: finishedTickets.length > 0
+        ? Math.round((reopenedTickets.length / finishedTickets.length) * 10000) / 100
+        : 0
+    };
+  }
+
   /**
    * Calculate satisfaction statistics
    */
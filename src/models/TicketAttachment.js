@@ -2,6 +2,7 @@
 const { Model } = require('objection');
 const path = require('path');
 const fs = require('fs').promises;
+const AttachmentBlob = require('./AttachmentBlob');
 const logger = require('../config/logger');
 
 class TicketAttachment extends Model {
@@ -13,6 +14,14 @@ class TicketAttachment extends Model {
     return 'id';
   }
 
+  // Image derivatives generated once a file scans clean
+  static get PREVIEW_SIZES() {
+    return {
+      thumbnail: { width: 150, height: 150, fit: 'cover' },
+      preview: { width: 800, height: 800, fit: 'inside' }
+    };
+  }
+
   // Define the JSON schema for validation
   static get jsonSchema() {
     return {
@@ -26,6 +35,7 @@ class TicketAttachment extends Model {
         filename: { type: 'string', maxLength: 255 },
         original_filename: { type: 'string', maxLength: 255 },
         file_path: { type: 'string', maxLength: 500 },
+        blob_hash: { type: ['string', 'null'], maxLength: 64 },
         file_size: { type: 'integer', minimum: 0 },
         mime_type: { type: 'string', maxLength: 100 },
         virus_scan_status: { 
@@ -67,6 +77,16 @@ class TicketAttachment extends Model {
         }
       },
 
+      // Shared file in content-addressed storage (null for older uploads)
+      blob: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: AttachmentBlob,
+        join: {
+          from: 'ticket_attachments.blob_hash',
+          to: 'attachment_blobs.hash'
+        }
+      },
+
       // Associated comment (optional)
       comment: {
         relation: Model.BelongsToOneRelation,
@@ -148,10 +168,10 @@ class TicketAttachment extends Model {
   }
 
   /**
-   * Check if file is safe (not infected)
+   * Check if file is safe (scanned clean and not sitting in quarantine)
    */
   isSafe() {
-    return this.virus_scan_status === 'clean';
+    return this.virus_scan_status === 'clean' && !this.isQuarantined();
   }
 
   /**
@@ -225,6 +245,13 @@ class TicketAttachment extends Model {
     return false;
   }
 
+  /**
+   * Check if user can annotate this file (description, tags, category)
+   */
+  canBeAnnotatedBy(user) {
+    return this.user_id === user.id || user.hasPermission('tickets.edit.all');
+  }
+
   /**
    * Increment download count
    */
@@ -233,9 +260,17 @@ class TicketAttachment extends Model {
   }
 
   /**
-   * Mark file as virus scanned
+   * Check if file has been moved to quarantine
    */
-  async markAsScanned(status, details = null) {
+  isQuarantined() {
+    return !!(this.metadata && this.metadata.quarantine);
+  }
+
+  /**
+   * Mark file as virus scanned. scanMetadata is merged into metadata
+   * (scanner, signature, timings).
+   */
+  async markAsScanned(status, details = null, scanMetadata = {}) {
     const validStatuses = ['clean', 'infected', 'error'];
     if (!validStatuses.includes(status)) {
       throw new Error('Invalid virus scan status');
@@ -246,6 +281,7 @@ class TicketAttachment extends Model {
       virus_scan_details: details,
       metadata: {
         ...this.metadata,
+        ...scanMetadata,
         scan_completed_at: new Date().toISOString()
       }
     });
@@ -280,64 +316,137 @@ class TicketAttachment extends Model {
   }
 
   /**
-   * Delete physical file
+   * Delete physical file. Files in blob storage are shared between
+   * identical uploads, so only this attachment's reference is dropped; the
+   * blob is deleted with its last reference.
    */
   async deletePhysicalFile() {
     try {
-      await fs.unlink(this.file_path);
-      logger.info(`Deleted physical file: ${this.file_path}`);
+      if (this.blob_hash) {
+        await AttachmentBlob.release(this.blob_hash);
+      } else {
+        await fs.unlink(this.file_path);
+        logger.info(`Deleted physical file: ${this.file_path}`);
+      }
     } catch (error) {
       logger.error(`Failed to delete physical file: ${this.file_path}`, error);
     }
+
+    await this.removePreviewFiles();
   }
 
   /**
-   * Generate thumbnail for images
+   * Compare the file on disk with the SHA-256 recorded at upload. Returns
+   * ok, missing, corrupted, or unverified when no hash was recorded.
+   */
+  async verifyIntegrity() {
+    const expected = this.blob_hash || this.metadata?.file_hash;
+    if (!expected) {
+      return 'unverified';
+    }
+
+    let actual;
+    try {
+      actual = await AttachmentBlob.calculateFileHash(this.file_path);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return 'missing';
+      }
+      throw error;
+    }
+
+    return actual === expected ? 'ok' : 'corrupted';
+  }
+
+  /**
+   * Generate the thumbnail and preview sizes for a clean image. Derivatives
+   * are re-encoded as JPEG without the original's EXIF data (GPS position,
+   * device details); the orientation tag is applied first so photos keep
+   * their rotation. Paths are recorded in metadata.previews.
    */
   async generateThumbnail() {
-    if (!this.isImage()) {
+    if (!this.isImage() || !this.isSafe()) {
       return null;
     }
 
-    // This would integrate with an image processing library like Sharp
-    // For now, just return a placeholder
-    const thumbnailPath = this.file_path.replace(/(\.[^.]+)$/, '_thumb$1');
-    
-    // TODO: Implement actual thumbnail generation
-    // const sharp = require('sharp');
-    // await sharp(this.file_path)
-    //   .resize(150, 150)
-    //   .jpeg({ quality: 80 })
-    //   .toFile(thumbnailPath);
+    const sharp = require('sharp');
+    const previews = {};
+
+    for (const [size, options] of Object.entries(TicketAttachment.PREVIEW_SIZES)) {
+      const previewPath = this.getPreviewPath(size);
+
+      // sharp drops metadata unless withMetadata() is called
+      const info = await sharp(this.file_path)
+        .rotate()
+        .resize({ ...options, withoutEnlargement: true })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 80 })
+        .toFile(previewPath);
+
+      previews[size] = {
+        path: previewPath,
+        width: info.width,
+        height: info.height,
+        file_size: info.size
+      };
+    }
+
+    await this.$query().patch({
+      metadata: {
+        ...this.metadata,
+        previews
+      }
+    });
 
-    return thumbnailPath;
+    return previews;
   }
 
   /**
-   * Get file metadata (EXIF for images, etc.)
+   * Check if thumbnail and preview have been generated
    */
-  async extractMetadata() {
-    if (this.isImage()) {
-      // TODO: Extract EXIF data for images
-      // const ExifReader = require('exifreader');
-      // const tags = ExifReader.load(await fs.readFile(this.file_path));
-      return {
-        type: 'image',
-        dimensions: null, // TODO: Get image dimensions
-        camera_info: null // TODO: Extract camera info
-      };
+  hasPreviews() {
+    return !!(this.metadata && this.metadata.previews);
+  }
+
+  /**
+   * Path of a generated derivative, next to the original file
+   */
+  getPreviewPath(size) {
+    const extension = path.extname(this.filename);
+    const baseName = path.basename(this.filename, extension);
+    return path.join(path.dirname(this.file_path), `${baseName}_${size}.jpg`);
+  }
+
+  /**
+   * Delete generated thumbnail and preview, e.g. when a rescan finds the
+   * original infected
+   */
+  async deletePreviews() {
+    if (!this.hasPreviews()) {
+      return;
     }
 
-    if (this.isDocument()) {
-      return {
-        type: 'document',
-        pages: null, // TODO: Get page count for PDFs
-        author: null, // TODO: Extract document metadata
-        created_date: null
-      };
+    await this.removePreviewFiles();
+
+    const metadata = { ...this.metadata };
+    delete metadata.previews;
+    await this.$query().patch({ metadata });
+  }
+
+  async removePreviewFiles() {
+    if (!this.hasPreviews()) {
+      return;
     }
 
-    return { type: 'unknown' };
+    for (const preview of Object.values(this.metadata.previews)) {
+      try {
+        await fs.unlink(preview.path);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          logger.error(`Failed to delete preview file: ${preview.path}`, error);
+        }
+      }
+    }
   }
 
   // Static methods
@@ -443,6 +552,14 @@ class TicketAttachment extends Model {
     return path.join(uploadPath, 'tickets', year.toString(), month);
   }
 
+  /**
+   * Get quarantine path. Kept outside the upload path, which is served
+   * statically to signed-in users.
+   */
+  static getQuarantinePath() {
+    return process.env.QUARANTINE_PATH || './quarantine';
+  }
+
   /**
    * Search attachments
    */
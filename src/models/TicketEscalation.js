@@ -0,0 +1,120 @@
+// src/models/TicketEscalation.js - TPG Ticket Escalation Model with Objection.js
+const { Model } = require('objection');
+
+class TicketEscalation extends Model {
+  static get tableName() {
+    return 'ticket_escalations';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  // Default tier for each escalation level
+  static get TIERS() {
+    return {
+      1: 'team_lead',
+      2: 'supervisor',
+      3: 'management'
+    };
+  }
+
+  static get MAX_LEVEL() {
+    return 3;
+  }
+
+  static get TRIGGERS() {
+    return ['manual', 'category_threshold', 'unassigned_priority', 'overdue'];
+  }
+
+  // Define the JSON schema for validation
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['ticket_id', 'level', 'tier', 'reason'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        ticket_id: { type: 'string', format: 'uuid' },
+        level: { type: 'integer', minimum: 1, maximum: TicketEscalation.MAX_LEVEL },
+        previous_level: { type: 'integer', minimum: 0, default: 0 },
+        tier: { type: 'string', maxLength: 50 },
+        reason: { type: 'string', minLength: 1, maxLength: 2000 },
+        escalated_by: { type: ['string', 'null'], format: 'uuid' },
+        escalated_to: { type: ['string', 'null'], format: 'uuid' },
+        is_automatic: { type: 'boolean', default: false },
+        trigger: { type: 'string', enum: TicketEscalation.TRIGGERS, default: 'manual' },
+        metadata: { type: 'object', default: {} }
+      }
+    };
+  }
+
+  // Define relationships
+  static get relationMappings() {
+    const User = require('./User');
+    const Ticket = require('./Ticket');
+
+    return {
+      ticket: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Ticket,
+        join: {
+          from: 'ticket_escalations.ticket_id',
+          to: 'tickets.id'
+        }
+      },
+
+      // Staff member who escalated (null for automatic escalations)
+      escalatedByUser: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: User,
+        join: {
+          from: 'ticket_escalations.escalated_by',
+          to: 'users.id'
+        }
+      },
+
+      // Staff member the ticket was escalated to
+      escalatedToUser: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: User,
+        join: {
+          from: 'ticket_escalations.escalated_to',
+          to: 'users.id'
+        }
+      }
+    };
+  }
+
+  // Hooks - called before insert
+  async $beforeInsert(context) {
+    await super.$beforeInsert(context);
+
+    this.created_at = new Date().toISOString();
+
+    // Generate UUID if not provided
+    if (!this.id) {
+      this.id = require('uuid').v4();
+    }
+
+    if (!this.metadata) {
+      this.metadata = {};
+    }
+  }
+
+  // Static methods
+
+  /**
+   * Escalation history of a ticket, oldest first
+   */
+  static async getForTicket(ticketId) {
+    return await this.query()
+      .where('ticket_id', ticketId)
+      .withGraphFetched('[escalatedByUser(selectBasic), escalatedToUser(selectBasic)]')
+      .modifiers({
+        selectBasic: builder => builder.select('id', 'username', 'email', 'role')
+      })
+      .orderBy('created_at', 'asc');
+  }
+}
+
+module.exports = TicketEscalation;
@@ -0,0 +1,195 @@
+// src/models/TicketFollower.js - TPG Ticket Follower Model with Objection.js
+const { Model } = require('objection');
+
+class TicketFollower extends Model {
+  static get tableName() {
+    return 'ticket_followers';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  static get SOURCES() {
+    return ['manual', 'merge'];
+  }
+
+  // Notification events a follower can opt in or out of, and their columns
+  static get EVENT_COLUMNS() {
+    return {
+      comments: 'notify_comments',
+      status: 'notify_status',
+      assignment: 'notify_assignment',
+      attachments: 'notify_attachments'
+    };
+  }
+
+  static get EVENTS() {
+    return Object.keys(TicketFollower.EVENT_COLUMNS);
+  }
+
+  // Define the JSON schema for validation
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['ticket_id', 'user_id'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        ticket_id: { type: 'string', format: 'uuid' },
+        user_id: { type: 'string', format: 'uuid' },
+        source: { type: 'string', enum: TicketFollower.SOURCES, default: 'manual' },
+        added_by: { type: ['string', 'null'], format: 'uuid' },
+        notify_comments: { type: 'boolean', default: true },
+        notify_status: { type: 'boolean', default: true },
+        notify_assignment: { type: 'boolean', default: true },
+        notify_attachments: { type: 'boolean', default: true },
+        metadata: { type: 'object', default: {} }
+      }
+    };
+  }
+
+  // Define relationships
+  static get relationMappings() {
+    const User = require('./User');
+    const Ticket = require('./Ticket');
+
+    return {
+      ticket: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: Ticket,
+        join: {
+          from: 'ticket_followers.ticket_id',
+          to: 'tickets.id'
+        }
+      },
+
+      user: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: User,
+        join: {
+          from: 'ticket_followers.user_id',
+          to: 'users.id'
+        }
+      }
+    };
+  }
+
+  // Hooks - called before insert
+  async $beforeInsert(context) {
+    await super.$beforeInsert(context);
+
+    const now = new Date().toISOString();
+    this.created_at = now;
+    this.updated_at = now;
+
+    // Generate UUID if not provided
+    if (!this.id) {
+      this.id = require('uuid').v4();
+    }
+
+    if (!this.metadata) {
+      this.metadata = {};
+    }
+  }
+
+  // Hooks - called before update
+  async $beforeUpdate(context) {
+    await super.$beforeUpdate(context);
+    this.updated_at = new Date().toISOString();
+  }
+
+  // Instance methods
+
+  /**
+   * Whether this follower wants notifications for an event
+   */
+  wantsEvent(event) {
+    return this[TicketFollower.EVENT_COLUMNS[event]] !== false;
+  }
+
+  /**
+   * Events this follower is notified about
+   */
+  getEvents() {
+    return TicketFollower.EVENTS.filter(event => this.wantsEvent(event));
+  }
+
+  // Static methods
+
+  /**
+   * Column values for a list of subscribed events
+   */
+  static preferencesFor(events) {
+    return Object.fromEntries(
+      Object.entries(TicketFollower.EVENT_COLUMNS).map(([event, column]) => [column, events.includes(event)])
+    );
+  }
+
+  /**
+   * Users to notify about an event on a ticket: the reporter, the assignee
+   * and every follower who opted in. Reporter and assignee are implicit
+   * followers and only drop out when their own preference turns the event off.
+   * Internal events only reach staff; the acting user is never notified.
+   */
+  static async getNotificationRecipients(ticket, event, { actorId = null, internal = false } = {}) {
+    const User = require('./User');
+
+    const followers = await this.query().where('ticket_id', ticket.id);
+    const followersByUser = new Map(followers.map(follower => [follower.user_id, follower]));
+
+    const userIds = new Set();
+
+    [ticket.user_id, ticket.assigned_to].filter(Boolean).forEach(userId => {
+      const follower = followersByUser.get(userId);
+      if (!follower || follower.wantsEvent(event)) {
+        userIds.add(userId);
+      }
+    });
+
+    followers
+      .filter(follower => follower.wantsEvent(event))
+      .forEach(follower => userIds.add(follower.user_id));
+
+    if (actorId) {
+      userIds.delete(actorId);
+    }
+
+    if (userIds.size === 0) {
+      return [];
+    }
+
+    let query = User.query()
+      .findByIds([...userIds])
+      .where('status', 'active')
+      .select('id', 'username', 'email', 'role');
+
+    if (internal) {
+      query = query.whereIn('role', ['admin', 'super_admin']);
+    }
+
+    return await query;
+  }
+
+  /**
+   * Add followers to a ticket, skipping users who already follow it
+   */
+  static async addFollowers(ticketId, userIds, { source = 'manual', addedBy = null, metadata = {} } = {}, trx = null) {
+    const uniqueIds = [...new Set(userIds.filter(Boolean))];
+    if (uniqueIds.length === 0) {
+      return [];
+    }
+
+    return await this.query(trx)
+      .insert(uniqueIds.map(userId => ({
+        ticket_id: ticketId,
+        user_id: userId,
+        source,
+        added_by: addedBy,
+        metadata
+      })))
+      .onConflict(['ticket_id', 'user_id'])
+      .ignore();
+  }
+}
+
+module.exports = TicketFollower;
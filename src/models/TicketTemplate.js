@@ -0,0 +1,155 @@
+// src/models/TicketTemplate.js - TPG Ticket Template Model with Objection.js
+const { Model } = require('objection');
+
+// {{name}} placeholders in title and description skeletons
+const PLACEHOLDER_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+class TicketTemplate extends Model {
+  static get tableName() {
+    return 'ticket_templates';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  // Define the JSON schema for validation
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['name', 'category', 'title_template', 'description_template'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        name: { type: 'string', minLength: 3, maxLength: 150 },
+        description: { type: ['string', 'null'] },
+        category: {
+          type: 'string',
+          enum: [
+            'cpd-points',
+            'license-management',
+            'performance-issues',
+            'payment-gateway',
+            'user-interface',
+            'data-inconsistencies',
+            'system-errors'
+          ]
+        },
+        urgency: {
+          type: 'string',
+          enum: ['low', 'medium', 'high', 'critical'],
+          default: 'medium'
+        },
+        title_template: { type: 'string', minLength: 1, maxLength: 500 },
+        description_template: { type: 'string', minLength: 1 },
+        variables: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+              name: { type: 'string' },
+              label: { type: 'string' },
+              required: { type: 'boolean' },
+              default: { type: ['string', 'null'] }
+            }
+          },
+          default: []
+        },
+        default_tags: { type: 'array', items: { type: 'string' }, default: [] },
+        default_metadata: { type: 'object', default: {} },
+        is_archived: { type: 'boolean', default: false },
+        archived_at: { type: ['string', 'null'], format: 'date-time' },
+        archived_by: { type: ['string', 'null'], format: 'uuid' },
+        usage_count: { type: 'integer', minimum: 0, default: 0 },
+        created_by: { type: ['string', 'null'], format: 'uuid' },
+        updated_by: { type: ['string', 'null'], format: 'uuid' }
+      }
+    };
+  }
+
+  // Define relationships
+  static get relationMappings() {
+    const User = require('./User');
+
+    return {
+      creator: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: User,
+        join: {
+          from: 'ticket_templates.created_by',
+          to: 'users.id'
+        }
+      }
+    };
+  }
+
+  // Hooks - called before insert
+  async $beforeInsert(context) {
+    await super.$beforeInsert(context);
+
+    const now = new Date().toISOString();
+    this.created_at = now;
+    this.updated_at = now;
+
+    // Generate UUID if not provided
+    if (!this.id) {
+      this.id = require('uuid').v4();
+    }
+  }
+
+  // Hooks - called before update
+  async $beforeUpdate(context) {
+    await super.$beforeUpdate(context);
+    this.updated_at = new Date().toISOString();
+  }
+
+  // Instance methods
+
+  /**
+   * Placeholder names used in the title and description
+   */
+  getPlaceholders() {
+    return TicketTemplate.extractPlaceholders(`${this.title_template}\n${this.description_template}`);
+  }
+
+  /**
+   * Fill placeholders with the given values, falling back to each
+   * variable's default. Returns the names of required values still missing.
+   */
+  render(values = {}) {
+    const variables = new Map((this.variables || []).map(variable => [variable.name, variable]));
+    const missing = new Set();
+
+    const fill = text => text.replace(PLACEHOLDER_PATTERN, (match, name) => {
+      const variable = variables.get(name) || { name, required: true };
+      const value = values[name] !== undefined && values[name] !== '' ? values[name] : variable.default;
+
+      if (value === undefined || value === null || value === '') {
+        if (variable.required !== false) {
+          missing.add(name);
+        }
+        return '';
+      }
+
+      return String(value);
+    });
+
+    return {
+      title: fill(this.title_template),
+      description: fill(this.description_template),
+      missing: [...missing]
+    };
+  }
+
+  // Static methods
+
+  /**
+   * Unique placeholder names in a piece of text
+   */
+  static extractPlaceholders(text) {
+    const names = [...(text || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]);
+    return [...new Set(names)];
+  }
+}
+
+module.exports = TicketTemplate;
@@ -0,0 +1,194 @@
+// src/models/TicketWorkflow.js - TPG Ticket Workflow Model with Objection.js
+const { Model } = require('objection');
+
+const STAFF = ['admin', 'super_admin'];
+const EVERYONE = ['user', 'admin', 'super_admin'];
+
+class TicketWorkflow extends Model {
+  static get tableName() {
+    return 'ticket_workflows';
+  }
+
+  static get idColumn() {
+    return 'id';
+  }
+
+  // Values of the ticket_status enum
+  static get STATUSES() {
+    return ['open', 'in-progress', 'pending-customer', 'resolved', 'closed'];
+  }
+
+  static get ROLES() {
+    return ['user', 'admin', 'super_admin'];
+  }
+
+  // Fields a transition can require: given with the status change, except
+  // assigned_to which is read from the ticket
+  static get TRANSITION_FIELDS() {
+    return ['resolution_notes', 'reason', 'satisfaction_rating', 'assigned_to'];
+  }
+
+  // Used when no active default workflow is stored
+  static get DEFAULT_DEFINITION() {
+    return {
+      name: 'Built-in workflow',
+      category: null,
+      statuses: [...TicketWorkflow.STATUSES],
+      transitions: [
+        { from: 'open', to: 'in-progress', roles: STAFF, required_fields: [] },
+        { from: 'open', to: 'pending-customer', roles: STAFF, required_fields: [] },
+        { from: 'open', to: 'resolved', roles: STAFF, required_fields: ['resolution_notes'] },
+        { from: 'open', to: 'closed', roles: EVERYONE, required_fields: [] },
+        { from: 'in-progress', to: 'open', roles: STAFF, required_fields: [] },
+        { from: 'in-progress', to: 'pending-customer', roles: STAFF, required_fields: [] },
+        { from: 'in-progress', to: 'resolved', roles: STAFF, required_fields: ['resolution_notes'] },
+        { from: 'in-progress', to: 'closed', roles: EVERYONE, required_fields: [] },
+        { from: 'pending-customer', to: 'in-progress', roles: EVERYONE, required_fields: [] },
+        { from: 'pending-customer', to: 'resolved', roles: STAFF, required_fields: ['resolution_notes'] },
+        { from: 'pending-customer', to: 'closed', roles: EVERYONE, required_fields: [] },
+        { from: 'resolved', to: 'open', roles: EVERYONE, required_fields: [] },
+        { from: 'resolved', to: 'in-progress', roles: EVERYONE, required_fields: [] },
+        { from: 'resolved', to: 'closed', roles: EVERYONE, required_fields: [] },
+        { from: 'closed', to: 'open', roles: EVERYONE, required_fields: [] },
+        { from: 'closed', to: 'in-progress', roles: EVERYONE, required_fields: [] }
+      ],
+      is_active: true
+    };
+  }
+
+  // Define the JSON schema for validation
+  static get jsonSchema() {
+    return {
+      type: 'object',
+      required: ['name', 'statuses', 'transitions'],
+      properties: {
+        id: { type: 'string', format: 'uuid' },
+        name: { type: 'string', minLength: 3, maxLength: 150 },
+        description: { type: ['string', 'null'] },
+        category: {
+          type: ['string', 'null'],
+          enum: [
+            'cpd-points',
+            'license-management',
+            'performance-issues',
+            'payment-gateway',
+            'user-interface',
+            'data-inconsistencies',
+            'system-errors',
+            null
+          ]
+        },
+        statuses: {
+          type: 'array',
+          items: { type: 'string', enum: TicketWorkflow.STATUSES }
+        },
+        transitions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['from', 'to', 'roles'],
+            properties: {
+              from: { type: 'string', enum: TicketWorkflow.STATUSES },
+              to: { type: 'string', enum: TicketWorkflow.STATUSES },
+              roles: { type: 'array', items: { type: 'string', enum: TicketWorkflow.ROLES } },
+              required_fields: { type: 'array', items: { type: 'string', enum: TicketWorkflow.TRANSITION_FIELDS } }
+            }
+          }
+        },
+        is_active: { type: 'boolean', default: true },
+        created_by: { type: ['string', 'null'], format: 'uuid' },
+        updated_by: { type: ['string', 'null'], format: 'uuid' }
+      }
+    };
+  }
+
+  // Define relationships
+  static get relationMappings() {
+    const User = require('./User');
+
+    return {
+      creator: {
+        relation: Model.BelongsToOneRelation,
+        modelClass: User,
+        join: {
+          from: 'ticket_workflows.created_by',
+          to: 'users.id'
+        }
+      }
+    };
+  }
+
+  // Hooks - called before insert
+  async $beforeInsert(context) {
+    await super.$beforeInsert(context);
+
+    const now = new Date().toISOString();
+    this.created_at = now;
+    this.updated_at = now;
+
+    // Generate UUID if not provided
+    if (!this.id) {
+      this.id = require('uuid').v4();
+    }
+  }
+
+  // Hooks - called before update
+  async $beforeUpdate(context) {
+    await super.$beforeUpdate(context);
+    this.updated_at = new Date().toISOString();
+  }
+
+  // Instance methods
+
+  /**
+   * The transition from one status to another, or null when not allowed
+   */
+  findTransition(from, to) {
+    return (this.transitions || []).find(transition => transition.from === from && transition.to === to) || null;
+  }
+
+  /**
+   * Transitions out of a status, optionally only those a role may perform
+   */
+  getTransitionsFrom(status, role = null) {
+    return (this.transitions || []).filter(transition =>
+      transition.from === status && (!role || transition.roles.includes(role))
+    );
+  }
+
+  // Static methods
+
+  /**
+   * Problems with a workflow definition, empty when it is usable. New
+   * tickets start open, so every workflow needs that status.
+   */
+  static findDefinitionProblems(statuses = [], transitions = []) {
+    const problems = [];
+
+    if (!statuses.includes('open')) {
+      problems.push('statuses must include open');
+    }
+
+    const seen = new Set();
+    for (const { from, to } of transitions) {
+      const key = `${from} to ${to}`;
+
+      if (!statuses.includes(from) || !statuses.includes(to)) {
+        problems.push(`transition ${key} uses a status the workflow does not include`);
+      }
+
+      if (from === to) {
+        problems.push(`transition ${key} does not change the status`);
+      }
+
+      if (seen.has(key)) {
+        problems.push(`transition ${key} is defined more than once`);
+      }
+      seen.add(key);
+    }
+
+    return problems;
+  }
+}
+
+module.exports = TicketWorkflow;
@@ -50,7 +50,13 @@ class User extends Model {
         last_login_ip: { type: ['string', 'null'] },
         last_user_agent: { type: ['string', 'null'] },
         profile_data: { type: ['object', 'null'] },
-        preferences: { type: 'object', default: {} }
+        preferences: { type: 'object', default: {} },
+        two_factor_enabled: { type: 'boolean', default: false },
+        two_factor_secret: { type: ['string', 'null'] },
+        two_factor_pending_secret: { type: ['string', 'null'] },
+        two_factor_recovery_codes: { type: 'array', items: { type: 'string' }, default: [] },
+        two_factor_last_step: { type: ['integer', 'string', 'null'] },
+        two_factor_enabled_at: { type: ['string', 'null'], format: 'date-time' }
       }
     };
   }
@@ -60,6 +66,8 @@ class User extends Model {
     const Ticket = require('./Ticket');
     const TicketComment = require('./TicketComment');
     const AuditLog = require('./AuditLog');
+    const RefreshToken = require('./RefreshToken');
+    const AgentProfile = require('./AgentProfile');
 
     return {
       // User's tickets
@@ -100,6 +108,26 @@ class User extends Model {
           from: 'users.id',
           to: 'audit_logs.user_id'
         }
+      },
+
+      // Issued refresh tokens
+      refreshTokens: {
+        relation: Model.HasManyRelation,
+        modelClass: RefreshToken,
+        join: {
+          from: 'users.id',
+          to: 'refresh_tokens.user_id'
+        }
+      },
+
+      // Skills, capacity and availability used for auto-assignment (admins)
+      agentProfile: {
+        relation: Model.HasOneRelation,
+        modelClass: AgentProfile,
+        join: {
+          from: 'users.id',
+          to: 'agent_profiles.user_id'
+        }
       }
     };
   }
@@ -335,7 +363,9 @@ class User extends Model {
         'tickets.create',
         'tickets.view.own',
         'tickets.edit.own',
-        'tickets.delete.own'
+        'tickets.delete.own',
+        'tickets.reopen',
+        'tickets.templates'
       ],
       admin: [
         'tickets.create',
@@ -345,6 +375,15 @@ class User extends Model {
         'tickets.edit.all',
         'tickets.assign',
         'tickets.close',
+        'tickets.resolve',
+        'tickets.reopen',
+        'tickets.escalate',
+        'tickets.merge',
+        'tickets.templates',
+        'tickets.templates.create',
+        'tickets.templates.manage',
+        'tickets.macros',
+        'tickets.macros.manage',
         'users.view',
         'analytics.view'
       ],
@@ -376,7 +415,15 @@ class User extends Model {
    * Get safe user data (without sensitive fields)
    */
   getSafeData() {
-    const { password_hash, email_verification_token, password_reset_token, ...safeData } = this;
+    const {
+      password_hash,
+      email_verification_token,
+      password_reset_token,
+      two_factor_secret,
+      two_factor_pending_secret,
+      two_factor_recovery_codes,
+      ...safeData
+    } = this;
     return safeData;
   }
 
@@ -393,6 +440,7 @@ class User extends Model {
       tpg_license_number: this.tpg_license_number,
       pharmacy_name: this.pharmacy_name,
       email_verified_at: this.email_verified_at,
+      two_factor_enabled: !!this.two_factor_enabled,
       last_login: this.last_login,
       created_at: this.created_at,
       updated_at: this.updated_at
@@ -59,10 +59,10 @@ const validateAnalyticsQuery = (data) => {
     }),
 
     status: Joi.alternatives().try(
-      Joi.string().valid('open', 'in-progress', 'resolved', 'closed'),
-      Joi.array().items(Joi.string().valid('open', 'in-progress', 'resolved', 'closed')).max(4)
+      Joi.string().valid('open', 'in-progress', 'pending-customer', 'resolved', 'closed'),
+      Joi.array().items(Joi.string().valid('open', 'in-progress', 'pending-customer', 'resolved', 'closed')).max(5)
     ).messages({
-      'any.only': 'Status must be one of: open, in-progress, resolved, closed',
+      'any.only': 'Status must be one of: open, in-progress, pending-customer, resolved, closed',
       'array.max': 'Cannot filter by more than 4 statuses'
     }),
 
@@ -247,8 +247,8 @@ const validateReportQuery = (data) => {
         ))
       ),
       status: Joi.alternatives().try(
-        Joi.string().valid('open', 'in-progress', 'resolved', 'closed'),
-        Joi.array().items(Joi.string().valid('open', 'in-progress', 'resolved', 'closed'))
+        Joi.string().valid('open', 'in-progress', 'pending-customer', 'resolved', 'closed'),
+        Joi.array().items(Joi.string().valid('open', 'in-progress', 'pending-customer', 'resolved', 'closed'))
       ),
       urgency: Joi.alternatives().try(
         Joi.string().valid('low', 'medium', 'high', 'critical'),
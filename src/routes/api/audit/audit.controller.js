@@ -0,0 +1,76 @@
+// src/routes/api/audit/audit.controller.js - TPG Audit Trail Controller
+const auditService = require('../../../services/auditService');
+const logger = require('../../../config/logger');
+const { validateAuditSearch } = require('./audit.validation');
+
+class AuditController {
+  /**
+   * Search the audit trail
+   * GET /api/audit
+   * Permissions: admin, super_admin
+   */
+  async getAuditLogs(req, res) {
+    try {
+      const { error, value } = validateAuditSearch(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const { page, limit, sort_order, ...filters } = value;
+
+      const result = await auditService.getLogs(filters, {
+        page,
+        limit,
+        sortOrder: sort_order
+      });
+
+      res.json({
+        success: true,
+        ...result,
+        filters
+      });
+    } catch (error) {
+      logger.error('Get audit logs error:', error);
+      res.status(500).json({
+        error: 'Audit trail retrieval failed',
+        message: 'An error occurred while retrieving the audit trail'
+      });
+    }
+  }
+
+  /**
+   * Get a single audit entry
+   * GET /api/audit/:id
+   * Permissions: admin, super_admin
+   */
+  async getAuditLog(req, res) {
+    try {
+      const entry = await auditService.getLogById(req.params.id);
+
+      res.json({
+        success: true,
+        entry
+      });
+    } catch (error) {
+      logger.error('Get audit log error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Audit entry not found',
+          message: 'The requested audit entry does not exist'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Audit entry retrieval failed',
+        message: 'An error occurred while retrieving the audit entry'
+      });
+    }
+  }
+}
+
+module.exports = new AuditController();
@@ -0,0 +1,65 @@
+// src/routes/api/audit/audit.routes.js - TPG Audit Trail Routes
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const {
+  authenticate,
+  requireRole
+} = require('../../../middleware/auth');
+const { apiRateLimit } = require('../../../middleware/security');
+const { auditUserAction } = require('../../../middleware/audit');
+
+// Import controller
+const auditController = require('./audit.controller');
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// Apply rate limiting
+router.use(apiRateLimit);
+
+// The audit trail is restricted to administrators
+router.use(requireRole('admin', 'super_admin'));
+
+/**
+ * Audit trail routes (Admin)
+ */
+
+// GET /api/audit - Search audit entries by actor, resource and date range
+router.get('/',
+  auditUserAction('list_audit_logs'),
+  auditController.getAuditLogs
+);
+
+// GET /api/audit/:id - Get a single audit entry
+router.get('/:id',
+  auditUserAction('view_audit_log'),
+  auditController.getAuditLog
+);
+
+/**
+ * Route-specific error handling middleware
+ */
+router.use((error, req, res, next) => {
+  req.logger.error('Audit API Error:', {
+    error: error.message,
+    stack: error.stack,
+    user_id: req.user?.id,
+    route: req.route?.path,
+    method: req.method
+  });
+
+  // Handle audit entry not found errors
+  if (error.message?.includes('not found')) {
+    return res.status(404).json({
+      error: 'Audit Entry Not Found',
+      message: 'The requested audit entry does not exist'
+    });
+  }
+
+  // Pass to global error handler
+  next(error);
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+// src/routes/api/audit/audit.validation.js - TPG Audit Trail Validation
+const Joi = require('joi');
+const AuditLog = require('../../../models/AuditLog');
+
+/**
+ * Validation schema for audit trail search
+ */
+const validateAuditSearch = (data) => {
+  const schema = Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.min': 'Page must be at least 1',
+        'number.integer': 'Page must be an integer'
+      }),
+
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(200)
+      .default(50)
+      .messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 200',
+        'number.integer': 'Limit must be an integer'
+      }),
+
+    user_id: Joi.string()
+      .uuid()
+      .messages({
+        'string.uuid': 'Actor ID must be a valid UUID'
+      }),
+
+    action: Joi.alternatives()
+      .try(
+        Joi.string().max(100),
+        Joi.array().items(Joi.string().max(100)).max(20)
+      )
+      .messages({
+        'alternatives.match': 'Action must be a string or a list of strings'
+      }),
+
+    resource_type: Joi.alternatives()
+      .try(
+        Joi.string().valid(...AuditLog.RESOURCE_TYPES),
+        Joi.array().items(Joi.string().valid(...AuditLog.RESOURCE_TYPES)).max(5)
+      )
+      .messages({
+        'alternatives.match': `Resource type must be one of: ${AuditLog.RESOURCE_TYPES.join(', ')}`
+      }),
+
+    resource_id: Joi.string()
+      .max(100)
+      .messages({
+        'string.max': 'Resource ID cannot exceed 100 characters'
+      }),
+
+    ip_address: Joi.string()
+      .ip()
+      .messages({
+        'string.ip': 'IP address must be a valid IPv4 or IPv6 address'
+      }),
+
+    start_date: Joi.date()
+      .iso()
+      .messages({
+        'date.format': 'Start date must be in ISO format'
+      }),
+
+    end_date: Joi.date()
+      .iso()
+      .min(Joi.ref('start_date'))
+      .messages({
+        'date.format': 'End date must be in ISO format',
+        'date.min': 'End date must be after start date'
+      }),
+
+    sort_order: Joi.string()
+      .valid('asc', 'desc')
+      .default('desc')
+      .messages({
+        'any.only': 'Sort order must be either asc or desc'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+module.exports = {
+  validateAuditSearch
+};
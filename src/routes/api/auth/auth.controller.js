@@ -4,7 +4,62 @@ const recaptchaService = require('../../../services/recaptchaService');
 const emailService = require('../../../services/emailService');
 const User = require('../../../models/User');
 const logger = require('../../../config/logger');
-const { validateLogin, validateRegister, validatePasswordReset, validateChangePassword } = require('./auth.validation');
+const twoFactorService = require('../../../services/twoFactorService');
+const auditService = require('../../../services/auditService');
+const {
+  validateLogin,
+  validateRegister,
+  validatePasswordReset,
+  validateChangePassword,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorDisable
+} = require('./auth.validation');
+
+/**
+ * Set the refresh token cookie after a completed login
+ */
+const setRefreshCookie = (res, refreshToken, rememberMe) => {
+  res.cookie('refreshToken', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: rememberMe ? 7 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000 // 7 days or 24 hours
+  });
+};
+
+/**
+ * Send the standard successful-login response
+ */
+const sendLoginSuccess = (res, result, rememberMe, extra = {}) => {
+  setRefreshCookie(res, result.tokens.refreshToken, rememberMe);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    user: result.user,
+    token: result.tokens.accessToken,
+    expiresIn: result.tokens.expiresIn,
+    ...extra
+  });
+};
+
+/**
+ * Resolve the user enrolling in 2FA: either the authenticated user or the
+ * holder of a 'setup' challenge issued when 2FA is mandatory at login
+ */
+const resolveEnrollmentUser = async (req) => {
+  if (req.user) {
+    return { user: req.user, viaChallenge: false };
+  }
+
+  if (!req.body.challengeToken) {
+    return { user: null, viaChallenge: false };
+  }
+
+  const user = await authService.verifyChallengeToken(req.body.challengeToken, 'setup');
+  return { user, viaChallenge: true };
+};
 
 class AuthController {
   /**
@@ -25,8 +80,8 @@ class AuthController {
 
       const { username, email, password, tpg_license_number, pharmacy_name, phone_number, address } = value;
 
-      // Verify reCAPTCHA if enabled
-      if (req.body.recaptchaToken) {
+      // Verify reCAPTCHA if enabled and not already checked by the route middleware
+      if (req.body.recaptchaToken && !req.recaptcha) {
         try {
           await recaptchaService.verifyWithChecks(
             req.body.recaptchaToken,
@@ -108,8 +163,8 @@ class AuthController {
 
       const { email, password, rememberMe } = value;
 
-      // Verify reCAPTCHA if enabled
-      if (req.body.recaptchaToken) {
+      // Verify reCAPTCHA if enabled and not already checked by the route middleware
+      if (req.body.recaptchaToken && !req.recaptcha) {
         try {
           await recaptchaService.verifyWithChecks(
             req.body.recaptchaToken,
@@ -133,24 +188,20 @@ class AuthController {
         req.get('User-Agent')
       );
 
-      // Set cookie options based on rememberMe
-      const cookieOptions = {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        maxAge: rememberMe ? 7 * 24 * 60 * 60 * 1000 : 24 * 60 * 60 * 1000 // 7 days or 24 hours
-      };
-
-      // Set refresh token in cookie
-      res.cookie('refreshToken', result.tokens.refreshToken, cookieOptions);
+      // Password accepted, but a second factor (or enrollment) is still needed
+      if (result.requiresTwoFactor || result.requiresTwoFactorSetup) {
+        return res.json({
+          success: true,
+          message: result.requiresTwoFactor
+            ? 'Two-factor authentication code required'
+            : 'Two-factor authentication must be set up before you can log in',
+          requires_two_factor: !!result.requiresTwoFactor,
+          requires_two_factor_setup: !!result.requiresTwoFactorSetup,
+          challenge_token: result.challengeToken
+        });
+      }
 
-      res.json({
-        success: true,
-        message: 'Login successful',
-        user: result.user,
-        token: result.tokens.accessToken,
-        expiresIn: result.tokens.expiresIn
-      });
+      sendLoginSuccess(res, result, rememberMe);
     } catch (error) {
       logger.error('Login error:', error);
 
@@ -183,6 +234,238 @@ class AuthController {
     }
   }
 
+  /**
+   * Complete login with a TOTP or recovery code
+   * POST /api/auth/2fa/verify
+   */
+  async verifyTwoFactor(req, res) {
+    try {
+      const { error, value } = validateTwoFactorLogin(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message
+        });
+      }
+
+      const { challengeToken, code, recoveryCode, rememberMe } = value;
+
+      const result = await authService.completeTwoFactorLogin(
+        challengeToken,
+        { code, recoveryCode },
+        req.ip,
+        req.get('User-Agent')
+      );
+
+      sendLoginSuccess(res, result, rememberMe);
+    } catch (error) {
+      logger.error('Two-factor verification error:', error);
+
+      if (error.message.includes('locked')) {
+        return res.status(423).json({
+          error: 'Account locked',
+          message: error.message
+        });
+      }
+
+      res.status(401).json({
+        error: 'Two-factor verification failed',
+        message: error.message.includes('Invalid two-factor code')
+          ? 'Invalid two-factor code'
+          : 'Your login challenge is invalid or has expired. Please log in again.'
+      });
+    }
+  }
+
+  /**
+   * Get 2FA status for the current user
+   * GET /api/auth/2fa/status
+   */
+  async getTwoFactorStatus(req, res) {
+    try {
+      const status = await twoFactorService.getStatus(req.user);
+
+      res.json({
+        success: true,
+        two_factor: status
+      });
+    } catch (error) {
+      logger.error('Two-factor status error:', error);
+      res.status(500).json({
+        error: 'Status retrieval failed',
+        message: 'Unable to retrieve two-factor status'
+      });
+    }
+  }
+
+  /**
+   * Start 2FA enrollment and return the provisioning URI for the QR code
+   * POST /api/auth/2fa/setup
+   */
+  async setupTwoFactor(req, res) {
+    try {
+      const { user } = await resolveEnrollmentUser(req);
+      if (!user) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          message: 'Log in or provide a setup challenge token'
+        });
+      }
+
+      const enrollment = await twoFactorService.beginEnrollment(user, req.ip, req.get('User-Agent'));
+
+      res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        ...enrollment
+      });
+    } catch (error) {
+      logger.error('Two-factor setup error:', error);
+
+      if (error.message.includes('already enabled') || error.message.includes('only available')) {
+        return res.status(400).json({
+          error: 'Two-factor setup failed',
+          message: error.message
+        });
+      }
+
+      res.status(401).json({
+        error: 'Two-factor setup failed',
+        message: 'Unable to start two-factor enrollment'
+      });
+    }
+  }
+
+  /**
+   * Confirm 2FA enrollment; completes login when enrolling from a setup challenge
+   * POST /api/auth/2fa/enable
+   */
+  async enableTwoFactor(req, res) {
+    try {
+      const { error, value } = validateTwoFactorCode(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message
+        });
+      }
+
+      const { user, viaChallenge } = await resolveEnrollmentUser(req);
+      if (!user) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          message: 'Log in or provide a setup challenge token'
+        });
+      }
+
+      const { recoveryCodes } = await twoFactorService.confirmEnrollment(
+        user,
+        value.code,
+        req.ip,
+        req.get('User-Agent')
+      );
+
+      if (viaChallenge) {
+        const result = await authService.completeLogin(user, req.ip, req.get('User-Agent'), 'totp');
+        return sendLoginSuccess(res, result, value.rememberMe, { recovery_codes: recoveryCodes });
+      }
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+        recovery_codes: recoveryCodes
+      });
+    } catch (error) {
+      logger.error('Two-factor enable error:', error);
+
+      if (error.message.includes('Invalid two-factor code') ||
+          error.message.includes('already enabled') ||
+          error.message.includes('not been started')) {
+        return res.status(400).json({
+          error: 'Two-factor enable failed',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Two-factor enable failed',
+        message: 'Unable to enable two-factor authentication'
+      });
+    }
+  }
+
+  /**
+   * Disable 2FA for the current user
+   * POST /api/auth/2fa/disable
+   */
+  async disableTwoFactor(req, res) {
+    try {
+      const { error, value } = validateTwoFactorDisable(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message
+        });
+      }
+
+      await twoFactorService.disable(req.user, value.password, value.code, req.ip, req.get('User-Agent'));
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      logger.error('Two-factor disable error:', error);
+
+      if (error.message.includes('mandatory')) {
+        return res.status(403).json({
+          error: 'Two-factor disable failed',
+          message: error.message
+        });
+      }
+
+      res.status(400).json({
+        error: 'Two-factor disable failed',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Replace recovery codes for the current user
+   * POST /api/auth/2fa/recovery-codes
+   */
+  async regenerateRecoveryCodes(req, res) {
+    try {
+      const { error, value } = validateTwoFactorCode(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message
+        });
+      }
+
+      const { recoveryCodes } = await twoFactorService.regenerateRecoveryCodes(
+        req.user,
+        value.code,
+        req.ip,
+        req.get('User-Agent')
+      );
+
+      res.json({
+        success: true,
+        message: 'New recovery codes generated. Previous codes no longer work.',
+        recovery_codes: recoveryCodes
+      });
+    } catch (error) {
+      logger.error('Recovery code regeneration error:', error);
+      res.status(400).json({
+        error: 'Recovery code regeneration failed',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Refresh access token
    * POST /api/auth/refresh
@@ -198,12 +481,26 @@ class AuthController {
         });
       }
 
-      const result = await authService.refreshAccessToken(refreshToken);
+      const result = await authService.refreshAccessToken(
+        refreshToken,
+        req.ip,
+        req.get('User-Agent')
+      );
+
+      // Replace the rotated refresh token; each rotation gets a fresh lifetime
+      res.cookie('refreshToken', result.refreshToken, {
+        httpOnly: true,
+        secure: process.env.NODE_ENV === 'production',
+        sameSite: 'strict',
+        maxAge: Math.max(new Date(result.refreshExpiresAt).getTime() - Date.now(), 0)
+      });
 
       res.json({
         success: true,
         token: result.accessToken,
-        expiresIn: result.expiresIn
+        expiresIn: result.expiresIn,
+        // Clients that sent the token in the body need the rotated one back
+        ...(req.cookies.refreshToken ? {} : { refreshToken: result.refreshToken })
       });
     } catch (error) {
       logger.error('Token refresh error:', error);
@@ -224,8 +521,10 @@ class AuthController {
    */
   async logout(req, res) {
     try {
-      if (req.user) {
-        await authService.logout(req.user.id, req.ip, req.get('User-Agent'));
+      const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+
+      if (req.user || refreshToken) {
+        await authService.logout(req.user?.id, req.ip, req.get('User-Agent'), refreshToken, req.sessionId);
       }
 
       // Clear refresh token cookie
@@ -248,6 +547,63 @@ class AuthController {
     }
   }
 
+  /**
+   * List the current user's active sessions
+   * GET /api/auth/sessions
+   */
+  async getSessions(req, res) {
+    try {
+      const sessions = await authService.listSessions(req.user.id, req.sessionId);
+
+      res.json({
+        success: true,
+        sessions
+      });
+    } catch (error) {
+      logger.error('Get sessions error:', error);
+      res.status(500).json({
+        error: 'Session retrieval failed',
+        message: 'Unable to retrieve active sessions'
+      });
+    }
+  }
+
+  /**
+   * Sign out one of the current user's sessions
+   * DELETE /api/auth/sessions/:id
+   */
+  async revokeSession(req, res) {
+    try {
+      const { id } = req.params;
+
+      await authService.revokeSession(req.user.id, id, req.ip, req.get('User-Agent'));
+
+      // Signing out this device also drops its refresh cookie
+      if (id === req.sessionId) {
+        res.clearCookie('refreshToken');
+      }
+
+      res.json({
+        success: true,
+        message: 'Session signed out successfully'
+      });
+    } catch (error) {
+      logger.error('Revoke session error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Session not found',
+          message: 'The requested session does not exist'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Session revocation failed',
+        message: 'Unable to sign out the session'
+      });
+    }
+  }
+
   /**
    * Verify JWT token
    * GET /api/auth/verify
@@ -322,8 +678,8 @@ class AuthController {
 
       const { email } = value;
 
-      // Verify reCAPTCHA if enabled
-      if (req.body.recaptchaToken) {
+      // Verify reCAPTCHA if enabled and not already checked by the route middleware
+      if (req.body.recaptchaToken && !req.recaptcha) {
         try {
           await recaptchaService.verifyWithChecks(
             req.body.recaptchaToken,
@@ -531,8 +887,14 @@ class AuthController {
         });
       }
 
+      const before = req.user.toJSON();
       const updatedUser = await req.user.$query().patchAndFetch(updates);
 
+      await auditService.recordUpdate('user', before, updatedUser, auditService.contextFromRequest(req), {
+        action: 'profile_update',
+        fields: Object.keys(updates)
+      });
+
       logger.security.logDataAccess(
         req.user.id,
         'update',
@@ -2,52 +2,200 @@
 const express = require('express');
 const router = express.Router();
 
-// Basic authentication endpoints (placeholders for now)
-router.post('/login', (req, res) => {
-  res.json({ 
-    message: 'TPG Login endpoint - Implementation coming in Week 2',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
-  });
-});
+// Import middleware
+const {
+  authenticate,
+  optionalAuth,
+  authRateLimit
+} = require('../../../middleware/auth');
+const { apiRateLimit } = require('../../../middleware/security');
+const recaptchaService = require('../../../services/recaptchaService');
 
-router.post('/register', (req, res) => {
-  res.json({ 
-    message: 'TPG Registration endpoint - Implementation coming in Week 2',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
-  });
-});
+// Import controller
+const authController = require('./auth.controller');
 
-router.post('/forgot-password', (req, res) => {
-  res.json({ 
-    message: 'TPG Password reset endpoint - Implementation coming in Week 2',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
-  });
-});
+/**
+ * Public authentication routes
+ */
 
-router.post('/verify-token', (req, res) => {
-  res.json({ 
-    message: 'TPG Token verification endpoint - Implementation coming in Week 2',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
-  });
-});
+// POST /api/auth/register - Self-service registration (pending admin approval)
+router.post('/register',
+  authRateLimit,
+  recaptchaService.middleware({ action: 'register' }),
+  authController.register
+);
+
+// POST /api/auth/login - Authenticate with email and password
+router.post('/login',
+  authRateLimit,
+  recaptchaService.middleware({ action: 'login', required: false }),
+  authController.login
+);
+
+// POST /api/auth/refresh - Exchange refresh token (cookie or body) for a new access token
+router.post('/refresh',
+  apiRateLimit,
+  authController.refresh
+);
+
+// POST /api/auth/logout - Clear refresh token and log the logout
+router.post('/logout',
+  apiRateLimit,
+  optionalAuth,
+  authController.logout
+);
+
+/**
+ * Two-factor authentication routes
+ */
+
+// POST /api/auth/2fa/verify - Second login step with TOTP or recovery code
+router.post('/2fa/verify',
+  authRateLimit,
+  authController.verifyTwoFactor
+);
+
+// POST /api/auth/2fa/setup - Start enrollment (logged in, or with a setup challenge)
+router.post('/2fa/setup',
+  authRateLimit,
+  optionalAuth,
+  authController.setupTwoFactor
+);
+
+// POST /api/auth/2fa/enable - Confirm enrollment with a code and receive recovery codes
+router.post('/2fa/enable',
+  authRateLimit,
+  optionalAuth,
+  authController.enableTwoFactor
+);
+
+// GET /api/auth/2fa/status - Two-factor status for the current user
+router.get('/2fa/status',
+  apiRateLimit,
+  authenticate,
+  authController.getTwoFactorStatus
+);
+
+// POST /api/auth/2fa/disable - Disable 2FA (password and current code required)
+router.post('/2fa/disable',
+  authRateLimit,
+  authenticate,
+  authController.disableTwoFactor
+);
+
+// POST /api/auth/2fa/recovery-codes - Regenerate recovery codes
+router.post('/2fa/recovery-codes',
+  authRateLimit,
+  authenticate,
+  authController.regenerateRecoveryCodes
+);
 
-router.get('/status', (req, res) => {
-  res.json({
-    service: 'TPG Authentication Service',
-    status: 'Development Mode',
-    endpoints: {
-      login: 'POST /api/auth/login',
-      register: 'POST /api/auth/register',
-      forgotPassword: 'POST /api/auth/forgot-password',
-      verifyToken: 'POST /api/auth/verify-token'
-    },
-    timestamp: new Date().toISOString(),
-    version: '1.0.0'
+/**
+ * Email verification and password recovery routes
+ */
+
+// POST /api/auth/verify-email - Confirm email address with verification token
+router.post('/verify-email',
+  authRateLimit,
+  authController.verifyEmail
+);
+
+// POST /api/auth/forgot-password - Request a password reset email
+router.post('/forgot-password',
+  authRateLimit,
+  recaptchaService.middleware({ action: 'forgot_password' }),
+  authController.forgotPassword
+);
+
+// POST /api/auth/reset-password - Set a new password with a reset token
+router.post('/reset-password',
+  authRateLimit,
+  authController.resetPassword
+);
+
+/**
+ * Authenticated account routes
+ */
+
+// GET /api/auth/verify - Validate the current access token
+router.get('/verify',
+  apiRateLimit,
+  authenticate,
+  authController.verifyToken
+);
+
+// POST /api/auth/change-password - Change password for the current user
+router.post('/change-password',
+  authRateLimit,
+  authenticate,
+  authController.changePassword
+);
+
+// GET /api/auth/profile - Get current user profile
+router.get('/profile',
+  apiRateLimit,
+  authenticate,
+  authController.getProfile
+);
+
+// PUT /api/auth/profile - Update current user profile
+router.put('/profile',
+  apiRateLimit,
+  authenticate,
+  authController.updateProfile
+);
+
+/**
+ * Session (device) management routes
+ */
+
+// GET /api/auth/sessions - List the current user's active sessions
+router.get('/sessions',
+  apiRateLimit,
+  authenticate,
+  authController.getSessions
+);
+
+// DELETE /api/auth/sessions/:id - Sign out one of the current user's sessions
+router.delete('/sessions/:id',
+  apiRateLimit,
+  authenticate,
+  authController.revokeSession
+);
+
+/**
+ * Configuration and health routes
+ */
+
+// GET /api/auth/recaptcha-config - Public reCAPTCHA client configuration
+router.get('/recaptcha-config', authController.getRecaptchaConfig);
+
+// GET /api/auth/health - Authentication service health
+router.get('/health', authController.healthCheck);
+
+/**
+ * Route-specific error handling middleware
+ */
+router.use((error, req, res, next) => {
+  req.logger.error('Auth API Error:', {
+    error: error.message,
+    stack: error.stack,
+    user_id: req.user?.id,
+    route: req.route?.path,
+    method: req.method
   });
+
+  // Handle specific validation errors
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Validation Error',
+      message: error.message,
+      details: error.details
+    });
+  }
+
+  // Pass to global error handler
+  next(error);
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,277 @@
+// src/routes/api/auth/auth.validation.js - TPG Authentication Validation
+const Joi = require('joi');
+
+/**
+ * Validation schema for user login
+ */
+const validateLogin = (data) => {
+  const schema = Joi.object({
+    email: Joi.string()
+      .trim()
+      .email()
+      .lowercase()
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'string.empty': 'Email is required',
+        'any.required': 'Email is required'
+      }),
+
+    password: Joi.string()
+      .max(128)
+      .required()
+      .messages({
+        'string.max': 'Password cannot exceed 128 characters',
+        'string.empty': 'Password is required',
+        'any.required': 'Password is required'
+      }),
+
+    rememberMe: Joi.boolean()
+      .default(false)
+      .messages({
+        'boolean.base': 'Remember me must be a boolean value'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for self-service registration
+ */
+const validateRegister = (data) => {
+  const schema = Joi.object({
+    username: Joi.string()
+      .trim()
+      .min(2)
+      .max(255)
+      .required()
+      .messages({
+        'string.empty': 'Username is required',
+        'string.min': 'Username must be at least 2 characters long',
+        'string.max': 'Username cannot exceed 255 characters',
+        'any.required': 'Username is required'
+      }),
+
+    email: Joi.string()
+      .trim()
+      .email()
+      .lowercase()
+      .pattern(/^[a-zA-Z0-9._%+-]+@tpg\.gov\.gh$/)
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'string.pattern.base': 'Email must be a valid @tpg.gov.gh address',
+        'string.empty': 'Email is required',
+        'any.required': 'Email is required'
+      }),
+
+    password: Joi.string()
+      .min(8)
+      .max(128)
+      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+      .required()
+      .messages({
+        'string.min': 'Password must be at least 8 characters long',
+        'string.max': 'Password cannot exceed 128 characters',
+        'string.pattern.base': 'Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
+        'string.empty': 'Password is required',
+        'any.required': 'Password is required'
+      }),
+
+    tpg_license_number: Joi.string()
+      .trim()
+      .max(50)
+      .allow(null, '')
+      .messages({
+        'string.max': 'TPG license number cannot exceed 50 characters'
+      }),
+
+    pharmacy_name: Joi.string()
+      .trim()
+      .max(255)
+      .allow(null, '')
+      .messages({
+        'string.max': 'Pharmacy name cannot exceed 255 characters'
+      }),
+
+    phone_number: Joi.string()
+      .trim()
+      .pattern(/^\+?[1-9]\d{1,14}$/)
+      .allow(null, '')
+      .messages({
+        'string.pattern.base': 'Please provide a valid phone number'
+      }),
+
+    address: Joi.string()
+      .trim()
+      .max(1000)
+      .allow(null, '')
+      .messages({
+        'string.max': 'Address cannot exceed 1000 characters'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for password reset requests
+ */
+const validatePasswordReset = (data) => {
+  const schema = Joi.object({
+    email: Joi.string()
+      .trim()
+      .email()
+      .lowercase()
+      .required()
+      .messages({
+        'string.email': 'Please provide a valid email address',
+        'string.empty': 'Email is required',
+        'any.required': 'Email is required'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for authenticated password changes
+ */
+const validateChangePassword = (data) => {
+  const schema = Joi.object({
+    currentPassword: Joi.string()
+      .max(128)
+      .required()
+      .messages({
+        'string.max': 'Current password cannot exceed 128 characters',
+        'string.empty': 'Current password is required',
+        'any.required': 'Current password is required'
+      }),
+
+    newPassword: Joi.string()
+      .min(8)
+      .max(128)
+      .pattern(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+      .invalid(Joi.ref('currentPassword'))
+      .required()
+      .messages({
+        'string.min': 'New password must be at least 8 characters long',
+        'string.max': 'New password cannot exceed 128 characters',
+        'string.pattern.base': 'New password must contain at least one uppercase letter, one lowercase letter, one number, and one special character',
+        'any.invalid': 'New password must be different from the current password',
+        'string.empty': 'New password is required',
+        'any.required': 'New password is required'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for the second login step
+ */
+const validateTwoFactorLogin = (data) => {
+  const schema = Joi.object({
+    challengeToken: Joi.string()
+      .required()
+      .messages({
+        'string.empty': 'Challenge token is required',
+        'any.required': 'Challenge token is required'
+      }),
+
+    code: Joi.string()
+      .trim()
+      .pattern(/^\d{6}$/)
+      .messages({
+        'string.pattern.base': 'Two-factor code must be 6 digits'
+      }),
+
+    recoveryCode: Joi.string()
+      .trim()
+      .pattern(/^[a-fA-F0-9]{5}-?[a-fA-F0-9]{5}$/)
+      .messages({
+        'string.pattern.base': 'Recovery code format is invalid'
+      }),
+
+    rememberMe: Joi.boolean()
+      .default(false)
+      .messages({
+        'boolean.base': 'Remember me must be a boolean value'
+      })
+  })
+    .xor('code', 'recoveryCode')
+    .messages({
+      'object.missing': 'Either a two-factor code or a recovery code is required',
+      'object.xor': 'Provide either a two-factor code or a recovery code, not both'
+    });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for confirming 2FA enrollment and regenerating recovery codes
+ */
+const validateTwoFactorCode = (data) => {
+  const schema = Joi.object({
+    code: Joi.string()
+      .trim()
+      .pattern(/^\d{6}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Two-factor code must be 6 digits',
+        'string.empty': 'Two-factor code is required',
+        'any.required': 'Two-factor code is required'
+      }),
+
+    challengeToken: Joi.string()
+      .messages({
+        'string.base': 'Challenge token must be a string'
+      }),
+
+    rememberMe: Joi.boolean()
+      .default(false)
+      .messages({
+        'boolean.base': 'Remember me must be a boolean value'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for disabling 2FA
+ */
+const validateTwoFactorDisable = (data) => {
+  const schema = Joi.object({
+    password: Joi.string()
+      .max(128)
+      .required()
+      .messages({
+        'string.empty': 'Password is required',
+        'any.required': 'Password is required'
+      }),
+
+    code: Joi.string()
+      .trim()
+      .pattern(/^\d{6}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Two-factor code must be 6 digits',
+        'string.empty': 'Two-factor code is required',
+        'any.required': 'Two-factor code is required'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+module.exports = {
+  validateLogin,
+  validateRegister,
+  validatePasswordReset,
+  validateChangePassword,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorDisable
+};
@@ -0,0 +1,172 @@
+// src/routes/api/security/security.controller.js - TPG Security Event Review Controller
+const securityEventService = require('../../../services/securityEventService');
+const logger = require('../../../config/logger');
+const {
+  validateSecurityEventSearch,
+  validateSecurityEventId,
+  validateSecurityEventResolve
+} = require('./security.validation');
+
+class SecurityController {
+  /**
+   * List security events with filtering and pagination
+   * GET /api/security/events
+   * Permissions: super_admin
+   */
+  async getEvents(req, res) {
+    try {
+      const { error, value } = validateSecurityEventSearch(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const { page, limit, sort_order, ...filters } = value;
+
+      const result = await securityEventService.getEvents(filters, {
+        page,
+        limit,
+        sortOrder: sort_order
+      });
+
+      res.json({
+        success: true,
+        ...result,
+        filters
+      });
+    } catch (error) {
+      logger.error('Get security events error:', error);
+      res.status(500).json({
+        error: 'Security event retrieval failed',
+        message: 'An error occurred while retrieving security events'
+      });
+    }
+  }
+
+  /**
+   * Unresolved security event summary
+   * GET /api/security/events/summary
+   * Permissions: super_admin
+   */
+  async getSummary(req, res) {
+    try {
+      const summary = await securityEventService.getSummary();
+
+      res.json({
+        success: true,
+        summary
+      });
+    } catch (error) {
+      logger.error('Get security summary error:', error);
+      res.status(500).json({
+        error: 'Security summary failed',
+        message: 'An error occurred while summarising security events'
+      });
+    }
+  }
+
+  /**
+   * Get a single security event
+   * GET /api/security/events/:id
+   * Permissions: super_admin
+   */
+  async getEvent(req, res) {
+    try {
+      const { error } = validateSecurityEventId(req.params.id);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const event = await securityEventService.getEventById(req.params.id);
+
+      res.json({
+        success: true,
+        event
+      });
+    } catch (error) {
+      logger.error('Get security event error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Security event not found',
+          message: 'The requested security event does not exist'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Security event retrieval failed',
+        message: 'An error occurred while retrieving the security event'
+      });
+    }
+  }
+
+  /**
+   * Mark a security event as resolved
+   * PUT /api/security/events/:id/resolve
+   * Permissions: super_admin
+   */
+  async resolveEvent(req, res) {
+    try {
+      const { error: idError } = validateSecurityEventId(req.params.id);
+      if (idError) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: idError.details[0].message,
+          details: idError.details
+        });
+      }
+
+      const { error, value } = validateSecurityEventResolve(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const event = await securityEventService.resolveEvent(
+        req.params.id,
+        value.resolution_notes,
+        req.user.id,
+        req.ip
+      );
+
+      res.json({
+        success: true,
+        message: 'Security event resolved',
+        event
+      });
+    } catch (error) {
+      logger.error('Resolve security event error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Security event not found',
+          message: 'The requested security event does not exist'
+        });
+      }
+
+      if (error.message.includes('already resolved')) {
+        return res.status(409).json({
+          error: 'Already resolved',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Security event resolution failed',
+        message: 'An error occurred while resolving the security event'
+      });
+    }
+  }
+}
+
+module.exports = new SecurityController();
@@ -0,0 +1,77 @@
+// src/routes/api/security/security.routes.js - TPG Security Event Review Routes
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const {
+  authenticate,
+  requireRole
+} = require('../../../middleware/auth');
+const { apiRateLimit } = require('../../../middleware/security');
+const { auditUserAction } = require('../../../middleware/audit');
+
+// Import controller
+const securityController = require('./security.controller');
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// Apply rate limiting
+router.use(apiRateLimit);
+
+// Security review is restricted to super administrators
+router.use(requireRole('super_admin'));
+
+/**
+ * Security event routes (Super Admin)
+ */
+
+// GET /api/security/events - List security events with filtering
+router.get('/events',
+  auditUserAction('list_security_events'),
+  securityController.getEvents
+);
+
+// GET /api/security/events/summary - Unresolved event counts by severity and type
+router.get('/events/summary',
+  auditUserAction('security_events_summary'),
+  securityController.getSummary
+);
+
+// GET /api/security/events/:id - Get a single security event
+router.get('/events/:id',
+  auditUserAction('view_security_event'),
+  securityController.getEvent
+);
+
+// PUT /api/security/events/:id/resolve - Mark a security event resolved with notes
+router.put('/events/:id/resolve',
+  auditUserAction('resolve_security_event'),
+  securityController.resolveEvent
+);
+
+/**
+ * Route-specific error handling middleware
+ */
+router.use((error, req, res, next) => {
+  req.logger.error('Security API Error:', {
+    error: error.message,
+    stack: error.stack,
+    user_id: req.user?.id,
+    route: req.route?.path,
+    method: req.method
+  });
+
+  // Handle security event not found errors
+  if (error.message?.includes('not found')) {
+    return res.status(404).json({
+      error: 'Security Event Not Found',
+      message: 'The requested security event does not exist'
+    });
+  }
+
+  // Pass to global error handler
+  next(error);
+});
+
+module.exports = router;
@@ -0,0 +1,130 @@
+// src/routes/api/security/security.validation.js - TPG Security Event Validation
+const Joi = require('joi');
+const SecurityEvent = require('../../../models/SecurityEvent');
+
+/**
+ * Validation schema for security event listing
+ */
+const validateSecurityEventSearch = (data) => {
+  const schema = Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.min': 'Page must be at least 1',
+        'number.integer': 'Page must be an integer'
+      }),
+
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(200)
+      .default(50)
+      .messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 200',
+        'number.integer': 'Limit must be an integer'
+      }),
+
+    event_type: Joi.alternatives()
+      .try(
+        Joi.string().valid(...SecurityEvent.EVENT_TYPES),
+        Joi.array().items(Joi.string().valid(...SecurityEvent.EVENT_TYPES)).max(10)
+      )
+      .messages({
+        'alternatives.match': `Event type must be one of: ${SecurityEvent.EVENT_TYPES.join(', ')}`
+      }),
+
+    severity: Joi.alternatives()
+      .try(
+        Joi.string().valid(...SecurityEvent.SEVERITIES),
+        Joi.array().items(Joi.string().valid(...SecurityEvent.SEVERITIES)).max(4)
+      )
+      .messages({
+        'alternatives.match': 'Severity must be one of: info, warning, error, critical'
+      }),
+
+    resolved: Joi.boolean()
+      .messages({
+        'boolean.base': 'Resolved must be a boolean value'
+      }),
+
+    user_id: Joi.string()
+      .uuid()
+      .messages({
+        'string.guid': 'User ID must be a valid UUID'
+      }),
+
+    ip_address: Joi.string()
+      .ip()
+      .messages({
+        'string.ip': 'IP address must be a valid IPv4 or IPv6 address'
+      }),
+
+    start_date: Joi.date()
+      .iso()
+      .messages({
+        'date.format': 'Start date must be in ISO format'
+      }),
+
+    end_date: Joi.date()
+      .iso()
+      .min(Joi.ref('start_date'))
+      .messages({
+        'date.format': 'End date must be in ISO format',
+        'date.min': 'End date must be after start date'
+      }),
+
+    sort_order: Joi.string()
+      .valid('asc', 'desc')
+      .default('desc')
+      .messages({
+        'any.only': 'Sort order must be either asc or desc'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for the security event ID route parameter
+ */
+const validateSecurityEventId = (id) => {
+  const schema = Joi.string()
+    .guid()
+    .required()
+    .messages({
+      'string.guid': 'Security event ID must be a valid UUID',
+      'any.required': 'Security event ID is required'
+    });
+
+  return schema.validate(id);
+};
+
+/**
+ * Validation schema for resolving a security event
+ */
+const validateSecurityEventResolve = (data) => {
+  const schema = Joi.object({
+    resolution_notes: Joi.string()
+      .trim()
+      .min(5)
+      .max(2000)
+      .required()
+      .messages({
+        'string.empty': 'Resolution notes are required',
+        'string.min': 'Resolution notes must be at least 5 characters long',
+        'string.max': 'Resolution notes cannot exceed 2000 characters',
+        'any.required': 'Resolution notes are required'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+module.exports = {
+  validateSecurityEventSearch,
+  validateSecurityEventId,
+  validateSecurityEventResolve
+};
@@ -0,0 +1,105 @@
+// src/routes/api/settings/settings.controller.js - TPG System Settings Controller
+const settingsService = require('../../../services/settingsService');
+const auditService = require('../../../services/auditService');
+const logger = require('../../../config/logger');
+const {
+  validateSettingsSearch,
+  validateSettingKey,
+  validateSettingUpdate
+} = require('./settings.validation');
+
+class SettingsController {
+  /**
+   * List system settings
+   * GET /api/settings
+   * Permissions: admin, super_admin
+   */
+  async getSettings(req, res) {
+    try {
+      const { error, value } = validateSettingsSearch(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const settings = await settingsService.getSettings({ publicOnly: value.public_only });
+
+      res.json({
+        success: true,
+        settings: settings.map(setting => settingsService.formatSetting(setting))
+      });
+    } catch (error) {
+      logger.error('Get settings error:', error);
+      res.status(500).json({
+        error: 'Settings retrieval failed',
+        message: 'An error occurred while retrieving system settings'
+      });
+    }
+  }
+
+  /**
+   * Update a system setting
+   * PUT /api/settings/:key
+   * Permissions: super_admin
+   */
+  async updateSetting(req, res) {
+    try {
+      const { error: keyError } = validateSettingKey(req.params.key);
+      if (keyError) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: keyError.details[0].message,
+          details: keyError.details
+        });
+      }
+
+      const { error, value } = validateSettingUpdate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const setting = await settingsService.updateSetting(
+        req.params.key,
+        value.value,
+        req.user.id,
+        auditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: 'Setting updated successfully',
+        setting: settingsService.formatSetting(setting)
+      });
+    } catch (error) {
+      logger.error('Update setting error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Setting not found',
+          message: 'The requested setting does not exist'
+        });
+      }
+
+      if (error.message.includes('must be a')) {
+        return res.status(400).json({
+          error: 'Invalid setting value',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Setting update failed',
+        message: 'An error occurred while updating the setting'
+      });
+    }
+  }
+}
+
+module.exports = new SettingsController();
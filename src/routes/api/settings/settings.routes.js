@@ -0,0 +1,64 @@
+// src/routes/api/settings/settings.routes.js - TPG System Settings Routes
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const {
+  authenticate,
+  requireRole
+} = require('../../../middleware/auth');
+const { apiRateLimit } = require('../../../middleware/security');
+const { auditUserAction } = require('../../../middleware/audit');
+
+// Import controller
+const settingsController = require('./settings.controller');
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// Apply rate limiting
+router.use(apiRateLimit);
+
+/**
+ * System settings routes
+ */
+
+// GET /api/settings - List system settings (Admin+)
+router.get('/',
+  requireRole('admin', 'super_admin'),
+  auditUserAction('list_settings'),
+  settingsController.getSettings
+);
+
+// PUT /api/settings/:key - Update a system setting (Super Admin only)
+router.put('/:key',
+  requireRole('super_admin'),
+  auditUserAction('update_setting'),
+  settingsController.updateSetting
+);
+
+/**
+ * Route-specific error handling middleware
+ */
+router.use((error, req, res, next) => {
+  req.logger.error('Settings API Error:', {
+    error: error.message,
+    stack: error.stack,
+    user_id: req.user?.id,
+    route: req.route?.path,
+    method: req.method
+  });
+
+  // Handle setting not found errors
+  if (error.message?.includes('not found')) {
+    return res.status(404).json({
+      error: 'Setting Not Found',
+      message: 'The requested setting does not exist'
+    });
+  }
+
+  // Pass to global error handler
+  next(error);
+});
+
+module.exports = router;
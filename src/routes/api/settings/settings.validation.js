@@ -0,0 +1,65 @@
+// src/routes/api/settings/settings.validation.js - TPG System Settings Validation
+const Joi = require('joi');
+
+/**
+ * Validation schema for listing settings
+ */
+const validateSettingsSearch = (data) => {
+  const schema = Joi.object({
+    public_only: Joi.boolean()
+      .default(false)
+      .messages({
+        'boolean.base': 'Public only must be a boolean value'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for the setting key route parameter
+ */
+const validateSettingKey = (key) => {
+  const schema = Joi.string()
+    .pattern(/^[a-z0-9_]+$/)
+    .max(100)
+    .required()
+    .messages({
+      'string.pattern.base': 'Setting key may only contain lowercase letters, numbers and underscores',
+      'string.max': 'Setting key cannot exceed 100 characters',
+      'any.required': 'Setting key is required'
+    });
+
+  return schema.validate(key);
+};
+
+/**
+ * Validation schema for updating a setting. The value is checked against
+ * the setting's declared type by the settings service.
+ */
+const validateSettingUpdate = (data) => {
+  const schema = Joi.object({
+    value: Joi.alternatives()
+      .try(
+        Joi.string().max(10000),
+        Joi.number(),
+        Joi.boolean(),
+        Joi.array(),
+        Joi.object()
+      )
+      .allow(null)
+      .required()
+      .messages({
+        'alternatives.match': 'Value must be a string, number, boolean, array, object or null',
+        'any.required': 'Value is required'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+module.exports = {
+  validateSettingsSearch,
+  validateSettingKey,
+  validateSettingUpdate
+};
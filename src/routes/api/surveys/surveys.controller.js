@@ -0,0 +1,90 @@
+// src/routes/api/surveys/surveys.controller.js - TPG Satisfaction Survey Controller
+const surveyService = require('../../../services/surveyService');
+const auditService = require('../../../services/auditService');
+const logger = require('../../../config/logger');
+const { validateSurveySubmission } = require('./surveys.validation');
+
+// Token problems the reporter can see; anything else is a server error
+const SURVEY_LINK_ERRORS = [
+  'Invalid survey link',
+  'Survey link has expired',
+  'Survey link is no longer valid'
+];
+
+class SurveysController {
+  /**
+   * Get the ticket summary for a survey link
+   * GET /api/surveys/:token
+   * Public: the signed token identifies the ticket
+   */
+  async getSurvey(req, res) {
+    try {
+      const survey = await surveyService.getSurvey(req.params.token);
+
+      res.json({
+        success: true,
+        survey
+      });
+    } catch (error) {
+      logger.error('Get survey error:', error);
+      return sendSurveyError(res, error, 'Failed to load survey');
+    }
+  }
+
+  /**
+   * Submit a satisfaction rating
+   * POST /api/surveys/:token
+   * Public: the signed token identifies the ticket
+   */
+  async submitSurvey(req, res) {
+    try {
+      const { error, value } = validateSurveySubmission(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      await surveyService.submitSurvey(req.params.token, value, auditService.contextFromRequest(req));
+
+      res.json({
+        success: true,
+        message: 'Thank you for your feedback'
+      });
+    } catch (error) {
+      logger.error('Submit survey error:', error);
+
+      if (error.message === 'Survey already completed') {
+        return res.status(409).json({
+          error: 'Survey already completed',
+          message: 'A rating has already been submitted for this ticket'
+        });
+      }
+
+      return sendSurveyError(res, error, 'Survey submission failed');
+    }
+  }
+}
+
+/**
+ * Map survey link errors onto HTTP responses
+ */
+function sendSurveyError(res, error, fallback) {
+  if (SURVEY_LINK_ERRORS.includes(error.message)) {
+    return res.status(error.message === 'Invalid survey link' ? 404 : 410).json({
+      error: error.message,
+      message: error.message === 'Invalid survey link'
+        ? 'This survey link is not valid'
+        : 'This survey link can no longer be used'
+    });
+  }
+
+  return res.status(500).json({
+    error: fallback,
+    message: 'An error occurred while processing the survey'
+  });
+}
+
+module.exports = new SurveysController();
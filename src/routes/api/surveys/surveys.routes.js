@@ -0,0 +1,44 @@
+// src/routes/api/surveys/surveys.routes.js - TPG Satisfaction Survey Routes
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authRateLimit } = require('../../../middleware/auth');
+const { apiRateLimit } = require('../../../middleware/security');
+
+// Import controller
+const surveysController = require('./surveys.controller');
+
+/**
+ * Public survey routes. No login: the signed, expiring token in the
+ * emailed link is the only credential.
+ */
+
+// GET /api/surveys/:token - Get ticket summary for a survey link
+router.get('/:token',
+  apiRateLimit,
+  surveysController.getSurvey
+);
+
+// POST /api/surveys/:token - Submit a 1-5 rating and optional comment
+router.post('/:token',
+  authRateLimit,
+  surveysController.submitSurvey
+);
+
+/**
+ * Route-specific error handling middleware
+ */
+router.use((error, req, res, next) => {
+  req.logger.error('Surveys API Error:', {
+    error: error.message,
+    stack: error.stack,
+    route: req.route?.path,
+    method: req.method
+  });
+
+  // Pass to global error handler
+  next(error);
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+// src/routes/api/surveys/surveys.validation.js - TPG Satisfaction Survey Validation
+const Joi = require('joi');
+
+/**
+ * Validation schema for survey submission
+ */
+const validateSurveySubmission = (data) => {
+  const schema = Joi.object({
+    rating: Joi.number()
+      .integer()
+      .min(1)
+      .max(5)
+      .required()
+      .messages({
+        'number.base': 'Rating must be a number between 1 and 5',
+        'number.min': 'Rating must be between 1 and 5',
+        'number.max': 'Rating must be between 1 and 5',
+        'number.integer': 'Rating must be a whole number',
+        'any.required': 'Rating is required'
+      }),
+
+    comment: Joi.string()
+      .trim()
+      .max(1000)
+      .allow('')
+      .default('')
+      .messages({
+        'string.max': 'Comment cannot exceed 1000 characters'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+module.exports = {
+  validateSurveySubmission
+};
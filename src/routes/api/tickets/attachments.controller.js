@@ -1,13 +1,29 @@
 // src/routes/api/tickets/attachments.controller.js - TPG Ticket Attachments Controller
 const multer = require('multer');
-const path = require('path');
 const fs = require('fs').promises;
-const crypto = require('crypto');
 const TicketAttachment = require('../../../models/TicketAttachment');
+const AttachmentBlob = require('../../../models/AttachmentBlob');
 const Ticket = require('../../../models/Ticket');
 const TicketComment = require('../../../models/TicketComment');
+const auditService = require('../../../services/auditService');
+const ticketService = require('../../../services/ticketService');
+const virusScanService = require('../../../services/virusScanService');
+const attachmentMetadataService = require('../../../services/attachmentMetadataService');
+const attachmentStorageService = require('../../../services/attachmentStorageService');
 const logger = require('../../../config/logger');
-const { validateAttachmentUpload } = require('./attachments.validation');
+const {
+  validateAttachmentUpload,
+  validateVirusScan,
+  validateQuarantineList,
+  validateQuarantineAction,
+  validateThumbnailRequest,
+  validateAttachmentMetadataUpdate
+} = require('./attachments.validation');
+
+const SCAN_CLIENT_ERRORS = [
+  'Attachment has already been scanned',
+  'A scan is already queued'
+];
 
 class AttachmentsController {
   constructor() {
@@ -74,7 +90,8 @@ class AttachmentsController {
       }
 
       const canView = req.user.hasPermission('tickets.view.all') || 
-                     (req.user.hasPermission('tickets.view.own') && ticket.user_id === req.user.id);
+                     (req.user.hasPermission('tickets.view.own') &&
+                      (ticket.user_id === req.user.id || await ticket.isFollowedBy(req.user.id)));
 
       if (!canView) {
         logger.security.logPermissionDenied(
@@ -115,6 +132,13 @@ class AttachmentsController {
           }
         }
 
+        // Inline previews for images, e.g. screenshots of portal errors
+        if (attachment.isImage() && attachment.isSafe()) {
+          const thumbnailUrl = `${req.baseUrl}/${ticketId}/attachments/${attachment.id}/thumbnail`;
+          data.thumbnail_url = thumbnailUrl;
+          data.preview_url = `${thumbnailUrl}?size=preview`;
+        }
+
         return data;
       });
 
@@ -223,8 +247,9 @@ class AttachmentsController {
           }
 
           // Validate comment exists if specified
+          let comment = null;
           if (value.comment_id) {
-            const comment = await TicketComment.query()
+            comment = await TicketComment.query()
               .findById(value.comment_id)
               .where('ticket_id', ticketId);
 
@@ -240,18 +265,22 @@ class AttachmentsController {
           // Process uploaded files
           const attachments = [];
           for (const file of req.files) {
+            let blob = null;
+            let attachment = null;
             try {
-              // Calculate file hash for integrity checking
-              const fileHash = await this.calculateFileHash(file.path);
+              // Identical uploads share one blob, addressed by SHA-256
+              const fileHash = await AttachmentBlob.calculateFileHash(file.path);
+              blob = await AttachmentBlob.acquire(fileHash, file.path, file.size);
 
               // Create attachment record
-              const attachment = await TicketAttachment.query().insert({
+              attachment = await TicketAttachment.query().insert({
                 ticket_id: ticketId,
                 comment_id: value.comment_id || null,
                 user_id: req.user.id,
                 filename: file.filename,
                 original_filename: file.originalname,
-                file_path: file.path,
+                file_path: blob.file_path,
+                blob_hash: blob.hash,
                 file_size: file.size,
                 mime_type: file.mimetype,
                 virus_scan_status: 'pending',
@@ -262,8 +291,11 @@ class AttachmentsController {
                 }
               });
 
+              // Extract metadata before the scan queue picks the file up, as both update metadata
+              await attachmentMetadataService.extractAndStore(attachment);
+
               // Queue for virus scanning
-              await this.queueVirusScan(attachment);
+              virusScanService.queueScan(attachment.id);
 
               attachments.push(attachment);
 
@@ -276,11 +308,17 @@ class AttachmentsController {
                 req.ip
               );
 
+              await auditService.recordCreate('attachment', attachment, auditService.contextFromRequest(req));
+
             } catch (fileError) {
               logger.error(`Failed to process file ${file.originalname}:`, fileError);
-              // Clean up the failed file
+              // Clean up the failed file; once in blob storage, only an unused reference is dropped
               try {
-                await fs.unlink(file.path);
+                if (!blob) {
+                  await fs.unlink(file.path);
+                } else if (!attachment) {
+                  await AttachmentBlob.release(blob.hash);
+                }
               } catch (cleanupError) {
                 logger.error(`Failed to cleanup file ${file.path}:`, cleanupError);
               }
@@ -297,6 +335,9 @@ class AttachmentsController {
           // Update ticket timestamp
           await ticket.$query().patch({ updated_at: new Date().toISOString() });
 
+          // Notify the reporter, assignee and followers (staff only for internal comments)
+          await ticketService.sendAttachmentNotifications(ticket, attachments, req.user.id, !!comment?.is_internal);
+
           res.status(201).json({
             success: true,
             message: `${attachments.length} file(s) uploaded successfully`,
@@ -370,6 +411,13 @@ class AttachmentsController {
           });
         }
 
+        if (attachment.isQuarantined()) {
+          return res.status(403).json({
+            error: 'File quarantined',
+            message: 'This file is in quarantine and cannot be downloaded'
+          });
+        }
+
         if (attachment.isScanPending()) {
           return res.status(202).json({
             error: 'Scan pending',
@@ -383,10 +431,10 @@ class AttachmentsController {
         });
       }
 
-      // Check if file exists
-      try {
-        await fs.access(attachment.file_path);
-      } catch (error) {
+      // Check the file exists and still matches the hash recorded at upload
+      const integrity = await attachment.verifyIntegrity();
+
+      if (integrity === 'missing') {
         logger.error(`Attachment file not found: ${attachment.file_path}`);
         return res.status(404).json({
           error: 'File not found',
@@ -394,6 +442,14 @@ class AttachmentsController {
         });
       }
 
+      if (integrity === 'corrupted') {
+        await attachmentStorageService.reportCorruption(attachment, req.ip, req.get('User-Agent'));
+        return res.status(500).json({
+          error: 'Integrity check failed',
+          message: 'The attachment file does not match its recorded checksum and cannot be downloaded'
+        });
+      }
+
       // Increment download count
       await attachment.incrementDownloadCount();
 
@@ -435,6 +491,99 @@ class AttachmentsController {
     }
   }
 
+  /**
+   * Get image thumbnail or preview
+   * GET /api/tickets/:ticketId/attachments/:attachmentId/thumbnail?size=thumbnail|preview
+   */
+  async getThumbnail(req, res) {
+    try {
+      const { ticketId, attachmentId } = req.params;
+
+      const { error, value } = validateThumbnailRequest(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const attachment = await TicketAttachment.query()
+        .findById(attachmentId)
+        .where('ticket_id', ticketId)
+        .withGraphFetched('[ticket, user]');
+
+      if (!attachment) {
+        return res.status(404).json({
+          error: 'Attachment not found',
+          message: 'The requested attachment does not exist'
+        });
+      }
+
+      // Same rules as downloading the original
+      if (!attachment.canBeDownloadedBy(req.user)) {
+        logger.security.logPermissionDenied(
+          req.user.id,
+          'attachments.download',
+          `attachment_${attachmentId}`,
+          req.ip,
+          req.get('User-Agent')
+        );
+
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You do not have permission to view this file'
+        });
+      }
+
+      if (!attachment.isImage()) {
+        return res.status(404).json({
+          error: 'Thumbnail not available',
+          message: 'Thumbnails are only generated for images'
+        });
+      }
+
+      // Images scanned before thumbnails existed get them on first request
+      let previews = attachment.metadata?.previews;
+      if (previews?.[value.size]) {
+        try {
+          await fs.access(previews[value.size].path);
+        } catch (accessError) {
+          previews = null;
+        }
+      }
+
+      if (!previews?.[value.size]) {
+        previews = await attachment.generateThumbnail();
+      }
+
+      const preview = previews[value.size];
+
+      res.setHeader('Content-Type', 'image/jpeg');
+      res.setHeader('Content-Length', preview.file_size);
+      res.setHeader('Cache-Control', 'private, max-age=86400');
+
+      const fileStream = require('fs').createReadStream(preview.path);
+      fileStream.pipe(res);
+
+      fileStream.on('error', (streamError) => {
+        logger.error(`Error streaming thumbnail ${preview.path}:`, streamError);
+        if (!res.headersSent) {
+          res.status(500).json({
+            error: 'Thumbnail failed',
+            message: 'An error occurred while loading the thumbnail'
+          });
+        }
+      });
+    } catch (error) {
+      logger.error('Get thumbnail error:', error);
+      res.status(500).json({
+        error: 'Thumbnail failed',
+        message: 'An error occurred while loading the thumbnail'
+      });
+    }
+  }
+
   /**
    * Delete attachment
    * DELETE /api/tickets/:ticketId/attachments/:attachmentId
@@ -484,6 +633,8 @@ class AttachmentsController {
       // Delete database record
       await attachment.$query().delete();
 
+      await auditService.recordDelete('attachment', attachment, auditService.contextFromRequest(req));
+
       // Log deletion
       logger.security.logAdminAction(
         req.user.id,
@@ -538,12 +689,10 @@ class AttachmentsController {
         });
       }
 
-      // Extract additional metadata if possible
-      let extractedMetadata = {};
-      try {
-        extractedMetadata = await attachment.extractMetadata();
-      } catch (error) {
-        logger.warn(`Failed to extract metadata for attachment ${attachmentId}:`, error);
+      // Files uploaded before extraction existed are extracted on first request
+      let extractedMetadata = attachment.metadata?.extracted || null;
+      if (!extractedMetadata && !attachment.isQuarantined()) {
+        extractedMetadata = await attachmentMetadataService.extractAndStore(attachment);
       }
 
       const metadata = {
@@ -563,7 +712,8 @@ class AttachmentsController {
           email: attachment.user.email
         } : null,
         uploaded_at: attachment.created_at,
-        extracted_metadata: extractedMetadata
+        extracted_metadata: extractedMetadata,
+        annotations: attachment.metadata?.annotations || {}
       };
 
       // Include sensitive metadata for admins
@@ -586,44 +736,236 @@ class AttachmentsController {
     }
   }
 
-  // Helper methods
+  /**
+   * Queue a virus scan, e.g. after a signature update
+   * POST /api/tickets/:ticketId/attachments/:attachmentId/scan
+   * Permissions: tickets.edit.all
+   */
+  async scanAttachment(req, res) {
+    try {
+      const { ticketId, attachmentId } = req.params;
+
+      const { error, value } = validateVirusScan(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const attachment = await TicketAttachment.query()
+        .findById(attachmentId)
+        .where('ticket_id', ticketId);
+
+      if (!attachment) {
+        return res.status(404).json({
+          error: 'Attachment not found',
+          message: 'The requested attachment does not exist'
+        });
+      }
+
+      await virusScanService.requestScan(attachment, value, auditService.contextFromRequest(req));
+
+      res.status(202).json({
+        success: true,
+        message: 'Virus scan queued',
+        attachment_id: attachment.id,
+        scan_type: value.scan_type
+      });
+    } catch (error) {
+      logger.error('Scan attachment error:', error);
+      sendScanError(res, error, 'Failed to queue virus scan');
+    }
+  }
 
   /**
-   * Calculate file hash for integrity checking
+   * Get quarantined attachments
+   * GET /api/tickets/attachments/quarantine
+   * Permissions: super_admin
    */
-  async calculateFileHash(filePath) {
-    const hash = crypto.createHash('sha256');
-    const fileBuffer = await fs.readFile(filePath);
-    hash.update(fileBuffer);
-    return hash.digest('hex');
+  async getQuarantine(req, res) {
+    try {
+      const { error, value } = validateQuarantineList(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const result = await virusScanService.listQuarantine(value);
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      logger.error('Get quarantine error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve quarantine',
+        message: 'An error occurred while fetching quarantined attachments'
+      });
+    }
   }
 
   /**
-   * Queue file for virus scanning
+   * Release a false positive from quarantine
+   * POST /api/tickets/attachments/quarantine/:attachmentId/release
+   * Permissions: super_admin
    */
-  async queueVirusScan(attachment) {
-    // In a production environment, this would integrate with ClamAV or similar
-    // For now, we'll simulate a scan
+  async releaseQuarantined(req, res) {
     try {
-      // TODO: Integrate with actual virus scanning service
-      // For development, mark as clean after a short delay
-      if (process.env.NODE_ENV === 'development') {
-        setTimeout(async () => {
-          try {
-            await attachment.markAsScanned('clean', 'Development mode - no actual scan performed');
-          } catch (error) {
-            logger.error(`Failed to mark attachment ${attachment.id} as scanned:`, error);
-          }
-        }, 2000);
+      const { error, value } = validateQuarantineAction(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const attachment = await virusScanService.releaseFromQuarantine(
+        req.params.attachmentId,
+        value.reason,
+        req.user.id,
+        auditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: 'Attachment released from quarantine',
+        attachment: {
+          id: attachment.id,
+          ticket_id: attachment.ticket_id,
+          filename: attachment.original_filename,
+          virus_scan_status: attachment.virus_scan_status,
+          virus_scan_details: attachment.virus_scan_details
+        }
+      });
+    } catch (error) {
+      logger.error('Release quarantined attachment error:', error);
+      sendScanError(res, error, 'Failed to release attachment');
+    }
+  }
+
+  /**
+   * Permanently delete a quarantined attachment
+   * DELETE /api/tickets/attachments/quarantine/:attachmentId
+   * Permissions: super_admin
+   */
+  async purgeQuarantined(req, res) {
+    try {
+      const { error, value } = validateQuarantineAction(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      await virusScanService.purgeQuarantined(
+        req.params.attachmentId,
+        value.reason,
+        req.user.id,
+        auditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: 'Quarantined attachment permanently deleted'
+      });
+    } catch (error) {
+      logger.error('Purge quarantined attachment error:', error);
+      sendScanError(res, error, 'Failed to purge attachment');
+    }
+  }
+
+  /**
+   * Annotate attachment (description, tags, category, retention)
+   * PUT /api/tickets/:ticketId/attachments/:attachmentId/metadata
+   */
+  async updateAttachmentMetadata(req, res) {
+    try {
+      const { ticketId, attachmentId } = req.params;
+
+      const { error, value } = validateAttachmentMetadataUpdate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const attachment = await TicketAttachment.query()
+        .findById(attachmentId)
+        .where('ticket_id', ticketId);
+
+      if (!attachment) {
+        return res.status(404).json({
+          error: 'Attachment not found',
+          message: 'The requested attachment does not exist'
+        });
+      }
+
+      if (!attachment.canBeAnnotatedBy(req.user)) {
+        logger.security.logPermissionDenied(
+          req.user.id,
+          'attachments.annotate',
+          `attachment_${attachmentId}`,
+          req.ip,
+          req.get('User-Agent')
+        );
+
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only annotate your own attachments'
+        });
       }
 
-      logger.info(`Queued virus scan for attachment ${attachment.id}`);
+      const previous = attachment.metadata?.annotations || {};
+      const annotations = {
+        ...previous,
+        ...value,
+        updated_by: req.user.id,
+        updated_at: new Date().toISOString()
+      };
+
+      await attachment.$query().patch({
+        metadata: {
+          ...attachment.metadata,
+          annotations
+        }
+      });
+
+      await auditService.record({
+        action: 'annotate',
+        resourceType: 'attachment',
+        resourceId: attachment.id,
+        oldValues: previous,
+        newValues: annotations,
+        context: auditService.contextFromRequest(req)
+      });
+
+      res.json({
+        success: true,
+        message: 'Attachment metadata updated successfully',
+        annotations
+      });
     } catch (error) {
-      logger.error(`Failed to queue virus scan for attachment ${attachment.id}:`, error);
-      await attachment.markAsScanned('error', error.message);
+      logger.error('Update attachment metadata error:', error);
+      res.status(500).json({
+        error: 'Update failed',
+        message: 'An error occurred while updating attachment metadata'
+      });
     }
   }
 
+  // Helper methods
+
   /**
    * Clean up uploaded files on error
    */
@@ -641,4 +983,35 @@ class AttachmentsController {
   }
 }
 
+/**
+ * Map virus scan and quarantine service errors to HTTP responses
+ */
+function sendScanError(res, error, fallback) {
+  if (error.message === 'Quarantined attachment not found') {
+    return res.status(404).json({
+      error: 'Attachment not found',
+      message: error.message
+    });
+  }
+
+  if (error.message === 'Virus scanning is disabled') {
+    return res.status(503).json({
+      error: fallback,
+      message: error.message
+    });
+  }
+
+  if (SCAN_CLIENT_ERRORS.some(message => error.message.startsWith(message))) {
+    return res.status(409).json({
+      error: fallback,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    error: fallback,
+    message: 'An error occurred while processing the attachment'
+  });
+}
+
 module.exports = new AttachmentsController();
\ No newline at end of file
@@ -291,6 +291,77 @@ const validateVirusScan = (data) => {
   return schema.validate(data, { abortEarly: false, stripUnknown: true });
 };
 
+/**
+ * Validation schema for the quarantine listing
+ */
+const validateQuarantineList = (data) => {
+  const schema = Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.min': 'Page must be at least 1',
+        'number.integer': 'Page must be an integer'
+      }),
+
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100',
+        'number.integer': 'Limit must be an integer'
+      }),
+
+    ticket_id: Joi.string()
+      .uuid()
+      .messages({
+        'string.guid': 'Ticket ID must be a valid UUID'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for releasing or purging a quarantined attachment
+ */
+const validateQuarantineAction = (data) => {
+  const schema = Joi.object({
+    reason: Joi.string()
+      .trim()
+      .min(5)
+      .max(500)
+      .required()
+      .messages({
+        'string.min': 'Reason must be at least 5 characters long',
+        'string.max': 'Reason cannot exceed 500 characters',
+        'any.required': 'A reason is required'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for attachment thumbnail requests
+ */
+const validateThumbnailRequest = (data) => {
+  const schema = Joi.object({
+    size: Joi.string()
+      .valid('thumbnail', 'preview')
+      .default('thumbnail')
+      .messages({
+        'any.only': 'Size must be one of: thumbnail, preview'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
 /**
  * Validation schema for attachment metadata update
  */
@@ -422,6 +493,9 @@ module.exports = {
   validateAttachmentSearch,
   validateBulkAttachmentOperation,
   validateVirusScan,
+  validateQuarantineList,
+  validateQuarantineAction,
+  validateThumbnailRequest,
   validateAttachmentMetadataUpdate,
   validateAttachmentStats,
   validateUploadConstraints
@@ -1,7 +1,11 @@
 // src/routes/api/tickets/comments.controller.js - TPG Ticket Comments Controller
 const TicketComment = require('../../../models/TicketComment');
 const Ticket = require('../../../models/Ticket');
-const User = require('../../../models/User');
+const auditService = require('../../../services/auditService');
+const ticketService = require('../../../services/ticketService');
+const commentMacroService = require('../../../services/commentMacroService');
+const slaService = require('../../../services/slaService');
+const workflowService = require('../../../services/workflowService');
 const logger = require('../../../config/logger');
 const { validateCommentCreate, validateCommentUpdate } = require('./comments.validation');
 
@@ -32,7 +36,8 @@ class CommentsController {
 
       // Check permissions
       const canView = req.user.hasPermission('tickets.view.all') || 
-                     (req.user.hasPermission('tickets.view.own') && ticket.user_id === req.user.id);
+                     (req.user.hasPermission('tickets.view.own') &&
+                      (ticket.user_id === req.user.id || await ticket.isFollowedBy(req.user.id)));
 
       if (!canView) {
         logger.security.logPermissionDenied(
@@ -103,9 +108,9 @@ class CommentsController {
   }
 
   /**
-   * Add comment to ticket
+   * Add comment to ticket, optionally applying a macro
    * POST /api/tickets/:ticketId/comments
-   * Permissions: tickets.view.own or tickets.view.all
+   * Permissions: tickets.view.own or tickets.view.all (macros need tickets.macros)
    */
   async addComment(req, res) {
     try {
@@ -121,7 +126,7 @@ class CommentsController {
         });
       }
 
-      const { content, is_internal = false } = value;
+      const { content, is_internal = false, macro_id, awaiting_reply = false } = value;
 
       // Check if ticket exists and user has permission to comment
       const ticket = await Ticket.query().findById(ticketId);
@@ -151,8 +156,15 @@ class CommentsController {
         });
       }
 
+      if (macro_id && !req.user.hasPermission('tickets.macros')) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You do not have permission to apply macros'
+        });
+      }
+
       // Only admins can create internal comments
-      const finalIsInternal = is_internal && req.user.hasPermission('tickets.view.all');
+      let finalIsInternal = is_internal && req.user.hasPermission('tickets.view.all');
 
       // Prevent commenting on closed tickets (unless admin)
       if (ticket.status === 'closed' && !req.user.hasPermission('tickets.view.all')) {
@@ -162,12 +174,36 @@ class CommentsController {
         });
       }
 
+      let macro = null;
+      let finalContent = content;
+
+      if (macro_id) {
+        try {
+          ({ macro, content: finalContent } = await commentMacroService.prepareMacro(macro_id, ticket, req.user, content));
+        } catch (macroError) {
+          if (macroError.message === 'Macro not found') {
+            return res.status(404).json({
+              error: 'Macro not found',
+              message: 'The requested macro does not exist'
+            });
+          }
+
+          return res.status(400).json({
+            error: 'Cannot apply macro',
+            message: macroError.message
+          });
+        }
+
+        finalIsInternal = finalIsInternal || macro.is_internal;
+      }
+
       // Create comment
       const comment = await TicketComment.query().insert({
         ticket_id: ticketId,
         user_id: req.user.id,
-        content,
-        is_internal: finalIsInternal
+        content: finalContent,
+        is_internal: finalIsInternal,
+        ...(macro && { metadata: { macro: { id: macro.id, name: macro.name } } })
       });
 
       // Fetch the created comment with relations
@@ -180,13 +216,26 @@ class CommentsController {
 
       // If this is the first response from an admin, mark first_response_at
       if (req.user.hasPermission('tickets.view.all') && !ticket.first_response_at) {
+        const firstResponseAt = new Date().toISOString();
         await ticket.$query().patch({ 
-          first_response_at: new Date().toISOString() 
+          first_response_at: firstResponseAt,
+          first_response_breached: slaService.getBreachFlags({ ...ticket, first_response_at: firstResponseAt }).first_response_breached
         });
       }
 
+      // Apply macro actions; they take the place of the automatic status update
+      let macroResult = null;
+      if (macro) {
+        macroResult = await commentMacroService.applyActions(macro, ticket, req.user, auditService.contextFromRequest(req), finalContent);
+        await commentMacroService.recordUsage(macro.id);
+      }
+
       // Auto-update ticket status if needed
-      await this.autoUpdateTicketStatus(ticket, req.user, finalIsInternal);
+      if (!macroResult || (!macroResult.applied.status && !macroResult.applied.assigned_to)) {
+        await this.autoUpdateTicketStatus(ticket, req.user, finalIsInternal, auditService.contextFromRequest(req), {
+          awaitingReply: awaiting_reply
+        });
+      }
 
       // Log comment creation
       logger.security.logDataAccess(
@@ -197,13 +246,22 @@ class CommentsController {
         req.ip
       );
 
-      // TODO: Send notification emails to relevant parties
-      // await emailService.sendCommentNotification(ticket, createdComment);
+      await auditService.recordCreate('comment', comment, auditService.contextFromRequest(req));
+
+      // Notify the reporter, assignee and followers
+      await ticketService.sendCommentNotifications(ticket, createdComment);
 
       res.status(201).json({
         success: true,
         message: 'Comment added successfully',
-        comment: createdComment
+        comment: createdComment,
+        ...(macro && {
+          macro: {
+            id: macro.id,
+            name: macro.name,
+            applied: macroResult.applied
+          }
+        })
       });
     } catch (error) {
       logger.error('Add comment error:', error);
@@ -277,12 +335,17 @@ class CommentsController {
       }
 
       // Update comment
+      const before = comment.toJSON();
       const updatedComment = await comment.$query().patchAndFetch({
         content,
         is_edited: true,
         edited_at: new Date().toISOString()
       });
 
+      await auditService.recordUpdate('comment', before, updatedComment, auditService.contextFromRequest(req), {
+        fields: ['content', 'is_edited', 'edited_at']
+      });
+
       // Log comment update
       logger.security.logDataAccess(
         req.user.id,
@@ -348,7 +411,8 @@ class CommentsController {
       }
 
       // Soft delete by updating content and marking as deleted
-      await comment.$query().patch({
+      const before = comment.toJSON();
+      const deletedComment = await comment.$query().patchAndFetch({
         content: '[Comment deleted]',
         is_edited: true,
         edited_at: new Date().toISOString(),
@@ -358,10 +422,15 @@ class CommentsController {
           deleted_by: req.user.id,
           deleted_at: new Date().toISOString(),
           deletion_reason: reason,
-          original_content_hash: require('crypto').createHash('md5').update(comment.content).digest('hex')
+          original_content_hash: require('crypto').createHash('md5').update(before.content).digest('hex')
         }
       });
 
+      await auditService.recordUpdate('comment', before, deletedComment, auditService.contextFromRequest(req), {
+        action: 'delete',
+        fields: ['content', 'is_edited', 'edited_at', 'metadata']
+      });
+
       // Log comment deletion
       logger.security.logAdminAction(
         req.user.id,
@@ -406,7 +475,8 @@ class CommentsController {
       }
 
       const canView = req.user.hasPermission('tickets.view.all') || 
-                     (req.user.hasPermission('tickets.view.own') && ticket.user_id === req.user.id);
+                     (req.user.hasPermission('tickets.view.own') &&
+                      (ticket.user_id === req.user.id || await ticket.isFollowedBy(req.user.id)));
 
       if (!canView) {
         return res.status(403).json({
@@ -480,10 +550,16 @@ class CommentsController {
       }
 
       // Update internal status
+      const before = comment.toJSON();
       const updatedComment = await comment.$query().patchAndFetch({
         is_internal
       });
 
+      await auditService.recordUpdate('comment', before, updatedComment, auditService.contextFromRequest(req), {
+        action: 'toggle_internal',
+        fields: ['is_internal']
+      });
+
       // Log the change
       logger.security.logAdminAction(
         req.user.id,
@@ -491,7 +567,7 @@ class CommentsController {
         commentId,
         {
           ticket_id: ticketId,
-          old_status: comment.is_internal,
+          old_status: before.is_internal,
           new_status: is_internal
         },
         req.ip
@@ -530,7 +606,8 @@ class CommentsController {
       }
 
       const canView = req.user.hasPermission('tickets.view.all') || 
-                     (req.user.hasPermission('tickets.view.own') && ticket.user_id === req.user.id);
+                     (req.user.hasPermission('tickets.view.own') &&
+                      (ticket.user_id === req.user.id || await ticket.isFollowedBy(req.user.id)));
 
       if (!canView) {
         return res.status(403).json({
@@ -573,19 +650,52 @@ class CommentsController {
   // Helper methods
 
   /**
-   * Auto-update ticket status based on comment activity
+   * Auto-update ticket status based on comment activity. A public admin
+   * comment moves an open ticket to in-progress, or to pending-customer when
+   * it asks the reporter for a reply; the reporter's reply moves a
+   * pending-customer ticket back to in-progress.
    */
-  async autoUpdateTicketStatus(ticket, user, isInternal) {
+  async autoUpdateTicketStatus(ticket, user, isInternal, context = {}, { awaitingReply = false } = {}) {
     try {
-      // If an admin comments on an open ticket, move it to in-progress
-      if (ticket.status === 'open' && user.hasPermission('tickets.view.all') && !isInternal) {
-        await ticket.$query().patch({
-          status: 'in-progress',
-          assigned_to: ticket.assigned_to || user.id
+      const isAdminReply = user.hasPermission('tickets.view.all') && !isInternal;
+      let updates = null;
+
+      if (isAdminReply && awaitingReply && ['open', 'in-progress'].includes(ticket.status)) {
+        updates = { status: 'pending-customer', assigned_to: ticket.assigned_to || user.id };
+      } else if (isAdminReply && ticket.status === 'open') {
+        updates = { status: 'in-progress', assigned_to: ticket.assigned_to || user.id };
+      } else if (ticket.status === 'pending-customer' && ticket.user_id === user.id) {
+        updates = { status: 'in-progress' };
+      }
+
+      if (!updates) {
+        return;
+      }
+
+      // Only moves the ticket's workflow allows. Asking for a reply is the
+      // admin's own change; the others are automatic.
+      try {
+        await workflowService.checkTransition(ticket, updates.status, {
+          role: updates.status === 'pending-customer' ? user.role : null,
+          fields: { assigned_to: updates.assigned_to }
         });
-        
-        logger.info(`Ticket ${ticket.ticket_number} auto-updated to in-progress due to admin comment`);
+      } catch (workflowError) {
+        logger.info(`Ticket ${ticket.ticket_number} not auto-updated: ${workflowError.message}`);
+        return;
       }
+
+      // Entering or leaving pending-customer stops or restarts the SLA clock
+      Object.assign(updates, await slaService.getStatusChangeFields(ticket, updates));
+
+      const before = ticket.toJSON();
+      await ticket.$query().patch(updates);
+
+      await auditService.recordUpdate('ticket', before, ticket, context, {
+        action: 'auto_status_update',
+        fields: Object.keys(updates)
+      });
+
+      logger.info(`Ticket ${ticket.ticket_number} auto-updated to ${updates.status} due to ${isAdminReply ? 'admin' : 'reporter'} comment`);
     } catch (error) {
       logger.error('Auto-update ticket status error:', error);
     }
@@ -10,19 +10,38 @@ const validateCommentCreate = (data) => {
       .trim()
       .min(3)
       .max(3000)
-      .required()
+      .when('macro_id', {
+        is: Joi.exist(),
+        then: Joi.optional().allow(''),
+        otherwise: Joi.required()
+      })
       .messages({
         'string.empty': 'Comment content is required',
+        'any.required': 'Comment content is required',
         'string.min': 'Comment must be at least 3 characters long',
         'string.max': 'Comment cannot exceed 3000 characters'
       }),
 
+    // Macro text is rendered first; content, if any, is added after it
+    macro_id: Joi.string()
+      .uuid()
+      .messages({
+        'string.guid': 'Macro ID must be a valid UUID'
+      }),
+
     is_internal: Joi.boolean()
       .default(false)
       .messages({
         'boolean.base': 'Internal flag must be a boolean value'
       }),
 
+    // Staff only: move the ticket to pending-customer until the reporter replies
+    awaiting_reply: Joi.boolean()
+      .default(false)
+      .messages({
+        'boolean.base': 'Awaiting reply flag must be a boolean value'
+      }),
+
     parent_comment_id: Joi.string()
       .uuid()
       .allow(null)
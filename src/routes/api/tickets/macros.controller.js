@@ -0,0 +1,196 @@
+// src/routes/api/tickets/macros.controller.js - TPG Comment Macros Controller
+const auditService = require('../../../services/auditService');
+const commentMacroService = require('../../../services/commentMacroService');
+const logger = require('../../../config/logger');
+const {
+  validateMacroCreate,
+  validateMacroUpdate,
+  validateMacroList
+} = require('./macros.validation');
+
+// Service errors that are the caller's fault rather than ours
+const MACRO_CLIENT_ERRORS = [
+  'Inactive macros cannot be edited',
+  'Macro is already inactive',
+  'Unknown placeholders',
+  'Macro assignee must be an active admin user'
+];
+
+class MacrosController {
+  /**
+   * Get comment macros
+   * GET /api/tickets/macros
+   * Permissions: tickets.macros (inactive macros need tickets.macros.manage)
+   */
+  async getMacros(req, res) {
+    try {
+      const { error, value } = validateMacroList(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const macros = await commentMacroService.listMacros({
+        ...value,
+        include_inactive: value.include_inactive && req.user.hasPermission('tickets.macros.manage')
+      });
+
+      res.json({
+        success: true,
+        macros
+      });
+    } catch (error) {
+      logger.error('Get comment macros error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch macros',
+        message: 'An error occurred while fetching comment macros'
+      });
+    }
+  }
+
+  /**
+   * Get a single comment macro
+   * GET /api/tickets/macros/:macroId
+   * Permissions: tickets.macros
+   */
+  async getMacro(req, res) {
+    try {
+      const macro = await commentMacroService.getMacro(req.params.macroId);
+
+      res.json({
+        success: true,
+        macro
+      });
+    } catch (error) {
+      logger.error('Get comment macro error:', error);
+      return sendMacroError(res, error, 'Failed to fetch macro');
+    }
+  }
+
+  /**
+   * Create a comment macro
+   * POST /api/tickets/macros
+   * Permissions: tickets.macros.manage
+   */
+  async createMacro(req, res) {
+    try {
+      const { error, value } = validateMacroCreate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const macro = await commentMacroService.createMacro(
+        value,
+        req.user.id,
+        auditService.contextFromRequest(req)
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Macro created successfully',
+        macro
+      });
+    } catch (error) {
+      logger.error('Create comment macro error:', error);
+      return sendMacroError(res, error, 'Macro creation failed');
+    }
+  }
+
+  /**
+   * Update a comment macro, or reactivate one with is_active: true
+   * PUT /api/tickets/macros/:macroId
+   * Permissions: tickets.macros.manage
+   */
+  async updateMacro(req, res) {
+    try {
+      const { error, value } = validateMacroUpdate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const macro = await commentMacroService.updateMacro(
+        req.params.macroId,
+        value,
+        req.user.id,
+        auditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: value.is_active === true ? 'Macro reactivated successfully' : 'Macro updated successfully',
+        macro
+      });
+    } catch (error) {
+      logger.error('Update comment macro error:', error);
+      return sendMacroError(res, error, 'Macro update failed');
+    }
+  }
+
+  /**
+   * Deactivate a comment macro
+   * DELETE /api/tickets/macros/:macroId
+   * Permissions: tickets.macros.manage
+   */
+  async deactivateMacro(req, res) {
+    try {
+      const macro = await commentMacroService.deactivateMacro(
+        req.params.macroId,
+        req.user.id,
+        auditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: 'Macro deactivated successfully',
+        macro
+      });
+    } catch (error) {
+      logger.error('Deactivate comment macro error:', error);
+      return sendMacroError(res, error, 'Macro deactivation failed');
+    }
+  }
+}
+
+/**
+ * Map macro service errors onto HTTP responses
+ */
+function sendMacroError(res, error, fallback) {
+  if (error.message === 'Macro not found') {
+    return res.status(404).json({
+      error: 'Macro not found',
+      message: 'The requested macro does not exist'
+    });
+  }
+
+  if (error.message === 'A macro with this name already exists') {
+    return res.status(409).json({
+      error: 'Macro exists',
+      message: error.message
+    });
+  }
+
+  if (MACRO_CLIENT_ERRORS.some(message => error.message.startsWith(message))) {
+    return res.status(400).json({
+      error: fallback,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    error: fallback,
+    message: 'An error occurred while processing the macro'
+  });
+}
+
+module.exports = new MacrosController();
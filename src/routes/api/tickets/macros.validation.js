@@ -0,0 +1,183 @@
+// src/routes/api/tickets/macros.validation.js - TPG Comment Macro Validation
+const Joi = require('joi');
+
+const CATEGORIES = [
+  'cpd-points',
+  'license-management',
+  'performance-issues',
+  'payment-gateway',
+  'user-interface',
+  'data-inconsistencies',
+  'system-errors'
+];
+
+const tagsSchema = Joi.array()
+  .items(Joi.string().trim().lowercase().max(50))
+  .max(10)
+  .unique();
+
+const actionsSchema = Joi.object({
+  status: Joi.string()
+    .valid('open', 'in-progress', 'pending-customer', 'resolved', 'closed')
+    .messages({
+      'any.only': 'Macro status must be one of: open, in-progress, pending-customer, resolved, closed'
+    }),
+
+  urgency: Joi.string()
+    .valid('low', 'medium', 'high', 'critical')
+    .messages({
+      'any.only': 'Macro urgency must be one of: low, medium, high, critical'
+    }),
+
+  add_tags: tagsSchema,
+
+  remove_tags: tagsSchema,
+
+  assign_to: Joi.alternatives()
+    .try(
+      Joi.string().valid('self'),
+      Joi.string().uuid().messages({
+        'string.guid': 'Macro assignee must be "self" or a valid user ID'
+      })
+    )
+});
+
+/**
+ * Validation schema for macro creation
+ */
+const validateMacroCreate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(3)
+      .max(150)
+      .required()
+      .messages({
+        'string.min': 'Macro name must be at least 3 characters long',
+        'string.max': 'Macro name cannot exceed 150 characters',
+        'any.required': 'Macro name is required'
+      }),
+
+    description: Joi.string()
+      .trim()
+      .max(1000)
+      .allow('', null),
+
+    category: Joi.string()
+      .valid(...CATEGORIES)
+      .allow(null)
+      .default(null)
+      .messages({
+        'any.only': 'Please select a valid category'
+      }),
+
+    content: Joi.string()
+      .trim()
+      .min(3)
+      .max(3000)
+      .required()
+      .messages({
+        'string.min': 'Macro content must be at least 3 characters long',
+        'string.max': 'Macro content cannot exceed 3000 characters',
+        'any.required': 'Macro content is required'
+      }),
+
+    is_internal: Joi.boolean()
+      .default(false),
+
+    actions: actionsSchema.default({})
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for macro updates
+ */
+const validateMacroUpdate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(3)
+      .max(150)
+      .messages({
+        'string.min': 'Macro name must be at least 3 characters long',
+        'string.max': 'Macro name cannot exceed 150 characters'
+      }),
+
+    description: Joi.string()
+      .trim()
+      .max(1000)
+      .allow('', null),
+
+    category: Joi.string()
+      .valid(...CATEGORIES)
+      .allow(null)
+      .messages({
+        'any.only': 'Please select a valid category'
+      }),
+
+    content: Joi.string()
+      .trim()
+      .min(3)
+      .max(3000)
+      .messages({
+        'string.min': 'Macro content must be at least 3 characters long',
+        'string.max': 'Macro content cannot exceed 3000 characters'
+      }),
+
+    is_internal: Joi.boolean(),
+
+    actions: actionsSchema,
+
+    // Only reactivating is allowed here; deactivating goes through DELETE
+    is_active: Joi.boolean()
+      .valid(true)
+      .messages({
+        'any.only': 'Use DELETE to deactivate a macro'
+      })
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for macro listing
+ */
+const validateMacroList = (data) => {
+  const schema = Joi.object({
+    category: Joi.string()
+      .valid(...CATEGORIES)
+      .messages({
+        'any.only': 'Invalid category specified'
+      }),
+
+    search: Joi.string()
+      .trim()
+      .min(2)
+      .max(100)
+      .messages({
+        'string.min': 'Search term must be at least 2 characters long'
+      }),
+
+    include_inactive: Joi.boolean()
+      .default(false),
+
+    sort_by: Joi.string()
+      .valid('name', 'usage_count')
+      .default('name')
+      .messages({
+        'any.only': 'Invalid sort field'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+module.exports = {
+  validateMacroCreate,
+  validateMacroUpdate,
+  validateMacroList
+};
@@ -0,0 +1,268 @@
+// src/routes/api/tickets/templates.controller.js - TPG Ticket Templates Controller
+const auditService = require('../../../services/auditService');
+const ticketService = require('../../../services/ticketService');
+const ticketTemplateService = require('../../../services/ticketTemplateService');
+const logger = require('../../../config/logger');
+const { validateTicketCreate } = require('./tickets.validation');
+const {
+  validateTemplateCreate,
+  validateTemplateUpdate,
+  validateTemplateList,
+  validateTicketFromTemplate
+} = require('./templates.validation');
+
+// Service errors that are the caller's fault rather than ours
+const TEMPLATE_CLIENT_ERRORS = [
+  'Template is archived',
+  'Template is already archived',
+  'Archived templates cannot be edited',
+  'Missing values for placeholders',
+  'Variables not used in the template'
+];
+
+class TemplatesController {
+  /**
+   * Get ticket templates
+   * GET /api/tickets/templates
+   * Permissions: tickets.templates (archived templates need tickets.templates.manage)
+   */
+  async getTicketTemplates(req, res) {
+    try {
+      const { error, value } = validateTemplateList(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const templates = await ticketTemplateService.listTemplates({
+        ...value,
+        include_archived: value.include_archived && req.user.hasPermission('tickets.templates.manage')
+      });
+
+      res.json({
+        success: true,
+        templates
+      });
+    } catch (error) {
+      logger.error('Get ticket templates error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch templates',
+        message: 'An error occurred while fetching ticket templates'
+      });
+    }
+  }
+
+  /**
+   * Get a single ticket template
+   * GET /api/tickets/templates/:templateId
+   * Permissions: tickets.templates
+   */
+  async getTicketTemplate(req, res) {
+    try {
+      const template = await ticketTemplateService.getTemplate(req.params.templateId);
+
+      if (template.is_archived && !req.user.hasPermission('tickets.templates.manage')) {
+        return res.status(404).json({
+          error: 'Template not found',
+          message: 'The requested template does not exist'
+        });
+      }
+
+      res.json({
+        success: true,
+        template
+      });
+    } catch (error) {
+      logger.error('Get ticket template error:', error);
+      return sendTemplateError(res, error, 'Failed to fetch template');
+    }
+  }
+
+  /**
+   * Create a ticket template
+   * POST /api/tickets/templates
+   * Permissions: tickets.templates.create
+   */
+  async createTicketTemplate(req, res) {
+    try {
+      const { error, value } = validateTemplateCreate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const template = await ticketTemplateService.createTemplate(
+        value,
+        req.user.id,
+        auditService.contextFromRequest(req)
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Template created successfully',
+        template
+      });
+    } catch (error) {
+      logger.error('Create ticket template error:', error);
+      return sendTemplateError(res, error, 'Template creation failed');
+    }
+  }
+
+  /**
+   * Update a ticket template, or restore an archived one with is_archived: false
+   * PUT /api/tickets/templates/:templateId
+   * Permissions: tickets.templates.manage
+   */
+  async updateTicketTemplate(req, res) {
+    try {
+      const { error, value } = validateTemplateUpdate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const template = await ticketTemplateService.updateTemplate(
+        req.params.templateId,
+        value,
+        req.user.id,
+        auditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: value.is_archived === false ? 'Template restored successfully' : 'Template updated successfully',
+        template
+      });
+    } catch (error) {
+      logger.error('Update ticket template error:', error);
+      return sendTemplateError(res, error, 'Template update failed');
+    }
+  }
+
+  /**
+   * Archive a ticket template
+   * DELETE /api/tickets/templates/:templateId
+   * Permissions: tickets.templates.manage
+   */
+  async archiveTicketTemplate(req, res) {
+    try {
+      const template = await ticketTemplateService.archiveTemplate(
+        req.params.templateId,
+        req.user.id,
+        auditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: 'Template archived successfully',
+        template
+      });
+    } catch (error) {
+      logger.error('Archive ticket template error:', error);
+      return sendTemplateError(res, error, 'Template archive failed');
+    }
+  }
+
+  /**
+   * Create a ticket from a template. The rendered ticket goes through the
+   * same validation as a ticket submitted directly.
+   * POST /api/tickets/templates/:templateId/tickets
+   * Permissions: tickets.create
+   */
+  async createTicketFromTemplate(req, res) {
+    try {
+      const { error, value } = validateTicketFromTemplate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const { template, draft } = await ticketTemplateService.buildTicketDraft(
+        req.params.templateId,
+        value.variables,
+        { urgency: value.urgency, metadata: value.metadata }
+      );
+
+      const { error: ticketError, value: ticketData } = validateTicketCreate(draft);
+      if (ticketError) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: ticketError.details[0].message,
+          details: ticketError.details
+        });
+      }
+
+      const ticket = await ticketService.createTicket(
+        {
+          ...ticketData,
+          tags: template.default_tags,
+          metadata: {
+            ...ticketData.metadata,
+            template: { id: template.id, name: template.name }
+          }
+        },
+        req.user.id,
+        {
+          ...auditService.contextFromRequest(req),
+          createdVia: 'template'
+        }
+      );
+
+      await ticketTemplateService.recordUsage(template.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Ticket created successfully',
+        ticket
+      });
+    } catch (error) {
+      logger.error('Create ticket from template error:', error);
+      return sendTemplateError(res, error, 'Ticket creation failed');
+    }
+  }
+}
+
+/**
+ * Map template service errors onto HTTP responses
+ */
+function sendTemplateError(res, error, fallback) {
+  if (error.message === 'Template not found') {
+    return res.status(404).json({
+      error: 'Template not found',
+      message: 'The requested template does not exist'
+    });
+  }
+
+  if (error.message === 'A template with this name already exists') {
+    return res.status(409).json({
+      error: 'Template exists',
+      message: error.message
+    });
+  }
+
+  if (TEMPLATE_CLIENT_ERRORS.some(message => error.message.startsWith(message))) {
+    return res.status(400).json({
+      error: fallback,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    error: fallback,
+    message: 'An error occurred while processing the template'
+  });
+}
+
+module.exports = new TemplatesController();
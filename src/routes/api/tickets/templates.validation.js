@@ -0,0 +1,258 @@
+// src/routes/api/tickets/templates.validation.js - TPG Ticket Template Validation
+const Joi = require('joi');
+const { ticketMetadataSchema } = require('./tickets.validation');
+
+const CATEGORIES = [
+  'cpd-points',
+  'license-management',
+  'performance-issues',
+  'payment-gateway',
+  'user-interface',
+  'data-inconsistencies',
+  'system-errors'
+];
+
+const variableSchema = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/)
+    .max(50)
+    .required()
+    .messages({
+      'string.pattern.base': 'Variable names must start with a letter and contain only letters, numbers and underscores',
+      'any.required': 'Variable name is required'
+    }),
+
+  label: Joi.string()
+    .trim()
+    .max(100),
+
+  required: Joi.boolean()
+    .default(true),
+
+  default: Joi.string()
+    .trim()
+    .max(500)
+    .allow(null, '')
+});
+
+/**
+ * Validation schema for template creation
+ */
+const validateTemplateCreate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(3)
+      .max(150)
+      .required()
+      .messages({
+        'string.min': 'Template name must be at least 3 characters long',
+        'string.max': 'Template name cannot exceed 150 characters',
+        'any.required': 'Template name is required'
+      }),
+
+    description: Joi.string()
+      .trim()
+      .max(1000)
+      .allow('', null),
+
+    category: Joi.string()
+      .valid(...CATEGORIES)
+      .required()
+      .messages({
+        'any.only': 'Please select a valid category',
+        'any.required': 'Category is required'
+      }),
+
+    urgency: Joi.string()
+      .valid('low', 'medium', 'high', 'critical')
+      .default('medium')
+      .messages({
+        'any.only': 'Urgency must be one of: low, medium, high, critical'
+      }),
+
+    title_template: Joi.string()
+      .trim()
+      .min(10)
+      .max(500)
+      .required()
+      .messages({
+        'string.min': 'Title template must be at least 10 characters long',
+        'string.max': 'Title template cannot exceed 500 characters',
+        'any.required': 'Title template is required'
+      }),
+
+    description_template: Joi.string()
+      .trim()
+      .min(20)
+      .max(5000)
+      .required()
+      .messages({
+        'string.min': 'Description template must be at least 20 characters long',
+        'string.max': 'Description template cannot exceed 5000 characters',
+        'any.required': 'Description template is required'
+      }),
+
+    variables: Joi.array()
+      .items(variableSchema)
+      .max(20)
+      .unique('name')
+      .default([])
+      .messages({
+        'array.max': 'A template cannot have more than 20 variables',
+        'array.unique': 'Variable names must be unique'
+      }),
+
+    default_tags: Joi.array()
+      .items(Joi.string().trim().lowercase().max(50))
+      .max(10)
+      .unique()
+      .default([])
+      .messages({
+        'array.max': 'A template cannot have more than 10 default tags'
+      }),
+
+    default_metadata: ticketMetadataSchema.default({})
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for template updates
+ */
+const validateTemplateUpdate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(3)
+      .max(150)
+      .messages({
+        'string.min': 'Template name must be at least 3 characters long',
+        'string.max': 'Template name cannot exceed 150 characters'
+      }),
+
+    description: Joi.string()
+      .trim()
+      .max(1000)
+      .allow('', null),
+
+    category: Joi.string()
+      .valid(...CATEGORIES)
+      .messages({
+        'any.only': 'Please select a valid category'
+      }),
+
+    urgency: Joi.string()
+      .valid('low', 'medium', 'high', 'critical')
+      .messages({
+        'any.only': 'Urgency must be one of: low, medium, high, critical'
+      }),
+
+    title_template: Joi.string()
+      .trim()
+      .min(10)
+      .max(500)
+      .messages({
+        'string.min': 'Title template must be at least 10 characters long',
+        'string.max': 'Title template cannot exceed 500 characters'
+      }),
+
+    description_template: Joi.string()
+      .trim()
+      .min(20)
+      .max(5000)
+      .messages({
+        'string.min': 'Description template must be at least 20 characters long',
+        'string.max': 'Description template cannot exceed 5000 characters'
+      }),
+
+    variables: Joi.array()
+      .items(variableSchema)
+      .max(20)
+      .unique('name')
+      .messages({
+        'array.max': 'A template cannot have more than 20 variables',
+        'array.unique': 'Variable names must be unique'
+      }),
+
+    default_tags: Joi.array()
+      .items(Joi.string().trim().lowercase().max(50))
+      .max(10)
+      .unique()
+      .messages({
+        'array.max': 'A template cannot have more than 10 default tags'
+      }),
+
+    default_metadata: ticketMetadataSchema,
+
+    // Only restoring is allowed here; archiving goes through DELETE
+    is_archived: Joi.boolean()
+      .valid(false)
+      .messages({
+        'any.only': 'Use DELETE to archive a template'
+      })
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for template listing
+ */
+const validateTemplateList = (data) => {
+  const schema = Joi.object({
+    category: Joi.string()
+      .valid(...CATEGORIES)
+      .messages({
+        'any.only': 'Invalid category specified'
+      }),
+
+    search: Joi.string()
+      .trim()
+      .min(2)
+      .max(100)
+      .messages({
+        'string.min': 'Search term must be at least 2 characters long'
+      }),
+
+    include_archived: Joi.boolean()
+      .default(false)
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for creating a ticket from a template
+ */
+const validateTicketFromTemplate = (data) => {
+  const schema = Joi.object({
+    variables: Joi.object()
+      .pattern(/^[a-zA-Z][a-zA-Z0-9_]*$/, Joi.string().trim().max(1000).allow(''))
+      .default({})
+      .messages({
+        'object.unknown': 'Invalid variable name'
+      }),
+
+    urgency: Joi.string()
+      .valid('low', 'medium', 'high', 'critical')
+      .messages({
+        'any.only': 'Urgency must be one of: low, medium, high, critical'
+      }),
+
+    metadata: Joi.object()
+      .default({})
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+module.exports = {
+  validateTemplateCreate,
+  validateTemplateUpdate,
+  validateTemplateList,
+  validateTicketFromTemplate
+};
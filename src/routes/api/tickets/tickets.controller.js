@@ -2,8 +2,30 @@
 const Ticket = require('../../../models/Ticket');
 const TicketComment = require('../../../models/TicketComment');
 const User = require('../../../models/User');
+const auditService = require('../../../services/auditService');
+const ticketService = require('../../../services/ticketService');
+const escalationService = require('../../../services/escalationService');
+const ticketMergeService = require('../../../services/ticketMergeService');
+const subscriptionService = require('../../../services/subscriptionService');
+const surveyService = require('../../../services/surveyService');
+const slaService = require('../../../services/slaService');
+const workflowService = require('../../../services/workflowService');
+const assignmentService = require('../../../services/assignmentService');
 const logger = require('../../../config/logger');
-const { validateTicketCreate, validateTicketUpdate, validateTicketAssign, validateTicketStatusUpdate } = require('./tickets.validation');
+const {
+  validateTicketCreate,
+  validateTicketUpdate,
+  validateTicketAssign,
+  validateTicketStatusUpdate,
+  validateTicketQuickAction,
+  validateTicketReopen,
+  validateTicketReview,
+  validateBulkTicketOperation,
+  validateTicketEscalate,
+  validateTicketMerge,
+  validateTicketSubscription,
+  validateTicketTimeline
+} = require('./tickets.validation');
 
 class TicketsController {
   /**
@@ -23,7 +45,9 @@ class TicketsController {
         search,
         sortBy = 'created_at',
         sortOrder = 'desc',
-        my_tickets = false
+        my_tickets = false,
+        needs_review,
+        sla_breached
       } = req.query;
 
       let query = Ticket.query()
@@ -70,6 +94,18 @@ class TicketsController {
         query = query.whereIn('urgency', urgencies);
       }
 
+      // Tickets flagged for supervisor review after a low satisfaction rating
+      if (needs_review === 'true' && req.user.hasPermission('tickets.review')) {
+        query = query.where('needs_review', true);
+      }
+
+      // Tickets that missed their first-response or resolution SLA
+      if (sla_breached === 'true') {
+        query = query.where(builder => {
+          builder.where('first_response_breached', true).orWhere('resolution_breached', true);
+        });
+      }
+
       if (assigned_to && assigned_to !== 'me') {
         if (assigned_to === 'unassigned') {
           query = query.whereNull('assigned_to');
@@ -159,7 +195,8 @@ class TicketsController {
 
       // Check permissions
       const canView = req.user.hasPermission('tickets.view.all') || 
-                     (req.user.hasPermission('tickets.view.own') && ticket.user_id === req.user.id);
+                     (req.user.hasPermission('tickets.view.own') &&
+                      (ticket.user_id === req.user.id || await ticket.isFollowedBy(req.user.id)));
 
       if (!canView) {
         logger.security.logPermissionDenied(
@@ -219,6 +256,7 @@ class TicketsController {
 
       // Generate ticket number
       const ticketNumber = await this.generateTicketNumber();
+      const slaPolicy = await slaService.getPolicy(category, urgency);
 
       // Create ticket
       const ticket = await Ticket.query().insert({
@@ -229,6 +267,8 @@ class TicketsController {
         urgency,
         status: 'open',
         user_id: req.user.id,
+        estimated_resolution_hours: slaPolicy.estimated_resolution_hours,
+        ...slaService.calculateTicketSLA({ created_at: new Date().toISOString() }, slaPolicy),
         metadata: {
           ...metadata,
           user_agent: req.get('User-Agent'),
@@ -237,6 +277,11 @@ class TicketsController {
         }
       });
 
+      await auditService.recordCreate('ticket', ticket, auditService.contextFromRequest(req));
+
+      // Auto-assign using the configured assignment strategy
+      await ticketService.autoAssignTicket(ticket);
+
       // Fetch the created ticket with relations
       const createdTicket = await Ticket.query()
         .findById(ticket.id)
@@ -251,9 +296,6 @@ class TicketsController {
         req.ip
       );
 
-      // Auto-assign based on category if configured
-      await this.autoAssignTicket(createdTicket);
-
       // TODO: Send notification emails
       // await emailService.sendTicketCreatedEmail(createdTicket);
 
@@ -335,11 +377,22 @@ class TicketsController {
         });
       }
 
+      // A new category or urgency means new SLA targets
+      if ((updates.category && updates.category !== ticket.category) || (updates.urgency && updates.urgency !== ticket.urgency)) {
+        const slaPolicy = await slaService.getPolicy(updates.category || ticket.category, updates.urgency || ticket.urgency);
+        Object.assign(updates, slaService.calculateTicketSLA({ ...ticket, ...updates }, slaPolicy));
+      }
+
       // Update ticket
+      const before = ticket.toJSON();
       const updatedTicket = await ticket.$query().patchAndFetch(updates);
 
+      await auditService.recordUpdate('ticket', before, updatedTicket, auditService.contextFromRequest(req), {
+        fields: Object.keys(updates)
+      });
+
       // Create activity comment for significant changes
-      await this.createActivityComment(ticket, updates, req.user);
+      await this.createActivityComment(before, updates, req.user);
 
       // Log the update
       logger.security.logDataAccess(
@@ -416,14 +469,27 @@ class TicketsController {
             message: 'Cannot assign tickets to inactive users'
           });
         }
+
+        if (await assignmentService.isOutOfOffice(assignee.id)) {
+          return res.status(400).json({
+            error: 'Invalid assignee',
+            message: 'Cannot assign tickets to agents who are out of office'
+          });
+        }
       }
 
       const oldAssignee = ticket.assigned_to;
+      const before = ticket.toJSON();
       
       // Update ticket assignment
       const updatedTicket = await ticket.$query().patchAndFetch({
         assigned_to: assigned_to || null,
-        status: assigned_to ? 'in-progress' : 'open'
+        status: await workflowService.getAssignmentStatus(ticket, assigned_to)
+      });
+
+      await auditService.recordUpdate('ticket', before, updatedTicket, auditService.contextFromRequest(req), {
+        action: 'assign',
+        fields: ['assigned_to', 'status']
       });
 
       // Create assignment activity comment
@@ -435,7 +501,8 @@ class TicketsController {
         ticket_id: id,
         user_id: req.user.id,
         content: `${assignmentMessage}${reason ? `. Reason: ${reason}` : ''}`,
-        is_internal: true
+        is_internal: true,
+        metadata: { activity: true }
       });
 
       // Log assignment
@@ -451,10 +518,8 @@ class TicketsController {
         req.ip
       );
 
-      // TODO: Send assignment notification emails
-      // if (assigned_to) {
-      //   await emailService.sendTicketAssignedEmail(updatedTicket, assignee);
-      // }
+      // Notify the new assignee, the reporter and followers
+      await ticketService.sendAssignmentNotifications(updatedTicket, oldAssignee, assigned_to, req.user.id);
 
       res.json({
         success: true,
@@ -488,7 +553,8 @@ class TicketsController {
         });
       }
 
-      const { status, resolution_notes = '', satisfaction_rating, satisfaction_comment } = value;
+      const { status, resolution_notes = '', satisfaction_rating, satisfaction_comment, reopen_reason = '' } = value;
+      const reason = value.reason || reopen_reason;
 
       // Check if ticket exists
       const ticket = await Ticket.query().findById(id);
@@ -499,26 +565,57 @@ class TicketsController {
         });
       }
 
-      // Validate status transition
-      if (!this.isValidStatusTransition(ticket.status, status)) {
+      // Enforce the ticket's workflow: allowed transition, role and required fields
+      try {
+        await workflowService.checkTransition(ticket, status, {
+          role: req.user.role,
+          fields: { resolution_notes, reason, satisfaction_rating }
+        });
+      } catch (workflowError) {
         return res.status(400).json({
           error: 'Invalid status transition',
-          message: `Cannot change status from ${ticket.status} to ${status}`
+          message: workflowError.message
         });
       }
 
+      // Reopening is subject to the reopen window and is counted
+      if (['resolved', 'closed'].includes(ticket.status) && ['open', 'in-progress'].includes(status)) {
+        try {
+          const reopenedTicket = await ticketService.reopenTicket(id, req.user.id, {
+            status,
+            reason,
+            ignoreWindow: req.user.hasPermission('tickets.reopen.override'),
+            context: auditService.contextFromRequest(req)
+          });
+
+          return res.json({
+            success: true,
+            message: 'Ticket reopened successfully',
+            ticket: reopenedTicket
+          });
+        } catch (reopenError) {
+          if (reopenError.message.startsWith('Cannot reopen') || reopenError.message.startsWith('Reopen window has expired')) {
+            return res.status(400).json({
+              error: 'Cannot reopen ticket',
+              message: reopenError.message
+            });
+          }
+
+          throw reopenError;
+        }
+      }
+
       // Prepare update data
       const updates = { status };
 
-      // Handle resolution
-      if (status === 'resolved') {
+      // Handle resolution (closing an unresolved ticket resolves it too)
+      if (status === 'resolved' || (status === 'closed' && !ticket.resolved_at)) {
         updates.resolved_at = new Date().toISOString();
+        updates.actual_resolution_hours = ticketService.calculateResolutionHours(ticket.created_at, updates.resolved_at);
+      }
+
+      if (status === 'resolved' || resolution_notes) {
         updates.resolution_notes = resolution_notes;
-        
-        // Calculate resolution time
-        const createdAt = new Date(ticket.created_at);
-        const resolvedAt = new Date();
-        updates.actual_resolution_hours = Math.round((resolvedAt - createdAt) / (1000 * 60 * 60));
       }
 
       // Handle closing with satisfaction
@@ -530,20 +627,32 @@ class TicketsController {
         }
       }
 
+      Object.assign(updates, await slaService.getStatusChangeFields(ticket, updates));
+
       // Update ticket
+      const before = ticket.toJSON();
       const updatedTicket = await ticket.$query().patchAndFetch(updates);
 
+      await auditService.recordUpdate('ticket', before, updatedTicket, auditService.contextFromRequest(req), {
+        action: 'status_update',
+        fields: Object.keys(updates)
+      });
+
       // Create status change activity comment
-      let statusMessage = `Status changed from ${ticket.status} to ${status}`;
+      let statusMessage = `Status changed from ${before.status} to ${status}`;
       if (resolution_notes) {
         statusMessage += `. Resolution: ${resolution_notes}`;
       }
+      if (reason) {
+        statusMessage += `. Reason: ${reason}`;
+      }
 
       await TicketComment.query().insert({
         ticket_id: id,
         user_id: req.user.id,
         content: statusMessage,
-        is_internal: true
+        is_internal: true,
+        metadata: { activity: true }
       });
 
       // Log status change
@@ -555,8 +664,13 @@ class TicketsController {
         req.ip
       );
 
-      // TODO: Send status change notification emails
-      // await emailService.sendTicketStatusUpdateEmail(updatedTicket);
+      // Notify the reporter, assignee and followers
+      await ticketService.sendStatusUpdateNotifications(updatedTicket, req.user.id);
+
+      // Ask the reporter to rate the support they received
+      if (updates.resolved_at) {
+        await ticketService.sendSatisfactionSurvey(updatedTicket);
+      }
 
       res.json({
         success: true,
@@ -619,37 +733,7 @@ class TicketsController {
       }
 
       // Soft delete by updating status and adding metadata
-      await ticket.$query().patch({
-        status: 'closed',
-        closed_at: new Date().toISOString(),
-        metadata: {
-          ...ticket.metadata,
-          deleted: true,
-          deleted_by: req.user.id,
-          deleted_at: new Date().toISOString(),
-          deletion_reason: reason
-        }
-      });
-
-      // Create deletion activity comment
-      await TicketComment.query().insert({
-        ticket_id: id,
-        user_id: req.user.id,
-        content: `Ticket deleted. Reason: ${reason}`,
-        is_internal: true
-      });
-
-      // Log deletion
-      logger.security.logAdminAction(
-        req.user.id,
-        'ticket_deleted',
-        id,
-        {
-          ticket_number: ticket.ticket_number,
-          reason
-        },
-        req.ip
-      );
+      await ticketService.softDeleteTicket(ticket, req.user.id, reason, auditService.contextFromRequest(req));
 
       res.json({
         success: true,
@@ -718,6 +802,7 @@ class TicketsController {
         by_status: {
           open: tickets.filter(t => t.status === 'open').length,
           'in-progress': tickets.filter(t => t.status === 'in-progress').length,
+          'pending-customer': tickets.filter(t => t.status === 'pending-customer').length,
           resolved: tickets.filter(t => t.status === 'resolved').length,
           closed: tickets.filter(t => t.status === 'closed').length
         },
@@ -770,6 +855,581 @@ class TicketsController {
     }
   }
 
+  /**
+   * Get ticket change history (status, assignment, field edits, ratings)
+   * GET /api/tickets/:id/history
+   * Permissions: tickets.view.own or tickets.view.all
+   */
+  async getTicketHistory(req, res) {
+    try {
+      const { error, value } = validateTicketTimeline(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const history = await ticketService.getTicketHistory(req.params.id, req.user, value);
+
+      res.json({
+        success: true,
+        ...history
+      });
+    } catch (error) {
+      logger.error('Get ticket history error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Ticket not found',
+          message: 'The requested ticket does not exist'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to retrieve ticket history',
+        message: 'An error occurred while fetching the ticket history'
+      });
+    }
+  }
+
+  /**
+   * Get unified ticket timeline (changes, comments, attachments, ratings)
+   * GET /api/tickets/:id/timeline
+   * Permissions: tickets.view.own or tickets.view.all
+   */
+  async getTicketTimeline(req, res) {
+    try {
+      const { error, value } = validateTicketTimeline(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const timeline = await ticketService.getTicketTimeline(req.params.id, req.user, value);
+
+      res.json({
+        success: true,
+        ...timeline
+      });
+    } catch (error) {
+      logger.error('Get ticket timeline error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Ticket not found',
+          message: 'The requested ticket does not exist'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to retrieve ticket timeline',
+        message: 'An error occurred while fetching the ticket timeline'
+      });
+    }
+  }
+
+  /**
+   * Escalate ticket to a higher support level
+   * PUT /api/tickets/:id/escalate
+   * Permissions: tickets.escalate
+   */
+  async escalateTicket(req, res) {
+    try {
+      const { error, value } = validateTicketEscalate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const { ticket, escalation } = await escalationService.escalateTicket(
+        req.params.id,
+        value,
+        req.user.id,
+        auditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: `Ticket escalated to level ${escalation.level}`,
+        ticket: {
+          id: ticket.id,
+          ticket_number: ticket.ticket_number,
+          status: ticket.status,
+          urgency: ticket.urgency,
+          assigned_to: ticket.assigned_to,
+          escalation_level: ticket.escalation_level,
+          escalated_at: ticket.escalated_at
+        },
+        escalation
+      });
+    } catch (error) {
+      logger.error('Escalate ticket error:', error);
+
+      if (error.message === 'Ticket not found') {
+        return res.status(404).json({
+          error: 'Ticket not found',
+          message: 'The requested ticket does not exist'
+        });
+      }
+
+      if (error.message.includes('Cannot escalate') ||
+          error.message.includes('escalation level') ||
+          error.message.includes('already escalated') ||
+          error.message.includes('Escalation target') ||
+          error.message.includes('active admin users')) {
+        return res.status(400).json({
+          error: 'Escalation failed',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Ticket escalation failed',
+        message: 'An error occurred while escalating the ticket'
+      });
+    }
+  }
+
+  /**
+   * Get escalation history of a ticket
+   * GET /api/tickets/:id/escalations
+   * Permissions: tickets.view.all
+   */
+  async getTicketEscalations(req, res) {
+    try {
+      const escalations = await escalationService.getTicketEscalations(req.params.id);
+
+      res.json({
+        success: true,
+        escalations
+      });
+    } catch (error) {
+      logger.error('Get ticket escalations error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Ticket not found',
+          message: 'The requested ticket does not exist'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to retrieve escalations',
+        message: 'An error occurred while fetching the escalation history'
+      });
+    }
+  }
+
+  /**
+   * Apply one operation to up to 50 tickets
+   * POST /api/tickets/bulk
+   * Permissions: tickets.edit.all (plus the operation's own permission per ticket)
+   */
+  async bulkTicketOperation(req, res) {
+    try {
+      const { error, value } = validateBulkTicketOperation(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const { ticket_ids, operation, ...params } = value;
+
+      const result = await ticketService.bulkOperation(
+        ticket_ids,
+        operation,
+        params,
+        req.user,
+        auditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: `${result.summary.succeeded} of ${result.summary.total} tickets updated`,
+        ...result
+      });
+    } catch (error) {
+      logger.error('Bulk ticket operation error:', error);
+
+      if (error.message.includes('Assignee not found') ||
+          error.message.includes('can only be assigned') ||
+          error.message.includes('inactive users') ||
+          error.message.includes('out of office')) {
+        return res.status(400).json({
+          error: 'Bulk operation failed',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Bulk operation failed',
+        message: 'An error occurred while processing the bulk operation'
+      });
+    }
+  }
+
+  /**
+   * Merge duplicate tickets into this ticket
+   * PUT /api/tickets/:id/merge
+   * Permissions: tickets.merge
+   */
+  async mergeTickets(req, res) {
+    try {
+      const { error, value } = validateTicketMerge(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const result = await ticketMergeService.mergeTickets(
+        req.params.id,
+        value.source_ticket_ids,
+        req.user.id,
+        {
+          reason: value.reason,
+          context: auditService.contextFromRequest(req)
+        }
+      );
+
+      res.json({
+        success: true,
+        message: `${result.merged.length} ticket(s) merged into ${result.target.ticket_number}`,
+        ticket: {
+          id: result.target.id,
+          ticket_number: result.target.ticket_number,
+          status: result.target.status
+        },
+        merged_tickets: result.merged.map(entry => ({
+          id: entry.ticket.id,
+          ticket_number: entry.ticket.ticket_number,
+          status: entry.ticket.status,
+          merged_into_id: entry.ticket.merged_into_id,
+          comments_moved: entry.comments_moved,
+          attachments_moved: entry.attachments_moved
+        })),
+        comments_moved: result.comments_moved,
+        attachments_moved: result.attachments_moved
+      });
+    } catch (error) {
+      logger.error('Merge tickets error:', error);
+
+      if (error.message === 'Ticket not found' || error.message === 'Source ticket not found') {
+        return res.status(404).json({
+          error: 'Ticket not found',
+          message: error.message === 'Ticket not found'
+            ? 'The requested ticket does not exist'
+            : 'One or more source tickets do not exist'
+        });
+      }
+
+      if (error.message.startsWith('Cannot merge')) {
+        return res.status(400).json({
+          error: 'Merge failed',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Ticket merge failed',
+        message: 'An error occurred while merging tickets'
+      });
+    }
+  }
+
+  /**
+   * Follow a ticket, or change which events notify the current user
+   * POST /api/tickets/:id/subscribe
+   * Permissions: ticket access (view)
+   */
+  async subscribeToTicket(req, res) {
+    try {
+      const { error, value } = validateTicketSubscription(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      // Loaded by requireTicketAccess
+      const subscription = await subscriptionService.subscribe(req.ticket, req.user.id, value.events);
+
+      res.json({
+        success: true,
+        message: `Subscribed to ticket ${req.ticket.ticket_number}`,
+        subscription
+      });
+    } catch (error) {
+      logger.error('Subscribe to ticket error:', error);
+      res.status(500).json({
+        error: 'Subscription failed',
+        message: 'An error occurred while subscribing to the ticket'
+      });
+    }
+  }
+
+  /**
+   * Stop following a ticket
+   * DELETE /api/tickets/:id/subscribe
+   * Permissions: ticket access (view)
+   */
+  async unsubscribeFromTicket(req, res) {
+    try {
+      await subscriptionService.unsubscribe(req.ticket, req.user.id);
+
+      res.json({
+        success: true,
+        message: `Unsubscribed from ticket ${req.ticket.ticket_number}`
+      });
+    } catch (error) {
+      logger.error('Unsubscribe from ticket error:', error);
+
+      if (error.message.includes('not found')) {
+        return res.status(404).json({
+          error: 'Subscription not found',
+          message: 'You are not subscribed to this ticket'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Unsubscribe failed',
+        message: 'An error occurred while unsubscribing from the ticket'
+      });
+    }
+  }
+
+  /**
+   * Resolve a ticket in one step
+   * PUT /api/tickets/:id/quick-resolve
+   * Permissions: tickets.resolve
+   */
+  async quickResolveTicket(req, res) {
+    try {
+      const { error, value } = validateTicketQuickAction(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const ticket = await ticketService.quickResolveTicket(
+        req.params.id,
+        value.resolution_notes,
+        req.user.id,
+        auditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: 'Ticket resolved successfully',
+        ticket
+      });
+    } catch (error) {
+      logger.error('Quick resolve ticket error:', error);
+
+      if (error.message === 'Ticket not found') {
+        return res.status(404).json({
+          error: 'Ticket not found',
+          message: 'The requested ticket does not exist'
+        });
+      }
+
+      if (error.message.startsWith('Ticket is already') || error.message.startsWith('Cannot change status')) {
+        return res.status(400).json({
+          error: 'Invalid status transition',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Ticket resolution failed',
+        message: 'An error occurred while resolving the ticket'
+      });
+    }
+  }
+
+  /**
+   * Close a ticket in one step
+   * PUT /api/tickets/:id/quick-close
+   * Permissions: tickets.close
+   */
+  async quickCloseTicket(req, res) {
+    try {
+      const { error, value } = validateTicketQuickAction(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const ticket = await ticketService.quickCloseTicket(
+        req.params.id,
+        value.resolution_notes,
+        req.user.id,
+        auditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: 'Ticket closed successfully',
+        ticket
+      });
+    } catch (error) {
+      logger.error('Quick close ticket error:', error);
+
+      if (error.message === 'Ticket not found') {
+        return res.status(404).json({
+          error: 'Ticket not found',
+          message: 'The requested ticket does not exist'
+        });
+      }
+
+      if (error.message.startsWith('Ticket is already') || error.message.startsWith('Cannot change status')) {
+        return res.status(400).json({
+          error: 'Invalid status transition',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Ticket close failed',
+        message: 'An error occurred while closing the ticket'
+      });
+    }
+  }
+
+  /**
+   * Reopen a resolved or closed ticket within the reopen window
+   * PUT /api/tickets/:id/reopen
+   * Permissions: tickets.reopen (own tickets, or any ticket with tickets.edit.all)
+   */
+  async reopenTicket(req, res) {
+    try {
+      const { error, value } = validateTicketReopen(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const ticket = await Ticket.query().findById(req.params.id);
+      if (!ticket) {
+        return res.status(404).json({
+          error: 'Ticket not found',
+          message: 'The requested ticket does not exist'
+        });
+      }
+
+      if (ticket.user_id !== req.user.id && !req.user.hasPermission('tickets.edit.all')) {
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only reopen your own tickets'
+        });
+      }
+
+      const reopenedTicket = await ticketService.reopenTicket(ticket.id, req.user.id, {
+        reason: value.reason,
+        ignoreWindow: req.user.hasPermission('tickets.reopen.override'),
+        context: auditService.contextFromRequest(req)
+      });
+
+      res.json({
+        success: true,
+        message: 'Ticket reopened successfully',
+        ticket: reopenedTicket
+      });
+    } catch (error) {
+      logger.error('Reopen ticket error:', error);
+
+      if (error.message.startsWith('Cannot reopen') ||
+          error.message.startsWith('Reopen window has expired') ||
+          error.message.startsWith('Cannot change status')) {
+        return res.status(400).json({
+          error: 'Cannot reopen ticket',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Ticket reopen failed',
+        message: 'An error occurred while reopening the ticket'
+      });
+    }
+  }
+
+  /**
+   * Complete the supervisor review of a ticket flagged by a low satisfaction rating
+   * PUT /api/tickets/:id/review
+   * Permissions: tickets.review
+   */
+  async completeTicketReview(req, res) {
+    try {
+      const { error, value } = validateTicketReview(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const ticket = await surveyService.completeReview(
+        req.params.id,
+        req.user.id,
+        value.review_notes,
+        auditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: 'Review completed successfully',
+        ticket
+      });
+    } catch (error) {
+      logger.error('Complete ticket review error:', error);
+
+      if (error.message === 'Ticket not found') {
+        return res.status(404).json({
+          error: 'Ticket not found',
+          message: 'The requested ticket does not exist'
+        });
+      }
+
+      if (error.message === 'Ticket is not flagged for review') {
+        return res.status(400).json({
+          error: 'Review not needed',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Review failed',
+        message: 'An error occurred while completing the review'
+      });
+    }
+  }
+
   // Helper methods
 
   /**
@@ -795,15 +1455,6 @@ class TicketsController {
     return `${prefix}-${year}${month}-${sequence}`;
   }
 
-  /**
-   * Auto-assign ticket based on category rules
-   */
-  async autoAssignTicket(ticket) {
-    // Auto-assignment logic could be implemented here
-    // For now, we'll just log the opportunity
-    logger.info(`Auto-assignment check for ticket ${ticket.ticket_number}, category: ${ticket.category}`);
-  }
-
   /**
    * Get allowed update fields based on user permissions and ticket status
    */
@@ -845,24 +1496,11 @@ class TicketsController {
         ticket_id: ticket.id,
         user_id: user.id,
         content: `Ticket updated: ${changes.join(', ')}`,
-        is_internal: true
+        is_internal: true,
+        metadata: { activity: true }
       });
     }
   }
-
-  /**
-   * Validate status transitions
-   */
-  isValidStatusTransition(currentStatus, newStatus) {
-    const validTransitions = {
-      'open': ['in-progress', 'resolved', 'closed'],
-      'in-progress': ['open', 'resolved', 'closed'],
-      'resolved': ['closed', 'in-progress'], // Can reopen resolved tickets
-      'closed': ['in-progress'] // Can reopen closed tickets (admin only)
-    };
-    
-    return validTransitions[currentStatus]?.includes(newStatus) || false;
-  }
 }
 
 module.exports = new TicketsController();
\ No newline at end of file
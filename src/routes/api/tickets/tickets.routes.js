@@ -18,6 +18,9 @@ const recaptchaService = require('../../../services/recaptchaService');
 const ticketsController = require('./tickets.controller');
 const commentsController = require('./comments.controller');
 const attachmentsController = require('./attachments.controller');
+const templatesController = require('./templates.controller');
+const macrosController = require('./macros.controller');
+const workflowsController = require('./workflows.controller');
 
 // Apply authentication to all routes
 router.use(authenticate);
@@ -54,6 +57,157 @@ router.post('/',
   ticketsController.createTicket
 );
 
+/**
+ * Template Routes (declared before /:id so "templates" is not taken as a ticket ID)
+ */
+
+// GET /api/tickets/templates - Get ticket templates
+router.get('/templates',
+  requirePermission('tickets.templates'),
+  auditUserAction('view_templates'),
+  templatesController.getTicketTemplates
+);
+
+// POST /api/tickets/templates - Create ticket template
+router.post('/templates',
+  requirePermission('tickets.templates.create'),
+  auditUserAction('create_template'),
+  templatesController.createTicketTemplate
+);
+
+// GET /api/tickets/templates/:templateId - Get single ticket template
+router.get('/templates/:templateId',
+  requirePermission('tickets.templates'),
+  auditUserAction('view_template'),
+  templatesController.getTicketTemplate
+);
+
+// PUT /api/tickets/templates/:templateId - Update or restore ticket template
+router.put('/templates/:templateId',
+  requirePermission('tickets.templates.manage'),
+  auditUserAction('update_template'),
+  templatesController.updateTicketTemplate
+);
+
+// DELETE /api/tickets/templates/:templateId - Archive ticket template
+router.delete('/templates/:templateId',
+  requirePermission('tickets.templates.manage'),
+  auditUserAction('archive_template'),
+  templatesController.archiveTicketTemplate
+);
+
+// POST /api/tickets/templates/:templateId/tickets - Create ticket from template
+router.post('/templates/:templateId/tickets',
+  requirePermission('tickets.create'),
+  requirePermission('tickets.templates'),
+  authRateLimit,
+  auditUserAction('create_from_template'),
+  templatesController.createTicketFromTemplate
+);
+
+/**
+ * Comment Macro Routes (declared before /:id so "macros" is not taken as a ticket ID)
+ */
+
+// GET /api/tickets/macros - Get comment macros
+router.get('/macros',
+  requirePermission('tickets.macros'),
+  auditUserAction('view_macros'),
+  macrosController.getMacros
+);
+
+// POST /api/tickets/macros - Create comment macro
+router.post('/macros',
+  requirePermission('tickets.macros.manage'),
+  auditUserAction('create_macro'),
+  macrosController.createMacro
+);
+
+// GET /api/tickets/macros/:macroId - Get single comment macro
+router.get('/macros/:macroId',
+  requirePermission('tickets.macros'),
+  auditUserAction('view_macro'),
+  macrosController.getMacro
+);
+
+// PUT /api/tickets/macros/:macroId - Update or reactivate comment macro
+router.put('/macros/:macroId',
+  requirePermission('tickets.macros.manage'),
+  auditUserAction('update_macro'),
+  macrosController.updateMacro
+);
+
+// DELETE /api/tickets/macros/:macroId - Deactivate comment macro
+router.delete('/macros/:macroId',
+  requirePermission('tickets.macros.manage'),
+  auditUserAction('deactivate_macro'),
+  macrosController.deactivateMacro
+);
+
+/**
+ * Workflow Routes (Super Admin only; declared before /:id so "workflows" is not taken as a ticket ID)
+ */
+
+// GET /api/tickets/workflows - Get ticket workflows
+router.get('/workflows',
+  requireRole('super_admin'),
+  auditUserAction('view_workflows'),
+  workflowsController.getWorkflows
+);
+
+// POST /api/tickets/workflows - Create ticket workflow
+router.post('/workflows',
+  requireRole('super_admin'),
+  auditUserAction('create_workflow'),
+  workflowsController.createWorkflow
+);
+
+// GET /api/tickets/workflows/:workflowId - Get single ticket workflow
+router.get('/workflows/:workflowId',
+  requireRole('super_admin'),
+  auditUserAction('view_workflow'),
+  workflowsController.getWorkflow
+);
+
+// PUT /api/tickets/workflows/:workflowId - Update or reactivate ticket workflow
+router.put('/workflows/:workflowId',
+  requireRole('super_admin'),
+  auditUserAction('update_workflow'),
+  workflowsController.updateWorkflow
+);
+
+// DELETE /api/tickets/workflows/:workflowId - Deactivate ticket workflow
+router.delete('/workflows/:workflowId',
+  requireRole('super_admin'),
+  auditUserAction('deactivate_workflow'),
+  workflowsController.deactivateWorkflow
+);
+
+/**
+ * Attachment Quarantine Routes (Super Admin only; declared before /:id so "attachments" is not taken as a ticket ID)
+ */
+
+// GET /api/tickets/attachments/quarantine - Get quarantined attachments
+router.get('/attachments/quarantine',
+  requireRole('super_admin'),
+  auditUserAction('view_quarantine'),
+  attachmentsController.getQuarantine
+);
+
+// POST /api/tickets/attachments/quarantine/:attachmentId/release - Release a false positive
+router.post('/attachments/quarantine/:attachmentId/release',
+  requireRole('super_admin'),
+  auditUserAction('release_quarantined_attachment'),
+  attachmentsController.releaseQuarantined
+);
+
+// DELETE /api/tickets/attachments/quarantine/:attachmentId - Permanently delete a quarantined attachment
+router.delete('/attachments/quarantine/:attachmentId',
+  requireRole('super_admin'),
+  auditUserAction('purge_quarantined_attachment'),
+  attachmentsController.purgeQuarantined
+);
+
 // GET /api/tickets/:id - Get single ticket
 router.get('/:id',
   requireTicketAccess('view'),
@@ -171,6 +325,33 @@ router.get('/:ticketId/attachments/:attachmentId',
   attachmentsController.downloadAttachment
 );
 
+// GET /api/tickets/:ticketId/attachments/:attachmentId/thumbnail - Get image thumbnail or preview
+router.get('/:ticketId/attachments/:attachmentId/thumbnail',
+  requireTicketAccess('view'),
+  attachmentsController.getThumbnail
+);
+
+// GET /api/tickets/:ticketId/attachments/:attachmentId/metadata - Get extracted metadata and annotations
+router.get('/:ticketId/attachments/:attachmentId/metadata',
+  requireTicketAccess('view'),
+  auditUserAction('view_attachment_metadata'),
+  attachmentsController.getAttachmentMetadata
+);
+
+// PUT /api/tickets/:ticketId/attachments/:attachmentId/metadata - Annotate attachment
+router.put('/:ticketId/attachments/:attachmentId/metadata',
+  requireTicketAccess('view'),
+  auditUserAction('annotate_attachment'),
+  attachmentsController.updateAttachmentMetadata
+);
+
+// POST /api/tickets/:ticketId/attachments/:attachmentId/scan - Queue a virus scan
+router.post('/:ticketId/attachments/:attachmentId/scan',
+  requirePermission('tickets.edit.all'),
+  auditUserAction('scan_attachment'),
+  attachmentsController.scanAttachment
+);
+
 // DELETE /api/tickets/:ticketId/attachments/:attachmentId - Delete attachment
 router.delete('/:ticketId/attachments/:attachmentId',
   auditUserAction('delete_attachment'),
@@ -188,6 +369,13 @@ router.put('/:id/escalate',
   ticketsController.escalateTicket
 );
 
+// GET /api/tickets/:id/escalations - Get escalation history
+router.get('/:id/escalations',
+  requirePermission('tickets.view.all'),
+  auditUserAction('view_escalations'),
+  ticketsController.getTicketEscalations
+);
+
 // PUT /api/tickets/:id/merge - Merge tickets
 router.put('/:id/merge',
   requirePermission('tickets.merge'),
@@ -202,48 +390,6 @@ router.post('/bulk',
   ticketsController.bulkTicketOperation
 );
 
-/**
- * Search and Export Routes
- */
-
-// GET /api/tickets/search - Advanced search
-router.get('/search',
-  auditUserAction('search'),
-  ticketsController.searchTickets
-);
-
-// POST /api/tickets/export - Export tickets
-router.post('/export',
-  requirePermission('tickets.export'),
-  auditUserAction('export'),
-  ticketsController.exportTickets
-);
-
-/**
- * Reporting Routes
- */
-
-// GET /api/tickets/reports/summary - Get summary report
-router.get('/reports/summary',
-  requirePermission('analytics.view'),
-  auditUserAction('view_summary_report'),
-  ticketsController.getSummaryReport
-);
-
-// GET /api/tickets/reports/resolution-time - Get resolution time report
-router.get('/reports/resolution-time',
-  requirePermission('analytics.view'),
-  auditUserAction('view_resolution_report'),
-  ticketsController.getResolutionTimeReport
-);
-
-// GET /api/tickets/reports/satisfaction - Get satisfaction report
-router.get('/reports/satisfaction',
-  requirePermission('analytics.view'),
-  auditUserAction('view_satisfaction_report'),
-  ticketsController.getSatisfactionReport
-);
-
 /**
  * Notification and Subscription Routes
  */
@@ -305,32 +451,11 @@ router.put('/:id/reopen',
   ticketsController.reopenTicket
 );
 
-/**
- * Template and Auto-response Routes
- */
-
-// GET /api/tickets/templates - Get ticket templates
-router.get('/templates',
-  requirePermission('tickets.templates'),
-  auditUserAction('view_templates'),
-  ticketsController.getTicketTemplates
-);
-
-// POST /api/tickets/templates - Create ticket template
-router.post('/templates',
-  requirePermission('tickets.templates.create'),
-  auditUserAction('create_template'),
-  ticketsController.createTicketTemplate
-);
-
-/**
- * Health and Status Routes
- */
-
-// GET /api/tickets/health - Check ticket system health
-router.get('/health',
-  requirePermission('system.health'),
-  ticketsController.getSystemHealth
+// PUT /api/tickets/:id/review - Complete supervisor review after a low satisfaction rating
+router.put('/:id/review',
+  requirePermission('tickets.review'),
+  auditUserAction('complete_review'),
+  ticketsController.completeTicketReview
 );
 
 /**
@@ -1,6 +1,20 @@
 // src/routes/api/tickets/tickets.validation.js - TPG Ticket Management Validation
 const Joi = require('joi');
 
+/**
+ * Structured metadata accepted on new tickets (and as template defaults)
+ */
+const ticketMetadataSchema = Joi.object({
+  browser_info: Joi.string().max(500),
+  screen_resolution: Joi.string().max(50),
+  additional_context: Joi.string().max(1000),
+  affected_urls: Joi.array().items(Joi.string().uri()).max(10),
+  error_messages: Joi.array().items(Joi.string().max(500)).max(5),
+  steps_to_reproduce: Joi.array().items(Joi.string().max(200)).max(10),
+  expected_behavior: Joi.string().max(1000),
+  actual_behavior: Joi.string().max(1000)
+});
+
 /**
  * Validation schema for ticket creation
  */
@@ -51,16 +65,7 @@ const validateTicketCreate = (data) => {
         'any.only': 'Urgency must be one of: low, medium, high, critical'
       }),
 
-    metadata: Joi.object({
-      browser_info: Joi.string().max(500),
-      screen_resolution: Joi.string().max(50),
-      additional_context: Joi.string().max(1000),
-      affected_urls: Joi.array().items(Joi.string().uri()).max(10),
-      error_messages: Joi.array().items(Joi.string().max(500)).max(5),
-      steps_to_reproduce: Joi.array().items(Joi.string().max(200)).max(10),
-      expected_behavior: Joi.string().max(1000),
-      actual_behavior: Joi.string().max(1000)
-    }).default({})
+    metadata: ticketMetadataSchema.default({})
   });
 
   return schema.validate(data, { abortEarly: false, stripUnknown: true });
@@ -110,9 +115,9 @@ const validateTicketUpdate = (data) => {
       }),
 
     status: Joi.string()
-      .valid('open', 'in-progress', 'resolved', 'closed')
+      .valid('open', 'in-progress', 'pending-customer', 'resolved', 'closed')
       .messages({
-        'any.only': 'Status must be one of: open, in-progress, resolved, closed'
+        'any.only': 'Status must be one of: open, in-progress, pending-customer, resolved, closed'
       }),
 
     assigned_to: Joi.string()
@@ -212,24 +217,26 @@ const validateTicketAssign = (data) => {
 const validateTicketStatusUpdate = (data) => {
   const schema = Joi.object({
     status: Joi.string()
-      .valid('open', 'in-progress', 'resolved', 'closed')
+      .valid('open', 'in-progress', 'pending-customer', 'resolved', 'closed')
       .required()
       .messages({
-        'any.only': 'Status must be one of: open, in-progress, resolved, closed',
+        'any.only': 'Status must be one of: open, in-progress, pending-customer, resolved, closed',
         'any.required': 'Status is required'
       }),
 
+    // Whether notes are required is up to the ticket's workflow
     resolution_notes: Joi.string()
       .trim()
       .max(2000)
-      .when('status', {
-        is: 'resolved',
-        then: Joi.required(),
-        otherwise: Joi.optional()
-      })
       .messages({
-        'string.max': 'Resolution notes cannot exceed 2000 characters',
-        'any.required': 'Resolution notes are required when resolving a ticket'
+        'string.max': 'Resolution notes cannot exceed 2000 characters'
+      }),
+
+    reason: Joi.string()
+      .trim()
+      .max(500)
+      .messages({
+        'string.max': 'Reason cannot exceed 500 characters'
       }),
 
     satisfaction_rating: Joi.number()
@@ -279,6 +286,66 @@ const validateTicketStatusUpdate = (data) => {
   return schema.validate(data, { abortEarly: false, stripUnknown: true });
 };
 
+/**
+ * Validation schema for quick-resolve and quick-close
+ */
+const validateTicketQuickAction = (data) => {
+  const schema = Joi.object({
+    resolution_notes: Joi.string()
+      .trim()
+      .min(10)
+      .max(2000)
+      .required()
+      .messages({
+        'string.min': 'Resolution notes must be at least 10 characters long',
+        'string.max': 'Resolution notes cannot exceed 2000 characters',
+        'any.required': 'Resolution notes are required'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for reopening a ticket
+ */
+const validateTicketReopen = (data) => {
+  const schema = Joi.object({
+    reason: Joi.string()
+      .trim()
+      .min(10)
+      .max(500)
+      .required()
+      .messages({
+        'string.min': 'Reopen reason must be at least 10 characters long',
+        'string.max': 'Reopen reason cannot exceed 500 characters',
+        'any.required': 'Please explain why the ticket is being reopened'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for completing a supervisor review
+ */
+const validateTicketReview = (data) => {
+  const schema = Joi.object({
+    review_notes: Joi.string()
+      .trim()
+      .min(10)
+      .max(2000)
+      .required()
+      .messages({
+        'string.min': 'Review notes must be at least 10 characters long',
+        'string.max': 'Review notes cannot exceed 2000 characters',
+        'any.required': 'Review notes are required'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
 /**
  * Validation schema for ticket search and filtering
  */
@@ -314,10 +381,10 @@ const validateTicketSearch = (data) => {
       }),
 
     status: Joi.alternatives().try(
-      Joi.string().valid('open', 'in-progress', 'resolved', 'closed'),
-      Joi.array().items(Joi.string().valid('open', 'in-progress', 'resolved', 'closed')).max(4)
+      Joi.string().valid('open', 'in-progress', 'pending-customer', 'resolved', 'closed'),
+      Joi.array().items(Joi.string().valid('open', 'in-progress', 'pending-customer', 'resolved', 'closed')).max(5)
     ).messages({
-      'any.only': 'Status must be one of: open, in-progress, resolved, closed',
+      'any.only': 'Status must be one of: open, in-progress, pending-customer, resolved, closed',
       'array.max': 'Cannot filter by more than 4 statuses'
     }),
 
@@ -496,6 +563,108 @@ const validateBulkTicketOperation = (data) => {
   return schema.validate(data, { abortEarly: false, stripUnknown: true });
 };
 
+/**
+ * Validation schema for ticket escalation
+ */
+const validateTicketEscalate = (data) => {
+  const schema = Joi.object({
+    reason: Joi.string()
+      .trim()
+      .min(5)
+      .max(2000)
+      .required()
+      .messages({
+        'string.min': 'Escalation reason must be at least 5 characters long',
+        'string.max': 'Escalation reason cannot exceed 2000 characters',
+        'any.required': 'Escalation reason is required'
+      }),
+
+    level: Joi.number()
+      .integer()
+      .min(1)
+      .max(3)
+      .messages({
+        'number.min': 'Escalation level must be between 1 and 3',
+        'number.max': 'Escalation level must be between 1 and 3',
+        'number.integer': 'Escalation level must be an integer'
+      }),
+
+    escalated_to: Joi.string()
+      .uuid()
+      .allow(null)
+      .messages({
+        'string.guid': 'Escalated to must be a valid user ID'
+      }),
+
+    tier: Joi.string()
+      .valid('team_lead', 'supervisor', 'management')
+      .messages({
+        'any.only': 'Tier must be one of: team_lead, supervisor, management'
+      }),
+
+    raise_urgency: Joi.boolean()
+      .default(false)
+      .messages({
+        'boolean.base': 'Raise urgency must be a boolean value'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for merging tickets into a target ticket
+ */
+const validateTicketMerge = (data) => {
+  const schema = Joi.object({
+    source_ticket_ids: Joi.array()
+      .items(Joi.string().uuid())
+      .min(1)
+      .max(20)
+      .unique()
+      .required()
+      .messages({
+        'array.min': 'At least one source ticket is required',
+        'array.max': 'Cannot merge more than 20 tickets at once',
+        'array.unique': 'Duplicate source ticket IDs are not allowed',
+        'string.guid': 'Source ticket IDs must be valid UUIDs',
+        'any.required': 'Source ticket IDs are required'
+      }),
+
+    reason: Joi.string()
+      .trim()
+      .max(500)
+      .allow('')
+      .messages({
+        'string.max': 'Reason cannot exceed 500 characters'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for ticket subscriptions
+ */
+const validateTicketSubscription = (data) => {
+  const events = ['comments', 'status', 'assignment', 'attachments'];
+
+  const schema = Joi.object({
+    events: Joi.array()
+      .items(Joi.string().valid(...events))
+      .min(1)
+      .unique()
+      .default(events)
+      .messages({
+        'array.min': 'Select at least one event, or unsubscribe instead',
+        'array.unique': 'Duplicate events are not allowed',
+        'any.only': `Events must be one or more of: ${events.join(', ')}`
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
 /**
  * Validation schema for ticket statistics requests
  */
@@ -551,12 +720,89 @@ const validateTicketStats = (data) => {
   return schema.validate(data, { abortEarly: false, stripUnknown: true });
 };
 
+/**
+ * Validation schema for ticket history and timeline requests
+ */
+const validateTicketTimeline = (data) => {
+  const eventTypes = [
+    'ticket_created',
+    'status_changed',
+    'assignment_changed',
+    'fields_updated',
+    'comment_added',
+    'attachment_added',
+    'attachment_removed',
+    'satisfaction_rated',
+    'ticket_escalated',
+    'ticket_merged',
+    'ticket_deleted',
+    'review_flagged',
+    'review_completed',
+    'sla_paused',
+    'sla_resumed'
+  ];
+
+  const schema = Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.min': 'Page must be at least 1',
+        'number.integer': 'Page must be an integer'
+      }),
+
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(200)
+      .default(50)
+      .messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 200',
+        'number.integer': 'Limit must be an integer'
+      }),
+
+    order: Joi.string()
+      .valid('asc', 'desc')
+      .default('asc')
+      .messages({
+        'any.only': 'Order must be either asc or desc'
+      }),
+
+    types: Joi.alternatives()
+      .try(
+        Joi.array().items(Joi.string().valid(...eventTypes)).min(1),
+        Joi.string().valid(...eventTypes)
+      )
+      .messages({
+        'alternatives.match': `Types must be one or more of: ${eventTypes.join(', ')}`
+      })
+  });
+
+  const result = schema.validate(data, { abortEarly: false, stripUnknown: true });
+
+  if (!result.error && typeof result.value.types === 'string') {
+    result.value.types = [result.value.types];
+  }
+
+  return result;
+};
+
 module.exports = {
+  ticketMetadataSchema,
   validateTicketCreate,
   validateTicketUpdate,
   validateTicketAssign,
   validateTicketStatusUpdate,
+  validateTicketQuickAction,
+  validateTicketReopen,
+  validateTicketReview,
   validateTicketSearch,
   validateBulkTicketOperation,
-  validateTicketStats
+  validateTicketEscalate,
+  validateTicketMerge,
+  validateTicketSubscription,
+  validateTicketStats,
+  validateTicketTimeline
 };
\ No newline at end of file
@@ -0,0 +1,192 @@
+// src/routes/api/tickets/workflows.controller.js - TPG Ticket Workflows Controller
+const auditService = require('../../../services/auditService');
+const workflowService = require('../../../services/workflowService');
+const logger = require('../../../config/logger');
+const {
+  validateWorkflowCreate,
+  validateWorkflowUpdate,
+  validateWorkflowList
+} = require('./workflows.validation');
+
+// Service errors that are the caller's fault rather than ours
+const WORKFLOW_CLIENT_ERRORS = [
+  'Inactive workflows cannot be edited',
+  'Workflow is already inactive',
+  'Invalid workflow'
+];
+
+class WorkflowsController {
+  /**
+   * Get ticket workflows
+   * GET /api/tickets/workflows
+   * Permissions: super_admin
+   */
+  async getWorkflows(req, res) {
+    try {
+      const { error, value } = validateWorkflowList(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const workflows = await workflowService.listWorkflows(value);
+
+      res.json({
+        success: true,
+        workflows
+      });
+    } catch (error) {
+      logger.error('Get ticket workflows error:', error);
+      res.status(500).json({
+        error: 'Failed to fetch workflows',
+        message: 'An error occurred while fetching ticket workflows'
+      });
+    }
+  }
+
+  /**
+   * Get a single ticket workflow
+   * GET /api/tickets/workflows/:workflowId
+   * Permissions: super_admin
+   */
+  async getWorkflow(req, res) {
+    try {
+      const workflow = await workflowService.getWorkflow(req.params.workflowId);
+
+      res.json({
+        success: true,
+        workflow
+      });
+    } catch (error) {
+      logger.error('Get ticket workflow error:', error);
+      return sendWorkflowError(res, error, 'Failed to fetch workflow');
+    }
+  }
+
+  /**
+   * Create a ticket workflow for a category, or the default workflow
+   * POST /api/tickets/workflows
+   * Permissions: super_admin
+   */
+  async createWorkflow(req, res) {
+    try {
+      const { error, value } = validateWorkflowCreate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const workflow = await workflowService.createWorkflow(
+        value,
+        req.user.id,
+        auditService.contextFromRequest(req)
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Workflow created successfully',
+        workflow
+      });
+    } catch (error) {
+      logger.error('Create ticket workflow error:', error);
+      return sendWorkflowError(res, error, 'Workflow creation failed');
+    }
+  }
+
+  /**
+   * Update a ticket workflow, or reactivate one with is_active: true
+   * PUT /api/tickets/workflows/:workflowId
+   * Permissions: super_admin
+   */
+  async updateWorkflow(req, res) {
+    try {
+      const { error, value } = validateWorkflowUpdate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const workflow = await workflowService.updateWorkflow(
+        req.params.workflowId,
+        value,
+        req.user.id,
+        auditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: value.is_active === true ? 'Workflow reactivated successfully' : 'Workflow updated successfully',
+        workflow
+      });
+    } catch (error) {
+      logger.error('Update ticket workflow error:', error);
+      return sendWorkflowError(res, error, 'Workflow update failed');
+    }
+  }
+
+  /**
+   * Deactivate a ticket workflow; its category falls back to the default
+   * DELETE /api/tickets/workflows/:workflowId
+   * Permissions: super_admin
+   */
+  async deactivateWorkflow(req, res) {
+    try {
+      const workflow = await workflowService.deactivateWorkflow(
+        req.params.workflowId,
+        req.user.id,
+        auditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: 'Workflow deactivated successfully',
+        workflow
+      });
+    } catch (error) {
+      logger.error('Deactivate ticket workflow error:', error);
+      return sendWorkflowError(res, error, 'Workflow deactivation failed');
+    }
+  }
+}
+
+/**
+ * Map workflow service errors onto HTTP responses
+ */
+function sendWorkflowError(res, error, fallback) {
+  if (error.message === 'Workflow not found') {
+    return res.status(404).json({
+      error: 'Workflow not found',
+      message: 'The requested workflow does not exist'
+    });
+  }
+
+  if (error.message === 'An active workflow already exists for this category') {
+    return res.status(409).json({
+      error: 'Workflow exists',
+      message: error.message
+    });
+  }
+
+  if (WORKFLOW_CLIENT_ERRORS.some(message => error.message.startsWith(message))) {
+    return res.status(400).json({
+      error: fallback,
+      message: error.message
+    });
+  }
+
+  return res.status(500).json({
+    error: fallback,
+    message: 'An error occurred while processing the workflow'
+  });
+}
+
+module.exports = new WorkflowsController();
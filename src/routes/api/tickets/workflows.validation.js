@@ -0,0 +1,170 @@
+// src/routes/api/tickets/workflows.validation.js - TPG Ticket Workflow Validation
+const Joi = require('joi');
+
+const CATEGORIES = [
+  'cpd-points',
+  'license-management',
+  'performance-issues',
+  'payment-gateway',
+  'user-interface',
+  'data-inconsistencies',
+  'system-errors'
+];
+
+const STATUSES = ['open', 'in-progress', 'pending-customer', 'resolved', 'closed'];
+const ROLES = ['user', 'admin', 'super_admin'];
+const TRANSITION_FIELDS = ['resolution_notes', 'reason', 'satisfaction_rating', 'assigned_to'];
+
+const statusesSchema = Joi.array()
+  .items(Joi.string().valid(...STATUSES))
+  .min(1)
+  .unique()
+  .messages({
+    'any.only': `Workflow statuses must be among: ${STATUSES.join(', ')}`,
+    'array.min': 'A workflow needs at least one status',
+    'array.unique': 'Workflow statuses must not repeat'
+  });
+
+const transitionsSchema = Joi.array()
+  .items(Joi.object({
+    from: Joi.string()
+      .valid(...STATUSES)
+      .required()
+      .messages({
+        'any.only': `Transition statuses must be among: ${STATUSES.join(', ')}`,
+        'any.required': 'Each transition needs a from status'
+      }),
+
+    to: Joi.string()
+      .valid(...STATUSES)
+      .required()
+      .messages({
+        'any.only': `Transition statuses must be among: ${STATUSES.join(', ')}`,
+        'any.required': 'Each transition needs a to status'
+      }),
+
+    roles: Joi.array()
+      .items(Joi.string().valid(...ROLES))
+      .min(1)
+      .unique()
+      .required()
+      .messages({
+        'any.only': `Transition roles must be among: ${ROLES.join(', ')}`,
+        'array.min': 'Each transition needs at least one role',
+        'any.required': 'Each transition needs the roles allowed to perform it'
+      }),
+
+    required_fields: Joi.array()
+      .items(Joi.string().valid(...TRANSITION_FIELDS))
+      .unique()
+      .default([])
+      .messages({
+        'any.only': `Required fields must be among: ${TRANSITION_FIELDS.join(', ')}`
+      })
+  }))
+  .max(50)
+  .messages({
+    'array.max': 'A workflow cannot have more than 50 transitions'
+  });
+
+/**
+ * Validation schema for workflow creation
+ */
+const validateWorkflowCreate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(3)
+      .max(150)
+      .required()
+      .messages({
+        'string.min': 'Workflow name must be at least 3 characters long',
+        'string.max': 'Workflow name cannot exceed 150 characters',
+        'any.required': 'Workflow name is required'
+      }),
+
+    description: Joi.string()
+      .trim()
+      .max(1000)
+      .allow('', null),
+
+    // null makes it the default workflow for every category without one
+    category: Joi.string()
+      .valid(...CATEGORIES)
+      .allow(null)
+      .default(null)
+      .messages({
+        'any.only': 'Please select a valid category'
+      }),
+
+    statuses: statusesSchema.required().messages({
+      'any.required': 'Workflow statuses are required'
+    }),
+
+    transitions: transitionsSchema.required().messages({
+      'any.required': 'Workflow transitions are required'
+    })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for workflow updates
+ */
+const validateWorkflowUpdate = (data) => {
+  const schema = Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(3)
+      .max(150)
+      .messages({
+        'string.min': 'Workflow name must be at least 3 characters long',
+        'string.max': 'Workflow name cannot exceed 150 characters'
+      }),
+
+    description: Joi.string()
+      .trim()
+      .max(1000)
+      .allow('', null),
+
+    statuses: statusesSchema,
+
+    transitions: transitionsSchema,
+
+    // Only reactivating is allowed here; deactivating goes through DELETE
+    is_active: Joi.boolean()
+      .valid(true)
+      .messages({
+        'any.only': 'Use DELETE to deactivate a workflow'
+      })
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for workflow listing
+ */
+const validateWorkflowList = (data) => {
+  const schema = Joi.object({
+    category: Joi.string()
+      .valid(...CATEGORIES)
+      .messages({
+        'any.only': 'Invalid category specified'
+      }),
+
+    include_inactive: Joi.boolean()
+      .default(false)
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+module.exports = {
+  validateWorkflowCreate,
+  validateWorkflowUpdate,
+  validateWorkflowList
+};
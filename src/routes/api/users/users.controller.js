@@ -1,8 +1,18 @@
 // src/routes/api/users/users.controller.js - TPG User Management Controller
 const User = require('../../../models/User');
 const authService = require('../../../services/authService');
+const auditService = require('../../../services/auditService');
+const subscriptionService = require('../../../services/subscriptionService');
+const assignmentService = require('../../../services/assignmentService');
 const logger = require('../../../config/logger');
-const { validateUserCreate, validateUserUpdate, validateUserRoleUpdate } = require('./users.validation');
+const {
+  validateUserCreate,
+  validateUserUpdate,
+  validateUserRoleUpdate,
+  validateSubscriptionList,
+  validateAgentList,
+  validateAgentProfileUpdate
+} = require('./users.validation');
 
 class UsersController {
   /**
@@ -238,6 +248,8 @@ class UsersController {
         address
       });
 
+      await auditService.recordCreate('user', user, auditService.contextFromRequest(req));
+
       // Generate email verification token
       const verificationToken = await user.generateEmailVerificationToken();
 
@@ -402,9 +414,19 @@ class UsersController {
         });
       }
 
-      // Update user
+      // Update user (patchAndFetch also mutates `user`, so keep the old values)
+      const before = user.toJSON();
       const updatedUser = await user.$query().patchAndFetch(updates);
 
+      await auditService.recordUpdate('user', before, updatedUser, auditService.contextFromRequest(req), {
+        fields: Object.keys(updates)
+      });
+
+      // Suspending or locking through a profile edit also ends all sessions
+      if (updates.status && updates.status !== before.status && ['suspended', 'locked'].includes(updates.status)) {
+        await authService.revokeUserSessions(user.id, `user_${updates.status}`);
+      }
+
       // Log the update
       logger.security.logDataAccess(
         requestingUser.id,
@@ -481,12 +503,18 @@ class UsersController {
       }
 
       const oldRole = user.role;
+      const before = user.toJSON();
       
       // Update role
       const updatedUser = await user.$query().patchAndFetch({
         role: value.role
       });
 
+      await auditService.recordUpdate('user', before, updatedUser, auditService.contextFromRequest(req), {
+        action: 'role_change',
+        fields: ['role']
+      });
+
       // Log role change
       logger.security.logAdminAction(
         req.user.id,
@@ -554,10 +582,19 @@ class UsersController {
       }
 
       // Update user status to suspended
+      const before = user.toJSON();
       const updatedUser = await user.$query().patchAndFetch({
         status: 'suspended'
       });
 
+      await auditService.recordUpdate('user', before, updatedUser, auditService.contextFromRequest(req), {
+        action: 'deactivate',
+        fields: ['status']
+      });
+
+      // End all sessions so the suspension takes effect immediately
+      await authService.revokeUserSessions(user.id, 'user_suspended');
+
       // Log admin action
       logger.security.logAdminAction(
         req.user.id,
@@ -611,12 +648,18 @@ class UsersController {
       }
 
       // Reactivate user
+      const before = user.toJSON();
       const updatedUser = await user.$query().patchAndFetch({
         status: 'active',
         locked_until: null,
         failed_login_attempts: 0
       });
 
+      await auditService.recordUpdate('user', before, updatedUser, auditService.contextFromRequest(req), {
+        action: 'reactivate',
+        fields: ['status', 'locked_until', 'failed_login_attempts']
+      });
+
       // Log admin action
       logger.security.logAdminAction(
         req.user.id,
@@ -643,6 +686,93 @@ class UsersController {
     }
   }
 
+  /**
+   * List a user's active sessions (Admin only)
+   * GET /api/users/:id/sessions
+   * Permissions: users.view (admin+)
+   */
+  async getUserSessions(req, res) {
+    try {
+      const { id } = req.params;
+
+      const user = await User.query().findById(id);
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'The requested user does not exist'
+        });
+      }
+
+      const sessions = await authService.listSessions(user.id);
+
+      res.json({
+        success: true,
+        user_id: user.id,
+        sessions
+      });
+    } catch (error) {
+      logger.error('Get user sessions error:', error);
+      res.status(500).json({
+        error: 'Session retrieval failed',
+        message: 'An error occurred while retrieving user sessions'
+      });
+    }
+  }
+
+  /**
+   * Force-logout every session of a user (Admin only)
+   * DELETE /api/users/:id/sessions
+   * Permissions: users.edit (admin+)
+   */
+  async forceLogoutUser(req, res) {
+    try {
+      const { id } = req.params;
+      const { reason = 'Administrative action' } = req.body;
+
+      const user = await User.query().findById(id);
+      if (!user) {
+        return res.status(404).json({
+          error: 'User not found',
+          message: 'The requested user does not exist'
+        });
+      }
+
+      // Only super admins may sign out other super admins
+      if (user.role === 'super_admin' && req.user.role !== 'super_admin') {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          message: 'Only super administrators can sign out other super administrators'
+        });
+      }
+
+      const result = await authService.revokeUserSessions(user.id, 'admin_force_logout');
+
+      logger.security.logAdminAction(
+        req.user.id,
+        'user_force_logout',
+        user.id,
+        {
+          user_email: user.email,
+          sessions_ended: result.sessions,
+          reason
+        },
+        req.ip
+      );
+
+      res.json({
+        success: true,
+        message: 'All user sessions have been signed out',
+        sessions_ended: result.sessions
+      });
+    } catch (error) {
+      logger.error('Force logout error:', error);
+      res.status(500).json({
+        error: 'Force logout failed',
+        message: 'An error occurred while signing out the user'
+      });
+    }
+  }
+
   /**
    * Get pending users for approval (Admin only)
    * GET /api/users/pending
@@ -703,10 +833,16 @@ class UsersController {
       }
 
       // Approve user
+      const before = user.toJSON();
       const updatedUser = await user.$query().patchAndFetch({
         status: 'active'
       });
 
+      await auditService.recordUpdate('user', before, updatedUser, auditService.contextFromRequest(req), {
+        action: 'approve',
+        fields: ['status']
+      });
+
       // Log admin action
       logger.security.logAdminAction(
         req.user.id,
@@ -825,6 +961,182 @@ class UsersController {
       });
     }
   }
+
+  /**
+   * List tickets the current user follows
+   * GET /api/users/me/subscriptions
+   * Permissions: authenticated
+   */
+  async getMySubscriptions(req, res) {
+    try {
+      const { error, value } = validateSubscriptionList(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const result = await subscriptionService.getUserSubscriptions(req.user.id, value);
+
+      res.json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      logger.error('Get subscriptions error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve subscriptions',
+        message: 'An error occurred while fetching your ticket subscriptions'
+      });
+    }
+  }
+
+  /**
+   * List agents with their skills, capacity, availability and open workload
+   * GET /api/users/agents
+   * Permissions: users.view (admin+)
+   */
+  async getAgents(req, res) {
+    try {
+      const { error, value } = validateAgentList(req.query);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const agents = await assignmentService.listAgents(value);
+
+      res.json({
+        success: true,
+        agents
+      });
+    } catch (error) {
+      logger.error('Get agents error:', error);
+      res.status(500).json({
+        error: 'Failed to retrieve agents',
+        message: 'An error occurred while fetching agents'
+      });
+    }
+  }
+
+  /**
+   * Get an agent's profile and workload
+   * GET /api/users/:id/agent-profile
+   * Permissions: users.view (admin+)
+   */
+  async getAgentProfile(req, res) {
+    try {
+      const agent = await assignmentService.getAgent(req.params.id);
+
+      res.json({
+        success: true,
+        agent
+      });
+    } catch (error) {
+      logger.error('Get agent profile error:', error);
+
+      if (error.message === 'Agent not found') {
+        return res.status(404).json({
+          error: 'Agent not found',
+          message: 'The requested user is not an agent'
+        });
+      }
+
+      res.status(500).json({
+        error: 'Failed to retrieve agent profile',
+        message: 'An error occurred while fetching the agent profile'
+      });
+    }
+  }
+
+  /**
+   * Update an agent's profile. Agents may set their own availability and
+   * out-of-office dates; skills and capacity need users.edit.
+   * PUT /api/users/:id/agent-profile
+   * Permissions: own profile (availability only) or users.edit (super_admin)
+   */
+  async updateAgentProfile(req, res) {
+    try {
+      const { id } = req.params;
+      const requestingUser = req.user;
+
+      const { error, value } = validateAgentProfileUpdate(req.body);
+      if (error) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.details[0].message,
+          details: error.details
+        });
+      }
+
+      const isOwnProfile = requestingUser.id === id;
+      const canEditOthers = requestingUser.hasPermission('users.edit');
+
+      if (!isOwnProfile && !canEditOthers) {
+        logger.security.logPermissionDenied(
+          requestingUser.id,
+          'users.edit',
+          `agent_profile_${id}`,
+          req.ip,
+          req.get('User-Agent')
+        );
+
+        return res.status(403).json({
+          error: 'Access denied',
+          message: 'You can only edit your own agent profile'
+        });
+      }
+
+      if (!canEditOthers) {
+        const restricted = ['skills', 'max_open_tickets'].filter(field => value[field] !== undefined);
+        if (restricted.length > 0) {
+          return res.status(403).json({
+            error: 'Access denied',
+            message: `You cannot change your own ${restricted.join(' or ')}`
+          });
+        }
+      }
+
+      const agent = await assignmentService.updateAgentProfile(
+        id,
+        value,
+        requestingUser.id,
+        auditService.contextFromRequest(req)
+      );
+
+      res.json({
+        success: true,
+        message: 'Agent profile updated successfully',
+        agent
+      });
+    } catch (error) {
+      logger.error('Update agent profile error:', error);
+
+      if (error.message === 'Agent not found') {
+        return res.status(404).json({
+          error: 'Agent not found',
+          message: 'The requested user is not an agent'
+        });
+      }
+
+      if (error.message.startsWith('Out-of-office')) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          message: error.message
+        });
+      }
+
+      res.status(500).json({
+        error: 'Agent profile update failed',
+        message: 'An error occurred while updating the agent profile'
+      });
+    }
+  }
 }
 
 module.exports = new UsersController();
\ No newline at end of file
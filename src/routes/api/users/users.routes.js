@@ -47,6 +47,23 @@ router.get('/search',
   usersController.searchUsers
 );
 
+// GET /api/users/agents - List agents with skills, capacity and workload (Admin+)
+router.get('/agents',
+  requirePermission('users.view'),
+  auditUserAction('list_agents'),
+  usersController.getAgents
+);
+
+/**
+ * Current user routes
+ */
+
+// GET /api/users/me/subscriptions - List tickets the current user follows
+router.get('/me/subscriptions',
+  auditUserAction('list_subscriptions'),
+  usersController.getMySubscriptions
+);
+
 /**
  * Individual user routes
  */
@@ -113,6 +130,42 @@ router.put('/:id/reactivate',
   usersController.reactivateUser
 );
 
+/**
+ * Agent profile routes (Admin+)
+ */
+
+// GET /api/users/:id/agent-profile - Get an agent's profile and workload (Admin+)
+router.get('/:id/agent-profile',
+  requirePermission('users.view'),
+  auditUserAction('view_agent_profile'),
+  usersController.getAgentProfile
+);
+
+// PUT /api/users/:id/agent-profile - Update skills, capacity or availability (own availability, or Super Admin)
+router.put('/:id/agent-profile',
+  requireRole('admin', 'super_admin'),
+  auditUserAction('update_agent_profile'),
+  usersController.updateAgentProfile
+);
+
+/**
+ * Session management routes (Admin+)
+ */
+
+// GET /api/users/:id/sessions - List a user's active sessions (Admin+)
+router.get('/:id/sessions',
+  requirePermission('users.view'),
+  auditUserAction('view_sessions'),
+  usersController.getUserSessions
+);
+
+// DELETE /api/users/:id/sessions - Force-logout every session of a user (Admin+)
+router.delete('/:id/sessions',
+  requirePermission('users.edit'),
+  auditUserAction('force_logout'),
+  usersController.forceLogoutUser
+);
+
 /**
  * Bulk operations routes (Future enhancement)
  */
@@ -372,6 +372,114 @@ const validateUserList = (data) => {
   return schema.validate(data, { abortEarly: false, stripUnknown: true });
 };
 
+/**
+ * Validation schema for listing the current user's ticket subscriptions
+ */
+const validateSubscriptionList = (data) => {
+  const schema = Joi.object({
+    page: Joi.number()
+      .integer()
+      .min(1)
+      .default(1)
+      .messages({
+        'number.min': 'Page must be at least 1',
+        'number.integer': 'Page must be an integer'
+      }),
+
+    limit: Joi.number()
+      .integer()
+      .min(1)
+      .max(100)
+      .default(20)
+      .messages({
+        'number.min': 'Limit must be at least 1',
+        'number.max': 'Limit cannot exceed 100',
+        'number.integer': 'Limit must be an integer'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+const CATEGORIES = [
+  'cpd-points',
+  'license-management',
+  'performance-issues',
+  'payment-gateway',
+  'user-interface',
+  'data-inconsistencies',
+  'system-errors'
+];
+
+/**
+ * Validation schema for listing agents and their workload
+ */
+const validateAgentList = (data) => {
+  const schema = Joi.object({
+    available_only: Joi.boolean()
+      .default(false),
+
+    category: Joi.string()
+      .valid(...CATEGORIES)
+      .messages({
+        'any.only': 'Invalid category specified'
+      })
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
+/**
+ * Validation schema for agent profile updates
+ */
+const validateAgentProfileUpdate = (data) => {
+  const schema = Joi.object({
+    skills: Joi.array()
+      .items(Joi.string().valid(...CATEGORIES))
+      .unique()
+      .messages({
+        'any.only': `Skills must be among: ${CATEGORIES.join(', ')}`,
+        'array.unique': 'Skills must not repeat'
+      }),
+
+    max_open_tickets: Joi.number()
+      .integer()
+      .min(0)
+      .max(200)
+      .messages({
+        'number.min': 'Capacity cannot be negative',
+        'number.max': 'Capacity cannot exceed 200 open tickets',
+        'number.integer': 'Capacity must be a whole number'
+      }),
+
+    is_available: Joi.boolean(),
+
+    // Either bound may be left open; clear both to end an absence
+    out_of_office_from: Joi.date()
+      .iso()
+      .allow(null)
+      .messages({
+        'date.format': 'Out-of-office start must be an ISO 8601 date'
+      }),
+
+    out_of_office_until: Joi.date()
+      .iso()
+      .allow(null)
+      .when('out_of_office_from', {
+        is: Joi.date().required(),
+        then: Joi.date().greater(Joi.ref('out_of_office_from'))
+      })
+      .messages({
+        'date.format': 'Out-of-office end must be an ISO 8601 date',
+        'date.greater': 'Out-of-office end must be after its start'
+      })
+  }).min(1).messages({
+    'object.min': 'At least one field must be provided for update'
+  });
+
+  return schema.validate(data, { abortEarly: false, stripUnknown: true });
+};
+
 module.exports = {
   validateUserCreate,
   validateUserUpdate,
@@ -379,5 +487,8 @@ module.exports = {
   validateBulkOperation,
   validatePasswordReset,
   validateUserSearch,
-  validateUserList
+  validateUserList,
+  validateSubscriptionList,
+  validateAgentList,
+  validateAgentProfileUpdate
 };
\ No newline at end of file
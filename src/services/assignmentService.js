@@ -0,0 +1,336 @@
+// src/services/assignmentService.js - TPG Agent Profiles and Ticket Auto-Assignment
+const AgentProfile = require('../models/AgentProfile');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const SystemSetting = require('../models/SystemSetting');
+const auditService = require('./auditService');
+const logger = require('../config/logger');
+
+// Statuses that count towards an agent's open workload
+const WORKLOAD_STATUSES = ['open', 'in-progress', 'pending-customer'];
+
+const STRATEGIES = ['round_robin', 'least_open_tickets', 'skill_match'];
+const DEFAULT_STRATEGY = 'skill_match';
+
+const STAFF_ROLES = ['admin', 'super_admin'];
+
+class AssignmentService {
+  /**
+   * Active staff with their profile and open workload. Staff without a
+   * stored profile get the defaults from getDefaultProfile().
+   */
+  async listAgents(filters = {}) {
+    try {
+      const { available_only: availableOnly = false, category } = filters;
+
+      const users = await User.query()
+        .whereIn('role', STAFF_ROLES)
+        .where('status', 'active')
+        .select('id', 'username', 'email', 'role')
+        .withGraphFetched('agentProfile')
+        .orderBy('username');
+
+      const openTickets = await this.countOpenTickets(users.map(user => user.id));
+      const now = new Date();
+
+      let agents = users.map(user =>
+        this.describeAgent(user, user.agentProfile || this.getDefaultProfile(user), openTickets[user.id], now)
+      );
+
+      if (availableOnly) {
+        agents = agents.filter(agent => agent.can_take_tickets);
+      }
+
+      if (category) {
+        agents = agents.filter(agent => agent.skills.includes(category));
+      }
+
+      return agents;
+    } catch (error) {
+      logger.error('AssignmentService.listAgents error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A single agent's profile and workload
+   */
+  async getAgent(userId) {
+    try {
+      const user = await this.findStaffUser(userId);
+      const openTickets = await this.countOpenTickets([user.id]);
+
+      return this.describeAgent(user, user.agentProfile || this.getDefaultProfile(user), openTickets[user.id]);
+    } catch (error) {
+      logger.error('AssignmentService.getAgent error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or update an agent's profile
+   */
+  async updateAgentProfile(userId, updates, updatedBy, context = {}) {
+    try {
+      const user = await this.findStaffUser(userId);
+      const existing = user.agentProfile;
+
+      const changes = { ...updates };
+      ['out_of_office_from', 'out_of_office_until'].forEach(field => {
+        if (changes[field] instanceof Date) {
+          changes[field] = changes[field].toISOString();
+        }
+      });
+
+      const from = changes.out_of_office_from !== undefined
+        ? changes.out_of_office_from
+        : existing && existing.out_of_office_from;
+      const until = changes.out_of_office_until !== undefined
+        ? changes.out_of_office_until
+        : existing && existing.out_of_office_until;
+
+      if (from && until && new Date(until) <= new Date(from)) {
+        throw new Error('Out-of-office end must be after its start');
+      }
+
+      let profile;
+      if (existing) {
+        const before = existing.toJSON();
+        profile = await existing.$query().patchAndFetch({ ...changes, updated_by: updatedBy });
+
+        await auditService.recordUpdate('agent_profile', before, profile, { userId: updatedBy, ...context }, {
+          fields: Object.keys(updates)
+        });
+      } else {
+        profile = await AgentProfile.query().insert({
+          ...this.getDefaultProfile(user).toJSON(),
+          ...changes,
+          updated_by: updatedBy
+        });
+
+        await auditService.recordCreate('agent_profile', profile, { userId: updatedBy, ...context });
+      }
+
+      logger.info(`Agent profile updated: ${user.username}`, {
+        user_id: user.id,
+        fields: Object.keys(updates),
+        updated_by: updatedBy
+      });
+
+      const openTickets = await this.countOpenTickets([user.id]);
+      return this.describeAgent(user, profile, openTickets[user.id]);
+    } catch (error) {
+      logger.error('AssignmentService.updateAgentProfile error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Open workload and capacity per user, keyed by user ID. The dashboard
+   * workload chart and auto-assignment both read these numbers.
+   */
+  async getWorkloads(userIds) {
+    try {
+      const ids = [...new Set(userIds.filter(Boolean))];
+      if (ids.length === 0) {
+        return {};
+      }
+
+      const [openTickets, profiles] = await Promise.all([
+        this.countOpenTickets(ids),
+        AgentProfile.query().whereIn('user_id', ids)
+      ]);
+      const profilesByUser = new Map(profiles.map(profile => [profile.user_id, profile]));
+
+      return Object.fromEntries(ids.map(id => {
+        const profile = profilesByUser.get(id);
+        const capacity = profile ? profile.max_open_tickets : AgentProfile.DEFAULT_MAX_OPEN_TICKETS;
+
+        return [id, {
+          open_tickets: openTickets[id],
+          max_open_tickets: capacity,
+          utilization: capacity > 0 ? Math.round((openTickets[id] / capacity) * 100) : null
+        }];
+      }));
+    } catch (error) {
+      logger.error('AssignmentService.getWorkloads error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pick the agent a new ticket should go to, or null when auto-assignment
+   * is off or nobody can take it. Agents who are unavailable, out of office
+   * or at capacity are never picked.
+   */
+  async selectAgent(ticket) {
+    try {
+      const enabled = await SystemSetting.getValue('auto_assignment_enabled', true);
+      if (!enabled) {
+        return null;
+      }
+
+      const strategy = await this.getStrategy();
+      const agents = await this.listAgents({ available_only: true });
+
+      if (agents.length === 0) {
+        logger.info(`No agent available to auto-assign ticket ${ticket.ticket_number}`);
+        return null;
+      }
+
+      const agent = this.applyStrategy(strategy, agents, ticket);
+      return { agent, strategy };
+    } catch (error) {
+      logger.error('AssignmentService.selectAgent error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Note an automatic assignment so round-robin moves on to the next agent
+   */
+  async recordAssignment(agent) {
+    try {
+      const now = new Date().toISOString();
+
+      await AgentProfile.query()
+        .insert({
+          user_id: agent.user_id,
+          skills: agent.skills,
+          max_open_tickets: agent.max_open_tickets,
+          is_available: agent.is_available,
+          last_assigned_at: now
+        })
+        .onConflict('user_id')
+        .merge({ last_assigned_at: now, updated_at: now });
+    } catch (error) {
+      logger.error('AssignmentService.recordAssignment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether a user is out of office right now. Manual assignment uses this
+   * to refuse tickets for absent agents.
+   */
+  async isOutOfOffice(userId) {
+    const profile = await AgentProfile.query().findOne({ user_id: userId });
+    return profile ? profile.isOutOfOffice() : false;
+  }
+
+  /**
+   * Configured strategy, falling back to skill_match when the setting holds
+   * something unknown
+   */
+  async getStrategy() {
+    const strategy = await SystemSetting.getValue('auto_assignment_strategy', DEFAULT_STRATEGY);
+
+    if (!STRATEGIES.includes(strategy)) {
+      logger.warn(`Unknown auto-assignment strategy "${strategy}", using ${DEFAULT_STRATEGY}`);
+      return DEFAULT_STRATEGY;
+    }
+
+    return strategy;
+  }
+
+  // Helper methods
+
+  /**
+   * Choose from agents who can all take the ticket.
+   * - round_robin: whoever was auto-assigned least recently
+   * - least_open_tickets: fewest open tickets, then least recently assigned
+   * - skill_match: least_open_tickets among agents skilled in the ticket's
+   *   category, or among everyone when nobody has the skill
+   */
+  applyStrategy(strategy, agents, ticket) {
+    const byLastAssigned = (a, b) => this.compareLastAssigned(a, b);
+    const byWorkload = (a, b) => a.open_tickets - b.open_tickets || byLastAssigned(a, b);
+
+    switch (strategy) {
+      case 'round_robin':
+        return [...agents].sort(byLastAssigned)[0];
+      case 'least_open_tickets':
+        return [...agents].sort(byWorkload)[0];
+      case 'skill_match':
+      default: {
+        const skilled = agents.filter(agent => agent.skills.includes(ticket.category));
+        return [...(skilled.length > 0 ? skilled : agents)].sort(byWorkload)[0];
+      }
+    }
+  }
+
+  // Never-assigned agents come first
+  compareLastAssigned(a, b) {
+    const aTime = a.last_assigned_at ? new Date(a.last_assigned_at).getTime() : 0;
+    const bTime = b.last_assigned_at ? new Date(b.last_assigned_at).getTime() : 0;
+    return aTime - bTime || a.username.localeCompare(b.username);
+  }
+
+  async countOpenTickets(userIds) {
+    const counts = Object.fromEntries(userIds.map(id => [id, 0]));
+    if (userIds.length === 0) {
+      return counts;
+    }
+
+    const rows = await Ticket.query()
+      .select('assigned_to')
+      .count('id as open_tickets')
+      .whereIn('assigned_to', userIds)
+      .whereIn('status', WORKLOAD_STATUSES)
+      .groupBy('assigned_to');
+
+    rows.forEach(row => {
+      counts[row.assigned_to] = parseInt(row.open_tickets);
+    });
+
+    return counts;
+  }
+
+  async findStaffUser(userId) {
+    const user = await User.query()
+      .findById(userId)
+      .select('id', 'username', 'email', 'role', 'status')
+      .withGraphFetched('agentProfile');
+
+    if (!user || !STAFF_ROLES.includes(user.role)) {
+      throw new Error('Agent not found');
+    }
+
+    return user;
+  }
+
+  /**
+   * Profile used until one is saved: admins take tickets, super admins
+   * only once they opt in
+   */
+  getDefaultProfile(user) {
+    return AgentProfile.fromJson({
+      user_id: user.id,
+      skills: [],
+      max_open_tickets: AgentProfile.DEFAULT_MAX_OPEN_TICKETS,
+      is_available: user.role === 'admin'
+    });
+  }
+
+  describeAgent(user, profile, openTickets = 0, at = new Date()) {
+    const outOfOffice = profile.isOutOfOffice(at);
+
+    return {
+      user_id: user.id,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      skills: profile.skills || [],
+      max_open_tickets: profile.max_open_tickets,
+      is_available: profile.is_available,
+      out_of_office_from: profile.out_of_office_from || null,
+      out_of_office_until: profile.out_of_office_until || null,
+      out_of_office: outOfOffice,
+      last_assigned_at: profile.last_assigned_at || null,
+      open_tickets: openTickets,
+      can_take_tickets: profile.is_available && !outOfOffice && openTickets < profile.max_open_tickets
+    };
+  }
+}
+
+module.exports = new AssignmentService();
@@ -0,0 +1,381 @@
+// src/services/attachmentMetadataService.js - TPG Attachment Metadata Extraction
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const logger = require('../config/logger');
+
+const OOXML_TYPES = [
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+const TEXT_TYPES = ['text/plain', 'text/csv'];
+
+// Upper bound on inflated PDF object streams and zip entries, so a
+// compression bomb cannot exhaust memory
+const MAX_INFLATED_BYTES = 20 * 1024 * 1024;
+
+// Names PDF readers execute as JavaScript: /JS holds the script, /JavaScript
+// marks the action or the document-level name tree
+const PDF_JAVASCRIPT_PATTERN = /\/(?:JavaScript|JS)(?![A-Za-z0-9])/;
+
+class AttachmentMetadataService {
+  /**
+   * Extract metadata from an uploaded file and store it in
+   * metadata.extracted. Never throws: an unreadable file is recorded with an
+   * error and must not fail the upload.
+   */
+  async extractAndStore(attachment) {
+    try {
+      let extracted;
+      try {
+        extracted = await this.extract(attachment);
+      } catch (error) {
+        logger.warn(`Metadata extraction failed for attachment ${attachment.id}:`, error);
+        extracted = { type: this.getType(attachment), error: 'File metadata could not be read' };
+      }
+
+      await attachment.$query().patch({
+        metadata: {
+          ...attachment.metadata,
+          extracted: {
+            ...extracted,
+            extracted_at: new Date().toISOString()
+          }
+        }
+      });
+
+      if (extracted.has_javascript) {
+        logger.security.logSuspiciousActivity('pdf_javascript', {
+          attachment_id: attachment.id,
+          ticket_id: attachment.ticket_id,
+          user_id: attachment.user_id,
+          filename: attachment.original_filename
+        }, attachment.metadata.upload_ip || null, attachment.metadata.upload_user_agent || null);
+      }
+
+      return attachment.metadata.extracted;
+    } catch (error) {
+      logger.error('AttachmentMetadataService.extractAndStore error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Metadata for a file by type:
+   * - images: dimensions, format and orientation
+   * - PDFs: page count, title, author, dates and embedded JavaScript
+   * - Word/Excel (OOXML): title, author, dates and, for Word, page count
+   * - text/CSV: line count
+   */
+  async extract(attachment) {
+    const type = this.getType(attachment);
+
+    switch (type) {
+      case 'image':
+        return this.extractImage(attachment.file_path);
+      case 'pdf':
+        return this.extractPdf(await fs.readFile(attachment.file_path));
+      case 'office':
+        return this.extractOfficeDocument(await fs.readFile(attachment.file_path));
+      case 'text':
+        return this.extractText(await fs.readFile(attachment.file_path, 'utf8'));
+      default:
+        return { type };
+    }
+  }
+
+  // Helper methods
+
+  getType(attachment) {
+    if (attachment.isImage()) return 'image';
+    if (attachment.mime_type === 'application/pdf') return 'pdf';
+    if (OOXML_TYPES.includes(attachment.mime_type)) return 'office';
+    if (TEXT_TYPES.includes(attachment.mime_type)) return 'text';
+    return 'unknown';
+  }
+
+  async extractImage(filePath) {
+    const sharp = require('sharp');
+    const info = await sharp(filePath).metadata();
+
+    // EXIF orientations 5-8 are rotated a quarter turn
+    const rotated = info.orientation >= 5;
+
+    return {
+      type: 'image',
+      format: info.format,
+      width: rotated ? info.height : info.width,
+      height: rotated ? info.width : info.height,
+      orientation: info.orientation || null,
+      has_alpha: !!info.hasAlpha
+    };
+  }
+
+  extractPdf(buffer) {
+    const raw = buffer.toString('latin1');
+    if (!raw.startsWith('%PDF-')) {
+      throw new Error('Not a PDF file');
+    }
+
+    // Objects may be packed into compressed object streams (PDF 1.5+)
+    const objectStreams = this.readPdfObjectStreams(buffer, raw);
+    const sources = [raw, ...objectStreams.map(stream => stream.data)];
+    const text = this.decodePdfNames(sources.join('\n'));
+
+    const encrypted = /\/Encrypt\s/.test(raw);
+    const info = encrypted ? null : this.findPdfInfo(raw, objectStreams);
+
+    const pageMatches = text.match(/\/Type\s*\/Page(?![a-zA-Z])/g);
+
+    return {
+      type: 'pdf',
+      pdf_version: raw.slice(5, 8),
+      page_count: pageMatches ? pageMatches.length : null,
+      title: info ? this.readPdfString(info, 'Title') : null,
+      author: info ? this.readPdfString(info, 'Author') : null,
+      creator: info ? this.readPdfString(info, 'Creator') : null,
+      producer: info ? this.readPdfString(info, 'Producer') : null,
+      created_at: info ? this.parsePdfDate(this.readPdfString(info, 'CreationDate')) : null,
+      modified_at: info ? this.parsePdfDate(this.readPdfString(info, 'ModDate')) : null,
+      encrypted,
+      has_javascript: PDF_JAVASCRIPT_PATTERN.test(text)
+    };
+  }
+
+  /**
+   * Inflate FlateDecode object streams and split them into their objects
+   */
+  readPdfObjectStreams(buffer, raw) {
+    const streams = [];
+    const pattern = /(\d+)\s+\d+\s+obj\s*<<((?:(?!endobj)[\s\S])*?)>>\s*stream\r?\n/g;
+    let inflatedBytes = 0;
+    let match;
+
+    while ((match = pattern.exec(raw)) !== null) {
+      const dictionary = match[2];
+      if (!/\/Type\s*\/ObjStm/.test(dictionary) || !/\/FlateDecode/.test(dictionary)) {
+        continue;
+      }
+
+      const start = match.index + match[0].length;
+      const end = raw.indexOf('endstream', start);
+      if (end === -1) {
+        break;
+      }
+
+      let data;
+      try {
+        data = zlib.inflateSync(buffer.subarray(start, end), {
+          maxOutputLength: MAX_INFLATED_BYTES - inflatedBytes
+        }).toString('latin1');
+      } catch (error) {
+        continue;
+      }
+
+      inflatedBytes += data.length;
+      streams.push({ data, objects: this.splitPdfObjectStream(data, dictionary) });
+
+      if (inflatedBytes >= MAX_INFLATED_BYTES) {
+        break;
+      }
+    }
+
+    return streams;
+  }
+
+  // The stream header lists "objectNumber offset" pairs; offsets count from /First
+  splitPdfObjectStream(data, dictionary) {
+    const objects = new Map();
+    const first = parseInt((dictionary.match(/\/First\s+(\d+)/) || [])[1]);
+    if (!first) {
+      return objects;
+    }
+
+    const header = data.slice(0, first).trim().split(/\s+/).map(Number);
+    for (let i = 0; i + 1 < header.length; i += 2) {
+      const start = first + header[i + 1];
+      const end = i + 3 < header.length ? first + header[i + 3] : data.length;
+      objects.set(header[i], data.slice(start, end));
+    }
+
+    return objects;
+  }
+
+  // Document information dictionary referenced from the trailer
+  findPdfInfo(raw, objectStreams) {
+    const reference = raw.match(/\/Info\s+(\d+)\s+(\d+)\s+R/);
+    if (!reference) {
+      return null;
+    }
+
+    const [, objectNumber, generation] = reference;
+    const direct = raw.match(new RegExp(`(?:^|\\s)${objectNumber}\\s+${generation}\\s+obj\\b([\\s\\S]*?)endobj`));
+    if (direct) {
+      return direct[1];
+    }
+
+    const packed = objectStreams.find(stream => stream.objects.has(Number(objectNumber)));
+    return packed ? packed.objects.get(Number(objectNumber)) : null;
+  }
+
+  // Names may hide behind #xx escapes, e.g. /J#61vaScript
+  decodePdfNames(text) {
+    return text.replace(/\/[^\s/<>[\]()]*#[0-9A-Fa-f]{2}[^\s/<>[\]()]*/g, name =>
+      name.replace(/#([0-9A-Fa-f]{2})/g, (escape, hex) => String.fromCharCode(parseInt(hex, 16)))
+    );
+  }
+
+  readPdfString(dictionary, key) {
+    const match = dictionary.match(new RegExp(`/${key}\\s*(\\((?:\\\\[\\s\\S]|[^\\\\)])*\\)|<[0-9A-Fa-f\\s]*>)`));
+    if (!match) {
+      return null;
+    }
+
+    const token = match[1];
+    let bytes;
+
+    if (token.startsWith('<')) {
+      const hex = token.slice(1, -1).replace(/\s/g, '');
+      bytes = Buffer.from(hex.length % 2 ? `${hex}0` : hex, 'hex');
+    } else {
+      const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+      const literal = token.slice(1, -1).replace(/\\([0-7]{1,3}|[\s\S])/g, (escape, value) => {
+        if (/^[0-7]+$/.test(value)) return String.fromCharCode(parseInt(value, 8) & 0xff);
+        if (value === '\n' || value === '\r') return '';
+        return escapes[value] || value;
+      });
+      bytes = Buffer.from(literal, 'latin1');
+    }
+
+    // UTF-16BE strings start with a byte order mark; anything else is close enough to latin1
+    let value;
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      const swapped = Buffer.from(bytes.subarray(2));
+      swapped.swap16();
+      value = swapped.toString('utf16le');
+    } else {
+      value = bytes.toString('latin1');
+    }
+
+    value = value.replace(/\0/g, '').trim();
+    return value || null;
+  }
+
+  // D:YYYYMMDDHHmmSSOHH'mm' with everything after the year optional
+  parsePdfDate(value) {
+    const match = value && value.match(/^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/);
+    if (!match) {
+      return null;
+    }
+
+    const [, year, month = '01', day = '01', hour = '00', minute = '00', second = '00', sign, offsetHours = '00', offsetMinutes = '00'] = match;
+    const zone = sign && sign !== 'Z' && sign !== 'z' ? `${sign}${offsetHours}:${offsetMinutes}` : 'Z';
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`);
+
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  extractOfficeDocument(buffer) {
+    const core = this.readZipEntry(buffer, 'docProps/core.xml');
+    const app = this.readZipEntry(buffer, 'docProps/app.xml');
+    const pages = app ? this.readXmlValue(app, 'Pages') : null;
+
+    return {
+      type: 'document',
+      page_count: pages ? parseInt(pages) : null,
+      title: core ? this.readXmlValue(core, 'dc:title') : null,
+      author: core ? this.readXmlValue(core, 'dc:creator') : null,
+      last_modified_by: core ? this.readXmlValue(core, 'cp:lastModifiedBy') : null,
+      created_at: core ? this.parseIsoDate(this.readXmlValue(core, 'dcterms:created')) : null,
+      modified_at: core ? this.parseIsoDate(this.readXmlValue(core, 'dcterms:modified')) : null
+    };
+  }
+
+  /**
+   * Read one file from a zip archive (Word and Excel files are zips) via
+   * the central directory
+   */
+  readZipEntry(buffer, entryName) {
+    // End of central directory record, followed by a comment of up to 64KB
+    const searchFrom = Math.max(0, buffer.length - 22 - 0xffff);
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= searchFrom; i--) {
+      if (buffer.readUInt32LE(i) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+
+    if (eocd === -1) {
+      throw new Error('Not a zip archive');
+    }
+
+    const entries = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+
+    for (let i = 0; i < entries && offset + 46 <= buffer.length; i++) {
+      if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+        break;
+      }
+
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const localOffset = buffer.readUInt32LE(offset + 42);
+      const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      if (name === entryName) {
+        const dataStart = localOffset + 30 +
+          buffer.readUInt16LE(localOffset + 26) +
+          buffer.readUInt16LE(localOffset + 28);
+        const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === 0) return data.toString('utf8');
+        if (method === 8) return zlib.inflateRawSync(data, { maxOutputLength: MAX_INFLATED_BYTES }).toString('utf8');
+        return null;
+      }
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return null;
+  }
+
+  readXmlValue(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([^<]*)</${tag}>`));
+    if (!match) {
+      return null;
+    }
+
+    const value = match[1]
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, '\'')
+      .replace(/&amp;/g, '&')
+      .trim();
+
+    return value || null;
+  }
+
+  parseIsoDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date.toISOString() : null;
+  }
+
+  extractText(content) {
+    const lines = content.split(/\r\n|\r|\n/);
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+
+    return {
+      type: 'text',
+      line_count: lines.length
+    };
+  }
+}
+
+module.exports = new AttachmentMetadataService();
@@ -0,0 +1,180 @@
+// src/services/attachmentStorageService.js - TPG Attachment Blob Storage Integrity
+const AttachmentBlob = require('../models/AttachmentBlob');
+const TicketAttachment = require('../models/TicketAttachment');
+const auditService = require('./auditService');
+const logger = require('../config/logger');
+
+const BATCH_SIZE = 100;
+
+// Reference counts are only reconciled on blobs left alone this long, so an
+// upload between taking its reference and saving its attachment is not undone
+const RECONCILE_GRACE_MS = 60 * 60 * 1000;
+
+// Problem files listed in the audit record; the totals are always complete
+const MAX_REPORTED_FILES = 50;
+
+class AttachmentStorageService {
+  /**
+   * Check every stored file against its SHA-256 and report missing or
+   * corrupted ones. Also corrects blob reference counts that drifted (e.g.
+   * attachments removed with their ticket) and deletes blobs nothing uses.
+   */
+  async runIntegrityCheck() {
+    try {
+      const report = { checked: 0, missing: [], corrupted: [], orphaned: 0, recounted: 0 };
+      const graceCutoff = new Date(Date.now() - RECONCILE_GRACE_MS);
+
+      let lastHash = '';
+      for (;;) {
+        const blobs = await AttachmentBlob.query()
+          .where('hash', '>', lastHash)
+          .orderBy('hash')
+          .limit(BATCH_SIZE);
+
+        if (blobs.length === 0) {
+          break;
+        }
+        lastHash = blobs[blobs.length - 1].hash;
+
+        const references = await this.countReferences(blobs.map(blob => blob.hash));
+        for (const blob of blobs) {
+          await this.checkBlob(blob, references[blob.hash] || 0, graceCutoff, report);
+        }
+      }
+
+      // Older uploads that are not in blob storage
+      let lastId = '00000000-0000-0000-0000-000000000000';
+      for (;;) {
+        const attachments = await TicketAttachment.query()
+          .whereNull('blob_hash')
+          .whereRaw("metadata->'quarantine' IS NULL")
+          .where('id', '>', lastId)
+          .orderBy('id')
+          .limit(BATCH_SIZE);
+
+        if (attachments.length === 0) {
+          break;
+        }
+        lastId = attachments[attachments.length - 1].id;
+
+        for (const attachment of attachments) {
+          const status = await attachment.verifyIntegrity();
+          if (status === 'unverified') {
+            continue;
+          }
+
+          report.checked++;
+          if (status !== 'ok') {
+            this.recordProblem(report, status, { attachment_id: attachment.id, file_path: attachment.file_path });
+          }
+        }
+      }
+
+      await auditService.record({
+        action: 'integrity_check',
+        resourceType: 'attachment',
+        newValues: {
+          checked: report.checked,
+          missing_count: report.missing.length,
+          corrupted_count: report.corrupted.length,
+          orphaned_blobs_removed: report.orphaned,
+          reference_counts_corrected: report.recounted,
+          missing: report.missing.slice(0, MAX_REPORTED_FILES),
+          corrupted: report.corrupted.slice(0, MAX_REPORTED_FILES)
+        }
+      });
+
+      const summary = `Attachment integrity check: ${report.checked} file(s) checked, ` +
+        `${report.missing.length} missing, ${report.corrupted.length} corrupted`;
+
+      if (report.missing.length > 0 || report.corrupted.length > 0) {
+        logger.error(summary);
+      } else {
+        logger.info(summary);
+      }
+
+      return report;
+    } catch (error) {
+      logger.error('AttachmentStorageService.runIntegrityCheck error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a download that failed hash verification. The blob is marked
+   * corrupted and the event goes to the security log, as it may mean the
+   * file was tampered with on disk.
+   */
+  async reportCorruption(attachment, ip = null, userAgent = null) {
+    try {
+      if (attachment.blob_hash) {
+        await AttachmentBlob.query()
+          .findById(attachment.blob_hash)
+          .patch({ integrity_status: 'corrupted', last_verified_at: new Date().toISOString() });
+      }
+
+      logger.security.logSuspiciousActivity('attachment_integrity_failure', {
+        attachment_id: attachment.id,
+        ticket_id: attachment.ticket_id,
+        blob_hash: attachment.blob_hash,
+        file_path: attachment.file_path
+      }, ip, userAgent);
+    } catch (error) {
+      logger.error('AttachmentStorageService.reportCorruption error:', error);
+      throw error;
+    }
+  }
+
+  // Helper methods
+
+  async checkBlob(blob, references, graceCutoff, report) {
+    const settled = new Date(blob.updated_at) < graceCutoff;
+
+    if (references === 0 && settled) {
+      // Rechecked under the row lock, in case an upload took a reference since
+      if (await AttachmentBlob.purge(blob.hash, graceCutoff)) {
+        report.orphaned++;
+        logger.warn(`Removed unreferenced attachment blob ${blob.hash}`);
+      }
+      return;
+    }
+
+    // Recounted and checked under the row lock, so an upload or deletion
+    // since the batch was read is not overwritten
+    const result = await AttachmentBlob.verify(blob.hash, graceCutoff);
+    if (!result) {
+      return;
+    }
+
+    if (result.correctedFrom !== null) {
+      report.recounted++;
+      logger.warn(`Attachment blob ${blob.hash} reference count corrected from ${result.correctedFrom} to ${result.references}`);
+    }
+
+    report.checked++;
+    if (result.status !== 'ok') {
+      this.recordProblem(report, result.status, {
+        blob_hash: blob.hash,
+        file_path: result.file_path,
+        references: result.references
+      });
+    }
+  }
+
+  async countReferences(hashes) {
+    const rows = await TicketAttachment.query()
+      .select('blob_hash')
+      .count('id as reference_count')
+      .whereIn('blob_hash', hashes)
+      .groupBy('blob_hash');
+
+    return Object.fromEntries(rows.map(row => [row.blob_hash, parseInt(row.reference_count)]));
+  }
+
+  recordProblem(report, status, file) {
+    report[status].push(file);
+    logger.error(`Attachment file ${status}: ${file.file_path}`, file);
+  }
+}
+
+module.exports = new AttachmentStorageService();
@@ -0,0 +1,264 @@
+// src/services/auditService.js - TPG Audit Trail
+const AuditLog = require('../models/AuditLog');
+const logger = require('../config/logger');
+
+// Never written to audit_logs, only flagged as changed
+const REDACTED_FIELDS = [
+  'password',
+  'password_hash',
+  'email_verification_token',
+  'password_reset_token',
+  'two_factor_secret',
+  'two_factor_pending_secret',
+  'two_factor_recovery_codes'
+];
+
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = ['updated_at'];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Plain JSON copy of a model instance (without loaded relations) or object
+ */
+const toPlain = (values) => {
+  if (!values) {
+    return null;
+  }
+
+  const plain = typeof values.toJSON === 'function' ? values.toJSON({ shallow: true }) : values;
+  return JSON.parse(JSON.stringify(plain));
+};
+
+const redact = (values) => {
+  if (!values) {
+    return null;
+  }
+
+  const result = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (IGNORED_FIELDS.includes(key)) {
+      continue;
+    }
+    result[key] = REDACTED_FIELDS.includes(key) ? REDACTED : value;
+  }
+  return result;
+};
+
+class AuditService {
+  /**
+   * Build the actor context for an audit entry from a request
+   */
+  contextFromRequest(req) {
+    return {
+      userId: req.user?.id || null,
+      ip: req.ip || null,
+      userAgent: req.get ? req.get('User-Agent') : null,
+      sessionId: req.sessionId || null
+    };
+  }
+
+  /**
+   * Old/new values for the fields that actually changed. When `fields` is
+   * given only those are compared; otherwise every key of `after` is.
+   */
+  diff(before, after, fields = null) {
+    const oldPlain = toPlain(before) || {};
+    const newPlain = toPlain(after) || {};
+    const keys = fields || Object.keys(newPlain);
+
+    const oldValues = {};
+    const newValues = {};
+
+    for (const key of keys) {
+      if (IGNORED_FIELDS.includes(key) || !(key in newPlain)) {
+        continue;
+      }
+
+      if (JSON.stringify(oldPlain[key]) !== JSON.stringify(newPlain[key])) {
+        oldValues[key] = oldPlain[key] === undefined ? null : oldPlain[key];
+        newValues[key] = newPlain[key];
+      }
+    }
+
+    return {
+      oldValues: redact(oldValues),
+      newValues: redact(newValues)
+    };
+  }
+
+  /**
+   * Write an audit entry. A standalone write never throws - a failed audit
+   * write is logged but must not undo the mutation it describes. Inside a
+   * transaction the error is rethrown so the caller's rollback covers it.
+   */
+  async record({ action, resourceType, resourceId = null, oldValues = null, newValues = null, context = {}, trx = null }) {
+    try {
+      return await AuditLog.query(trx).insert({
+        user_id: context.userId || null,
+        action,
+        resource_type: resourceType,
+        resource_id: resourceId ? String(resourceId) : null,
+        old_values: redact(toPlain(oldValues)),
+        new_values: redact(toPlain(newValues)),
+        ip_address: context.ip || null,
+        user_agent: context.userAgent || null,
+        session_id: context.sessionId || null
+      });
+    } catch (error) {
+      logger.error('AuditService.record error:', error);
+      if (trx) {
+        throw error;
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Record a creation: the full new row
+   */
+  async recordCreate(resourceType, resource, context = {}, trx = null) {
+    return await this.record({
+      action: 'create',
+      resourceType,
+      resourceId: resource.id,
+      newValues: resource,
+      context,
+      trx
+    });
+  }
+
+  /**
+   * Record an update as a before/after diff. Skipped when nothing changed.
+   */
+  async recordUpdate(resourceType, before, after, context = {}, { action = 'update', fields = null, resourceId = null, trx = null } = {}) {
+    const { oldValues, newValues } = this.diff(before, after, fields);
+
+    if (Object.keys(newValues).length === 0) {
+      return null;
+    }
+
+    return await this.record({
+      action,
+      resourceType,
+      resourceId: resourceId || before.id || after.id,
+      oldValues,
+      newValues,
+      context,
+      trx
+    });
+  }
+
+  /**
+   * Record a deletion: the full old row
+   */
+  async recordDelete(resourceType, resource, context = {}, { action = 'delete', trx = null } = {}) {
+    return await this.record({
+      action,
+      resourceType,
+      resourceId: resource.id,
+      oldValues: resource,
+      context,
+      trx
+    });
+  }
+
+  /**
+   * Get audit entries with filtering and pagination
+   */
+  async getLogs(filters = {}, pagination = {}) {
+    try {
+      const {
+        user_id,
+        action,
+        resource_type,
+        resource_id,
+        ip_address,
+        start_date,
+        end_date
+      } = filters;
+
+      const {
+        page = 1,
+        limit = 50,
+        sortOrder = 'desc'
+      } = pagination;
+
+      let query = AuditLog.query()
+        .withGraphFetched('actor(selectBasic)')
+        .modifiers({
+          selectBasic: builder => builder.select('id', 'username', 'email', 'role')
+        });
+
+      if (user_id) {
+        query = query.where('user_id', user_id);
+      }
+
+      if (action) {
+        query = query.whereIn('action', [].concat(action));
+      }
+
+      if (resource_type) {
+        query = query.whereIn('resource_type', [].concat(resource_type));
+      }
+
+      if (resource_id) {
+        query = query.where('resource_id', resource_id);
+      }
+
+      if (ip_address) {
+        query = query.where('ip_address', ip_address);
+      }
+
+      if (start_date) {
+        query = query.where('created_at', '>=', start_date);
+      }
+
+      if (end_date) {
+        query = query.where('created_at', '<=', end_date);
+      }
+
+      const result = await query
+        .orderBy('created_at', sortOrder)
+        .page(parseInt(page) - 1, parseInt(limit));
+
+      return {
+        entries: result.results,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: result.total,
+          pages: Math.ceil(result.total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('AuditService.getLogs error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single audit entry
+   */
+  async getLogById(id) {
+    try {
+      const entry = await AuditLog.query()
+        .findById(id)
+        .withGraphFetched('actor(selectBasic)')
+        .modifiers({
+          selectBasic: builder => builder.select('id', 'username', 'email', 'role')
+        });
+
+      if (!entry) {
+        throw new Error('Audit entry not found');
+      }
+
+      return entry;
+    } catch (error) {
+      logger.error('AuditService.getLogById error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AuditService();
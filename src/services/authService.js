@@ -1,7 +1,12 @@
 // src/services/authService.js - TPG Authentication Service
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
 const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const twoFactorService = require('./twoFactorService');
+const { executeTransaction } = require('../config/database');
 const logger = require('../config/logger');
 
 class AuthService {
@@ -10,6 +15,7 @@ class AuthService {
     this.jwtRefreshSecret = process.env.JWT_REFRESH_SECRET;
     this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '24h';
     this.jwtRefreshExpiresIn = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+    this.twoFactorChallengeExpiresIn = process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m';
 
     if (!this.jwtSecret || !this.jwtRefreshSecret) {
       throw new Error('JWT secrets are required. Please set JWT_SECRET and JWT_REFRESH_SECRET environment variables.');
@@ -19,13 +25,14 @@ class AuthService {
   /**
    * Generate JWT access token
    */
-  generateAccessToken(user) {
+  generateAccessToken(user, sessionId) {
     const payload = {
       id: user.id,
       email: user.email,
       role: user.role,
       status: user.status,
-      type: 'access'
+      type: 'access',
+      sid: sessionId
     };
 
     return jwt.sign(payload, this.jwtSecret, {
@@ -38,12 +45,13 @@ class AuthService {
   /**
    * Generate JWT refresh token
    */
-  generateRefreshToken(user) {
+  generateRefreshToken(user, tokenId, familyId) {
     const payload = {
       id: user.id,
       email: user.email,
       type: 'refresh',
-      tokenId: crypto.randomBytes(16).toString('hex')
+      tokenId,
+      familyId
     };
 
     return jwt.sign(payload, this.jwtRefreshSecret, {
@@ -54,13 +62,33 @@ class AuthService {
   }
 
   /**
-   * Generate both access and refresh tokens
+   * Generate both access and refresh tokens and record the refresh token.
+   * Pass `familyId` when rotating so the new token joins the existing family.
+   * The family id doubles as the session id carried in the access token.
    */
-  generateTokens(user) {
+  async generateTokens(user, options = {}) {
+    const { familyId = uuidv4(), ip = null, userAgent = null, trx } = options;
+
+    const tokenId = crypto.randomBytes(16).toString('hex');
+    const refreshToken = this.generateRefreshToken(user, tokenId, familyId);
+    const refreshExpiresAt = new Date(jwt.decode(refreshToken).exp * 1000).toISOString();
+
+    await RefreshToken.query(trx).insert({
+      token_id: tokenId,
+      family_id: familyId,
+      user_id: user.id,
+      expires_at: refreshExpiresAt,
+      ip_address: ip,
+      user_agent: userAgent
+    });
+
     return {
-      accessToken: this.generateAccessToken(user),
-      refreshToken: this.generateRefreshToken(user),
-      expiresIn: this.jwtExpiresIn
+      accessToken: this.generateAccessToken(user, familyId),
+      refreshToken,
+      expiresIn: this.jwtExpiresIn,
+      refreshExpiresAt,
+      tokenId,
+      familyId
     };
   }
 
@@ -112,12 +140,31 @@ class AuthService {
   }
 
   /**
-   * Refresh access token using refresh token
+   * Rotate a refresh token: the presented token is revoked and a new
+   * access/refresh pair from the same family is issued. Presenting a token
+   * that was already rotated revokes the whole family.
    */
-  async refreshAccessToken(refreshToken) {
+  async refreshAccessToken(refreshToken, ip = null, userAgent = null) {
+    let decoded = null;
+
     try {
-      const decoded = this.verifyRefreshToken(refreshToken);
-      
+      decoded = this.verifyRefreshToken(refreshToken);
+
+      const record = await RefreshToken.findByTokenId(decoded.tokenId);
+      if (!record) {
+        throw new Error('Refresh token not recognised');
+      }
+
+      if (record.revoked_reason === 'rotated') {
+        // A rotated token came back - assume it was stolen and kill the family
+        await RefreshToken.revokeFamily(record.family_id, 'reuse_detected');
+        throw this.tokenReuseError(record, ip, userAgent);
+      }
+
+      if (!record.isActive()) {
+        throw new Error('Refresh token has been revoked or expired');
+      }
+
       // Get current user data
       const user = await User.query().findById(decoded.id);
       if (!user) {
@@ -125,26 +172,166 @@ class AuthService {
       }
 
       if (user.status !== 'active') {
+        await RefreshToken.revokeFamily(record.family_id, 'user_inactive');
         throw new Error('User account is not active');
       }
 
-      // Generate new access token
-      const newAccessToken = this.generateAccessToken(user);
+      const tokens = await executeTransaction(async (trx) => {
+        // Lock the row so concurrent refreshes cannot both rotate it
+        const current = await RefreshToken.query(trx)
+          .findById(record.id)
+          .forUpdate();
+
+        // A concurrent refresh rotated it after it was read: the same token
+        // was presented twice. Returning commits the family revocation.
+        if (current && current.revoked_reason === 'rotated') {
+          await RefreshToken.revokeFamily(current.family_id, 'reuse_detected', trx);
+          return null;
+        }
+
+        if (!current || !current.isActive()) {
+          throw new Error('Refresh token has been revoked or expired');
+        }
+
+        const issued = await this.generateTokens(user, {
+          familyId: current.family_id,
+          ip,
+          userAgent,
+          trx
+        });
+
+        await current.$query(trx).patch({
+          revoked_at: new Date().toISOString(),
+          revoked_reason: 'rotated',
+          replaced_by_token_id: issued.tokenId,
+          last_used_at: new Date().toISOString()
+        });
+
+        // Each rotation slides the session expiry along with the new token
+        await Session.query(trx)
+          .findById(current.family_id)
+          .patch({
+            expires_at: issued.refreshExpiresAt,
+            ip_address: ip,
+            user_agent: userAgent
+          });
 
-      logger.security.logAuth('token_refreshed', user.email, null, null, true);
+        return issued;
+      });
+
+      if (!tokens) {
+        throw this.tokenReuseError(record, ip, userAgent);
+      }
+
+      logger.security.logAuth('token_refreshed', user.email, ip, userAgent, true);
 
       return {
-        accessToken: newAccessToken,
-        expiresIn: this.jwtExpiresIn
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn,
+        refreshExpiresAt: tokens.refreshExpiresAt
       };
     } catch (error) {
-      logger.security.logAuth('token_refresh_failed', null, null, null, false, {
+      logger.security.logAuth('token_refresh_failed', decoded?.email || null, ip, userAgent, false, {
         error: error.message
       });
       throw error;
     }
   }
 
+  /**
+   * Log a rotated refresh token that was presented again and return the
+   * error refusing it. Its family has already been revoked.
+   */
+  tokenReuseError(record, ip, userAgent) {
+    logger.security.logSuspiciousActivity('refresh_token_reuse', {
+      user_id: record.user_id,
+      family_id: record.family_id,
+      token_id: record.token_id
+    }, ip, userAgent);
+
+    return new Error('Refresh token reuse detected');
+  }
+
+  /**
+   * Resolve the live session referenced by a decoded access token
+   */
+  async getLiveSession(decoded) {
+    if (!decoded.sid) {
+      return null;
+    }
+
+    const session = await Session.query().findById(decoded.sid);
+    if (!session || session.user_id !== decoded.id || session.isExpired()) {
+      return null;
+    }
+
+    return session;
+  }
+
+  /**
+   * List a user's live sessions (devices)
+   */
+  async listSessions(userId, currentSessionId = null) {
+    try {
+      const sessions = await Session.getActiveForUser(userId);
+      return sessions.map(session => session.getPublicData(currentSessionId));
+    } catch (error) {
+      logger.error('AuthService.listSessions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * End one session: the session row is removed and its refresh token family revoked
+   */
+  async revokeSession(userId, sessionId, ip, userAgent, reason = 'session_revoked') {
+    try {
+      const session = await Session.query().findById(sessionId);
+      if (!session || session.user_id !== userId) {
+        throw new Error('Session not found');
+      }
+
+      await executeTransaction(async (trx) => {
+        await RefreshToken.revokeFamily(sessionId, reason, trx);
+        await Session.query(trx).deleteById(sessionId);
+      });
+
+      logger.security.logAuth('session_revoked', null, ip, userAgent, true, {
+        user_id: userId,
+        session_id: sessionId,
+        reason
+      });
+
+      return { success: true };
+    } catch (error) {
+      logger.error('AuthService.revokeSession error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * End every session of a user and revoke all their refresh tokens
+   * (used on suspension, admin force-logout and other lockouts)
+   */
+  async revokeUserSessions(userId, reason = 'revoked') {
+    try {
+      const { sessions, tokens } = await executeTransaction(async (trx) => ({
+        tokens: await RefreshToken.revokeAllForUser(userId, reason, trx),
+        sessions: await Session.query(trx).where('user_id', userId).delete()
+      }));
+
+      if (sessions > 0 || tokens > 0) {
+        logger.info('User sessions revoked', { user_id: userId, reason, sessions, tokens });
+      }
+
+      return { sessions, tokens };
+    } catch (error) {
+      logger.error('AuthService.revokeUserSessions error:', error);
+      throw error;
+    }
+  }
+
   /**
    * Register new user
    */
@@ -243,39 +430,166 @@ class AuthService {
         throw new Error('Account is pending approval. Please wait for admin approval.');
       }
 
-      // Successful login
-      await user.resetFailedLogins();
-      await user.updateLastLogin(ip, userAgent);
+      // Staff accounts with 2FA (or for whom it is mandatory) get a challenge first
+      if (user.two_factor_enabled || await twoFactorService.isRequiredForRole(user.role)) {
+        const purpose = user.two_factor_enabled ? 'verify' : 'setup';
 
-      // Generate tokens
-      const tokens = this.generateTokens(user);
+        logger.security.logAuth('login_two_factor_challenge', email, ip, userAgent, true, {
+          user_id: user.id,
+          purpose
+        });
 
-      logger.security.logAuth('login_success', email, ip, userAgent, true, {
-        user_id: user.id
-      });
+        return {
+          requiresTwoFactor: purpose === 'verify',
+          requiresTwoFactorSetup: purpose === 'setup',
+          challengeToken: this.generateChallengeToken(user, purpose)
+        };
+      }
 
-      return {
-        user: user.getPublicData(),
-        tokens
-      };
+      return await this.completeLogin(user, ip, userAgent, 'password');
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * Finish a login: reset counters, issue tokens and record the session
+   */
+  async completeLogin(user, ip, userAgent, loginMethod = 'password') {
+    await user.resetFailedLogins();
+    await user.updateLastLogin(ip, userAgent);
+
+    // Generate tokens (starts a new refresh token family) and record the session
+    const tokens = await executeTransaction(async (trx) => {
+      const issued = await this.generateTokens(user, { ip, userAgent, trx });
+
+      await Session.query(trx).insert({
+        session_id: issued.familyId,
+        user_id: user.id,
+        ip_address: ip,
+        user_agent: userAgent,
+        expires_at: issued.refreshExpiresAt,
+        session_data: { login_method: loginMethod }
+      });
+
+      return issued;
+    });
+
+    logger.security.logAuth('login_success', user.email, ip, userAgent, true, {
+      user_id: user.id,
+      login_method: loginMethod
+    });
+
+    return {
+      user: user.getPublicData(),
+      tokens
+    };
+  }
+
+  /**
+   * Generate a short-lived token proving the password step succeeded.
+   * `purpose` is 'verify' (enter a code) or 'setup' (mandatory enrollment).
+   */
+  generateChallengeToken(user, purpose) {
+    return jwt.sign({
+      id: user.id,
+      type: 'two_factor_challenge',
+      purpose
+    }, this.jwtSecret, {
+      expiresIn: this.twoFactorChallengeExpiresIn,
+      issuer: 'tpg-portal',
+      audience: 'tpg-users'
+    });
+  }
+
+  /**
+   * Verify a challenge token and load its user
+   */
+  async verifyChallengeToken(token, purpose) {
+    const decoded = jwt.verify(token, this.jwtSecret, {
+      issuer: 'tpg-portal',
+      audience: 'tpg-users'
+    });
+
+    if (decoded.type !== 'two_factor_challenge' || decoded.purpose !== purpose) {
+      throw new Error('Invalid two-factor challenge');
+    }
+
+    const user = await User.query().findById(decoded.id);
+    if (!user || user.status !== 'active') {
+      throw new Error('Invalid two-factor challenge');
+    }
+
+    if (user.isLocked()) {
+      throw new Error('Account is temporarily locked. Please try again later.');
+    }
+
+    return user;
+  }
+
+  /**
+   * Second login step: exchange challenge token plus TOTP/recovery code for tokens
+   */
+  async completeTwoFactorLogin(challengeToken, { code, recoveryCode } = {}, ip, userAgent) {
+    const user = await this.verifyChallengeToken(challengeToken, 'verify');
+
+    const valid = await twoFactorService.verifyLogin(user, { code, recoveryCode }, ip, userAgent);
+    if (!valid) {
+      // Code failures count towards the normal lockout threshold
+      await user.incrementFailedLogins();
+      throw new Error('Invalid two-factor code');
+    }
+
+    return await this.completeLogin(user, ip, userAgent, recoveryCode ? 'recovery_code' : 'totp');
+  }
+
   /**
    * Logout user (invalidate tokens)
+   * Ends the session of the presented refresh token, falling back to the
+   * session of the access token, or every session when neither is known.
    */
-  async logout(userId, ip, userAgent) {
+  async logout(userId, ip, userAgent, refreshToken = null, sessionId = null) {
     try {
-      const user = await User.query().findById(userId);
+      let revoked = 0;
+
+      if (refreshToken) {
+        let decoded = null;
+        try {
+          // Expired tokens can still be logged out
+          decoded = jwt.verify(refreshToken, this.jwtRefreshSecret, {
+            issuer: 'tpg-portal',
+            audience: 'tpg-users',
+            ignoreExpiration: true
+          });
+        } catch (verifyError) {
+          logger.security.logSuspiciousActivity('invalid_logout_token', {
+            error: verifyError.message,
+            user_id: userId
+          }, ip, userAgent);
+        }
+
+        const record = decoded?.tokenId ? await RefreshToken.findByTokenId(decoded.tokenId) : null;
+        if (record && (!userId || record.user_id === userId)) {
+          userId = record.user_id;
+          revoked = await executeTransaction(async (trx) => {
+            await Session.query(trx).deleteById(record.family_id);
+            return await RefreshToken.revokeFamily(record.family_id, 'logout', trx);
+          });
+        }
+      } else if (sessionId) {
+        await this.revokeSession(userId, sessionId, ip, userAgent, 'logout');
+      } else if (userId) {
+        ({ tokens: revoked } = await this.revokeUserSessions(userId, 'logout'));
+      }
+
+      const user = userId ? await User.query().findById(userId) : null;
       if (user) {
-        logger.security.logAuth('logout', user.email, ip, userAgent, true);
+        logger.security.logAuth('logout', user.email, ip, userAgent, true, {
+          revoked_tokens: revoked
+        });
       }
 
-      // In a production system, you might want to maintain a blacklist of tokens
-      // For now, we'll just log the logout event
-      return { success: true };
+      return { success: true, revoked };
     } catch (error) {
       logger.error('Logout error:', error);
       throw error;
@@ -0,0 +1,209 @@
+// src/services/businessHoursService.js - TPG Business Hours Calendar
+const SystemSetting = require('../models/SystemSetting');
+const logger = require('../config/logger');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Never walk the calendar further than this when looking for business time
+const MAX_CALENDAR_DAYS = 3660;
+
+class BusinessHoursService {
+  /**
+   * Business calendar from system settings: working hours and days in the
+   * business timezone, and the public holiday calendar. Holidays are either
+   * recurring ("MM-DD") or one-off ("YYYY-MM-DD").
+   */
+  async getCalendar() {
+    try {
+      const [start, end, days, timezone, holidays] = await Promise.all([
+        SystemSetting.getValue('business_hours_start', '08:00'),
+        SystemSetting.getValue('business_hours_end', '17:00'),
+        SystemSetting.getValue('business_days', [1, 2, 3, 4, 5]),
+        SystemSetting.getValue('business_timezone', 'Africa/Accra'),
+        SystemSetting.getValue('public_holidays', [])
+      ]);
+
+      return this.buildCalendar({ start, end, days, timezone, holidays });
+    } catch (error) {
+      logger.error('BusinessHoursService.getCalendar error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Calendar from raw settings values
+   */
+  buildCalendar({ start, end, days, timezone, holidays = [] }) {
+    const startMinutes = parseTime(start);
+    const endMinutes = parseTime(end);
+
+    return {
+      timezone,
+      startMinutes,
+      endMinutes,
+      days: new Set(days),
+      holidays: new Set(holidays.map(holiday => (typeof holiday === 'string' ? holiday : holiday.date))),
+      // Without a usable working day, clocks fall back to wall-clock time
+      valid: startMinutes !== null && endMinutes !== null && startMinutes < endMinutes && days.length > 0
+    };
+  }
+
+  /**
+   * Whether a local calendar date is a working day
+   */
+  isBusinessDay(calendar, localDate) {
+    const weekday = new Date(Date.UTC(localDate.year, localDate.month - 1, localDate.day)).getUTCDay();
+    const monthDay = `${pad(localDate.month)}-${pad(localDate.day)}`;
+
+    return calendar.days.has(weekday)
+      && !calendar.holidays.has(monthDay)
+      && !calendar.holidays.has(`${localDate.year}-${monthDay}`);
+  }
+
+  /**
+   * The moment a number of business hours after `from`
+   */
+  addBusinessHours(calendar, from, hours) {
+    const start = new Date(from);
+    if (!calendar.valid) {
+      return new Date(start.getTime() + (hours * HOUR));
+    }
+
+    let remaining = hours * HOUR;
+    const cursor = start.getTime();
+    let localDate = this.getLocalDate(calendar.timezone, start);
+
+    for (let i = 0; i < MAX_CALENDAR_DAYS; i++) {
+      if (this.isBusinessDay(calendar, localDate)) {
+        const [windowStart, windowEnd] = this.getBusinessWindow(calendar, localDate);
+        const segmentStart = Math.max(cursor, windowStart);
+
+        if (segmentStart < windowEnd) {
+          if (remaining <= windowEnd - segmentStart) {
+            return new Date(segmentStart + remaining);
+          }
+          remaining -= windowEnd - segmentStart;
+        }
+      }
+
+      localDate = nextDate(localDate);
+    }
+
+    throw new Error('Business calendar has no working time');
+  }
+
+  /**
+   * Business hours between two moments
+   */
+  businessHoursBetween(calendar, from, to) {
+    const start = new Date(from).getTime();
+    const end = new Date(to).getTime();
+    if (end <= start) {
+      return 0;
+    }
+
+    if (!calendar.valid) {
+      return (end - start) / HOUR;
+    }
+
+    let total = 0;
+    let localDate = this.getLocalDate(calendar.timezone, new Date(start));
+    const lastDate = this.getLocalDate(calendar.timezone, new Date(end));
+
+    for (let i = 0; i < MAX_CALENDAR_DAYS && compareDates(localDate, lastDate) <= 0; i++) {
+      if (this.isBusinessDay(calendar, localDate)) {
+        const [windowStart, windowEnd] = this.getBusinessWindow(calendar, localDate);
+        total += Math.max(0, Math.min(end, windowEnd) - Math.max(start, windowStart));
+      }
+
+      localDate = nextDate(localDate);
+    }
+
+    return Math.round((total / HOUR) * 100) / 100;
+  }
+
+  // Helper methods
+
+  /**
+   * Start and end of the working day (UTC milliseconds) for a local date
+   */
+  getBusinessWindow(calendar, localDate) {
+    return [
+      this.toInstant(calendar.timezone, localDate, calendar.startMinutes),
+      this.toInstant(calendar.timezone, localDate, calendar.endMinutes)
+    ];
+  }
+
+  /**
+   * Calendar date of a moment in a timezone
+   */
+  getLocalDate(timezone, date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric'
+    }).formatToParts(date);
+
+    const value = type => Number(parts.find(part => part.type === type).value);
+    return { year: value('year'), month: value('month'), day: value('day') };
+  }
+
+  /**
+   * UTC milliseconds of a local date and time of day in a timezone
+   */
+  toInstant(timezone, localDate, minutes) {
+    const wallClock = Date.UTC(localDate.year, localDate.month - 1, localDate.day, 0, minutes);
+    const offset = this.getOffset(timezone, wallClock);
+    return wallClock - offset;
+  }
+
+  /**
+   * Offset of a timezone from UTC (milliseconds) at a moment
+   */
+  getOffset(timezone, timestamp) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(new Date(timestamp));
+
+    const value = type => Number(parts.find(part => part.type === type).value);
+    const localAsUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+
+    return localAsUtc - (Math.floor(timestamp / 1000) * 1000);
+  }
+}
+
+/**
+ * Minutes since midnight for an "HH:MM" setting, or null when malformed
+ */
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) {
+    return null;
+  }
+
+  return (Number(match[1]) * 60) + Number(match[2]);
+}
+
+function pad(value) {
+  return String(value).padStart(2, '0');
+}
+
+function nextDate(localDate) {
+  const next = new Date(Date.UTC(localDate.year, localDate.month - 1, localDate.day) + DAY);
+  return { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() };
+}
+
+function compareDates(a, b) {
+  return Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day);
+}
+
+module.exports = new BusinessHoursService();
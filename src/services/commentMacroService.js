@@ -0,0 +1,324 @@
+// src/services/commentMacroService.js - TPG Comment Macro Service
+const { raw, UniqueViolationError } = require('objection');
+const CommentMacro = require('../models/CommentMacro');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const auditService = require('./auditService');
+const ticketService = require('./ticketService');
+const workflowService = require('./workflowService');
+const assignmentService = require('./assignmentService');
+const logger = require('../config/logger');
+
+// Comment content limit (see TicketComment schema)
+const MAX_COMMENT_LENGTH = 3000;
+
+// Resolution notes limit (see Ticket schema)
+const MAX_RESOLUTION_NOTES_LENGTH = 2000;
+
+class CommentMacroService {
+  /**
+   * List macros. Filtering by category includes macros available for every category.
+   */
+  async listMacros(filters = {}) {
+    try {
+      const {
+        category,
+        search,
+        include_inactive: includeInactive = false,
+        sort_by: sortBy = 'name'
+      } = filters;
+
+      let query = CommentMacro.query();
+
+      if (!includeInactive) {
+        query = query.where('is_active', true);
+      }
+
+      if (category) {
+        query = query.where(builder => {
+          builder.where('category', category).orWhereNull('category');
+        });
+      }
+
+      if (search) {
+        query = query.where(builder => {
+          builder.where('name', 'ilike', `%${search}%`)
+            .orWhere('description', 'ilike', `%${search}%`);
+        });
+      }
+
+      query = sortBy === 'usage_count'
+        ? query.orderBy('usage_count', 'desc').orderBy('name', 'asc')
+        : query.orderBy('name', 'asc');
+
+      return await query;
+    } catch (error) {
+      logger.error('CommentMacroService.listMacros error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a macro by ID
+   */
+  async getMacro(id) {
+    try {
+      const macro = await CommentMacro.query().findById(id);
+      if (!macro) {
+        throw new Error('Macro not found');
+      }
+
+      return macro;
+    } catch (error) {
+      logger.error('CommentMacroService.getMacro error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a macro
+   */
+  async createMacro(data, createdBy, context = {}) {
+    try {
+      this.checkPlaceholders(data.content);
+      await this.checkAssignee(data.actions);
+
+      const macro = await CommentMacro.query().insert({
+        ...data,
+        created_by: createdBy,
+        updated_by: createdBy
+      });
+
+      await auditService.recordCreate('comment_macro', macro, { userId: createdBy, ...context });
+
+      logger.info(`Comment macro created: ${macro.name}`, {
+        macro_id: macro.id,
+        created_by: createdBy
+      });
+
+      return macro;
+    } catch (error) {
+      logger.error('CommentMacroService.createMacro error:', error);
+      throw this.translateError(error);
+    }
+  }
+
+  /**
+   * Update a macro. Inactive macros must be reactivated first.
+   */
+  async updateMacro(id, updates, updatedBy, context = {}) {
+    try {
+      const macro = await this.getMacro(id);
+
+      if (!macro.is_active && updates.is_active !== true) {
+        throw new Error('Inactive macros cannot be edited');
+      }
+
+      if (updates.content) {
+        this.checkPlaceholders(updates.content);
+      }
+
+      if (updates.actions) {
+        await this.checkAssignee(updates.actions);
+      }
+
+      const changes = { ...updates, updated_by: updatedBy };
+
+      const before = macro.toJSON();
+      const updatedMacro = await macro.$query().patchAndFetch(changes);
+
+      await auditService.recordUpdate('comment_macro', before, updatedMacro, { userId: updatedBy, ...context }, {
+        action: updates.is_active === true ? 'restore' : 'update',
+        fields: Object.keys(updates)
+      });
+
+      return updatedMacro;
+    } catch (error) {
+      logger.error('CommentMacroService.updateMacro error:', error);
+      throw this.translateError(error);
+    }
+  }
+
+  /**
+   * Deactivate a macro so agents can no longer apply it
+   */
+  async deactivateMacro(id, deactivatedBy, context = {}) {
+    try {
+      const macro = await this.getMacro(id);
+
+      if (!macro.is_active) {
+        throw new Error('Macro is already inactive');
+      }
+
+      const before = macro.toJSON();
+      const deactivatedMacro = await macro.$query().patchAndFetch({
+        is_active: false,
+        updated_by: deactivatedBy
+      });
+
+      await auditService.recordUpdate('comment_macro', before, deactivatedMacro, { userId: deactivatedBy, ...context }, {
+        action: 'deactivate',
+        fields: ['is_active']
+      });
+
+      return deactivatedMacro;
+    } catch (error) {
+      logger.error('CommentMacroService.deactivateMacro error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render a macro for a ticket and check that its actions can be applied.
+   * `extraContent` is the agent's own text, added after the macro text.
+   */
+  async prepareMacro(id, ticket, agent, extraContent = '') {
+    try {
+      const macro = await this.getMacro(id);
+
+      if (!macro.is_active) {
+        throw new Error('Macro is inactive');
+      }
+
+      if (!macro.appliesToCategory(ticket.category)) {
+        throw new Error(`Macro is not available for ${ticket.category} tickets`);
+      }
+
+      const ticketWithPeople = await Ticket.query()
+        .findById(ticket.id)
+        .withGraphFetched('[user(selectName), assignedUser(selectName)]')
+        .modifiers({
+          selectName: builder => builder.select('id', 'username')
+        });
+
+      const rendered = macro.render(ticketWithPeople, agent);
+      const content = extraContent ? `${rendered}\n\n${extraContent}` : rendered;
+
+      if (content.length > MAX_COMMENT_LENGTH) {
+        throw new Error(`Comment with macro text cannot exceed ${MAX_COMMENT_LENGTH} characters`);
+      }
+
+      const { status, assign_to: assignTo } = macro.actions || {};
+      const assignee = assignTo === 'self' ? agent.id : assignTo;
+
+      if (assignee && assignee !== ticket.assigned_to && await assignmentService.isOutOfOffice(assignee)) {
+        throw new Error('Macro cannot assign the ticket to an agent who is out of office');
+      }
+
+      // Assigning may move the ticket to in-progress before any status change
+      const statusBefore = assignee && assignee !== ticket.assigned_to
+        ? await workflowService.getAssignmentStatus(ticket, assignee)
+        : ticket.status;
+
+      if (status && status !== statusBefore) {
+        try {
+          await workflowService.checkTransition({ ...ticket, status: statusBefore }, status, {
+            role: agent.role,
+            fields: { resolution_notes: content.slice(0, MAX_RESOLUTION_NOTES_LENGTH), reason: `Macro: ${macro.name}`, assigned_to: assignee || ticket.assigned_to }
+          });
+        } catch (workflowError) {
+          throw new Error(workflowError.message.replace('Cannot change status', 'Macro cannot change status'));
+        }
+      }
+
+      return { macro, content };
+    } catch (error) {
+      logger.error('CommentMacroService.prepareMacro error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply a macro's ticket actions: assignment, status, urgency and tags.
+   * The comment text doubles as resolution notes when the macro resolves or
+   * closes the ticket. Returns the changes that were made.
+   */
+  async applyActions(macro, ticket, agent, context = {}, content = '') {
+    try {
+      const { status, urgency, add_tags: addTags = [], remove_tags: removeTags = [], assign_to: assignTo } = macro.actions || {};
+      const applied = {};
+      let current = ticket;
+
+      const assignee = assignTo === 'self' ? agent.id : assignTo;
+      if (assignee && assignee !== current.assigned_to) {
+        current = await ticketService.assignTicket(current.id, assignee, agent.id, `Macro: ${macro.name}`, context);
+        applied.assigned_to = current.assigned_to;
+      }
+
+      if (status && status !== current.status) {
+        current = await ticketService.updateTicketStatus(current.id, status, agent.id, {
+          reason: `Macro: ${macro.name}`,
+          resolutionNotes: ['resolved', 'closed'].includes(status) ? content.slice(0, MAX_RESOLUTION_NOTES_LENGTH) : '',
+          context
+        });
+        applied.status = current.status;
+      }
+
+      const updates = {};
+
+      if (urgency && urgency !== current.urgency) {
+        updates.urgency = urgency;
+      }
+
+      const tags = [...new Set([...(current.tags || []), ...addTags])]
+        .filter(tag => !removeTags.includes(tag));
+      if (tags.length !== (current.tags || []).length || tags.some(tag => !current.tags.includes(tag))) {
+        updates.tags = tags;
+      }
+
+      if (Object.keys(updates).length > 0) {
+        current = await ticketService.updateTicket(current.id, updates, agent.id, context);
+        Object.assign(applied, updates);
+      }
+
+      return { ticket: current, applied };
+    } catch (error) {
+      logger.error('CommentMacroService.applyActions error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a macro application
+   */
+  async recordUsage(id) {
+    try {
+      await CommentMacro.query().findById(id).patch({
+        usage_count: raw('usage_count + 1'),
+        last_used_at: new Date().toISOString()
+      });
+    } catch (error) {
+      logger.error('CommentMacroService.recordUsage error:', error);
+    }
+  }
+
+  // Helper methods
+
+  checkPlaceholders(content) {
+    const unknown = CommentMacro.findUnknownPlaceholders(content);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown placeholders: ${unknown.join(', ')}`);
+    }
+  }
+
+  async checkAssignee(actions = {}) {
+    if (!actions.assign_to || actions.assign_to === 'self') {
+      return;
+    }
+
+    const assignee = await User.query().findById(actions.assign_to);
+    if (!assignee || !['admin', 'super_admin'].includes(assignee.role) || assignee.status !== 'active') {
+      throw new Error('Macro assignee must be an active admin user');
+    }
+  }
+
+  translateError(error) {
+    if (error instanceof UniqueViolationError) {
+      return new Error('A macro with this name already exists');
+    }
+
+    return error;
+  }
+}
+
+module.exports = new CommentMacroService();
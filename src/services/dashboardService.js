@@ -2,8 +2,11 @@
 const Ticket = require('../models/Ticket');
 const TicketComment = require('../models/TicketComment');
 const TicketAttachment = require('../models/TicketAttachment');
+const TicketEscalation = require('../models/TicketEscalation');
 const User = require('../models/User');
 const analyticsService = require('./analyticsService');
+const slaService = require('./slaService');
+const assignmentService = require('./assignmentService');
 const logger = require('../config/logger');
 
 class DashboardService {
@@ -158,7 +161,7 @@ class DashboardService {
             overdue_tickets: this.getOverdueTickets(tickets),
             top_categories: this.getTopCategories(tickets),
             active_users: await this.getActiveUsers(tickets),
-            escalated_tickets: this.getEscalatedTickets(tickets)
+            escalated_tickets: await this.getEscalatedTickets(tickets)
         };
     }
 
@@ -169,7 +172,7 @@ class DashboardService {
         const alerts = [];
 
         // Check for overdue tickets
-        const overdueTickets = tickets.filter(t => this.isTicketOverdue(t));
+        const overdueTickets = tickets.filter(t => slaService.isOverdue(t));
         if (overdueTickets.length > 0) {
             alerts.push({
                 type: 'warning',
@@ -317,9 +320,9 @@ class DashboardService {
                 status: current.avgFirstResponseTime <= 4 ? 'good' : 'poor'
             },
             sla_compliance: {
-                value: this.calculateSLACompliance(currentTickets),
+                value: slaService.calculateCompliance(currentTickets),
                 target: 90, // 90% SLA compliance target
-                status: this.calculateSLACompliance(currentTickets) >= 90 ? 'good' : 'poor'
+                status: slaService.calculateCompliance(currentTickets) >= 90 ? 'good' : 'poor'
             },
             customer_satisfaction: {
                 value: current.avgSatisfaction,
@@ -442,6 +445,7 @@ class DashboardService {
         const statuses = {
             open: 0,
             'in-progress': 0,
+            'pending-customer': 0,
             resolved: 0,
             closed: 0
         };
@@ -465,6 +469,7 @@ class DashboardService {
                 colors: {
                     'Open': '#f59e0b',
                     'In Progress': '#3b82f6',
+                    'Pending Customer': '#a855f7',
                     'Resolved': '#10b981',
                     'Closed': '#6b7280'
                 }
@@ -473,37 +478,41 @@ class DashboardService {
     }
 
     /**
-     * Build assignee workload chart
+     * Build assignee workload chart. Totals and resolutions cover the period;
+     * open tickets and capacity are current and come from assignmentService,
+     * the same numbers auto-assignment works from.
      */
     async buildAssigneeWorkloadChart(tickets) {
-        const assigneeWorkload = {};
-
-        // Get all assignees
+        // Everyone assigned in the period plus every active agent
         const assigneeIds = [...new Set(tickets.map(t => t.assigned_to).filter(Boolean))];
-        const assignees = assigneeIds.length > 0 ?
-            await User.query().whereIn('id', assigneeIds).select('id', 'username') : [];
+        const assignees = await User.query()
+            .where(builder => {
+                builder.whereIn('id', assigneeIds).orWhere(agents => {
+                    agents.whereIn('role', ['admin', 'super_admin']).where('status', 'active');
+                });
+            })
+            .select('id', 'username');
+
+        const workloads = await assignmentService.getWorkloads(assignees.map(assignee => assignee.id));
 
-        // Calculate workload
-        assignees.forEach(assignee => {
+        const data = assignees.map(assignee => {
             const assignedTickets = tickets.filter(t => t.assigned_to === assignee.id);
-            const openTickets = assignedTickets.filter(t => ['open', 'in-progress'].includes(t.status));
+            const workload = workloads[assignee.id];
 
-            assigneeWorkload[assignee.username] = {
+            return {
+                assignee: assignee.username,
                 total: assignedTickets.length,
-                open: openTickets.length,
+                open: workload.open_tickets,
+                capacity: workload.max_open_tickets,
+                utilization: workload.utilization,
                 resolved: assignedTickets.filter(t => t.status === 'resolved').length,
                 avg_resolution_time: this.calculateAverageResolutionTime(assignedTickets.filter(t => t.resolved_at))
             };
         });
 
-        const data = Object.entries(assigneeWorkload).map(([username, metrics]) => ({
-            assignee: username,
-            ...metrics
-        }));
-
         return {
             type: 'bar',
-            data: data.sort((a, b) => b.total - a.total),
+            data: data.sort((a, b) => b.total - a.total || b.open - a.open),
             config: {
                 x_axis: 'assignee',
                 y_axes: ['total', 'open', 'resolved'],
@@ -578,7 +587,7 @@ class DashboardService {
         const total = tickets.length;
         const resolved = tickets.filter(t => t.status === 'resolved').length;
         const open = tickets.filter(t => t.status === 'open').length;
-        const overdue = tickets.filter(t => this.isTicketOverdue(t)).length;
+        const overdue = tickets.filter(t => slaService.isOverdue(t)).length;
 
         // Calculate average resolution time
         const resolvedTickets = tickets.filter(t => t.resolved_at);
@@ -654,16 +663,6 @@ class DashboardService {
         };
     }
 
-    isTicketOverdue(ticket) {
-        if (!ticket.estimated_resolution_hours || ['resolved', 'closed'].includes(ticket.status)) {
-            return false;
-        }
-
-        const createdAt = new Date(ticket.created_at);
-        const expectedResolution = new Date(createdAt.getTime() + (ticket.estimated_resolution_hours * 60 * 60 * 1000));
-        return new Date() > expectedResolution;
-    }
-
     calculateAverageResolutionTime(tickets) {
         if (tickets.length === 0) return 0;
 
@@ -675,20 +674,6 @@ class DashboardService {
         return Math.round(totalTime / tickets.length * 100) / 100;
     }
 
-    calculateSLACompliance(tickets) {
-        const slaTickets = tickets.filter(t => t.estimated_resolution_hours);
-        if (slaTickets.length === 0) return 100;
-
-        const compliantTickets = slaTickets.filter(t => {
-            if (!t.resolved_at) return false;
-
-            const resolutionTime = (new Date(t.resolved_at) - new Date(t.created_at)) / (1000 * 60 * 60);
-            return resolutionTime <= t.estimated_resolution_hours;
-        });
-
-        return Math.round((compliantTickets.length / slaTickets.length) * 100);
-    }
-
     async getStaleTickets(tickets) {
         const sevenDaysAgo = new Date();
         sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
@@ -734,20 +719,16 @@ class DashboardService {
 
     getOverdueTickets(tickets) {
         return tickets
-            .filter(t => this.isTicketOverdue(t))
-            .sort((a, b) => {
-                const overdueA = (new Date() - new Date(a.created_at)) - (a.estimated_resolution_hours * 60 * 60 * 1000);
-                const overdueB = (new Date() - new Date(b.created_at)) - (b.estimated_resolution_hours * 60 * 60 * 1000);
-                return overdueB - overdueA;
-            })
+            .filter(t => slaService.isOverdue(t))
+            .sort((a, b) => new Date(a.resolution_due_at) - new Date(b.resolution_due_at))
             .map(ticket => ({
                 id: ticket.id,
                 ticket_number: ticket.ticket_number,
                 title: ticket.title,
                 urgency: ticket.urgency,
                 created_at: ticket.created_at,
-                estimated_resolution_hours: ticket.estimated_resolution_hours,
-                overdue_hours: Math.round(((new Date() - new Date(ticket.created_at)) / (1000 * 60 * 60)) - ticket.estimated_resolution_hours)
+                resolution_due_at: ticket.resolution_due_at,
+                overdue_hours: Math.round((new Date() - new Date(ticket.resolution_due_at)) / (1000 * 60 * 60))
             }));
     }
 
@@ -796,23 +777,52 @@ class DashboardService {
         })).sort((a, b) => b.activity.tickets_created - a.activity.tickets_created).slice(0, 10);
     }
 
-    getEscalatedTickets(tickets) {
-        return tickets
-            .filter(t => ['high', 'critical'].includes(t.urgency) && t.status !== 'resolved')
-            .sort((a, b) => {
-                const urgencyOrder = { critical: 4, high: 3, medium: 2, low: 1 };
-                return urgencyOrder[b.urgency] - urgencyOrder[a.urgency];
+    async getEscalatedTickets(tickets) {
+        const escalated = tickets
+            .filter(t => t.escalation_level > 0 && !['resolved', 'closed'].includes(t.status))
+            .sort((a, b) => b.escalation_level - a.escalation_level ||
+                new Date(b.escalated_at) - new Date(a.escalated_at))
+            .slice(0, 10);
+
+        if (escalated.length === 0) {
+            return [];
+        }
+
+        // Latest escalation record per ticket
+        const escalations = await TicketEscalation.query()
+            .whereIn('ticket_id', escalated.map(t => t.id))
+            .withGraphFetched('escalatedToUser(selectBasic)')
+            .modifiers({
+                selectBasic: builder => builder.select('id', 'username')
             })
-            .slice(0, 10)
-            .map(ticket => ({
+            .orderBy('created_at', 'desc');
+
+        const latestByTicket = new Map();
+        escalations.forEach(escalation => {
+            if (!latestByTicket.has(escalation.ticket_id)) {
+                latestByTicket.set(escalation.ticket_id, escalation);
+            }
+        });
+
+        return escalated.map(ticket => {
+            const latest = latestByTicket.get(ticket.id);
+
+            return {
                 id: ticket.id,
                 ticket_number: ticket.ticket_number,
                 title: ticket.title,
                 urgency: ticket.urgency,
                 category: ticket.category,
                 created_at: ticket.created_at,
-                assigned_to: ticket.assignedUser ? ticket.assignedUser.username : 'Unassigned'
-            }));
+                assigned_to: ticket.assignedUser ? ticket.assignedUser.username : 'Unassigned',
+                escalation_level: ticket.escalation_level,
+                escalated_at: ticket.escalated_at,
+                escalation_tier: latest ? latest.tier : null,
+                escalation_reason: latest ? latest.reason : null,
+                escalation_trigger: latest ? latest.trigger : null,
+                escalated_to: latest && latest.escalatedToUser ? latest.escalatedToUser.username : null
+            };
+        });
     }
 
     // Cache management
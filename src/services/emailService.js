@@ -1,5 +1,6 @@
 // src/services/emailService.js - TPG Email Service
 const nodemailer = require('nodemailer');
+const TicketFollower = require('../models/TicketFollower');
 const logger = require('../config/logger');
 
 class EmailService {
@@ -20,7 +21,7 @@ class EmailService {
 
     try {
       // Configure SMTP transporter
-      this.transporter = nodemailer.createTransporter({
+      this.transporter = nodemailer.createTransport({
         host: process.env.EMAIL_HOST || 'localhost',
         port: parseInt(process.env.EMAIL_PORT) || 587,
         secure: process.env.EMAIL_SECURE === 'true',
@@ -148,9 +149,10 @@ class EmailService {
   }
 
   /**
-   * Send ticket assigned notification
+   * Send ticket assigned notification to the assignee, and to the reporter
+   * and followers subscribed to assignment changes
    */
-  async sendTicketAssignedEmail(ticket, assignee) {
+  async sendTicketAssignedEmail(ticket, assignee, actorId = null) {
     if (!this.enabled) {
       logger.info(`Ticket assigned email skipped for ticket ${ticket.ticket_number} (email service disabled)`);
       return { success: true, skipped: true };
@@ -168,30 +170,36 @@ class EmailService {
         text: this.getTicketAssignedEmailText(ticket, assignee, ticketUrl)
       };
 
-      // Send to ticket creator
-      const creatorMailOptions = {
-        from: process.env.EMAIL_FROM || 'TPG Support <noreply@tpg.gov.gh>',
-        to: ticket.user.email,
-        subject: `Your Ticket Has Been Assigned - ${ticket.ticket_number}`,
-        html: this.getTicketAssignmentNotificationTemplate(ticket, assignee, ticketUrl),
-        text: this.getTicketAssignmentNotificationText(ticket, assignee, ticketUrl)
-      };
+      const assigneeResult = await this.transporter.sendMail(assigneeMailOptions);
 
-      const [assigneeResult, creatorResult] = await Promise.all([
-        this.transporter.sendMail(assigneeMailOptions),
-        this.transporter.sendMail(creatorMailOptions)
-      ]);
+      // Send to ticket creator and followers
+      const recipients = (await TicketFollower.getNotificationRecipients(ticket, 'assignment', { actorId }))
+        .filter(recipient => recipient.id !== assignee.id);
+
+      const followerResults = [];
+      for (const recipient of recipients) {
+        const mailOptions = {
+          from: process.env.EMAIL_FROM || 'TPG Support <noreply@tpg.gov.gh>',
+          to: recipient.email,
+          subject: `Ticket Assigned - ${ticket.ticket_number}`,
+          html: this.getTicketAssignmentNotificationTemplate(ticket, assignee, ticketUrl),
+          text: this.getTicketAssignmentNotificationText(ticket, assignee, ticketUrl)
+        };
+
+        const result = await this.transporter.sendMail(mailOptions);
+        followerResults.push({ userId: recipient.id, messageId: result.messageId });
+      }
       
       logger.info(`Ticket assignment emails sent for ${ticket.ticket_number}`, {
         assigneeMessageId: assigneeResult.messageId,
-        creatorMessageId: creatorResult.messageId,
+        recipients: followerResults.length,
         ticketId: ticket.id
       });
 
       return { 
         success: true, 
         assigneeMessageId: assigneeResult.messageId,
-        creatorMessageId: creatorResult.messageId
+        results: followerResults
       };
     } catch (error) {
       logger.error(`Failed to send ticket assignment emails for ${ticket.ticket_number}:`, error);
@@ -200,9 +208,10 @@ class EmailService {
   }
 
   /**
-   * Send ticket status update notification
+   * Send ticket status update notification to the reporter, assignee and
+   * followers subscribed to status changes
    */
-  async sendTicketStatusUpdateEmail(ticket) {
+  async sendTicketStatusUpdateEmail(ticket, actorId = null) {
     if (!this.enabled) {
       logger.info(`Ticket status email skipped for ticket ${ticket.ticket_number} (email service disabled)`);
       return { success: true, skipped: true };
@@ -210,24 +219,29 @@ class EmailService {
 
     try {
       const ticketUrl = `${process.env.FRONTEND_URL}/tickets/${ticket.id}`;
-      
-      const mailOptions = {
-        from: process.env.EMAIL_FROM || 'TPG Support <noreply@tpg.gov.gh>',
-        to: ticket.user.email,
-        subject: `Ticket Status Updated - ${ticket.ticket_number}`,
-        html: this.getTicketStatusUpdateEmailTemplate(ticket, ticketUrl),
-        text: this.getTicketStatusUpdateEmailText(ticket, ticketUrl)
-      };
+      const recipients = await TicketFollower.getNotificationRecipients(ticket, 'status', { actorId });
 
-      const result = await this.transporter.sendMail(mailOptions);
-      
-      logger.info(`Ticket status update email sent for ${ticket.ticket_number}`, {
-        messageId: result.messageId,
+      const results = [];
+      for (const recipient of recipients) {
+        const mailOptions = {
+          from: process.env.EMAIL_FROM || 'TPG Support <noreply@tpg.gov.gh>',
+          to: recipient.email,
+          subject: `Ticket Status Updated - ${ticket.ticket_number}`,
+          html: this.getTicketStatusUpdateEmailTemplate(ticket, ticketUrl),
+          text: this.getTicketStatusUpdateEmailText(ticket, ticketUrl)
+        };
+
+        const result = await this.transporter.sendMail(mailOptions);
+        results.push({ userId: recipient.id, messageId: result.messageId });
+      }
+
+      logger.info(`Ticket status update emails sent for ${ticket.ticket_number}`, {
         ticketId: ticket.id,
-        status: ticket.status
+        status: ticket.status,
+        recipients: results.length
       });
 
-      return { success: true, messageId: result.messageId };
+      return { success: true, results };
     } catch (error) {
       logger.error(`Failed to send ticket status update email for ${ticket.ticket_number}:`, error);
       throw error;
@@ -235,7 +249,8 @@ class EmailService {
   }
 
   /**
-   * Send comment notification
+   * Send comment notification to the reporter, assignee and followers
+   * subscribed to comments. Internal comments only reach staff.
    */
   async sendCommentNotification(ticket, comment) {
     if (!this.enabled) {
@@ -245,26 +260,10 @@ class EmailService {
 
     try {
       const ticketUrl = `${process.env.FRONTEND_URL}/tickets/${ticket.id}`;
-      const recipients = [];
-
-      // Notify ticket creator if comment is not from them
-      if (comment.user_id !== ticket.user_id && !comment.is_internal) {
-        recipients.push({
-          email: ticket.user.email,
-          type: 'creator'
-        });
-      }
-
-      // Notify assigned user if comment is not from them
-      if (ticket.assigned_to && comment.user_id !== ticket.assigned_to) {
-        const assignee = await require('../models/User').query().findById(ticket.assigned_to);
-        if (assignee) {
-          recipients.push({
-            email: assignee.email,
-            type: 'assignee'
-          });
-        }
-      }
+      const recipients = await TicketFollower.getNotificationRecipients(ticket, 'comments', {
+        actorId: comment.user_id,
+        internal: comment.is_internal
+      });
 
       const results = [];
       for (const recipient of recipients) {
@@ -277,7 +276,7 @@ class EmailService {
         };
 
         const result = await this.transporter.sendMail(mailOptions);
-        results.push({ ...recipient, messageId: result.messageId });
+        results.push({ userId: recipient.id, messageId: result.messageId });
       }
       
       logger.info(`Comment notification emails sent for ${ticket.ticket_number}`, {
@@ -293,6 +292,278 @@ class EmailService {
     }
   }
 
+  /**
+   * Send new attachment notification to the reporter, assignee and
+   * followers subscribed to attachments
+   */
+  async sendAttachmentNotification(ticket, attachments, uploaderId, { internal = false } = {}) {
+    if (!this.enabled) {
+      logger.info(`Attachment notification skipped for ticket ${ticket.ticket_number} (email service disabled)`);
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const ticketUrl = `${process.env.FRONTEND_URL}/tickets/${ticket.id}`;
+      const recipients = await TicketFollower.getNotificationRecipients(ticket, 'attachments', {
+        actorId: uploaderId,
+        internal
+      });
+
+      const results = [];
+      for (const recipient of recipients) {
+        const mailOptions = {
+          from: process.env.EMAIL_FROM || 'TPG Support <noreply@tpg.gov.gh>',
+          to: recipient.email,
+          subject: `New Attachment on Ticket - ${ticket.ticket_number}`,
+          html: this.getAttachmentNotificationEmailTemplate(ticket, attachments, ticketUrl),
+          text: this.getAttachmentNotificationEmailText(ticket, attachments, ticketUrl)
+        };
+
+        const result = await this.transporter.sendMail(mailOptions);
+        results.push({ userId: recipient.id, messageId: result.messageId });
+      }
+
+      logger.info(`Attachment notification emails sent for ${ticket.ticket_number}`, {
+        ticketId: ticket.id,
+        attachments: attachments.length,
+        recipients: results.length
+      });
+
+      return { success: true, results };
+    } catch (error) {
+      logger.error(`Failed to send attachment notification for ticket ${ticket.ticket_number}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send ticket escalation notification
+   */
+  async sendTicketEscalatedEmail(ticket, escalation, recipients) {
+    if (!this.enabled) {
+      logger.info(`Ticket escalation email skipped for ticket ${ticket.ticket_number} (email service disabled)`);
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const ticketUrl = `${process.env.FRONTEND_URL}/tickets/${ticket.id}`;
+
+      const results = [];
+      for (const recipient of recipients) {
+        const mailOptions = {
+          from: process.env.EMAIL_FROM || 'TPG Support <noreply@tpg.gov.gh>',
+          to: recipient.email,
+          subject: `Ticket Escalated (Level ${escalation.level}) - ${ticket.ticket_number}`,
+          html: this.getTicketEscalatedEmailTemplate(ticket, escalation, ticketUrl),
+          text: this.getTicketEscalatedEmailText(ticket, escalation, ticketUrl)
+        };
+
+        const result = await this.transporter.sendMail(mailOptions);
+        results.push({ userId: recipient.id, messageId: result.messageId });
+      }
+
+      logger.info(`Ticket escalation emails sent for ${ticket.ticket_number}`, {
+        ticketId: ticket.id,
+        level: escalation.level,
+        recipients: results.length
+      });
+
+      return { success: true, results };
+    } catch (error) {
+      logger.error(`Failed to send ticket escalation emails for ${ticket.ticket_number}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send ticket merged notification to the source ticket's reporter
+   */
+  async sendTicketMergedEmail(source, target, reporter) {
+    if (!this.enabled) {
+      logger.info(`Ticket merged email skipped for ticket ${source.ticket_number} (email service disabled)`);
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const ticketUrl = `${process.env.FRONTEND_URL}/tickets/${target.id}`;
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM || 'TPG Support <noreply@tpg.gov.gh>',
+        to: reporter.email,
+        subject: `Ticket Merged - ${source.ticket_number} into ${target.ticket_number}`,
+        html: this.getTicketMergedEmailTemplate(source, target, ticketUrl),
+        text: this.getTicketMergedEmailText(source, target, ticketUrl)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info(`Ticket merged email sent for ${source.ticket_number}`, {
+        messageId: result.messageId,
+        ticketId: source.id,
+        targetId: target.id
+      });
+
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      logger.error(`Failed to send ticket merged email for ${source.ticket_number}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Send the satisfaction survey link to a ticket's reporter
+   */
+  async sendSatisfactionSurveyEmail(ticket, reporter, surveyUrl, expiresAt) {
+    if (!this.enabled) {
+      logger.info(`Satisfaction survey email skipped for ticket ${ticket.ticket_number} (email service disabled)`);
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const mailOptions = {
+        from: process.env.EMAIL_FROM || 'TPG Support <noreply@tpg.gov.gh>',
+        to: reporter.email,
+        subject: `How did we do? - ${ticket.ticket_number}`,
+        html: this.getSatisfactionSurveyEmailTemplate(ticket, reporter, surveyUrl, expiresAt),
+        text: this.getSatisfactionSurveyEmailText(ticket, reporter, surveyUrl, expiresAt)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info(`Satisfaction survey email sent for ${ticket.ticket_number}`, {
+        messageId: result.messageId,
+        ticketId: ticket.id
+      });
+
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      logger.error(`Failed to send satisfaction survey email for ${ticket.ticket_number}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell supervisors that a ticket received a low satisfaction rating
+   */
+  async sendLowSatisfactionEmail(ticket, recipients) {
+    if (!this.enabled) {
+      logger.info(`Low satisfaction email skipped for ticket ${ticket.ticket_number} (email service disabled)`);
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const ticketUrl = `${process.env.FRONTEND_URL}/tickets/${ticket.id}`;
+
+      const results = [];
+      for (const recipient of recipients) {
+        const mailOptions = {
+          from: process.env.EMAIL_FROM || 'TPG Support <noreply@tpg.gov.gh>',
+          to: recipient.email,
+          subject: `Review Needed: ${ticket.satisfaction_rating}/5 rating - ${ticket.ticket_number}`,
+          html: this.getLowSatisfactionEmailTemplate(ticket, ticketUrl),
+          text: this.getLowSatisfactionEmailText(ticket, ticketUrl)
+        };
+
+        const result = await this.transporter.sendMail(mailOptions);
+        results.push({ userId: recipient.id, messageId: result.messageId });
+      }
+
+      logger.info(`Low satisfaction emails sent for ${ticket.ticket_number}`, {
+        ticketId: ticket.id,
+        rating: ticket.satisfaction_rating,
+        recipients: results.length
+      });
+
+      return { success: true, results };
+    } catch (error) {
+      logger.error(`Failed to send low satisfaction emails for ${ticket.ticket_number}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remind a reporter that their ticket is waiting on their reply
+   */
+  async sendPendingCustomerReminderEmail(ticket, reporter, closesAt) {
+    if (!this.enabled) {
+      logger.info(`Pending customer reminder skipped for ticket ${ticket.ticket_number} (email service disabled)`);
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const ticketUrl = `${process.env.FRONTEND_URL}/tickets/${ticket.id}`;
+
+      const mailOptions = {
+        from: process.env.EMAIL_FROM || 'TPG Support <noreply@tpg.gov.gh>',
+        to: reporter.email,
+        subject: `Waiting for your reply - ${ticket.ticket_number}`,
+        html: this.getPendingCustomerReminderEmailTemplate(ticket, reporter, ticketUrl, closesAt),
+        text: this.getPendingCustomerReminderEmailText(ticket, reporter, ticketUrl, closesAt)
+      };
+
+      const result = await this.transporter.sendMail(mailOptions);
+
+      logger.info(`Pending customer reminder sent for ${ticket.ticket_number}`, {
+        messageId: result.messageId,
+        ticketId: ticket.id
+      });
+
+      return { success: true, messageId: result.messageId };
+    } catch (error) {
+      logger.error(`Failed to send pending customer reminder for ${ticket.ticket_number}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell the uploader that their file was blocked, and admins what was found
+   */
+  async sendInfectedAttachmentEmail(attachment, ticket, signature, uploader, admins = []) {
+    if (!this.enabled) {
+      logger.info(`Infected attachment email skipped for attachment ${attachment.id} (email service disabled)`);
+      return { success: true, skipped: true };
+    }
+
+    try {
+      const ticketUrl = ticket ? `${process.env.FRONTEND_URL}/tickets/${ticket.id}` : null;
+      const ticketNumber = ticket ? ticket.ticket_number : 'unknown ticket';
+
+      const results = [];
+      if (uploader) {
+        const result = await this.transporter.sendMail({
+          from: process.env.EMAIL_FROM || 'TPG Support <noreply@tpg.gov.gh>',
+          to: uploader.email,
+          subject: `File blocked - ${ticketNumber}`,
+          html: this.getInfectedAttachmentUploaderEmailTemplate(attachment, ticketNumber, uploader),
+          text: this.getInfectedAttachmentUploaderEmailText(attachment, ticketNumber, uploader)
+        });
+        results.push({ userId: uploader.id, messageId: result.messageId });
+      }
+
+      for (const admin of admins) {
+        const result = await this.transporter.sendMail({
+          from: process.env.EMAIL_FROM || 'TPG Support <noreply@tpg.gov.gh>',
+          to: admin.email,
+          subject: `Security Alert: infected file uploaded - ${ticketNumber}`,
+          html: this.getInfectedAttachmentAdminEmailTemplate(attachment, ticketNumber, signature, uploader, ticketUrl),
+          text: this.getInfectedAttachmentAdminEmailText(attachment, ticketNumber, signature, uploader, ticketUrl)
+        });
+        results.push({ userId: admin.id, messageId: result.messageId });
+      }
+
+      logger.info(`Infected attachment emails sent for attachment ${attachment.id}`, {
+        attachmentId: attachment.id,
+        ticketId: attachment.ticket_id,
+        recipients: results.length
+      });
+
+      return { success: true, results };
+    } catch (error) {
+      logger.error(`Failed to send infected attachment emails for attachment ${attachment.id}:`, error);
+      throw error;
+    }
+  }
+
   /**
    * Check email service health
    */
@@ -455,11 +726,11 @@ class EmailService {
   }
 
   getTicketAssignmentNotificationTemplate(ticket, assignee, ticketUrl) {
-    return `<div>Your ticket ${ticket.ticket_number} has been assigned to ${assignee.username}. <a href="${ticketUrl}">View Ticket</a></div>`;
+    return `<div>Ticket ${ticket.ticket_number} has been assigned to ${assignee.username}. <a href="${ticketUrl}">View Ticket</a></div>`;
   }
 
   getTicketAssignmentNotificationText(ticket, assignee, ticketUrl) {
-    return `Your ticket ${ticket.ticket_number} has been assigned to ${assignee.username}. View: ${ticketUrl}`;
+    return `Ticket ${ticket.ticket_number} has been assigned to ${assignee.username}. View: ${ticketUrl}`;
   }
 
   getTicketStatusUpdateEmailTemplate(ticket, ticketUrl) {
@@ -477,6 +748,70 @@ class EmailService {
   getCommentNotificationEmailText(ticket, comment, ticketUrl) {
     return `New comment on ticket ${ticket.ticket_number}. View: ${ticketUrl}`;
   }
+
+  getTicketEscalatedEmailTemplate(ticket, escalation, ticketUrl) {
+    return `<div>Ticket ${ticket.ticket_number} has been escalated to level ${escalation.level} (${escalation.tier}). Reason: ${escalation.reason} <a href="${ticketUrl}">View Ticket</a></div>`;
+  }
+
+  getAttachmentNotificationEmailTemplate(ticket, attachments, ticketUrl) {
+    return `<div>${attachments.length} new file(s) attached to ticket ${ticket.ticket_number}. <a href="${ticketUrl}">View Ticket</a></div>`;
+  }
+
+  getAttachmentNotificationEmailText(ticket, attachments, ticketUrl) {
+    return `${attachments.length} new file(s) attached to ticket ${ticket.ticket_number}. View: ${ticketUrl}`;
+  }
+
+  getTicketMergedEmailTemplate(source, target, ticketUrl) {
+    return `<div>Your ticket ${source.ticket_number} has been merged into ${target.ticket_number}, which covers the same issue. You will receive updates on ${target.ticket_number}. <a href="${ticketUrl}">View Ticket</a></div>`;
+  }
+
+  getTicketMergedEmailText(source, target, ticketUrl) {
+    return `Your ticket ${source.ticket_number} has been merged into ${target.ticket_number}, which covers the same issue. You will receive updates on ${target.ticket_number}. View: ${ticketUrl}`;
+  }
+
+  getSatisfactionSurveyEmailTemplate(ticket, reporter, surveyUrl, expiresAt) {
+    return `<div>Hello ${reporter.username}, your ticket ${ticket.ticket_number} (${ticket.title}) has been resolved. Please rate the support you received. <a href="${surveyUrl}">Rate your experience</a> This link expires on ${expiresAt.toDateString()}.</div>`;
+  }
+
+  getSatisfactionSurveyEmailText(ticket, reporter, surveyUrl, expiresAt) {
+    return `Hello ${reporter.username}, your ticket ${ticket.ticket_number} (${ticket.title}) has been resolved. Please rate the support you received: ${surveyUrl} This link expires on ${expiresAt.toDateString()}.`;
+  }
+
+  getLowSatisfactionEmailTemplate(ticket, ticketUrl) {
+    return `<div>Ticket ${ticket.ticket_number} received a satisfaction rating of ${ticket.satisfaction_rating}/5 and has been flagged for review.${ticket.satisfaction_comment ? ` Comment: ${ticket.satisfaction_comment}` : ''} <a href="${ticketUrl}">View Ticket</a></div>`;
+  }
+
+  getLowSatisfactionEmailText(ticket, ticketUrl) {
+    return `Ticket ${ticket.ticket_number} received a satisfaction rating of ${ticket.satisfaction_rating}/5 and has been flagged for review.${ticket.satisfaction_comment ? ` Comment: ${ticket.satisfaction_comment}` : ''} View: ${ticketUrl}`;
+  }
+
+  getPendingCustomerReminderEmailTemplate(ticket, reporter, ticketUrl, closesAt) {
+    return `<div>Hello ${reporter.username}, we are waiting for your reply on ticket ${ticket.ticket_number} (${ticket.title}).${closesAt ? ` If we do not hear from you by ${closesAt.toDateString()}, the ticket will be closed.` : ''} <a href="${ticketUrl}">Reply to the ticket</a></div>`;
+  }
+
+  getPendingCustomerReminderEmailText(ticket, reporter, ticketUrl, closesAt) {
+    return `Hello ${reporter.username}, we are waiting for your reply on ticket ${ticket.ticket_number} (${ticket.title}).${closesAt ? ` If we do not hear from you by ${closesAt.toDateString()}, the ticket will be closed.` : ''} Reply: ${ticketUrl}`;
+  }
+
+  getInfectedAttachmentUploaderEmailTemplate(attachment, ticketNumber, uploader) {
+    return `<div>Hello ${uploader.username}, the file "${attachment.original_filename}" you attached to ticket ${ticketNumber} was found to contain malware and has been blocked. Please scan your device and upload a clean copy if the file is still needed.</div>`;
+  }
+
+  getInfectedAttachmentUploaderEmailText(attachment, ticketNumber, uploader) {
+    return `Hello ${uploader.username}, the file "${attachment.original_filename}" you attached to ticket ${ticketNumber} was found to contain malware and has been blocked. Please scan your device and upload a clean copy if the file is still needed.`;
+  }
+
+  getInfectedAttachmentAdminEmailTemplate(attachment, ticketNumber, signature, uploader, ticketUrl) {
+    return `<div>The file "${attachment.original_filename}" uploaded to ticket ${ticketNumber}${uploader ? ` by ${uploader.username} (${uploader.email})` : ''} matched ${signature}.${attachment.isQuarantined() ? ' It has been moved to quarantine.' : ''}${ticketUrl ? ` <a href="${ticketUrl}">View Ticket</a>` : ''}</div>`;
+  }
+
+  getInfectedAttachmentAdminEmailText(attachment, ticketNumber, signature, uploader, ticketUrl) {
+    return `The file "${attachment.original_filename}" uploaded to ticket ${ticketNumber}${uploader ? ` by ${uploader.username} (${uploader.email})` : ''} matched ${signature}.${attachment.isQuarantined() ? ' It has been moved to quarantine.' : ''}${ticketUrl ? ` View: ${ticketUrl}` : ''}`;
+  }
+
+  getTicketEscalatedEmailText(ticket, escalation, ticketUrl) {
+    return `Ticket ${ticket.ticket_number} has been escalated to level ${escalation.level} (${escalation.tier}). Reason: ${escalation.reason}. View: ${ticketUrl}`;
+  }
 }
 
 module.exports = new EmailService();
\ No newline at end of file
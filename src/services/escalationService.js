@@ -0,0 +1,260 @@
+// src/services/escalationService.js - TPG Ticket Escalation Service
+const Ticket = require('../models/Ticket');
+const TicketComment = require('../models/TicketComment');
+const TicketEscalation = require('../models/TicketEscalation');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const auditService = require('./auditService');
+const emailService = require('./emailService');
+const workflowService = require('./workflowService');
+const assignmentService = require('./assignmentService');
+const logger = require('../config/logger');
+const { executeTransaction } = require('../config/database');
+
+// Urgency a ticket moves to when an escalation raises it
+const URGENCY_STEPS = {
+  low: 'medium',
+  medium: 'high',
+  high: 'critical',
+  critical: 'critical'
+};
+
+const AUTO_ESCALATION_REASONS = {
+  category_threshold: (ticket, category) =>
+    `Open longer than the ${category.auto_escalate_after_hours}h escalation threshold for ${category.name}`,
+  unassigned_priority: (ticket) =>
+    `${ticket.urgency} priority ticket unassigned for more than 4 hours`,
+  overdue: (ticket) =>
+    `Overdue by ${ticket.getOverdueHours()} hours past its resolution SLA`
+};
+
+class EscalationService {
+  /**
+   * Escalate a ticket to a higher level. Defaults to the next level; the
+   * staff member escalated to (if any) becomes the assignee.
+   * escalatedBy is null for automatic escalations.
+   */
+  async escalateTicket(ticketId, options, escalatedBy = null, context = {}) {
+    try {
+      const {
+        reason,
+        level,
+        escalated_to: escalatedTo = null,
+        tier,
+        raise_urgency: raiseUrgency = false,
+        trigger = 'manual',
+        metadata = {}
+      } = options;
+
+      const { ticket, escalation, escalatedToUser } = await executeTransaction(async (trx) => {
+        const ticket = await Ticket.query(trx).findById(ticketId).forUpdate();
+        if (!ticket) {
+          throw new Error('Ticket not found');
+        }
+
+        if (['resolved', 'closed'].includes(ticket.status)) {
+          throw new Error(`Cannot escalate a ${ticket.status} ticket`);
+        }
+
+        const previousLevel = ticket.escalation_level || 0;
+        const newLevel = level || previousLevel + 1;
+
+        if (newLevel > TicketEscalation.MAX_LEVEL) {
+          throw new Error('Ticket is already at the highest escalation level');
+        }
+
+        if (newLevel <= previousLevel) {
+          throw new Error(`Ticket is already escalated to level ${previousLevel}`);
+        }
+
+        let escalatedToUser = null;
+        if (escalatedTo) {
+          escalatedToUser = await User.query(trx).findById(escalatedTo);
+          if (!escalatedToUser) {
+            throw new Error('Escalation target not found');
+          }
+
+          if (!['admin', 'super_admin'].includes(escalatedToUser.role) || escalatedToUser.status !== 'active') {
+            throw new Error('Tickets can only be escalated to active admin users');
+          }
+
+          if (await assignmentService.isOutOfOffice(escalatedToUser.id)) {
+            throw new Error('Escalation target is out of office');
+          }
+        }
+
+        const before = ticket.toJSON();
+        const now = new Date().toISOString();
+
+        const escalation = await TicketEscalation.query(trx).insert({
+          ticket_id: ticket.id,
+          level: newLevel,
+          previous_level: previousLevel,
+          tier: tier || TicketEscalation.TIERS[newLevel],
+          reason,
+          escalated_by: escalatedBy,
+          escalated_to: escalatedTo,
+          is_automatic: !escalatedBy,
+          trigger,
+          metadata
+        });
+
+        const updates = {
+          escalation_level: newLevel,
+          escalated_at: now
+        };
+
+        if (escalatedTo && escalatedTo !== ticket.assigned_to) {
+          updates.assigned_to = escalatedTo;
+          if (ticket.status === 'open') {
+            updates.status = await workflowService.getAssignmentStatus(ticket, escalatedTo);
+          }
+        }
+
+        if (raiseUrgency) {
+          updates.urgency = URGENCY_STEPS[ticket.urgency] || ticket.urgency;
+        }
+
+        const updatedTicket = await ticket.$query(trx).patchAndFetch(updates);
+
+        await auditService.recordUpdate('ticket', before, updatedTicket, { userId: escalatedBy, ...context }, {
+          action: escalatedBy ? 'escalate' : 'auto_escalate',
+          fields: Object.keys(updates),
+          trx
+        });
+
+        // Automatic escalations have no author, the escalation record covers them
+        if (escalatedBy) {
+          await TicketComment.query(trx).insert({
+            ticket_id: ticket.id,
+            user_id: escalatedBy,
+            content: `Ticket escalated to level ${newLevel} (${escalation.tier})` +
+              `${escalatedToUser ? ` and assigned to ${escalatedToUser.username}` : ''}. Reason: ${reason}`,
+            is_internal: true,
+            metadata: { activity: true }
+          });
+        }
+
+        return { ticket: updatedTicket, escalation, escalatedToUser };
+      });
+
+      if (escalatedBy) {
+        logger.security.logAdminAction(escalatedBy, 'escalate_ticket', ticket.id, {
+          ticket_number: ticket.ticket_number,
+          level: escalation.level,
+          escalated_to: escalation.escalated_to
+        }, context.ip);
+      }
+
+      logger.info(`Ticket escalated: ${ticket.ticket_number}`, {
+        ticket_id: ticket.id,
+        level: escalation.level,
+        previous_level: escalation.previous_level,
+        trigger: escalation.trigger,
+        escalated_by: escalatedBy,
+        escalated_to: escalation.escalated_to
+      });
+
+      await this.sendEscalationNotifications(ticket, escalation, escalatedToUser);
+
+      return { ticket, escalation };
+    } catch (error) {
+      logger.error('EscalationService.escalateTicket error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Escalate every open ticket that has passed its category threshold
+   * (or the built-in overdue rules). Used by the background sweeper.
+   */
+  async runAutoEscalation() {
+    try {
+      const [tickets, categories] = await Promise.all([
+        Ticket.query()
+          .whereIn('status', ['open', 'in-progress'])
+          .where('escalation_level', '<', TicketEscalation.MAX_LEVEL),
+        Category.getActiveMap()
+      ]);
+
+      const results = { checked: tickets.length, escalated: 0, failed: 0 };
+
+      for (const ticket of tickets) {
+        const category = categories.get(ticket.category) || null;
+        const trigger = ticket.getEscalationTrigger(category);
+
+        if (!trigger) {
+          continue;
+        }
+
+        try {
+          await this.escalateTicket(ticket.id, {
+            reason: AUTO_ESCALATION_REASONS[trigger](ticket, category),
+            trigger,
+            metadata: {
+              age_hours: ticket.getAgeInHours(),
+              threshold_hours: category ? category.getAutoEscalationHours() : null
+            }
+          });
+          results.escalated++;
+        } catch (error) {
+          results.failed++;
+          logger.warn(`Auto-escalation failed for ticket ${ticket.ticket_number}: ${error.message}`);
+        }
+      }
+
+      if (results.escalated > 0 || results.failed > 0) {
+        logger.info('Ticket auto-escalation sweep completed', results);
+      }
+
+      return results;
+    } catch (error) {
+      logger.error('EscalationService.runAutoEscalation error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Escalation history of a ticket
+   */
+  async getTicketEscalations(ticketId) {
+    try {
+      const ticket = await Ticket.query().findById(ticketId);
+      if (!ticket) {
+        throw new Error('Ticket not found');
+      }
+
+      return await TicketEscalation.getForTicket(ticketId);
+    } catch (error) {
+      logger.error('EscalationService.getTicketEscalations error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Notify the escalation target (or all super admins when escalated to a
+   * tier only) and the current assignee. Failures never undo the escalation.
+   */
+  async sendEscalationNotifications(ticket, escalation, escalatedToUser) {
+    try {
+      const recipients = escalatedToUser
+        ? [escalatedToUser]
+        : await User.query().where('role', 'super_admin').where('status', 'active');
+
+      if (ticket.assigned_to && !recipients.some(user => user.id === ticket.assigned_to)) {
+        const assignee = await User.query().findById(ticket.assigned_to);
+        if (assignee) {
+          recipients.push(assignee);
+        }
+      }
+
+      if (recipients.length > 0) {
+        await emailService.sendTicketEscalatedEmail(ticket, escalation, recipients);
+      }
+    } catch (error) {
+      logger.error('Failed to send escalation notifications:', error);
+    }
+  }
+}
+
+module.exports = new EscalationService();
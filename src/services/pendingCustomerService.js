@@ -0,0 +1,158 @@
+// src/services/pendingCustomerService.js - TPG Pending Customer Follow-up Service
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const SystemSetting = require('../models/SystemSetting');
+const emailService = require('./emailService');
+const ticketService = require('./ticketService');
+const logger = require('../config/logger');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+class PendingCustomerService {
+  /**
+   * Reminder and auto-close intervals (days) from system settings.
+   * Zero turns either off.
+   */
+  async getSettings() {
+    try {
+      const [reminderDays, autoCloseDays] = await Promise.all([
+        SystemSetting.getValue('pending_customer_reminder_days', 3),
+        SystemSetting.getValue('pending_customer_auto_close_days', 7)
+      ]);
+
+      return {
+        reminderDays: Math.max(0, Number(reminderDays) || 0),
+        autoCloseDays: Math.max(0, Number(autoCloseDays) || 0)
+      };
+    } catch (error) {
+      logger.error('PendingCustomerService.getSettings error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * When a pending-customer ticket is closed if the reporter stays silent,
+   * or null when auto-close is off
+   */
+  getAutoCloseAt(ticket, autoCloseDays) {
+    if (!autoCloseDays || !ticket.pending_since) {
+      return null;
+    }
+
+    return new Date(new Date(ticket.pending_since).getTime() + (autoCloseDays * DAY));
+  }
+
+  /**
+   * When the next reminder falls due, or null when reminders are off. No
+   * reminder is sent once the ticket is about to be closed.
+   */
+  getNextReminderAt(ticket, reminderDays, autoCloseDays) {
+    if (!reminderDays || !ticket.pending_since) {
+      return null;
+    }
+
+    const last = new Date(ticket.last_pending_reminder_at || ticket.pending_since);
+    const nextReminderAt = new Date(last.getTime() + (reminderDays * DAY));
+    const closesAt = this.getAutoCloseAt(ticket, autoCloseDays);
+
+    return closesAt && nextReminderAt >= closesAt ? null : nextReminderAt;
+  }
+
+  /**
+   * Remind reporters whose tickets wait on their reply and close the tickets
+   * they left unanswered. Used by the background sweeper.
+   */
+  async runPendingSweep() {
+    try {
+      const { reminderDays, autoCloseDays } = await this.getSettings();
+      const results = { checked: 0, reminded: 0, closed: 0, failed: 0 };
+
+      if (!reminderDays && !autoCloseDays) {
+        return results;
+      }
+
+      const now = new Date();
+      const daysAgo = days => new Date(now.getTime() - (days * DAY)).toISOString();
+
+      const tickets = await Ticket.query()
+        .where('status', 'pending-customer')
+        .whereNotNull('pending_since')
+        .where(builder => {
+          if (autoCloseDays) {
+            builder.orWhere('pending_since', '<=', daysAgo(autoCloseDays));
+          }
+          if (reminderDays) {
+            builder.orWhereRaw('COALESCE(last_pending_reminder_at, pending_since) <= ?', [daysAgo(reminderDays)]);
+          }
+        });
+
+      results.checked = tickets.length;
+
+      for (const ticket of tickets) {
+        const closesAt = this.getAutoCloseAt(ticket, autoCloseDays);
+        const nextReminderAt = this.getNextReminderAt(ticket, reminderDays, autoCloseDays);
+
+        try {
+          if (closesAt && closesAt <= now) {
+            await this.closeTicket(ticket, autoCloseDays);
+            results.closed++;
+          } else if (nextReminderAt && nextReminderAt <= now) {
+            await this.sendReminder(ticket, closesAt);
+            results.reminded++;
+          }
+        } catch (error) {
+          results.failed++;
+          logger.warn(`Pending customer follow-up failed for ticket ${ticket.ticket_number}: ${error.message}`);
+        }
+      }
+
+      if (results.reminded > 0 || results.closed > 0 || results.failed > 0) {
+        logger.info('Pending customer sweep completed', results);
+      }
+
+      return results;
+    } catch (error) {
+      logger.error('PendingCustomerService.runPendingSweep error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Email the reporter a reminder and count it
+   */
+  async sendReminder(ticket, closesAt = null) {
+    const reporter = ticket.user_id ? await User.query().findById(ticket.user_id) : null;
+    if (!reporter) {
+      throw new Error('Ticket has no reporter to remind');
+    }
+
+    await emailService.sendPendingCustomerReminderEmail(ticket, reporter, closesAt);
+
+    await ticket.$query().patch({
+      pending_reminders_sent: (ticket.pending_reminders_sent || 0) + 1,
+      last_pending_reminder_at: new Date().toISOString()
+    });
+
+    logger.info(`Pending customer reminder recorded for ticket ${ticket.ticket_number}`, {
+      ticket_id: ticket.id,
+      reminders_sent: ticket.pending_reminders_sent
+    });
+  }
+
+  /**
+   * Close a ticket the reporter never answered
+   */
+  async closeTicket(ticket, autoCloseDays) {
+    await ticketService.updateTicketStatus(ticket.id, 'closed', null, {
+      resolutionNotes: `Closed automatically: no reply from the reporter in ${autoCloseDays} day(s)`
+    });
+
+    logger.info(`Ticket auto-closed after waiting on reporter: ${ticket.ticket_number}`, {
+      ticket_id: ticket.id,
+      pending_since: ticket.pending_since,
+      reminders_sent: ticket.pending_reminders_sent || 0
+    });
+  }
+}
+
+module.exports = new PendingCustomerService();
@@ -190,6 +190,11 @@ class RecaptchaService {
     } = options;
 
     return async (req, res, next) => {
+      // Skip entirely when reCAPTCHA is switched off
+      if (!this.enabled) {
+        return next();
+      }
+
       // Skip in development if configured
       if (skipInDevelopment && process.env.NODE_ENV === 'development' && !this.secretKey) {
         return next();
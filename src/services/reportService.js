@@ -4,6 +4,7 @@ const TicketComment = require('../models/TicketComment');
 const TicketAttachment = require('../models/TicketAttachment');
 const User = require('../models/User');
 const analyticsService = require('./analyticsService');
+const slaService = require('./slaService');
 const emailService = require('./emailService');
 const logger = require('../config/logger');
 const { v4: uuidv4 } = require('uuid');
@@ -163,6 +164,7 @@ class ReportService {
       resolved_at: ticket.resolved_at,
       closed_at: ticket.closed_at,
       resolution_time_hours: ticket.actual_resolution_hours,
+      business_resolution_hours: ticket.business_resolution_hours,
       satisfaction_rating: ticket.satisfaction_rating,
       satisfaction_comment: ticket.satisfaction_comment,
       user: {
@@ -186,6 +188,7 @@ class ReportService {
       summary: {
         total_tickets: detailedTickets.length,
         avg_resolution_time: this.calculateAverageResolutionTime(tickets),
+        avg_business_resolution_time: slaService.calculateAverageBusinessResolutionTime(tickets),
         avg_satisfaction: this.calculateAverageSatisfaction(tickets)
       },
       recordCount: detailedTickets.length
@@ -290,6 +293,8 @@ class ReportService {
       (new Date(t.first_response_at) - new Date(t.created_at)) / (1000 * 60 * 60)
     );
 
+    const businessResolutionTimes = slaService.getBusinessResolutionTimes(tickets);
+
     const performanceByCategory = {};
     const performanceByUrgency = {};
     const performanceByAssignee = {};
@@ -317,6 +322,9 @@ class ReportService {
     // Calculate averages for categories
     Object.keys(performanceByCategory).forEach(category => {
       const categoryData = performanceByCategory[category];
+      categoryData.avg_business_resolution_time = slaService.calculateAverageBusinessResolutionTime(
+        tickets.filter(t => t.category === category)
+      );
       categoryData.resolution_rate = categoryData.total > 0 ? 
         (categoryData.resolved / categoryData.total * 100).toFixed(1) : 0;
       categoryData.avg_resolution_time = categoryData.resolution_times.length > 0 ?
@@ -334,9 +342,11 @@ class ReportService {
         avg_resolution_time: resolutionTimes.length > 0 ? 
           resolutionTimes.reduce((a, b) => a + b, 0) / resolutionTimes.length : 0,
         median_resolution_time: this.calculateMedian(resolutionTimes),
+        avg_business_resolution_time: slaService.calculateAverageBusinessResolutionTime(tickets),
+        median_business_resolution_time: this.calculateMedian(businessResolutionTimes),
         avg_first_response_time: responseTimes.length > 0 ? 
           responseTimes.reduce((a, b) => a + b, 0) / responseTimes.length : 0,
-        sla_compliance: this.calculateSLACompliance(tickets)
+        sla_compliance: slaService.calculateCompliance(tickets)
       },
       performance_by_category: performanceByCategory,
       performance_trends: this.calculatePerformanceTrends(tickets),
@@ -415,6 +425,8 @@ class ReportService {
     });
 
     const avgSatisfaction = ratedTickets.reduce((sum, t) => sum + t.satisfaction_rating, 0) / ratedTickets.length;
+    const surveyedTickets = tickets.filter(t => t.survey_sent_at);
+    const respondedTickets = surveyedTickets.filter(t => t.satisfaction_rating);
 
     return {
       title: 'Customer Satisfaction Analysis',
@@ -422,7 +434,10 @@ class ReportService {
       overall_satisfaction: {
         average_rating: Math.round(avgSatisfaction * 100) / 100,
         total_ratings: ratedTickets.length,
-        response_rate: tickets.length > 0 ? (ratedTickets.length / tickets.length * 100).toFixed(1) : 0
+        surveys_sent: surveyedTickets.length,
+        response_rate: surveyedTickets.length > 0 ? (respondedTickets.length / surveyedTickets.length * 100).toFixed(1) : 0,
+        flagged_for_review: tickets.filter(t => t.review_flagged_at).length,
+        pending_reviews: tickets.filter(t => t.needs_review).length
       },
       rating_distribution: satisfactionDistribution,
       satisfaction_by_category: satisfactionByCategory,
@@ -475,9 +490,9 @@ class ReportService {
       // Format based on report type
       switch (reportType) {
         case 'detailed_tickets':
-          csvContent += 'Ticket Number,Title,Category,Urgency,Status,Created,Resolved,Resolution Time (h),User,Assigned To,Satisfaction\n';
+          csvContent += 'Ticket Number,Title,Category,Urgency,Status,Created,Resolved,Resolution Time (h),Business Hours (h),User,Assigned To,Satisfaction\n';
           reportData.tickets.forEach(ticket => {
-            csvContent += `"${ticket.ticket_number}","${ticket.title}","${ticket.category}","${ticket.urgency}","${ticket.status}","${ticket.created_at}","${ticket.resolved_at || ''}","${ticket.resolution_time_hours || ''}","${ticket.user.username}","${ticket.assigned_user.username || ''}","${ticket.satisfaction_rating || ''}"\n`;
+            csvContent += `"${ticket.ticket_number}","${ticket.title}","${ticket.category}","${ticket.urgency}","${ticket.status}","${ticket.created_at}","${ticket.resolved_at || ''}","${ticket.resolution_time_hours || ''}","${ticket.business_resolution_hours ?? ''}","${ticket.user.username}","${ticket.assigned_user.username || ''}","${ticket.satisfaction_rating || ''}"\n`;
           });
           break;
         
@@ -721,6 +736,7 @@ class ReportService {
     const total = tickets.length;
     const resolved = tickets.filter(t => t.status === 'resolved').length;
     const closed = tickets.filter(t => t.status === 'closed').length;
+    const reopenStats = Ticket.calculateReopenStats(tickets);
     
     return {
       total_tickets: total,
@@ -728,8 +744,12 @@ class ReportService {
       closed_tickets: closed,
       open_tickets: tickets.filter(t => t.status === 'open').length,
       in_progress_tickets: tickets.filter(t => t.status === 'in-progress').length,
+      pending_customer_tickets: tickets.filter(t => t.status === 'pending-customer').length,
       resolution_rate: total > 0 ? ((resolved + closed) / total * 100).toFixed(1) : 0,
+      reopened_tickets: reopenStats.reopened_tickets,
+      reopen_rate: reopenStats.reopen_rate,
       avg_resolution_time: this.calculateAverageResolutionTime(tickets),
+      avg_business_resolution_time: slaService.calculateAverageBusinessResolutionTime(tickets),
       avg_satisfaction: this.calculateAverageSatisfaction(tickets)
     };
   }
@@ -767,20 +787,6 @@ class ReportService {
     }
   }
 
-  calculateSLACompliance(tickets) {
-    const slaTickets = tickets.filter(t => t.estimated_resolution_hours);
-    if (slaTickets.length === 0) return 100;
-
-    const compliantTickets = slaTickets.filter(t => {
-      if (!t.resolved_at) return false;
-      
-      const resolutionTime = (new Date(t.resolved_at) - new Date(t.created_at)) / (1000 * 60 * 60);
-      return resolutionTime <= t.estimated_resolution_hours;
-    });
-
-    return Math.round((compliantTickets.length / slaTickets.length) * 100);
-  }
-
   calculateEngagementScore(activity) {
     // Simple engagement score calculation
     const baseScore = activity.tickets_created * 10;
@@ -835,7 +841,8 @@ class ReportService {
     return {
       total_tickets: tickets.length,
       avg_resolution_time: this.calculateAverageResolutionTime(tickets),
-      sla_compliance: this.calculateSLACompliance(tickets)
+      reopen_rate: Ticket.calculateReopenStats(tickets).reopen_rate,
+      sla_compliance: slaService.calculateCompliance(tickets)
     };
   }
 
@@ -868,6 +875,12 @@ class ReportService {
     if (resolutionRate < 80) {
       recommendations.push(`Current resolution rate of ${resolutionRate}% is below target. Consider reviewing ticket assignment and resolution processes`);
     }
+
+    // Check reopen rate
+    const { reopen_rate: reopenRate } = Ticket.calculateReopenStats(tickets);
+    if (reopenRate > 10) {
+      recommendations.push(`${reopenRate}% of resolved tickets were reopened. Consider reviewing resolution quality before closing tickets`);
+    }
     
     return recommendations;
   }
@@ -881,10 +894,10 @@ class ReportService {
   }
 
   calculateSLAAnalysis(tickets) {
-    // Stub implementation for SLA analysis
     return {
-      overall_compliance: this.calculateSLACompliance(tickets),
-      by_category: {}
+      overall_compliance: slaService.calculateCompliance(tickets),
+      ...slaService.summarize(tickets),
+      by_category: slaService.summarizeByCategory(tickets)
     };
   }
 
@@ -927,7 +940,8 @@ class ReportService {
     return {
       title: 'SLA Compliance Report',
       period: { start: startDate, end: endDate },
-      compliance: this.calculateSLACompliance(tickets),
+      compliance: slaService.calculateCompliance(tickets),
+      analysis: this.calculateSLAAnalysis(tickets),
       recordCount: tickets.length
     };
   }
@@ -0,0 +1,291 @@
+// src/services/securityEventService.js - TPG Security Event Store
+const SecurityEvent = require('../models/SecurityEvent');
+const User = require('../models/User');
+const logger = require('../config/logger');
+
+// logger.security.logAuth event -> stored event type and severity.
+// Auth events not listed here (logout, token_refreshed, ...) are log-only.
+const AUTH_EVENT_MAP = {
+  login_success: { type: 'login_success', severity: 'info' },
+  login_failed: { type: 'login_failed', severity: 'warning' },
+  account_locked: { type: 'account_locked', severity: 'error' },
+  password_changed: { type: 'password_changed', severity: 'info' },
+  password_change_failed: { type: 'password_changed', severity: 'warning' },
+  password_reset_requested: { type: 'password_reset_requested', severity: 'info' },
+  password_reset_request_failed: { type: 'password_reset_requested', severity: 'warning' },
+  password_reset_completed: { type: 'password_reset_completed', severity: 'info' },
+  password_reset_failed: { type: 'password_reset_completed', severity: 'warning' },
+  email_verified: { type: 'email_verified', severity: 'info' },
+  two_factor_enabled: { type: 'two_factor_enabled', severity: 'info' },
+  two_factor_disabled: { type: 'two_factor_disabled', severity: 'warning' },
+  two_factor_failed: { type: 'two_factor_failed', severity: 'warning' },
+  two_factor_recovery_code_used: { type: 'two_factor_recovery_code_used', severity: 'warning' }
+};
+
+// Suspicious activities that indicate an active attack rather than noise
+const SUSPICIOUS_ACTIVITY_SEVERITY = {
+  refresh_token_reuse: 'critical',
+  malicious_pattern_detected: 'critical',
+  infected_upload: 'critical',
+  pdf_javascript: 'error',
+  attachment_integrity_failure: 'error',
+  token_with_nonexistent_user: 'error',
+  locked_user_token_usage: 'error',
+  inactive_user_token_usage: 'error',
+  recaptcha_invalid_hostname: 'error'
+};
+
+class SecurityEventService {
+  /**
+   * Store a security event. Never throws - persistence problems must not
+   * break the request that triggered the event.
+   */
+  async record({ eventType, userId = null, email = null, details = {}, ip = null, userAgent = null, severity = 'info' }) {
+    try {
+      if (!userId && email) {
+        const user = await User.findByEmail(email);
+        userId = user ? user.id : null;
+      }
+
+      return await SecurityEvent.query().insert({
+        user_id: userId,
+        event_type: eventType,
+        details: email ? { email, ...details } : details,
+        ip_address: ip,
+        user_agent: userAgent,
+        severity
+      });
+    } catch (error) {
+      logger.error('SecurityEventService.record error:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Translate a logger.security entry into a stored event (called by the logger)
+   */
+  async recordFromLog(source, entry) {
+    switch (source) {
+      case 'auth': {
+        const mapping = AUTH_EVENT_MAP[entry.event];
+        if (!mapping) {
+          return null;
+        }
+
+        const { user_id: userId, ...details } = entry.details || {};
+
+        return await this.record({
+          eventType: mapping.type,
+          userId,
+          email: entry.email,
+          details: { event: entry.event, success: entry.success, ...details },
+          ip: entry.ip,
+          userAgent: entry.userAgent,
+          severity: mapping.severity
+        });
+      }
+
+      case 'permission_denied':
+        return await this.record({
+          eventType: 'permission_denied',
+          userId: entry.userId,
+          details: { action: entry.action, resource: entry.resource },
+          ip: entry.ip,
+          userAgent: entry.userAgent,
+          severity: 'warning'
+        });
+
+      case 'suspicious_activity': {
+        // Successful reCAPTCHA checks are logged through the same channel but are not suspicious
+        if (entry.event === 'recaptcha_verification' && entry.details?.success) {
+          return null;
+        }
+
+        return await this.record({
+          eventType: 'suspicious_activity',
+          userId: entry.details?.user_id || null,
+          details: { activity: entry.event, ...(entry.details || {}) },
+          ip: entry.ip,
+          userAgent: entry.userAgent,
+          severity: SUSPICIOUS_ACTIVITY_SEVERITY[entry.event] || 'warning'
+        });
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get security events with filtering and pagination
+   */
+  async getEvents(filters = {}, pagination = {}) {
+    try {
+      const {
+        event_type,
+        severity,
+        resolved,
+        user_id,
+        ip_address,
+        start_date,
+        end_date
+      } = filters;
+
+      const {
+        page = 1,
+        limit = 50,
+        sortOrder = 'desc'
+      } = pagination;
+
+      let query = SecurityEvent.query()
+        .withGraphFetched('user(selectBasic)')
+        .modifiers({
+          selectBasic: builder => builder.select('id', 'username', 'email', 'role')
+        });
+
+      if (event_type) {
+        query = query.whereIn('event_type', [].concat(event_type));
+      }
+
+      if (severity) {
+        query = query.whereIn('severity', [].concat(severity));
+      }
+
+      if (resolved !== undefined) {
+        query = query.where('resolved', resolved);
+      }
+
+      if (user_id) {
+        query = query.where('user_id', user_id);
+      }
+
+      if (ip_address) {
+        query = query.where('ip_address', ip_address);
+      }
+
+      if (start_date) {
+        query = query.where('created_at', '>=', start_date);
+      }
+
+      if (end_date) {
+        query = query.where('created_at', '<=', end_date);
+      }
+
+      const result = await query
+        .orderBy('created_at', sortOrder)
+        .page(parseInt(page) - 1, parseInt(limit));
+
+      return {
+        events: result.results,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: result.total,
+          pages: Math.ceil(result.total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('SecurityEventService.getEvents error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single security event
+   */
+  async getEventById(id) {
+    try {
+      const event = await SecurityEvent.query()
+        .findById(id)
+        .withGraphFetched('user(selectBasic)')
+        .modifiers({
+          selectBasic: builder => builder.select('id', 'username', 'email', 'role')
+        });
+
+      if (!event) {
+        throw new Error('Security event not found');
+      }
+
+      return event;
+    } catch (error) {
+      logger.error('SecurityEventService.getEventById error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a security event as resolved with notes
+   */
+  async resolveEvent(id, resolutionNotes, resolvedBy, ip = null) {
+    try {
+      const event = await SecurityEvent.query().findById(id);
+      if (!event) {
+        throw new Error('Security event not found');
+      }
+
+      if (event.resolved) {
+        throw new Error('Security event is already resolved');
+      }
+
+      const updatedEvent = await event.$query().patchAndFetch({
+        resolved: true,
+        resolution_notes: resolutionNotes,
+        resolved_at: new Date().toISOString()
+      });
+
+      logger.security.logAdminAction(
+        resolvedBy,
+        'security_event_resolved',
+        event.id,
+        {
+          event_type: event.event_type,
+          severity: event.severity
+        },
+        ip
+      );
+
+      return updatedEvent;
+    } catch (error) {
+      logger.error('SecurityEventService.resolveEvent error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Unresolved event counts by severity and type (review dashboard)
+   */
+  async getSummary() {
+    try {
+      const [bySeverity, byType] = await Promise.all([
+        SecurityEvent.query()
+          .select('severity')
+          .count('* as count')
+          .where('resolved', false)
+          .groupBy('severity'),
+        SecurityEvent.query()
+          .select('event_type')
+          .count('* as count')
+          .where('resolved', false)
+          .groupBy('event_type')
+      ]);
+
+      const toMap = (rows, key) => rows.reduce((acc, row) => {
+        acc[row[key]] = parseInt(row.count);
+        return acc;
+      }, {});
+
+      const severityCounts = toMap(bySeverity, 'severity');
+
+      return {
+        unresolved_total: Object.values(severityCounts).reduce((sum, n) => sum + n, 0),
+        unresolved_by_severity: severityCounts,
+        unresolved_by_type: toMap(byType, 'event_type')
+      };
+    } catch (error) {
+      logger.error('SecurityEventService.getSummary error:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = new SecurityEventService();
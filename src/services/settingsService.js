@@ -0,0 +1,87 @@
+// src/services/settingsService.js - TPG System Settings
+const SystemSetting = require('../models/SystemSetting');
+const auditService = require('./auditService');
+const logger = require('../config/logger');
+
+// Type checks for incoming values; 'json' settings accept any JSON value
+const VALUE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  json: () => true
+};
+
+class SettingsService {
+  /**
+   * Get all settings, optionally only those exposed to the frontend
+   */
+  async getSettings({ publicOnly = false } = {}) {
+    try {
+      let query = SystemSetting.query().orderBy('key');
+
+      if (publicOnly) {
+        query = query.where('is_public', true);
+      }
+
+      return await query;
+    } catch (error) {
+      logger.error('SettingsService.getSettings error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a setting value. Values are stored as text and converted back
+   * by SystemSetting.getTypedValue(). Every change is written to the audit trail.
+   */
+  async updateSetting(key, value, updatedBy, context = {}) {
+    try {
+      const setting = await SystemSetting.query().findById(key);
+      if (!setting) {
+        throw new Error('Setting not found');
+      }
+
+      if (value !== null && value !== undefined && !VALUE_CHECKS[setting.type](value)) {
+        throw new Error(`Setting ${key} must be a ${setting.type} value`);
+      }
+
+      const storedValue = value === null || value === undefined
+        ? null
+        : (setting.type === 'json' ? JSON.stringify(value) : String(value));
+
+      const before = setting.toJSON();
+      const updatedSetting = await setting.$query().patchAndFetch({ value: storedValue });
+
+      await auditService.recordUpdate('setting', before, updatedSetting, { userId: updatedBy, ...context }, {
+        fields: ['value'],
+        resourceId: key
+      });
+
+      logger.info(`System setting updated: ${key}`, {
+        key,
+        updated_by: updatedBy
+      });
+
+      return updatedSetting;
+    } catch (error) {
+      logger.error('SettingsService.updateSetting error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Format a setting for API responses, with its value converted to its type
+   */
+  formatSetting(setting) {
+    return {
+      key: setting.key,
+      value: setting.getTypedValue(),
+      type: setting.type,
+      description: setting.description,
+      is_public: setting.is_public,
+      updated_at: setting.updated_at
+    };
+  }
+}
+
+module.exports = new SettingsService();
@@ -0,0 +1,388 @@
+// src/services/slaService.js - TPG SLA Policy Service
+const Ticket = require('../models/Ticket');
+const Category = require('../models/Category');
+const SystemSetting = require('../models/SystemSetting');
+const businessHoursService = require('./businessHoursService');
+const logger = require('../config/logger');
+
+const HOUR = 60 * 60 * 1000;
+
+// Targets for categories that do not define their own
+const DEFAULT_FIRST_RESPONSE_HOURS = 8;
+const DEFAULT_RESOLUTION_HOURS = 48;
+
+// Overridden by the sla_urgency_multipliers system setting
+const DEFAULT_URGENCY_MULTIPLIERS = { critical: 0.25, high: 0.5, medium: 1, low: 1.5 };
+
+// Unresolved tickets due within this many hours are reported as at risk
+const AT_RISK_HOURS = 4;
+
+const SLA_TARGETS = ['first_response', 'resolution'];
+
+class SLAService {
+  /**
+   * First-response and resolution targets (in business hours) for a category
+   * and urgency. Resolution uses the category's sla_hours; urgency scales both.
+   * The policy carries the business calendar its hours are counted in.
+   */
+  async getPolicy(categoryId, urgency) {
+    try {
+      const [category, multipliers, calendar] = await Promise.all([
+        Category.query().findById(categoryId),
+        this.getUrgencyMultipliers(),
+        businessHoursService.getCalendar()
+      ]);
+
+      return this.buildPolicy(category, urgency, multipliers, calendar);
+    } catch (error) {
+      logger.error('SLAService.getPolicy error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Policy for an already loaded category (null uses the defaults). Without
+   * a calendar, targets are counted in wall-clock hours.
+   */
+  buildPolicy(category, urgency, multipliers = DEFAULT_URGENCY_MULTIPLIERS, calendar = null) {
+    const multiplier = multipliers[urgency] > 0 ? multipliers[urgency] : 1;
+    const firstResponseHours = (category && category.first_response_hours) || DEFAULT_FIRST_RESPONSE_HOURS;
+    const resolutionHours = (category && (category.sla_hours || category.estimated_resolution_hours)) || DEFAULT_RESOLUTION_HOURS;
+
+    return {
+      category: category ? category.id : null,
+      urgency,
+      first_response_hours: Math.round(firstResponseHours * multiplier * 100) / 100,
+      resolution_hours: Math.round(resolutionHours * multiplier * 100) / 100,
+      estimated_resolution_hours: (category && category.estimated_resolution_hours) || null,
+      calendar
+    };
+  }
+
+  /**
+   * SLA columns for a ticket under a policy: due-by timestamps measured from
+   * creation (plus any time the clock was paused), and the breach flags they imply
+   */
+  calculateTicketSLA(ticket, policy, now = new Date()) {
+    const createdAt = ticket.created_at || now;
+    const pausedHours = ticket.sla_paused_hours || 0;
+    const dueDates = {
+      first_response_due_at: this.addHours(policy.calendar, createdAt, policy.first_response_hours + pausedHours).toISOString(),
+      resolution_due_at: this.addHours(policy.calendar, createdAt, policy.resolution_hours + pausedHours).toISOString()
+    };
+
+    return {
+      ...dueDates,
+      ...this.getBreachFlags({ ...ticket, ...dueDates }, now)
+    };
+  }
+
+  /**
+   * Breach flags from a ticket's due-by timestamps. A target is breached when
+   * it was met late, or is still unmet after it fell due. Resolving a ticket
+   * counts as responding to it. Unmet targets of a paused clock are judged
+   * at the moment it was paused.
+   */
+  getBreachFlags(ticket, now = new Date()) {
+    const clock = ticket.sla_paused_at ? new Date(ticket.sla_paused_at) : now;
+
+    return {
+      first_response_breached: isLate(ticket.first_response_due_at, ticket.first_response_at || ticket.resolved_at, clock),
+      resolution_breached: isLate(ticket.resolution_due_at, ticket.resolved_at, clock)
+    };
+  }
+
+  /**
+   * Unresolved and past its resolution target
+   */
+  isOverdue(ticket, now = new Date()) {
+    const clock = ticket.sla_paused_at ? new Date(ticket.sla_paused_at) : now;
+
+    return Boolean(ticket.resolution_due_at)
+      && !ticket.resolved_at
+      && !['resolved', 'closed'].includes(ticket.status)
+      && clock > new Date(ticket.resolution_due_at);
+  }
+
+  /**
+   * Fields that stop a ticket's SLA clock while it waits on the reporter.
+   * Resolved tickets have no running clock to stop.
+   */
+  getPauseFields(ticket, now = new Date()) {
+    if (ticket.sla_paused_at || ticket.resolved_at) {
+      return {};
+    }
+
+    return { sla_paused_at: now.toISOString() };
+  }
+
+  /**
+   * Fields that restart a paused SLA clock. Targets still unmet when the
+   * clock stopped move later by the business time spent waiting.
+   */
+  async getResumeFields(ticket, now = new Date()) {
+    if (!ticket.sla_paused_at) {
+      return {};
+    }
+
+    const calendar = await businessHoursService.getCalendar();
+    const pausedAt = new Date(ticket.sla_paused_at);
+    const pausedHours = businessHoursService.businessHoursBetween(calendar, pausedAt, now);
+    const fields = {
+      sla_paused_at: null,
+      sla_paused_hours: Math.round(((ticket.sla_paused_hours || 0) + pausedHours) * 100) / 100
+    };
+
+    if (ticket.first_response_due_at && !ticket.first_response_at && new Date(ticket.first_response_due_at) > pausedAt) {
+      fields.first_response_due_at = this.addHours(calendar, ticket.first_response_due_at, pausedHours).toISOString();
+    }
+
+    if (ticket.resolution_due_at && !ticket.resolved_at && new Date(ticket.resolution_due_at) > pausedAt) {
+      fields.resolution_due_at = this.addHours(calendar, ticket.resolution_due_at, pausedHours).toISOString();
+    }
+
+    return fields;
+  }
+
+  /**
+   * SLA fields to store with a status change. Waiting on the reporter
+   * (pending-customer) stops the clock and starts the reminder cycle; leaving
+   * it starts the clock again. Resolving stops any paused clock and records
+   * the business-hours resolution time; reopening clears it.
+   */
+  async getStatusChangeFields(ticket, updates, now = new Date()) {
+    try {
+      const fields = {};
+      const entersPending = updates.status === 'pending-customer' && ticket.status !== 'pending-customer';
+      const leavesPending = ticket.status === 'pending-customer' && updates.status && updates.status !== 'pending-customer';
+
+      if (entersPending) {
+        Object.assign(fields, this.getPauseFields(ticket, now), {
+          pending_since: now.toISOString(),
+          pending_reminders_sent: 0,
+          last_pending_reminder_at: null
+        });
+      }
+
+      if (leavesPending || updates.resolved_at) {
+        Object.assign(fields, await this.getResumeFields(ticket, now));
+      }
+
+      if (leavesPending) {
+        fields.pending_since = null;
+      }
+
+      if (updates.resolved_at) {
+        fields.business_resolution_hours = await this.calculateBusinessResolutionHours(
+          { ...ticket, ...fields },
+          updates.resolved_at
+        );
+      } else if (updates.resolved_at === null) {
+        fields.business_resolution_hours = null;
+      }
+
+      return {
+        ...fields,
+        ...this.getBreachFlags({ ...ticket, ...updates, ...fields }, now)
+      };
+    } catch (error) {
+      logger.error('SLAService.getStatusChangeFields error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Business hours from creation to resolution, less time spent waiting on the reporter
+   */
+  async calculateBusinessResolutionHours(ticket, resolvedAt) {
+    const calendar = await businessHoursService.getCalendar();
+    const businessHours = businessHoursService.businessHoursBetween(calendar, ticket.created_at, resolvedAt);
+
+    return Math.max(0, Math.round((businessHours - (ticket.sla_paused_hours || 0)) * 100) / 100);
+  }
+
+  /**
+   * Resolution SLA compliance (%) over tickets whose outcome is known:
+   * resolved tickets and unresolved ones already past due. 100 when none.
+   */
+  calculateCompliance(tickets, now = new Date()) {
+    return this.calculateTargetCompliance(tickets, 'resolution', now);
+  }
+
+  /**
+   * First-response SLA compliance (%), measured like calculateCompliance
+   */
+  calculateFirstResponseCompliance(tickets, now = new Date()) {
+    return this.calculateTargetCompliance(tickets, 'first_response', now);
+  }
+
+  /**
+   * SLA figures for a set of tickets, as shown on reports and dashboards
+   */
+  summarize(tickets, now = new Date()) {
+    const flags = tickets.map(ticket => this.getBreachFlags(ticket, now));
+    const atRiskBefore = new Date(now.getTime() + (AT_RISK_HOURS * HOUR));
+
+    return {
+      resolution_compliance: this.calculateCompliance(tickets, now),
+      first_response_compliance: this.calculateFirstResponseCompliance(tickets, now),
+      resolution_breaches: flags.filter(flag => flag.resolution_breached).length,
+      first_response_breaches: flags.filter(flag => flag.first_response_breached).length,
+      overdue: tickets.filter(ticket => this.isOverdue(ticket, now)).length,
+      at_risk: tickets.filter(ticket =>
+        !ticket.resolved_at
+        && ticket.resolution_due_at
+        && !this.isOverdue(ticket, now)
+        && new Date(ticket.resolution_due_at) <= atRiskBefore
+      ).length
+    };
+  }
+
+  /**
+   * summarize() per ticket category
+   */
+  summarizeByCategory(tickets, now = new Date()) {
+    const byCategory = tickets.reduce((groups, ticket) => {
+      (groups[ticket.category] = groups[ticket.category] || []).push(ticket);
+      return groups;
+    }, {});
+
+    return Object.fromEntries(
+      Object.entries(byCategory).map(([category, categoryTickets]) => [category, this.summarize(categoryTickets, now)])
+    );
+  }
+
+  /**
+   * Due-by times and progress of a single ticket against its targets
+   */
+  getTicketStatus(ticket, now = new Date()) {
+    const flags = this.getBreachFlags(ticket, now);
+
+    return {
+      first_response: {
+        due_at: ticket.first_response_due_at || null,
+        met_at: ticket.first_response_at || ticket.resolved_at || null,
+        breached: flags.first_response_breached
+      },
+      resolution: {
+        due_at: ticket.resolution_due_at || null,
+        met_at: ticket.resolved_at || null,
+        breached: flags.resolution_breached,
+        overdue: this.isOverdue(ticket, now),
+        wall_clock_hours: ticket.actual_resolution_hours ?? null,
+        business_hours: ticket.business_resolution_hours ?? null
+      },
+      paused: Boolean(ticket.sla_paused_at),
+      paused_since: ticket.sla_paused_at || null,
+      paused_hours: ticket.sla_paused_hours || 0
+    };
+  }
+
+  /**
+   * Business-hours resolution times of resolved tickets
+   */
+  getBusinessResolutionTimes(tickets) {
+    return tickets
+      .filter(ticket => ticket.resolved_at && ticket.business_resolution_hours !== null && ticket.business_resolution_hours !== undefined)
+      .map(ticket => ticket.business_resolution_hours);
+  }
+
+  /**
+   * Average business-hours resolution time, the counterpart of the
+   * wall-clock averages on reports
+   */
+  calculateAverageBusinessResolutionTime(tickets) {
+    const times = this.getBusinessResolutionTimes(tickets);
+    if (times.length === 0) return 0;
+
+    return Math.round(times.reduce((sum, hours) => sum + hours, 0) / times.length * 100) / 100;
+  }
+
+  /**
+   * Flag unresolved tickets that have passed a target since the last sweep.
+   * Used by the background sweeper.
+   */
+  async runBreachSweep() {
+    try {
+      const now = new Date();
+      const nowIso = now.toISOString();
+
+      const tickets = await Ticket.query()
+        .whereIn('status', ['open', 'in-progress'])
+        .whereNull('sla_paused_at')
+        .where(builder => {
+          builder
+            .where(pastDue => pastDue.where('resolution_breached', false).where('resolution_due_at', '<', nowIso))
+            .orWhere(pastDue => pastDue
+              .where('first_response_breached', false)
+              .whereNull('first_response_at')
+              .where('first_response_due_at', '<', nowIso));
+        });
+
+      const results = { checked: tickets.length, first_response_breaches: 0, resolution_breaches: 0, failed: 0 };
+
+      for (const ticket of tickets) {
+        const flags = this.getBreachFlags(ticket, now);
+        const newlyBreached = SLA_TARGETS.filter(target => flags[`${target}_breached`] && !ticket[`${target}_breached`]);
+
+        try {
+          await ticket.$query().patch(flags);
+          newlyBreached.forEach(target => results[`${target}_breaches`]++);
+        } catch (error) {
+          results.failed++;
+          logger.warn(`SLA breach check failed for ticket ${ticket.ticket_number}: ${error.message}`);
+        }
+      }
+
+      if (results.first_response_breaches > 0 || results.resolution_breaches > 0 || results.failed > 0) {
+        logger.info('SLA breach sweep completed', results);
+      }
+
+      return results;
+    } catch (error) {
+      logger.error('SLAService.runBreachSweep error:', error);
+      throw error;
+    }
+  }
+
+  // Helper methods
+
+  addHours(calendar, from, hours) {
+    return calendar
+      ? businessHoursService.addBusinessHours(calendar, from, hours)
+      : new Date(new Date(from).getTime() + (hours * HOUR));
+  }
+
+  async getUrgencyMultipliers() {
+    const multipliers = await SystemSetting.getValue('sla_urgency_multipliers', DEFAULT_URGENCY_MULTIPLIERS);
+    return { ...DEFAULT_URGENCY_MULTIPLIERS, ...multipliers };
+  }
+
+  calculateTargetCompliance(tickets, target, now) {
+    const outcomes = tickets
+      .filter(ticket => ticket[`${target}_due_at`])
+      .map(ticket => ({
+        met: Boolean(ticket.resolved_at || (target === 'first_response' && ticket.first_response_at)),
+        breached: this.getBreachFlags(ticket, now)[`${target}_breached`]
+      }))
+      .filter(outcome => outcome.met || outcome.breached);
+
+    if (outcomes.length === 0) return 100;
+
+    const compliant = outcomes.filter(outcome => !outcome.breached);
+    return Math.round((compliant.length / outcomes.length) * 100);
+  }
+}
+
+/**
+ * Whether a target due at dueAt was missed, given when it was met (if yet)
+ */
+function isLate(dueAt, metAt, now) {
+  if (!dueAt) {
+    return false;
+  }
+
+  return new Date(metAt || now) > new Date(dueAt);
+}
+
+module.exports = new SLAService();
@@ -0,0 +1,132 @@
+// src/services/subscriptionService.js - TPG Ticket Subscription Service
+const TicketFollower = require('../models/TicketFollower');
+const logger = require('../config/logger');
+
+class SubscriptionService {
+  /**
+   * Follow a ticket, or change which events an existing follow notifies about
+   */
+  async subscribe(ticket, userId, events = TicketFollower.EVENTS) {
+    try {
+      const preferences = TicketFollower.preferencesFor(events);
+
+      const existing = await TicketFollower.query()
+        .where({ ticket_id: ticket.id, user_id: userId })
+        .first();
+
+      const subscription = existing
+        ? await existing.$query().patchAndFetch(preferences)
+        : await TicketFollower.query().insert({
+          ticket_id: ticket.id,
+          user_id: userId,
+          source: 'manual',
+          added_by: userId,
+          ...preferences
+        });
+
+      logger.info(`User ${existing ? 'updated subscription to' : 'subscribed to'} ticket ${ticket.ticket_number}`, {
+        ticket_id: ticket.id,
+        user_id: userId,
+        events
+      });
+
+      return this.formatSubscription(subscription);
+    } catch (error) {
+      logger.error('SubscriptionService.subscribe error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop following a ticket. The reporter and assignee are notified
+   * without a follow, so for them every event is switched off instead.
+   */
+  async unsubscribe(ticket, userId) {
+    try {
+      const existing = await TicketFollower.query()
+        .where({ ticket_id: ticket.id, user_id: userId })
+        .first();
+
+      const isImplicitFollower = [ticket.user_id, ticket.assigned_to].includes(userId);
+
+      if (isImplicitFollower) {
+        const muted = TicketFollower.preferencesFor([]);
+
+        if (existing) {
+          await existing.$query().patch(muted);
+        } else {
+          await TicketFollower.query().insert({
+            ticket_id: ticket.id,
+            user_id: userId,
+            source: 'manual',
+            added_by: userId,
+            ...muted
+          });
+        }
+      } else if (existing) {
+        await existing.$query().delete();
+      } else {
+        throw new Error('Subscription not found');
+      }
+
+      logger.info(`User unsubscribed from ticket ${ticket.ticket_number}`, {
+        ticket_id: ticket.id,
+        user_id: userId
+      });
+
+      return true;
+    } catch (error) {
+      logger.error('SubscriptionService.unsubscribe error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tickets a user follows with at least one event switched on
+   */
+  async getUserSubscriptions(userId, options = {}) {
+    try {
+      const { page = 1, limit = 20 } = options;
+
+      const result = await TicketFollower.query()
+        .where('user_id', userId)
+        .where(builder => Object.values(TicketFollower.EVENT_COLUMNS)
+          .forEach(column => builder.orWhere(column, true)))
+        .withGraphFetched('ticket(selectSummary)')
+        .modifiers({
+          selectSummary: builder => builder.select(
+            'id', 'ticket_number', 'title', 'status', 'urgency', 'category', 'updated_at'
+          )
+        })
+        .orderBy('created_at', 'desc')
+        .page(parseInt(page) - 1, parseInt(limit));
+
+      return {
+        subscriptions: result.results.map(subscription => this.formatSubscription(subscription)),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: result.total,
+          pages: Math.ceil(result.total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('SubscriptionService.getUserSubscriptions error:', error);
+      throw error;
+    }
+  }
+
+  formatSubscription(subscription) {
+    return {
+      id: subscription.id,
+      ticket_id: subscription.ticket_id,
+      source: subscription.source,
+      events: subscription.getEvents(),
+      created_at: subscription.created_at,
+      updated_at: subscription.updated_at,
+      ...(subscription.ticket && { ticket: subscription.ticket })
+    };
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -0,0 +1,260 @@
+// src/services/surveyService.js - TPG Satisfaction Survey Service
+const jwt = require('jsonwebtoken');
+const Ticket = require('../models/Ticket');
+const TicketComment = require('../models/TicketComment');
+const User = require('../models/User');
+const SystemSetting = require('../models/SystemSetting');
+const auditService = require('./auditService');
+const emailService = require('./emailService');
+const { executeTransaction } = require('../config/database');
+const logger = require('../config/logger');
+
+class SurveyService {
+  constructor() {
+    this.jwtSecret = process.env.JWT_SECRET;
+  }
+
+  /**
+   * Email the reporter a signed survey link for a resolved ticket.
+   * Already rated tickets and inactive reporters are skipped.
+   */
+  async sendSurveyInvitation(ticket) {
+    try {
+      if (ticket.satisfaction_rating || !ticket.resolved_at || ticket.merged_into_id) {
+        return null;
+      }
+
+      const reporter = await User.query().findById(ticket.user_id).select('id', 'username', 'email', 'status');
+      if (!reporter || reporter.status !== 'active') {
+        return null;
+      }
+
+      const linkDays = await SystemSetting.getValue('satisfaction_survey_link_days', 14);
+      const token = this.generateSurveyToken(ticket, linkDays);
+      const expiresAt = new Date(Date.now() + (linkDays * 24 * 60 * 60 * 1000));
+      const surveyUrl = `${process.env.FRONTEND_URL}/survey/${token}`;
+
+      await emailService.sendSatisfactionSurveyEmail(ticket, reporter, surveyUrl, expiresAt);
+      await Ticket.query().findById(ticket.id).patch({ survey_sent_at: new Date().toISOString() });
+
+      logger.info(`Satisfaction survey sent for ticket ${ticket.ticket_number}`, {
+        ticket_id: ticket.id,
+        expires_at: expiresAt.toISOString()
+      });
+
+      return { token, expiresAt };
+    } catch (error) {
+      logger.error('SurveyService.sendSurveyInvitation error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ticket summary shown on the survey page
+   */
+  async getSurvey(token) {
+    try {
+      const { ticket, expiresAt } = await this.verifySurveyToken(token);
+
+      return {
+        ticket: {
+          ticket_number: ticket.ticket_number,
+          title: ticket.title,
+          category: ticket.category,
+          resolved_at: ticket.resolved_at
+        },
+        submitted: Boolean(ticket.satisfaction_rating),
+        expires_at: expiresAt
+      };
+    } catch (error) {
+      logger.error('SurveyService.getSurvey error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the reporter's rating. Ratings at or below the
+   * satisfaction_review_threshold setting flag the ticket for review.
+   */
+  async submitSurvey(token, { rating, comment = '' }, context = {}) {
+    try {
+      const { ticket: surveyTicket } = await this.verifySurveyToken(token);
+
+      const result = await executeTransaction(async (trx) => {
+        const ticket = await Ticket.query(trx).findById(surveyTicket.id).forUpdate();
+
+        if (ticket.satisfaction_rating) {
+          throw new Error('Survey already completed');
+        }
+
+        const auditContext = { userId: ticket.user_id, ...context };
+        const before = ticket.toJSON();
+        let updatedTicket = await ticket.$query(trx).patchAndFetch({
+          satisfaction_rating: rating,
+          satisfaction_comment: comment,
+          satisfaction_submitted_at: new Date().toISOString()
+        });
+
+        await auditService.recordUpdate('ticket', before, updatedTicket, auditContext, {
+          action: 'satisfaction_survey',
+          fields: ['satisfaction_rating', 'satisfaction_comment', 'satisfaction_submitted_at'],
+          trx
+        });
+
+        const threshold = await SystemSetting.getValue('satisfaction_review_threshold', 2);
+        const flagged = rating <= threshold;
+
+        if (flagged) {
+          const beforeFlag = updatedTicket.toJSON();
+          updatedTicket = await updatedTicket.$query(trx).patchAndFetch({
+            needs_review: true,
+            review_reason: `Low satisfaction rating (${rating}/5)`,
+            review_flagged_at: new Date().toISOString(),
+            reviewed_at: null,
+            reviewed_by: null,
+            review_notes: null
+          });
+
+          await auditService.recordUpdate('ticket', beforeFlag, updatedTicket, auditContext, {
+            action: 'flag_for_review',
+            fields: ['needs_review', 'review_reason', 'review_flagged_at'],
+            trx
+          });
+
+          await TicketComment.query(trx).insert({
+            ticket_id: ticket.id,
+            user_id: ticket.user_id,
+            content: `Flagged for supervisor review: customer rated this ticket ${rating}/5`,
+            is_internal: true,
+            metadata: { activity: true }
+          });
+        }
+
+        return { ticket: updatedTicket, flagged };
+      });
+
+      logger.info(`Satisfaction survey submitted for ticket ${result.ticket.ticket_number}`, {
+        ticket_id: result.ticket.id,
+        rating,
+        flagged: result.flagged
+      });
+
+      if (result.flagged) {
+        await this.sendReviewNotifications(result.ticket);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('SurveyService.submitSurvey error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a supervisor review with notes
+   */
+  async completeReview(ticketId, reviewedBy, notes, context = {}) {
+    try {
+      const ticket = await Ticket.query().findById(ticketId);
+      if (!ticket) {
+        throw new Error('Ticket not found');
+      }
+
+      if (!ticket.needs_review) {
+        throw new Error('Ticket is not flagged for review');
+      }
+
+      const before = ticket.toJSON();
+      const updatedTicket = await ticket.$query().patchAndFetch({
+        needs_review: false,
+        reviewed_at: new Date().toISOString(),
+        reviewed_by: reviewedBy,
+        review_notes: notes
+      });
+
+      await auditService.recordUpdate('ticket', before, updatedTicket, { userId: reviewedBy, ...context }, {
+        action: 'complete_review',
+        fields: ['needs_review', 'reviewed_at', 'reviewed_by', 'review_notes']
+      });
+
+      logger.info(`Supervisor review completed for ticket ${ticket.ticket_number}`, {
+        ticket_id: ticket.id,
+        reviewed_by: reviewedBy
+      });
+
+      return updatedTicket;
+    } catch (error) {
+      logger.error('SurveyService.completeReview error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell supervisors about a flagged ticket. Failures never undo the rating.
+   */
+  async sendReviewNotifications(ticket) {
+    try {
+      const supervisors = await User.query()
+        .where('role', 'super_admin')
+        .where('status', 'active')
+        .select('id', 'username', 'email');
+
+      if (supervisors.length > 0) {
+        await emailService.sendLowSatisfactionEmail(ticket, supervisors);
+      }
+    } catch (error) {
+      logger.error('Failed to send review notifications:', error);
+    }
+  }
+
+  // Helper methods
+
+  /**
+   * Sign a survey token bound to the ticket's current resolution, so a
+   * link stops working once the ticket is reopened
+   */
+  generateSurveyToken(ticket, linkDays) {
+    return jwt.sign({
+      type: 'satisfaction_survey',
+      tid: ticket.id,
+      rat: new Date(ticket.resolved_at).toISOString()
+    }, this.jwtSecret, {
+      expiresIn: `${linkDays}d`,
+      issuer: 'tpg-portal',
+      audience: 'tpg-survey'
+    });
+  }
+
+  /**
+   * Verify a survey token and load its ticket
+   */
+  async verifySurveyToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, this.jwtSecret, {
+        issuer: 'tpg-portal',
+        audience: 'tpg-survey'
+      });
+    } catch (error) {
+      throw new Error(error.name === 'TokenExpiredError' ? 'Survey link has expired' : 'Invalid survey link');
+    }
+
+    if (decoded.type !== 'satisfaction_survey') {
+      throw new Error('Invalid survey link');
+    }
+
+    const ticket = await Ticket.query().findById(decoded.tid);
+    if (!ticket) {
+      throw new Error('Invalid survey link');
+    }
+
+    // Reopened (and possibly re-resolved) tickets get a fresh link
+    if (!ticket.resolved_at || new Date(ticket.resolved_at).toISOString() !== decoded.rat) {
+      throw new Error('Survey link is no longer valid');
+    }
+
+    return { ticket, expiresAt: new Date(decoded.exp * 1000).toISOString() };
+  }
+}
+
+module.exports = new SurveyService();
@@ -0,0 +1,237 @@
+// src/services/ticketMergeService.js - TPG Ticket Merge Service
+const Ticket = require('../models/Ticket');
+const TicketComment = require('../models/TicketComment');
+const TicketAttachment = require('../models/TicketAttachment');
+const TicketFollower = require('../models/TicketFollower');
+const User = require('../models/User');
+const auditService = require('./auditService');
+const emailService = require('./emailService');
+const logger = require('../config/logger');
+const { executeTransaction } = require('../config/database');
+
+// Comment content limit (see TicketComment schema)
+const MAX_COMMENT_LENGTH = 3000;
+
+class TicketMergeService {
+  /**
+   * Merge duplicate source tickets into a target ticket, atomically:
+   * - each source's description is carried over as a comment
+   * - comments and attachments move to the target, tagged with merged_from
+   * - sources are closed with a link to the target
+   * - source reporters and followers become followers of the target
+   */
+  async mergeTickets(targetId, sourceIds, mergedBy, options = {}) {
+    try {
+      const { reason = '', context = {} } = options;
+
+      const result = await executeTransaction(async (trx) => {
+        const target = await Ticket.query(trx).findById(targetId).forUpdate();
+        if (!target) {
+          throw new Error('Ticket not found');
+        }
+
+        if (target.merged_into_id) {
+          throw new Error('Cannot merge into a ticket that was itself merged');
+        }
+
+        if (target.status === 'closed') {
+          throw new Error('Cannot merge into a closed ticket');
+        }
+
+        if (sourceIds.includes(target.id)) {
+          throw new Error('Cannot merge a ticket into itself');
+        }
+
+        const sources = await Ticket.query(trx)
+          .findByIds(sourceIds)
+          .forUpdate()
+          .orderBy('created_at', 'asc');
+
+        if (sources.length !== sourceIds.length) {
+          throw new Error('Source ticket not found');
+        }
+
+        const alreadyMerged = sources.find(source => source.merged_into_id);
+        if (alreadyMerged) {
+          throw new Error(`Cannot merge ${alreadyMerged.ticket_number}: it was already merged`);
+        }
+
+        const now = new Date().toISOString();
+        const merged = [];
+        let commentsMoved = 0;
+        let attachmentsMoved = 0;
+
+        for (const source of sources) {
+          const mergedFrom = {
+            ticket_id: source.id,
+            ticket_number: source.ticket_number
+          };
+
+          // Keep the original report on the target
+          const originalReport = `Merged from ${source.ticket_number}: ${source.title}\n\n${source.description}`;
+          await TicketComment.query(trx).insert({
+            ticket_id: target.id,
+            user_id: source.user_id || mergedBy,
+            content: originalReport.slice(0, MAX_COMMENT_LENGTH),
+            is_internal: false,
+            metadata: { merged_from: mergedFrom, original_report: true }
+          });
+
+          const comments = await TicketComment.query(trx).where('ticket_id', source.id);
+          for (const comment of comments) {
+            await comment.$query(trx).patch({
+              ticket_id: target.id,
+              metadata: { ...comment.metadata, merged_from: mergedFrom }
+            });
+          }
+
+          const attachments = await TicketAttachment.query(trx).where('ticket_id', source.id);
+          for (const attachment of attachments) {
+            await attachment.$query(trx).patch({
+              ticket_id: target.id,
+              metadata: { ...attachment.metadata, merged_from: mergedFrom }
+            });
+          }
+
+          commentsMoved += comments.length;
+          attachmentsMoved += attachments.length;
+
+          // Reporter and existing followers follow the target from now on
+          const sourceFollowers = await TicketFollower.query(trx).where('ticket_id', source.id);
+          const followerIds = [source.user_id, ...sourceFollowers.map(follower => follower.user_id)]
+            .filter(userId => userId && userId !== target.user_id);
+
+          await TicketFollower.addFollowers(target.id, followerIds, {
+            source: 'merge',
+            addedBy: mergedBy,
+            metadata: { merged_from: mergedFrom }
+          }, trx);
+
+          // Close the source with a link to the target
+          const closedSource = await source.$query(trx).patchAndFetch({
+            status: 'closed',
+            closed_at: now,
+            merged_into_id: target.id,
+            merged_at: now,
+            resolution_notes: `Merged into ${target.ticket_number}${reason ? `. Reason: ${reason}` : ''}`,
+            metadata: {
+              ...source.metadata,
+              merged_into: { ticket_id: target.id, ticket_number: target.ticket_number }
+            }
+          });
+
+          await auditService.record({
+            action: 'merge',
+            resourceType: 'ticket',
+            resourceId: source.id,
+            oldValues: { status: source.status, merged_into_id: null },
+            newValues: {
+              status: 'closed',
+              merged_into_id: target.id,
+              merged_into_number: target.ticket_number,
+              reason: reason || null
+            },
+            context: { userId: mergedBy, ...context },
+            trx
+          });
+
+          await TicketComment.query(trx).insert({
+            ticket_id: source.id,
+            user_id: mergedBy,
+            content: `This ticket was merged into ${target.ticket_number}. Follow that ticket for further updates.`,
+            is_internal: false,
+            metadata: { activity: true, merged_into: { ticket_id: target.id, ticket_number: target.ticket_number } }
+          });
+
+          merged.push({
+            ticket: closedSource,
+            comments_moved: comments.length,
+            attachments_moved: attachments.length
+          });
+        }
+
+        const mergedNumbers = merged.map(entry => entry.ticket.ticket_number);
+
+        await auditService.record({
+          action: 'merge',
+          resourceType: 'ticket',
+          resourceId: target.id,
+          newValues: {
+            merged_tickets: merged.map(entry => ({
+              ticket_id: entry.ticket.id,
+              ticket_number: entry.ticket.ticket_number
+            })),
+            comments_moved: commentsMoved,
+            attachments_moved: attachmentsMoved,
+            reason: reason || null
+          },
+          context: { userId: mergedBy, ...context },
+          trx
+        });
+
+        await TicketComment.query(trx).insert({
+          ticket_id: target.id,
+          user_id: mergedBy,
+          content: `Merged ${mergedNumbers.join(', ')} into this ticket${reason ? `. Reason: ${reason}` : ''}`,
+          is_internal: true,
+          metadata: { activity: true }
+        });
+
+        const updatedTarget = await Ticket.query(trx).findById(target.id);
+
+        return {
+          target: updatedTarget,
+          merged,
+          comments_moved: commentsMoved,
+          attachments_moved: attachmentsMoved
+        };
+      });
+
+      logger.security.logAdminAction(mergedBy, 'merge_tickets', result.target.id, {
+        ticket_number: result.target.ticket_number,
+        merged: result.merged.map(entry => entry.ticket.ticket_number)
+      }, context.ip);
+
+      logger.info(`Tickets merged into ${result.target.ticket_number}`, {
+        target_id: result.target.id,
+        source_ids: result.merged.map(entry => entry.ticket.id),
+        comments_moved: result.comments_moved,
+        attachments_moved: result.attachments_moved,
+        merged_by: mergedBy
+      });
+
+      await this.sendMergeNotifications(result.target, result.merged.map(entry => entry.ticket));
+
+      return result;
+    } catch (error) {
+      logger.error('TicketMergeService.mergeTickets error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell source reporters where their ticket went. Failures never undo the merge.
+   */
+  async sendMergeNotifications(target, sources) {
+    try {
+      const reporterIds = [...new Set(sources.map(source => source.user_id).filter(Boolean))];
+      if (reporterIds.length === 0) {
+        return;
+      }
+
+      const reporters = await User.query().findByIds(reporterIds).select('id', 'username', 'email');
+      const reportersById = new Map(reporters.map(reporter => [reporter.id, reporter]));
+
+      for (const source of sources) {
+        const reporter = reportersById.get(source.user_id);
+        if (reporter) {
+          await emailService.sendTicketMergedEmail(source, target, reporter);
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to send merge notifications:', error);
+    }
+  }
+}
+
+module.exports = new TicketMergeService();
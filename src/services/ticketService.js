@@ -2,9 +2,81 @@
 const Ticket = require('../models/Ticket');
 const TicketComment = require('../models/TicketComment');
 const TicketAttachment = require('../models/TicketAttachment');
+const TicketEscalation = require('../models/TicketEscalation');
+const Category = require('../models/Category');
 const User = require('../models/User');
+const SystemSetting = require('../models/SystemSetting');
+const AuditLog = require('../models/AuditLog');
+const auditService = require('./auditService');
+const emailService = require('./emailService');
+const surveyService = require('./surveyService');
+const slaService = require('./slaService');
+const workflowService = require('./workflowService');
+const assignmentService = require('./assignmentService');
 const logger = require('../config/logger');
 
+// Timeline event types that describe a change to the ticket itself
+const TICKET_CHANGE_EVENTS = [
+  'status_changed',
+  'assignment_changed',
+  'fields_updated',
+  'satisfaction_rated',
+  'ticket_escalated',
+  'ticket_merged',
+  'ticket_deleted',
+  'review_flagged',
+  'review_completed',
+  'sla_paused',
+  'sla_resumed'
+];
+
+// Permission each bulk operation requires on top of tickets.edit.all
+const BULK_OPERATION_PERMISSIONS = {
+  assign: 'tickets.assign',
+  close: 'tickets.close',
+  reopen: 'tickets.reopen',
+  change_priority: 'tickets.edit.all',
+  change_category: 'tickets.edit.all',
+  delete: 'tickets.delete.all'
+};
+
+// Fields reported through their own event type or implied by a status change
+const TIMELINE_DERIVED_FIELDS = [
+  'status',
+  'assigned_to',
+  'satisfaction_rating',
+  'satisfaction_comment',
+  'resolution_notes',
+  'resolved_at',
+  'closed_at',
+  'actual_resolution_hours',
+  'first_response_at',
+  'first_response_due_at',
+  'resolution_due_at',
+  'first_response_breached',
+  'resolution_breached',
+  'sla_paused_at',
+  'sla_paused_hours',
+  'business_resolution_hours',
+  'pending_since',
+  'pending_reminders_sent',
+  'last_pending_reminder_at',
+  'escalation_level',
+  'escalated_at',
+  'merged_into_id',
+  'merged_at',
+  'reopen_count',
+  'last_reopened_at',
+  'survey_sent_at',
+  'satisfaction_submitted_at',
+  'needs_review',
+  'review_reason',
+  'review_flagged_at',
+  'reviewed_at',
+  'reviewed_by',
+  'review_notes'
+];
+
 class TicketService {
   /**
    * Create a new ticket with validation and business logic
@@ -14,16 +86,20 @@ class TicketService {
       // Generate unique ticket number
       const ticketNumber = await this.generateTicketNumber();
 
+      const urgency = ticketData.urgency || 'medium';
+      const slaPolicy = await slaService.getPolicy(ticketData.category, urgency);
+
       // Prepare ticket data
       const ticket = await Ticket.query().insert({
         ticket_number: ticketNumber,
         title: ticketData.title,
         description: ticketData.description,
         category: ticketData.category,
-        urgency: ticketData.urgency || 'medium',
+        urgency,
         status: 'open',
         user_id: createdBy,
-        estimated_resolution_hours: ticketData.estimated_resolution_hours || this.getDefaultResolutionHours(ticketData.category),
+        estimated_resolution_hours: ticketData.estimated_resolution_hours || slaPolicy.estimated_resolution_hours,
+        ...slaService.calculateTicketSLA({ created_at: new Date().toISOString() }, slaPolicy),
         tags: ticketData.tags || [],
         metadata: {
           ...ticketData.metadata,
@@ -33,6 +109,8 @@ class TicketService {
         }
       });
 
+      await auditService.recordCreate('ticket', ticket, { userId: createdBy, ...context });
+
       // Auto-assign based on category and urgency
       await this.autoAssignTicket(ticket);
 
@@ -113,8 +191,21 @@ class TicketService {
         assigned_to: ticket.assigned_to
       };
 
+      const changes = { ...updates };
+
+      // A new category or urgency means new SLA targets, still measured from creation
+      if ((updates.category && updates.category !== ticket.category) || (updates.urgency && updates.urgency !== ticket.urgency)) {
+        const slaPolicy = await slaService.getPolicy(updates.category || ticket.category, updates.urgency || ticket.urgency);
+        Object.assign(changes, slaService.calculateTicketSLA({ ...ticket, ...updates }, slaPolicy));
+      }
+
       // Update ticket
-      const updatedTicket = await ticket.$query().patchAndFetch(updates);
+      const before = ticket.toJSON();
+      const updatedTicket = await ticket.$query().patchAndFetch(changes);
+
+      await auditService.recordUpdate('ticket', before, updatedTicket, { userId: updatedBy, ...context }, {
+        fields: Object.keys(changes)
+      });
 
       // Create activity comments for significant changes
       await this.trackTicketChanges(ticket, updates, updatedBy, oldValues);
@@ -145,7 +236,7 @@ class TicketService {
   /**
    * Assign ticket to user
    */
-  async assignTicket(ticketId, assignedTo, assignedBy, reason = '') {
+  async assignTicket(ticketId, assignedTo, assignedBy, reason = '', context = {}, options = {}) {
     try {
       const ticket = await Ticket.query().findById(ticketId);
       if (!ticket) {
@@ -166,14 +257,24 @@ class TicketService {
         if (assignee.status !== 'active') {
           throw new Error('Cannot assign tickets to inactive users');
         }
+
+        if (await assignmentService.isOutOfOffice(assignee.id)) {
+          throw new Error('Cannot assign tickets to agents who are out of office');
+        }
       }
 
       const oldAssignee = ticket.assigned_to;
+      const before = ticket.toJSON();
       
       // Update assignment
       const updatedTicket = await ticket.$query().patchAndFetch({
         assigned_to: assignedTo || null,
-        status: assignedTo ? 'in-progress' : 'open'
+        status: await workflowService.getAssignmentStatus(ticket, assignedTo)
+      });
+
+      await auditService.recordUpdate('ticket', before, updatedTicket, { userId: assignedBy, ...context }, {
+        action: 'assign',
+        fields: ['assigned_to', 'status']
       });
 
       // Create assignment comment
@@ -181,14 +282,19 @@ class TicketService {
         ? `Ticket assigned to ${(await User.query().findById(assignedTo)).username}` 
         : 'Ticket unassigned';
       
-      await this.createSystemComment(
-        ticketId, 
-        `${assignmentMessage}${reason ? `. Reason: ${reason}` : ''}`,
-        assignedBy
-      );
+      // Automatic assignments have no actor to attribute the comment to
+      if (assignedBy) {
+        await this.createSystemComment(
+          ticketId, 
+          `${assignmentMessage}${reason ? `. Reason: ${reason}` : ''}`,
+          assignedBy
+        );
+      }
 
       // Send notifications
-      await this.sendAssignmentNotifications(updatedTicket, oldAssignee, assignedTo);
+      if (options.notify !== false) {
+        await this.sendAssignmentNotifications(updatedTicket, oldAssignee, assignedTo, assignedBy);
+      }
 
       logger.info(`Ticket assignment changed: ${ticket.ticket_number}`, {
         ticket_id: ticketId,
@@ -209,56 +315,86 @@ class TicketService {
    */
   async updateTicketStatus(ticketId, status, updatedBy, options = {}) {
     try {
-      const { resolutionNotes = '', satisfactionRating, satisfactionComment } = options;
+      const {
+        resolutionNotes = '',
+        satisfactionRating,
+        satisfactionComment,
+        reason = '',
+        notify = true,
+        context = {}
+      } = options;
 
       const ticket = await Ticket.query().findById(ticketId);
       if (!ticket) {
         throw new Error('Ticket not found');
       }
 
-      // Validate status transition
-      if (!this.isValidStatusTransition(ticket.status, status)) {
-        throw new Error(`Cannot change status from ${ticket.status} to ${status}`);
-      }
+      // Enforce the ticket's workflow; changes without an author are automatic
+      await workflowService.checkTransition(ticket, status, {
+        role: await workflowService.getActorRole(updatedBy),
+        fields: { resolution_notes: resolutionNotes, reason, satisfaction_rating: satisfactionRating }
+      });
 
       const updates = { status };
+      const now = new Date().toISOString();
 
-      // Handle resolution
-      if (status === 'resolved') {
-        updates.resolved_at = new Date().toISOString();
+      // Handle resolution. Tickets closed without being resolved first are
+      // stamped as resolved at the same moment so resolution time is recorded.
+      if (status === 'resolved' || (status === 'closed' && !ticket.resolved_at)) {
+        updates.resolved_at = now;
+        updates.actual_resolution_hours = this.calculateResolutionHours(ticket.created_at, now);
+      }
+
+      if (status === 'resolved' || resolutionNotes) {
         updates.resolution_notes = resolutionNotes;
-        
-        const createdAt = new Date(ticket.created_at);
-        const resolvedAt = new Date();
-        updates.actual_resolution_hours = Math.round((resolvedAt - createdAt) / (1000 * 60 * 60));
       }
 
       // Handle closing
       if (status === 'closed') {
-        updates.closed_at = new Date().toISOString();
+        updates.closed_at = now;
         if (satisfactionRating) {
           updates.satisfaction_rating = satisfactionRating;
           updates.satisfaction_comment = satisfactionComment || '';
         }
       }
 
+      Object.assign(updates, await slaService.getStatusChangeFields(ticket, updates));
+
       // Update ticket
+      const before = ticket.toJSON();
       const updatedTicket = await ticket.$query().patchAndFetch(updates);
 
-      // Create status change comment
-      let statusMessage = `Status changed from ${ticket.status} to ${status}`;
+      await auditService.recordUpdate('ticket', before, updatedTicket, { userId: updatedBy, ...context }, {
+        action: updatedBy ? 'status_update' : 'auto_status_update',
+        fields: Object.keys(updates)
+      });
+
+      // Create status change comment. Automatic changes have no author,
+      // the audit log covers them.
+      let statusMessage = `Status changed from ${before.status} to ${status}`;
       if (resolutionNotes) {
         statusMessage += `. Resolution: ${resolutionNotes}`;
       }
+      if (reason) {
+        statusMessage += `. Reason: ${reason}`;
+      }
 
-      await this.createSystemComment(ticketId, statusMessage, updatedBy);
+      if (updatedBy) {
+        await this.createSystemComment(ticketId, statusMessage, updatedBy);
+      }
 
-      // Send notifications
-      await this.sendStatusUpdateNotifications(updatedTicket);
+      // Send notifications, and the satisfaction survey once a ticket is resolved
+      if (notify) {
+        await this.sendStatusUpdateNotifications(updatedTicket, updatedBy);
+
+        if (updates.resolved_at) {
+          await this.sendSatisfactionSurvey(updatedTicket);
+        }
+      }
 
       logger.info(`Ticket status updated: ${ticket.ticket_number}`, {
         ticket_id: ticketId,
-        old_status: ticket.status,
+        old_status: before.status,
         new_status: status,
         updated_by: updatedBy
       });
@@ -270,6 +406,328 @@ class TicketService {
     }
   }
 
+  /**
+   * Resolve a ticket in one step with resolution notes
+   */
+  async quickResolveTicket(ticketId, resolutionNotes, resolvedBy, context = {}) {
+    try {
+      const ticket = await Ticket.query().findById(ticketId);
+      if (!ticket) {
+        throw new Error('Ticket not found');
+      }
+
+      if (['resolved', 'closed'].includes(ticket.status)) {
+        throw new Error(`Ticket is already ${ticket.status}`);
+      }
+
+      return await this.updateTicketStatus(ticketId, 'resolved', resolvedBy, { resolutionNotes, context });
+    } catch (error) {
+      logger.error('TicketService.quickResolveTicket error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Close a ticket in one step, resolving it on the way if needed
+   */
+  async quickCloseTicket(ticketId, resolutionNotes, closedBy, context = {}) {
+    try {
+      const ticket = await Ticket.query().findById(ticketId);
+      if (!ticket) {
+        throw new Error('Ticket not found');
+      }
+
+      if (ticket.status === 'closed') {
+        throw new Error('Ticket is already closed');
+      }
+
+      return await this.updateTicketStatus(ticketId, 'closed', closedBy, { resolutionNotes, context });
+    } catch (error) {
+      logger.error('TicketService.quickCloseTicket error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reopen a resolved or closed ticket within the reopen window set by the
+   * ticket_reopen_window_days system setting. Resolution stamps are cleared
+   * so the next resolution is measured afresh; the reopen is counted.
+   */
+  async reopenTicket(ticketId, reopenedBy, options = {}) {
+    try {
+      const { reason = '', ignoreWindow = false, notify = true, context = {} } = options;
+
+      const ticket = await Ticket.query().findById(ticketId);
+      if (!ticket) {
+        throw new Error('Ticket not found');
+      }
+
+      const status = options.status || (ticket.assigned_to ? 'in-progress' : 'open');
+
+      if (!['resolved', 'closed'].includes(ticket.status)) {
+        throw new Error(`Cannot reopen a ticket that is ${ticket.status}`);
+      }
+
+      if (ticket.merged_into_id) {
+        throw new Error('Cannot reopen a ticket that was merged into another ticket');
+      }
+
+      await workflowService.checkTransition(ticket, status, {
+        role: await workflowService.getActorRole(reopenedBy),
+        fields: { reason }
+      });
+
+      if (!ignoreWindow) {
+        const windowDays = await SystemSetting.getValue('ticket_reopen_window_days', 7);
+        const deadline = ticket.getReopenDeadline(windowDays);
+
+        if (windowDays <= 0 || (deadline && new Date() > deadline)) {
+          throw new Error(`Reopen window has expired: tickets can only be reopened within ${windowDays} day(s) of resolution`);
+        }
+      }
+
+      const now = new Date().toISOString();
+      const updates = {
+        status,
+        resolved_at: null,
+        closed_at: null,
+        actual_resolution_hours: null,
+        reopen_count: (ticket.reopen_count || 0) + 1,
+        last_reopened_at: now
+      };
+
+      // Reopened tickets are held to their original due-by times
+      Object.assign(updates, await slaService.getStatusChangeFields(ticket, updates));
+
+      const before = ticket.toJSON();
+      const updatedTicket = await ticket.$query().patchAndFetch(updates);
+
+      await auditService.recordUpdate('ticket', before, updatedTicket, { userId: reopenedBy, ...context }, {
+        action: 'reopen',
+        fields: Object.keys(updates)
+      });
+
+      await this.createSystemComment(
+        ticketId,
+        `Ticket reopened (reopen #${updates.reopen_count})${reason ? `. Reason: ${reason}` : ''}`,
+        reopenedBy
+      );
+
+      if (notify) {
+        await this.sendStatusUpdateNotifications(updatedTicket, reopenedBy);
+      }
+
+      logger.info(`Ticket reopened: ${ticket.ticket_number}`, {
+        ticket_id: ticketId,
+        old_status: before.status,
+        reopen_count: updates.reopen_count,
+        reopened_by: reopenedBy
+      });
+
+      return updatedTicket;
+    } catch (error) {
+      logger.error('TicketService.reopenTicket error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Soft delete a ticket: close it and flag it as deleted in metadata
+   */
+  async softDeleteTicket(ticket, deletedBy, reason, context = {}) {
+    try {
+      const before = ticket.toJSON();
+      const now = new Date().toISOString();
+
+      const deletedTicket = await ticket.$query().patchAndFetch({
+        status: 'closed',
+        closed_at: now,
+        metadata: {
+          ...ticket.metadata,
+          deleted: true,
+          deleted_by: deletedBy,
+          deleted_at: now,
+          deletion_reason: reason
+        }
+      });
+
+      await auditService.recordUpdate('ticket', before, deletedTicket, { userId: deletedBy, ...context }, {
+        action: 'delete',
+        fields: ['status', 'closed_at', 'metadata']
+      });
+
+      // Create deletion activity comment
+      await this.createSystemComment(ticket.id, `Ticket deleted. Reason: ${reason}`, deletedBy);
+
+      logger.security.logAdminAction(
+        deletedBy,
+        'ticket_deleted',
+        ticket.id,
+        {
+          ticket_number: ticket.ticket_number,
+          reason
+        },
+        context.ip
+      );
+
+      return deletedTicket;
+    } catch (error) {
+      logger.error('TicketService.softDeleteTicket error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Apply one operation to many tickets. Each ticket is checked and
+   * processed on its own, so one failure never blocks the rest.
+   */
+  async bulkOperation(ticketIds, operation, params, user, context = {}) {
+    try {
+      const { reason = '', notify_users: notify = true } = params;
+      const uniqueIds = [...new Set(ticketIds)];
+
+      // Validate the assignee once rather than once per ticket
+      if (operation === 'assign' && params.assigned_to) {
+        const assignee = await User.query().findById(params.assigned_to);
+        if (!assignee) {
+          throw new Error('Assignee not found');
+        }
+
+        if (!['admin', 'super_admin'].includes(assignee.role)) {
+          throw new Error('Tickets can only be assigned to admin users');
+        }
+
+        if (assignee.status !== 'active') {
+          throw new Error('Cannot assign tickets to inactive users');
+        }
+
+        if (await assignmentService.isOutOfOffice(assignee.id)) {
+          throw new Error('Cannot assign tickets to agents who are out of office');
+        }
+      }
+
+      const tickets = await Ticket.query().findByIds(uniqueIds);
+      const ticketsById = new Map(tickets.map(ticket => [ticket.id, ticket]));
+      const results = [];
+
+      for (const ticketId of uniqueIds) {
+        const ticket = ticketsById.get(ticketId);
+        if (!ticket) {
+          results.push({ ticket_id: ticketId, success: false, error: 'Ticket not found' });
+          continue;
+        }
+
+        try {
+          if (!user.hasPermission(BULK_OPERATION_PERMISSIONS[operation]) || !ticket.canBeEditedBy(user)) {
+            throw new Error('Access denied');
+          }
+
+          const outcome = await this.applyBulkOperation(ticket, operation, params, user.id, {
+            reason,
+            notify,
+            ignoreWindow: user.hasPermission('tickets.reopen.override'),
+            context
+          });
+
+          results.push({
+            ticket_id: ticket.id,
+            ticket_number: ticket.ticket_number,
+            success: true,
+            ...outcome
+          });
+        } catch (error) {
+          results.push({
+            ticket_id: ticket.id,
+            ticket_number: ticket.ticket_number,
+            success: false,
+            error: error.message
+          });
+        }
+      }
+
+      const summary = {
+        total: results.length,
+        succeeded: results.filter(result => result.success && !result.skipped).length,
+        skipped: results.filter(result => result.skipped).length,
+        failed: results.filter(result => !result.success).length
+      };
+
+      logger.security.logAdminAction(user.id, 'bulk_ticket_operation', null, {
+        operation,
+        ...summary,
+        reason
+      }, context.ip);
+
+      return { operation, summary, results };
+    } catch (error) {
+      logger.error('TicketService.bulkOperation error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a single bulk operation on one ticket through the regular
+   * service method, so activity comments and notifications fire once
+   */
+  async applyBulkOperation(ticket, operation, params, userId, { reason, notify, ignoreWindow, context }) {
+    const statusOptions = { reason, notify, context };
+
+    switch (operation) {
+      case 'assign': {
+        if (['resolved', 'closed'].includes(ticket.status)) {
+          throw new Error(`Cannot assign a ${ticket.status} ticket`);
+        }
+
+        if (ticket.assigned_to === params.assigned_to) {
+          return { skipped: true, message: 'Ticket already has this assignee' };
+        }
+
+        const updated = await this.assignTicket(ticket.id, params.assigned_to, userId, reason, context, { notify });
+        return { status: updated.status, assigned_to: updated.assigned_to };
+      }
+
+      case 'close': {
+        const updated = await this.updateTicketStatus(ticket.id, 'closed', userId, statusOptions);
+        return { status: updated.status };
+      }
+
+      case 'reopen': {
+        const updated = await this.reopenTicket(ticket.id, userId, { ...statusOptions, ignoreWindow });
+        return { status: updated.status, reopen_count: updated.reopen_count };
+      }
+
+      case 'change_priority': {
+        if (ticket.urgency === params.urgency) {
+          return { skipped: true, message: `Ticket urgency is already ${params.urgency}` };
+        }
+
+        const updated = await this.updateTicket(ticket.id, { urgency: params.urgency }, userId, context);
+        return { urgency: updated.urgency };
+      }
+
+      case 'change_category': {
+        if (ticket.category === params.category) {
+          return { skipped: true, message: `Ticket category is already ${params.category}` };
+        }
+
+        const updated = await this.updateTicket(ticket.id, { category: params.category }, userId, context);
+        return { category: updated.category };
+      }
+
+      case 'delete': {
+        if (ticket.metadata?.deleted) {
+          return { skipped: true, message: 'Ticket is already deleted' };
+        }
+
+        const updated = await this.softDeleteTicket(ticket, userId, reason || 'Bulk deletion', context);
+        return { status: updated.status };
+      }
+
+      default:
+        throw new Error(`Unsupported bulk operation: ${operation}`);
+    }
+  }
+
   /**
    * Search tickets with advanced filtering
    */
@@ -411,12 +869,15 @@ class TicketService {
         const ticket = tickets[0];
         const comments = await TicketComment.query().where('ticket_id', ticketId);
         const attachments = await TicketAttachment.query().where('ticket_id', ticketId);
+        const category = await Category.query().findById(ticket.category);
 
         return {
           age_hours: ticket.getAgeInHours(),
           resolution_time_hours: ticket.getResolutionTimeInHours(),
           is_overdue: ticket.isOverdue(),
-          needs_escalation: ticket.needsEscalation(),
+          sla: slaService.getTicketStatus(ticket),
+          needs_escalation: ticket.needsEscalation(category),
+          escalation_level: ticket.escalation_level || 0,
           priority_score: ticket.getPriorityScore(),
           comment_count: comments.length,
           attachment_count: attachments.length,
@@ -439,12 +900,12 @@ class TicketService {
     try {
       const tickets = await Ticket.query()
         .whereIn('status', ['open', 'in-progress'])
-        .whereNotNull('estimated_resolution_hours')
+        .where('resolution_due_at', '<', new Date().toISOString())
         .withGraphFetched('[user.[select(id, username, email)], assignedUser.[select(id, username, email)]]')
-        .orderBy('created_at', 'asc')
+        .orderBy('resolution_due_at', 'asc')
         .limit(limit);
 
-      return tickets.filter(ticket => ticket.isOverdue());
+      return tickets;
     } catch (error) {
       logger.error('TicketService.getOverdueTickets error:', error);
       throw error;
@@ -456,11 +917,14 @@ class TicketService {
    */
   async getTicketsNeedingEscalation() {
     try {
-      const tickets = await Ticket.query()
-        .whereIn('status', ['open', 'in-progress'])
-        .withGraphFetched('[user.[select(id, username, email)], assignedUser.[select(id, username, email)]]');
+      const [tickets, categories] = await Promise.all([
+        Ticket.query()
+          .whereIn('status', ['open', 'in-progress'])
+          .withGraphFetched('[user.[select(id, username, email)], assignedUser.[select(id, username, email)]]'),
+        Category.getActiveMap()
+      ]);
 
-      return tickets.filter(ticket => ticket.needsEscalation());
+      return tickets.filter(ticket => ticket.needsEscalation(categories.get(ticket.category)));
     } catch (error) {
       logger.error('TicketService.getTicketsNeedingEscalation error:', error);
       throw error;
@@ -492,64 +956,38 @@ class TicketService {
   }
 
   /**
-   * Auto-assign ticket based on rules
+   * Auto-assign a new ticket to an agent picked by the configured
+   * assignment strategy. Failures are logged and leave the ticket unassigned.
    */
   async autoAssignTicket(ticket) {
     try {
-      // Auto-assignment rules based on category and urgency
-      const assignmentRules = {
-        'payment-gateway': { urgency: 'critical', assignToRole: 'admin' },
-        'system-errors': { urgency: 'high', assignToRole: 'admin' },
-        'performance-issues': { urgency: 'high', assignToRole: 'admin' }
-      };
-
-      const rule = assignmentRules[ticket.category];
-      if (rule && ['high', 'critical'].includes(ticket.urgency)) {
-        // Find available admin
-        const availableAdmin = await User.query()
-          .where('role', 'admin')
-          .where('status', 'active')
-          .orderBy('last_login', 'desc')
-          .first();
-
-        if (availableAdmin) {
-          await this.assignTicket(ticket.id, availableAdmin.id, 'system', 'Auto-assigned based on category and urgency');
-        }
+      const selection = await assignmentService.selectAgent(ticket);
+      if (!selection) {
+        return null;
       }
+
+      const { agent, strategy } = selection;
+      const assignedTicket = await this.assignTicket(
+        ticket.id,
+        agent.user_id,
+        null,
+        `Auto-assigned (${strategy.replace(/_/g, ' ')})`
+      );
+
+      await assignmentService.recordAssignment(agent);
+
+      return assignedTicket;
     } catch (error) {
       logger.error(`Auto-assignment failed for ticket ${ticket.ticket_number}:`, error);
+      return null;
     }
   }
 
   /**
-   * Get default resolution hours by category
+   * Whole hours between creation and resolution
    */
-  getDefaultResolutionHours(category) {
-    const defaultHours = {
-      'cpd-points': 48,
-      'license-management': 72,
-      'performance-issues': 24,
-      'payment-gateway': 24,
-      'user-interface': 24,
-      'data-inconsistencies': 48,
-      'system-errors': 24
-    };
-
-    return defaultHours[category] || 24;
-  }
-
-  /**
-   * Validate status transitions
-   */
-  isValidStatusTransition(currentStatus, newStatus) {
-    const validTransitions = {
-      'open': ['in-progress', 'resolved', 'closed'],
-      'in-progress': ['open', 'resolved', 'closed'],
-      'resolved': ['closed', 'in-progress'],
-      'closed': ['in-progress']
-    };
-    
-    return validTransitions[currentStatus]?.includes(newStatus) || false;
+  calculateResolutionHours(createdAt, resolvedAt) {
+    return Math.round((new Date(resolvedAt) - new Date(createdAt)) / (1000 * 60 * 60));
   }
 
   /**
@@ -561,7 +999,8 @@ class TicketService {
         ticket_id: ticketId,
         user_id: userId,
         content,
-        is_internal: true
+        is_internal: true,
+        metadata: { activity: true }
       });
     } catch (error) {
       logger.error('Failed to create system comment:', error);
@@ -602,7 +1041,8 @@ class TicketService {
       logger.info(`Ticket resolved: ${ticket.ticket_number}`, {
         ticket_id: ticket.id,
         resolution_time_hours: resolutionTime,
-        estimated_hours: ticket.estimated_resolution_hours
+        estimated_hours: ticket.estimated_resolution_hours,
+        sla_breached: ticket.resolution_breached
       });
     }
   }
@@ -612,48 +1052,418 @@ class TicketService {
    */
   async handleAssignmentChange(ticket, oldAssignee, updatedBy) {
     // Send notifications to old and new assignees
-    await this.sendAssignmentNotifications(ticket, oldAssignee, ticket.assigned_to);
+    await this.sendAssignmentNotifications(ticket, oldAssignee, ticket.assigned_to, updatedBy);
   }
 
   /**
-   * Send assignment notifications
+   * Send assignment notifications. Failures are logged, never thrown.
    */
-  async sendAssignmentNotifications(ticket, oldAssignee, newAssignee) {
-    // TODO: Implement email notifications
-    logger.info(`Assignment notification needed for ticket ${ticket.ticket_number}`, {
-      old_assignee: oldAssignee,
-      new_assignee: newAssignee
-    });
+  async sendAssignmentNotifications(ticket, oldAssignee, newAssignee, actorId = null) {
+    if (!newAssignee || newAssignee === oldAssignee) {
+      return;
+    }
+
+    try {
+      const assignee = await User.query().findById(newAssignee);
+      if (assignee) {
+        await emailService.sendTicketAssignedEmail(ticket, assignee, actorId);
+      }
+    } catch (error) {
+      logger.error(`Failed to send assignment notifications for ticket ${ticket.ticket_number}:`, error);
+    }
   }
 
   /**
-   * Send status update notifications
+   * Send status update notifications. Failures are logged, never thrown.
    */
-  async sendStatusUpdateNotifications(ticket) {
-    // TODO: Implement email notifications
-    logger.info(`Status update notification needed for ticket ${ticket.ticket_number}`, {
-      status: ticket.status
-    });
+  async sendStatusUpdateNotifications(ticket, actorId = null) {
+    try {
+      await emailService.sendTicketStatusUpdateEmail(ticket, actorId);
+    } catch (error) {
+      logger.error(`Failed to send status notifications for ticket ${ticket.ticket_number}:`, error);
+    }
+  }
+
+  /**
+   * Send new comment notifications. Failures are logged, never thrown.
+   */
+  async sendCommentNotifications(ticket, comment) {
+    try {
+      await emailService.sendCommentNotification(ticket, comment);
+    } catch (error) {
+      logger.error(`Failed to send comment notifications for ticket ${ticket.ticket_number}:`, error);
+    }
+  }
+
+  /**
+   * Send new attachment notifications. Failures are logged, never thrown.
+   */
+  async sendAttachmentNotifications(ticket, attachments, uploaderId, internal = false) {
+    try {
+      await emailService.sendAttachmentNotification(ticket, attachments, uploaderId, { internal });
+    } catch (error) {
+      logger.error(`Failed to send attachment notifications for ticket ${ticket.ticket_number}:`, error);
+    }
+  }
+
+  /**
+   * Email the reporter a satisfaction survey; never fails the caller
+   */
+  async sendSatisfactionSurvey(ticket) {
+    try {
+      await surveyService.sendSurveyInvitation(ticket);
+    } catch (error) {
+      logger.error(`Failed to send satisfaction survey for ticket ${ticket.ticket_number}:`, error);
+    }
   }
 
   /**
    * Get status history for a ticket
    */
   async getStatusHistory(ticketId) {
-    // This would query audit logs or system comments to build status history
-    const systemComments = await TicketComment.query()
-      .where('ticket_id', ticketId)
-      .where('is_internal', true)
-      .where('content', 'like', '%Status changed%')
-      .orderBy('created_at', 'asc');
-
-    return systemComments.map(comment => ({
-      timestamp: comment.created_at,
-      description: comment.content,
-      user_id: comment.user_id
+    const history = await this.getTicketHistory(ticketId, null, { types: ['status_changed'], limit: 500 });
+
+    return history.events.map(event => ({
+      timestamp: event.timestamp,
+      description: `Status changed from ${event.data.from} to ${event.data.to}`,
+      user_id: event.actor?.id || null
     }));
   }
 
+  /**
+   * Change history of a ticket: status, assignment, field edits,
+   * escalations and ratings, built from the audit trail
+   */
+  async getTicketHistory(ticketId, viewer, options = {}) {
+    return await this.getTicketTimeline(ticketId, viewer, {
+      ...options,
+      types: options.types || TICKET_CHANGE_EVENTS
+    });
+  }
+
+  /**
+   * Unified, paginated timeline of everything that happened on a ticket.
+   * Internal comments (and attachments on them) are only included for
+   * viewers with tickets.view.all; pass viewer = null for system use.
+   */
+  async getTicketTimeline(ticketId, viewer, options = {}) {
+    try {
+      const {
+        page = 1,
+        limit = 50,
+        order = 'asc',
+        types = null
+      } = options;
+
+      const ticket = await Ticket.query().findById(ticketId);
+      if (!ticket) {
+        throw new Error('Ticket not found');
+      }
+
+      const includeInternal = !viewer || viewer.hasPermission('tickets.view.all');
+
+      const [auditEntries, comments, attachments, removedAttachments, escalations] = await Promise.all([
+        AuditLog.query()
+          .where('resource_type', 'ticket')
+          .where('resource_id', ticket.id)
+          .orderBy('created_at', 'asc'),
+        TicketComment.query()
+          .where('ticket_id', ticket.id)
+          .orderBy('created_at', 'asc'),
+        TicketAttachment.query()
+          .where('ticket_id', ticket.id)
+          .orderBy('created_at', 'asc'),
+        AuditLog.query()
+          .where('resource_type', 'attachment')
+          .where('action', 'delete')
+          .whereRaw("old_values->>'ticket_id' = ?", [ticket.id])
+          .orderBy('created_at', 'asc'),
+        TicketEscalation.query()
+          .where('ticket_id', ticket.id)
+          .orderBy('created_at', 'asc')
+      ]);
+
+      const internalCommentIds = new Set(comments.filter(c => c.is_internal).map(c => c.id));
+      const events = [];
+
+      events.push({
+        type: 'ticket_created',
+        timestamp: ticket.created_at,
+        actor_id: ticket.user_id,
+        data: {
+          ticket_number: ticket.ticket_number,
+          title: ticket.title,
+          category: ticket.category,
+          urgency: ticket.urgency
+        }
+      });
+
+      let hasRatingEvent = false;
+
+      for (const entry of auditEntries) {
+        const entryEvents = this.buildChangeEvents(entry, includeInternal);
+        hasRatingEvent = hasRatingEvent || entryEvents.some(e => e.type === 'satisfaction_rated');
+        events.push(...entryEvents);
+      }
+
+      // Ratings stored before the audit trail existed have no change entry
+      if (ticket.satisfaction_rating && !hasRatingEvent) {
+        events.push({
+          type: 'satisfaction_rated',
+          timestamp: ticket.closed_at || ticket.updated_at,
+          actor_id: ticket.user_id,
+          data: {
+            rating: ticket.satisfaction_rating,
+            comment: ticket.satisfaction_comment || null
+          }
+        });
+      }
+
+      for (const escalation of escalations) {
+        events.push({
+          type: 'ticket_escalated',
+          timestamp: escalation.created_at,
+          actor_id: escalation.escalated_by,
+          data: {
+            level: escalation.level,
+            previous_level: escalation.previous_level,
+            tier: escalation.tier,
+            is_automatic: escalation.is_automatic,
+            ...(includeInternal && {
+              trigger: escalation.trigger,
+              reason: escalation.reason,
+              escalated_to: escalation.escalated_to
+            })
+          }
+        });
+      }
+
+      for (const comment of comments) {
+        // Activity comments repeat changes already taken from the audit trail
+        if (comment.metadata?.activity) {
+          continue;
+        }
+
+        if (comment.is_internal && !includeInternal) {
+          continue;
+        }
+
+        events.push({
+          type: 'comment_added',
+          timestamp: comment.created_at,
+          actor_id: comment.user_id,
+          data: {
+            comment_id: comment.id,
+            content: comment.content,
+            is_internal: comment.is_internal,
+            is_edited: comment.is_edited,
+            edited_at: comment.edited_at || null,
+            parent_comment_id: comment.parent_comment_id || null,
+            merged_from: comment.metadata?.merged_from || null
+          }
+        });
+      }
+
+      const attachmentVisible = (attachment) =>
+        includeInternal || !attachment.comment_id || !internalCommentIds.has(attachment.comment_id);
+
+      for (const attachment of attachments.filter(attachmentVisible)) {
+        events.push({
+          type: 'attachment_added',
+          timestamp: attachment.created_at,
+          actor_id: attachment.user_id,
+          data: {
+            attachment_id: attachment.id,
+            filename: attachment.original_filename,
+            file_size: attachment.file_size,
+            mime_type: attachment.mime_type,
+            comment_id: attachment.comment_id || null,
+            virus_scan_status: attachment.virus_scan_status,
+            merged_from: attachment.metadata?.merged_from || null
+          }
+        });
+      }
+
+      for (const entry of removedAttachments) {
+        const removed = entry.old_values || {};
+        if (!attachmentVisible(removed)) {
+          continue;
+        }
+
+        events.push({
+          type: 'attachment_removed',
+          timestamp: entry.created_at,
+          actor_id: entry.user_id,
+          data: {
+            attachment_id: entry.resource_id,
+            filename: removed.original_filename
+          }
+        });
+      }
+
+      // Per-ticket volumes are small, so merging and paging happen in memory
+      const filtered = types ? events.filter(event => types.includes(event.type)) : events;
+      const direction = order === 'desc' ? -1 : 1;
+      filtered.sort((a, b) => direction * (new Date(a.timestamp) - new Date(b.timestamp)));
+
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+      const pageEvents = filtered.slice(offset, offset + parseInt(limit));
+
+      const actorIds = [...new Set(pageEvents.map(event => event.actor_id).filter(Boolean))];
+      const actors = actorIds.length > 0
+        ? await User.query().findByIds(actorIds).select('id', 'username', 'role')
+        : [];
+      const actorsById = new Map(actors.map(actor => [actor.id, actor]));
+
+      return {
+        ticket: {
+          id: ticket.id,
+          ticket_number: ticket.ticket_number,
+          status: ticket.status
+        },
+        events: pageEvents.map(({ actor_id, ...event }) => ({
+          ...event,
+          actor: actor_id ? (actorsById.get(actor_id) || { id: actor_id }) : null
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: filtered.length,
+          pages: Math.ceil(filtered.length / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('TicketService.getTicketTimeline error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Split one ticket audit entry into timeline events
+   */
+  buildChangeEvents(entry, includeInternal) {
+    const oldValues = entry.old_values || {};
+    const newValues = entry.new_values || {};
+    const base = { timestamp: entry.created_at, actor_id: entry.user_id };
+    const events = [];
+
+    // Creation is taken from the ticket row itself
+    if (entry.action === 'create') {
+      return events;
+    }
+
+    if (entry.action === 'delete') {
+      events.push({ ...base, type: 'ticket_deleted', data: { reason: newValues.metadata?.deletion_reason || null } });
+      return events;
+    }
+
+    // Recorded on both sides: the closed source and the receiving target
+    if (entry.action === 'merge') {
+      events.push({
+        ...base,
+        type: 'ticket_merged',
+        data: newValues.merged_into_id
+          ? {
+            direction: 'into',
+            ticket_id: newValues.merged_into_id,
+            ticket_number: newValues.merged_into_number,
+            reason: newValues.reason || null
+          }
+          : {
+            direction: 'from',
+            tickets: newValues.merged_tickets || [],
+            comments_moved: newValues.comments_moved || 0,
+            attachments_moved: newValues.attachments_moved || 0,
+            reason: newValues.reason || null
+          }
+      });
+      return events;
+    }
+
+    // Supervisor review of a low rating is only shown to staff
+    if (entry.action === 'flag_for_review' || entry.action === 'complete_review') {
+      if (includeInternal) {
+        events.push({
+          ...base,
+          type: entry.action === 'flag_for_review' ? 'review_flagged' : 'review_completed',
+          data: entry.action === 'flag_for_review'
+            ? { reason: newValues.review_reason || null }
+            : { notes: newValues.review_notes || null }
+        });
+      }
+      return events;
+    }
+
+    // Entries written by the earlier explicit pause/resume flow
+    if (entry.action === 'sla_pause' || entry.action === 'sla_resume') {
+      events.push({
+        ...base,
+        type: entry.action === 'sla_pause' ? 'sla_paused' : 'sla_resumed',
+        data: entry.action === 'sla_pause'
+          ? { paused_at: newValues.sla_paused_at || null }
+          : { paused_hours: newValues.sla_paused_hours ?? null }
+      });
+      return events;
+    }
+
+    if ('status' in newValues) {
+      events.push({
+        ...base,
+        type: 'status_changed',
+        data: {
+          from: oldValues.status ?? null,
+          to: newValues.status,
+          automatic: entry.action.startsWith('auto_'),
+          reopened: entry.action === 'reopen',
+          resolution_notes: newValues.resolution_notes || null
+        }
+      });
+    }
+
+    // The SLA clock stops and restarts with pending-customer and resolution
+    if ('sla_paused_at' in newValues) {
+      if (newValues.sla_paused_at) {
+        events.push({ ...base, type: 'sla_paused', data: { paused_at: newValues.sla_paused_at } });
+      } else if (oldValues.sla_paused_at) {
+        events.push({ ...base, type: 'sla_resumed', data: { paused_hours: newValues.sla_paused_hours ?? null } });
+      }
+    }
+
+    if ('assigned_to' in newValues) {
+      events.push({
+        ...base,
+        type: 'assignment_changed',
+        data: { from: oldValues.assigned_to ?? null, to: newValues.assigned_to }
+      });
+    }
+
+    if ('satisfaction_rating' in newValues) {
+      events.push({
+        ...base,
+        type: 'satisfaction_rated',
+        data: {
+          rating: newValues.satisfaction_rating,
+          comment: newValues.satisfaction_comment || null
+        }
+      });
+    }
+
+    const hiddenFields = includeInternal ? TIMELINE_DERIVED_FIELDS : [...TIMELINE_DERIVED_FIELDS, 'metadata'];
+    const changes = {};
+
+    for (const field of Object.keys(newValues)) {
+      if (!hiddenFields.includes(field)) {
+        changes[field] = { from: oldValues[field] ?? null, to: newValues[field] };
+      }
+    }
+
+    if (Object.keys(changes).length > 0) {
+      events.push({ ...base, type: 'fields_updated', data: { changes } });
+    }
+
+    return events;
+  }
+
   /**
    * Calculate aggregate statistics
    */
@@ -0,0 +1,236 @@
+// src/services/ticketTemplateService.js - TPG Ticket Template Service
+const { UniqueViolationError } = require('objection');
+const TicketTemplate = require('../models/TicketTemplate');
+const auditService = require('./auditService');
+const logger = require('../config/logger');
+
+class TicketTemplateService {
+  /**
+   * List templates, optionally including archived ones
+   */
+  async listTemplates(filters = {}) {
+    try {
+      const { category, search, include_archived: includeArchived = false } = filters;
+
+      let query = TicketTemplate.query().orderBy('name', 'asc');
+
+      if (!includeArchived) {
+        query = query.where('is_archived', false);
+      }
+
+      if (category) {
+        query = query.where('category', category);
+      }
+
+      if (search) {
+        query = query.where(builder => {
+          builder.where('name', 'ilike', `%${search}%`)
+            .orWhere('description', 'ilike', `%${search}%`);
+        });
+      }
+
+      return await query;
+    } catch (error) {
+      logger.error('TicketTemplateService.listTemplates error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a template by ID
+   */
+  async getTemplate(id) {
+    try {
+      const template = await TicketTemplate.query().findById(id);
+      if (!template) {
+        throw new Error('Template not found');
+      }
+
+      return template;
+    } catch (error) {
+      logger.error('TicketTemplateService.getTemplate error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a template
+   */
+  async createTemplate(data, createdBy, context = {}) {
+    try {
+      const template = await TicketTemplate.query().insert({
+        ...data,
+        variables: this.resolveVariables(data.title_template, data.description_template, data.variables),
+        created_by: createdBy,
+        updated_by: createdBy
+      });
+
+      await auditService.recordCreate('ticket_template', template, { userId: createdBy, ...context });
+
+      logger.info(`Ticket template created: ${template.name}`, {
+        template_id: template.id,
+        created_by: createdBy
+      });
+
+      return template;
+    } catch (error) {
+      logger.error('TicketTemplateService.createTemplate error:', error);
+      throw this.translateError(error);
+    }
+  }
+
+  /**
+   * Update a template. Archived templates must be restored first.
+   */
+  async updateTemplate(id, updates, updatedBy, context = {}) {
+    try {
+      const template = await this.getTemplate(id);
+
+      if (template.is_archived && updates.is_archived !== false) {
+        throw new Error('Archived templates cannot be edited');
+      }
+
+      const changes = { ...updates, updated_by: updatedBy };
+
+      if (updates.is_archived === false) {
+        changes.archived_at = null;
+        changes.archived_by = null;
+      }
+
+      // Placeholders are re-checked whenever either skeleton or the variables change
+      if (updates.title_template || updates.description_template || updates.variables) {
+        changes.variables = this.resolveVariables(
+          updates.title_template || template.title_template,
+          updates.description_template || template.description_template,
+          updates.variables || template.variables
+        );
+      }
+
+      const before = template.toJSON();
+      const updatedTemplate = await template.$query().patchAndFetch(changes);
+
+      await auditService.recordUpdate('ticket_template', before, updatedTemplate, { userId: updatedBy, ...context }, {
+        action: updates.is_archived === false ? 'restore' : 'update',
+        fields: Object.keys(changes).filter(field => field !== 'updated_by')
+      });
+
+      return updatedTemplate;
+    } catch (error) {
+      logger.error('TicketTemplateService.updateTemplate error:', error);
+      throw this.translateError(error);
+    }
+  }
+
+  /**
+   * Archive a template so it can no longer be used for new tickets
+   */
+  async archiveTemplate(id, archivedBy, context = {}) {
+    try {
+      const template = await this.getTemplate(id);
+
+      if (template.is_archived) {
+        throw new Error('Template is already archived');
+      }
+
+      const before = template.toJSON();
+      const archivedTemplate = await template.$query().patchAndFetch({
+        is_archived: true,
+        archived_at: new Date().toISOString(),
+        archived_by: archivedBy,
+        updated_by: archivedBy
+      });
+
+      await auditService.recordUpdate('ticket_template', before, archivedTemplate, { userId: archivedBy, ...context }, {
+        action: 'archive',
+        fields: ['is_archived', 'archived_at', 'archived_by']
+      });
+
+      return archivedTemplate;
+    } catch (error) {
+      logger.error('TicketTemplateService.archiveTemplate error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Ticket fields produced by a template: rendered title and description,
+   * category, urgency and default metadata, with caller overrides applied.
+   * The result still has to pass ticket creation validation.
+   */
+  async buildTicketDraft(id, values = {}, overrides = {}) {
+    try {
+      const template = await this.getTemplate(id);
+
+      if (template.is_archived) {
+        throw new Error('Template is archived');
+      }
+
+      const { title, description, missing } = template.render(values);
+      if (missing.length > 0) {
+        throw new Error(`Missing values for placeholders: ${missing.join(', ')}`);
+      }
+
+      return {
+        template,
+        draft: {
+          title,
+          description,
+          category: template.category,
+          urgency: overrides.urgency || template.urgency,
+          metadata: {
+            ...template.default_metadata,
+            ...overrides.metadata
+          }
+        }
+      };
+    } catch (error) {
+      logger.error('TicketTemplateService.buildTicketDraft error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count a ticket created from a template
+   */
+  async recordUsage(id) {
+    try {
+      await TicketTemplate.query().findById(id).increment('usage_count', 1);
+    } catch (error) {
+      logger.error('TicketTemplateService.recordUsage error:', error);
+    }
+  }
+
+  // Helper methods
+
+  /**
+   * Declared variables, plus a required variable for every undeclared
+   * placeholder. Variables that no placeholder uses are rejected.
+   */
+  resolveVariables(titleTemplate, descriptionTemplate, variables = []) {
+    const placeholders = TicketTemplate.extractPlaceholders(`${titleTemplate}\n${descriptionTemplate}`);
+
+    const unused = variables.filter(variable => !placeholders.includes(variable.name));
+    if (unused.length > 0) {
+      throw new Error(`Variables not used in the template: ${unused.map(variable => variable.name).join(', ')}`);
+    }
+
+    const declared = new Set(variables.map(variable => variable.name));
+
+    return [
+      ...variables,
+      ...placeholders
+        .filter(name => !declared.has(name))
+        .map(name => ({ name, label: name.replace(/_/g, ' '), required: true }))
+    ];
+  }
+
+  translateError(error) {
+    if (error instanceof UniqueViolationError) {
+      return new Error('A template with this name already exists');
+    }
+
+    return error;
+  }
+}
+
+module.exports = new TicketTemplateService();
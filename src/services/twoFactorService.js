@@ -0,0 +1,412 @@
+// src/services/twoFactorService.js - TPG TOTP Two-Factor Authentication Service
+const crypto = require('crypto');
+const SystemSetting = require('../models/SystemSetting');
+const logger = require('../config/logger');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Roles that may (and, per system settings, must) use two-factor authentication
+const TWO_FACTOR_ROLES = ['admin', 'super_admin'];
+
+class TwoFactorService {
+  constructor() {
+    this.issuer = process.env.TWO_FACTOR_ISSUER || 'TPG Portal';
+    this.digits = 6;
+    this.period = 30; // seconds (RFC 6238 default)
+    this.window = 1; // accept one step of clock drift either side
+    this.recoveryCodeCount = 10;
+
+    const keySource = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '';
+    this.encryptionKey = crypto.createHash('sha256').update(keySource).digest();
+  }
+
+  /**
+   * Check whether a role is allowed to enroll in 2FA
+   */
+  isSupportedRole(role) {
+    return TWO_FACTOR_ROLES.includes(role);
+  }
+
+  /**
+   * Check whether system settings make 2FA mandatory for a role
+   */
+  async isRequiredForRole(role) {
+    if (!this.isSupportedRole(role)) {
+      return false;
+    }
+
+    return await SystemSetting.getValue(`two_factor_required_${role}`, false) === true;
+  }
+
+  /**
+   * Start enrollment: generate a secret and keep it pending until confirmed
+   */
+  async beginEnrollment(user, ip, userAgent) {
+    try {
+      if (!this.isSupportedRole(user.role)) {
+        throw new Error('Two-factor authentication is only available for administrator accounts');
+      }
+
+      if (user.two_factor_enabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      const secret = this.generateSecret();
+
+      await user.$query().patch({
+        two_factor_pending_secret: this.encrypt(secret)
+      });
+
+      logger.security.logAuth('two_factor_enrollment_started', user.email, ip, userAgent, true, {
+        user_id: user.id
+      });
+
+      return {
+        secret,
+        otpauth_url: this.getProvisioningUri(user.email, secret),
+        digits: this.digits,
+        period: this.period
+      };
+    } catch (error) {
+      logger.error('TwoFactorService.beginEnrollment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app.
+   * Returns the plaintext recovery codes - they are never shown again.
+   */
+  async confirmEnrollment(user, code, ip, userAgent) {
+    try {
+      if (user.two_factor_enabled) {
+        throw new Error('Two-factor authentication is already enabled');
+      }
+
+      if (!user.two_factor_pending_secret) {
+        throw new Error('Two-factor enrollment has not been started');
+      }
+
+      const secret = this.decrypt(user.two_factor_pending_secret);
+      const step = this.matchCode(secret, code);
+
+      if (step === null) {
+        this.recordEvent(user, 'two_factor_failed', {
+          stage: 'enrollment'
+        }, ip, userAgent);
+        throw new Error('Invalid two-factor code');
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes();
+
+      await user.$query().patch({
+        two_factor_enabled: true,
+        two_factor_secret: user.two_factor_pending_secret,
+        two_factor_pending_secret: null,
+        two_factor_recovery_codes: recoveryCodes.map(c => this.hashRecoveryCode(c)),
+        two_factor_last_step: step,
+        two_factor_enabled_at: new Date().toISOString()
+      });
+
+      this.recordEvent(user, 'two_factor_enabled', {}, ip, userAgent);
+
+      return { recoveryCodes };
+    } catch (error) {
+      logger.error('TwoFactorService.confirmEnrollment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Verify a login-time code or one-time recovery code
+   */
+  async verifyLogin(user, { code, recoveryCode } = {}, ip, userAgent) {
+    try {
+      if (!user.two_factor_enabled || !user.two_factor_secret) {
+        throw new Error('Two-factor authentication is not enabled');
+      }
+
+      if (recoveryCode) {
+        const hash = this.hashRecoveryCode(recoveryCode);
+        const remaining = (user.two_factor_recovery_codes || []).filter(h => h !== hash);
+
+        if (remaining.length === (user.two_factor_recovery_codes || []).length) {
+          this.recordEvent(user, 'two_factor_failed', {
+            stage: 'login',
+            method: 'recovery_code'
+          }, ip, userAgent);
+          return false;
+        }
+
+        await user.$query().patch({ two_factor_recovery_codes: remaining });
+
+        this.recordEvent(user, 'two_factor_recovery_code_used', {
+          remaining_codes: remaining.length
+        }, ip, userAgent);
+        return true;
+      }
+
+      const step = this.matchCode(this.decrypt(user.two_factor_secret), code);
+
+      // Reject codes from a step that was already used (replay)
+      if (step === null || (user.two_factor_last_step && step <= Number(user.two_factor_last_step))) {
+        this.recordEvent(user, 'two_factor_failed', {
+          stage: 'login',
+          method: 'totp',
+          replay: step !== null
+        }, ip, userAgent);
+        return false;
+      }
+
+      await user.$query().patch({ two_factor_last_step: step });
+      return true;
+    } catch (error) {
+      logger.error('TwoFactorService.verifyLogin error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Disable 2FA after re-checking password and a current code
+   */
+  async disable(user, password, code, ip, userAgent) {
+    try {
+      if (!user.two_factor_enabled) {
+        throw new Error('Two-factor authentication is not enabled');
+      }
+
+      if (await this.isRequiredForRole(user.role)) {
+        throw new Error('Two-factor authentication is mandatory for your role and cannot be disabled');
+      }
+
+      const isPasswordValid = await user.verifyPassword(password);
+      if (!isPasswordValid || !(await this.verifyLogin(user, { code }, ip, userAgent))) {
+        throw new Error('Invalid password or two-factor code');
+      }
+
+      await user.$query().patch({
+        two_factor_enabled: false,
+        two_factor_secret: null,
+        two_factor_pending_secret: null,
+        two_factor_recovery_codes: [],
+        two_factor_last_step: null,
+        two_factor_enabled_at: null
+      });
+
+      this.recordEvent(user, 'two_factor_disabled', {}, ip, userAgent);
+
+      return { success: true };
+    } catch (error) {
+      logger.error('TwoFactorService.disable error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace all recovery codes after verifying a current code
+   */
+  async regenerateRecoveryCodes(user, code, ip, userAgent) {
+    try {
+      if (!(await this.verifyLogin(user, { code }, ip, userAgent))) {
+        throw new Error('Invalid two-factor code');
+      }
+
+      const recoveryCodes = this.generateRecoveryCodes();
+
+      await user.$query().patch({
+        two_factor_recovery_codes: recoveryCodes.map(c => this.hashRecoveryCode(c))
+      });
+
+      logger.security.logAuth('two_factor_recovery_codes_regenerated', user.email, ip, userAgent, true, {
+        user_id: user.id
+      });
+
+      return { recoveryCodes };
+    } catch (error) {
+      logger.error('TwoFactorService.regenerateRecoveryCodes error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get 2FA status for a user
+   */
+  async getStatus(user) {
+    return {
+      available: this.isSupportedRole(user.role),
+      enabled: !!user.two_factor_enabled,
+      required: await this.isRequiredForRole(user.role),
+      enabled_at: user.two_factor_enabled_at || null,
+      recovery_codes_remaining: (user.two_factor_recovery_codes || []).length
+    };
+  }
+
+  // TOTP primitives (RFC 4226 / RFC 6238)
+
+  /**
+   * Generate a random 160-bit base32 secret
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(20));
+  }
+
+  /**
+   * Build the otpauth:// URI rendered as a QR code by authenticator apps
+   */
+  getProvisioningUri(accountName, secret) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Generate the HOTP value for a counter
+   */
+  generateCode(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(buffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24) |
+      ((hmac[offset + 1] & 0xff) << 16) |
+      ((hmac[offset + 2] & 0xff) << 8) |
+      (hmac[offset + 3] & 0xff);
+
+    return String(binary % (10 ** this.digits)).padStart(this.digits, '0');
+  }
+
+  /**
+   * Return the matching time step for a code within the drift window, or null
+   */
+  matchCode(secret, code, timestamp = Date.now()) {
+    const normalized = String(code || '').replace(/\s+/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== this.digits) {
+      return null;
+    }
+
+    const currentStep = Math.floor(timestamp / 1000 / this.period);
+
+    for (let drift = -this.window; drift <= this.window; drift++) {
+      const step = currentStep + drift;
+      const expected = this.generateCode(secret, step);
+
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  // Recovery codes
+
+  /**
+   * Generate one-time recovery codes (xxxxx-xxxxx)
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: this.recoveryCodeCount }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+  }
+
+  /**
+   * Hash a recovery code for storage (case and dash insensitive)
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  // Secret storage
+
+  /**
+   * Encrypt a secret with AES-256-GCM (iv:tag:ciphertext, hex)
+   */
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encryptionKey, iv);
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(b => b.toString('hex')).join(':');
+  }
+
+  /**
+   * Decrypt a value produced by encrypt()
+   */
+  decrypt(payload) {
+    const [iv, tag, encrypted] = payload.split(':').map(part => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encryptionKey, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+
+  // Base32 (RFC 4648, no padding)
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character in secret');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Log a 2FA event; logger.security persists it to security_events
+   */
+  recordEvent(user, eventType, details, ip, userAgent) {
+    logger.security.logAuth(eventType, user.email, ip, userAgent, eventType !== 'two_factor_failed', {
+      user_id: user.id,
+      ...details
+    });
+  }
+}
+
+module.exports = new TwoFactorService();
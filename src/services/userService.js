@@ -2,6 +2,7 @@
 const User = require('../models/User');
 const logger = require('../config/logger');
 const authService = require('./authService');
+const auditService = require('./auditService');
 
 class UserService {
   /**
@@ -127,7 +128,7 @@ class UserService {
   /**
    * Create new user with validation
    */
-  async createUser(userData, createdBy) {
+  async createUser(userData, createdBy, context = {}) {
     try {
       // Validate TPG email domain
       if (!authService.isValidTPGEmail(userData.email)) {
@@ -154,6 +155,8 @@ class UserService {
         preferences: userData.preferences || {}
       });
 
+      await auditService.recordCreate('user', user, { userId: createdBy, ...context });
+
       // Generate email verification token
       const verificationToken = await user.generateEmailVerificationToken();
 
@@ -180,7 +183,7 @@ class UserService {
   /**
    * Update user with field-level permissions
    */
-  async updateUser(id, updates, updatedBy) {
+  async updateUser(id, updates, updatedBy, context = {}) {
     try {
       const user = await User.query().findById(id);
       if (!user) {
@@ -195,8 +198,13 @@ class UserService {
       };
 
       // Update user
+      const before = user.toJSON();
       const updatedUser = await user.$query().patchAndFetch(updates);
 
+      await auditService.recordUpdate('user', before, updatedUser, { userId: updatedBy, ...context }, {
+        fields: Object.keys(updates)
+      });
+
       // Log significant changes
       if (updates.role && updates.role !== oldValues.role) {
         logger.security.logAdminAction(
@@ -254,6 +262,7 @@ class UserService {
         total: tickets.length,
         open: tickets.filter(t => t.status === 'open').length,
         in_progress: tickets.filter(t => t.status === 'in-progress').length,
+        pending_customer: tickets.filter(t => t.status === 'pending-customer').length,
         resolved: tickets.filter(t => t.status === 'resolved').length,
         closed: tickets.filter(t => t.status === 'closed').length
       };
@@ -263,6 +272,7 @@ class UserService {
         total: assignedTickets.length,
         open: assignedTickets.filter(t => t.status === 'open').length,
         in_progress: assignedTickets.filter(t => t.status === 'in-progress').length,
+        pending_customer: assignedTickets.filter(t => t.status === 'pending-customer').length,
         resolved: assignedTickets.filter(t => t.status === 'resolved').length,
         closed: assignedTickets.filter(t => t.status === 'closed').length
       };
@@ -311,7 +321,7 @@ class UserService {
   /**
    * Approve pending user
    */
-  async approveUser(id, approvedBy) {
+  async approveUser(id, approvedBy, context = {}) {
     try {
       const user = await User.query().findById(id);
       if (!user) {
@@ -322,10 +332,16 @@ class UserService {
         throw new Error('User is not pending approval');
       }
 
+      const before = user.toJSON();
       const updatedUser = await user.$query().patchAndFetch({
         status: 'active'
       });
 
+      await auditService.recordUpdate('user', before, updatedUser, { userId: approvedBy, ...context }, {
+        action: 'approve',
+        fields: ['status']
+      });
+
       // Log approval
       logger.security.logAdminAction(
         approvedBy,
@@ -348,7 +364,7 @@ class UserService {
   /**
    * Suspend user account
    */
-  async suspendUser(id, reason, suspendedBy) {
+  async suspendUser(id, reason, suspendedBy, context = {}) {
     try {
       const user = await User.query().findById(id);
       if (!user) {
@@ -359,10 +375,19 @@ class UserService {
         throw new Error('User is already suspended');
       }
 
+      const before = user.toJSON();
       const updatedUser = await user.$query().patchAndFetch({
         status: 'suspended'
       });
 
+      await auditService.recordUpdate('user', before, updatedUser, { userId: suspendedBy, ...context }, {
+        action: 'suspend',
+        fields: ['status']
+      });
+
+      // End all sessions so the suspension takes effect immediately
+      await authService.revokeUserSessions(user.id, 'user_suspended');
+
       // Log suspension
       logger.security.logAdminAction(
         suspendedBy,
@@ -386,7 +411,7 @@ class UserService {
   /**
    * Reactivate suspended user
    */
-  async reactivateUser(id, reactivatedBy) {
+  async reactivateUser(id, reactivatedBy, context = {}) {
     try {
       const user = await User.query().findById(id);
       if (!user) {
@@ -397,12 +422,18 @@ class UserService {
         throw new Error('User is not currently suspended');
       }
 
+      const before = user.toJSON();
       const updatedUser = await user.$query().patchAndFetch({
         status: 'active',
         locked_until: null,
         failed_login_attempts: 0
       });
 
+      await auditService.recordUpdate('user', before, updatedUser, { userId: reactivatedBy, ...context }, {
+        action: 'reactivate',
+        fields: ['status', 'locked_until', 'failed_login_attempts']
+      });
+
       // Log reactivation
       logger.security.logAdminAction(
         reactivatedBy,
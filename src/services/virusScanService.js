@@ -0,0 +1,639 @@
+// src/services/virusScanService.js - TPG Attachment Virus Scanning with ClamAV
+const path = require('path');
+const fs = require('fs').promises;
+const clamav = require('node-clamav');
+const TicketAttachment = require('../models/TicketAttachment');
+const AttachmentBlob = require('../models/AttachmentBlob');
+const Ticket = require('../models/Ticket');
+const User = require('../models/User');
+const SystemSetting = require('../models/SystemSetting');
+const auditService = require('./auditService');
+const emailService = require('./emailService');
+const logger = require('../config/logger');
+
+// Seconds clamd may spend on one file; custom scans set scan_options.max_scan_time
+const SCAN_TIMEOUTS = {
+  quick: 60,
+  full: 300
+};
+
+// Connection failures leave the file pending for the sweep to retry, up to this many times
+const MAX_SCAN_ATTEMPTS = 3;
+
+const SWEEP_BATCH_SIZE = 100;
+
+class VirusScanService {
+  constructor() {
+    this.enabled = process.env.ENABLE_VIRUS_SCAN === 'true';
+    this.host = process.env.CLAMAV_HOST || 'localhost';
+    this.port = parseInt(process.env.CLAMAV_PORT) || 3310;
+
+    // In-process scan queue, worked through one file at a time
+    this.queue = [];
+    this.queued = new Set();
+    this.processing = false;
+  }
+
+  /**
+   * Queue an attachment for scanning. Options follow validateVirusScan
+   * (scan_type, force_rescan, quarantine_infected, notify_on_completion,
+   * scan_options). context is the audit context of whoever asked for the
+   * scan. Returns false when the attachment is already queued.
+   */
+  queueScan(attachmentId, options = {}, context = {}) {
+    if (this.queued.has(attachmentId)) {
+      return false;
+    }
+
+    this.queued.add(attachmentId);
+    this.queue.push({ attachmentId, options, context });
+    setImmediate(() => this.processQueue());
+
+    logger.info(`Queued virus scan for attachment ${attachmentId}`);
+    return true;
+  }
+
+  /**
+   * Work through the queue. Only one worker runs at a time.
+   */
+  async processQueue() {
+    if (this.processing) {
+      return;
+    }
+
+    this.processing = true;
+    try {
+      while (this.queue.length > 0) {
+        const { attachmentId, options, context } = this.queue.shift();
+        try {
+          await this.scanAttachment(attachmentId, options, context);
+        } catch (error) {
+          logger.error(`Virus scan failed for attachment ${attachmentId}:`, error);
+        } finally {
+          this.queued.delete(attachmentId);
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Scan an attachment with clamd and record the result. Pending attachments
+   * only, unless options.force_rescan is set; rescans that change the result
+   * are audited.
+   */
+  async scanAttachment(attachmentId, options = {}, context = {}) {
+    try {
+      const attachment = await TicketAttachment.query().findById(attachmentId);
+      if (!attachment) {
+        logger.warn(`Virus scan skipped: attachment ${attachmentId} no longer exists`);
+        return null;
+      }
+
+      if (!attachment.isScanPending() && !options.force_rescan) {
+        return attachment;
+      }
+
+      // Unscanned files stay pending, so isSafe() keeps them from being served
+      if (!this.enabled) {
+        logger.warn(`Virus scanning is disabled; attachment ${attachmentId} left pending`);
+        return attachment;
+      }
+
+      // Checked up front: node-clamav only listens for read errors once connected
+      try {
+        await fs.access(attachment.file_path);
+      } catch (error) {
+        await attachment.markAsScanned('error', 'File not found on disk');
+        return attachment;
+      }
+
+      const before = attachment.toJSON();
+      const scanType = options.scan_type || 'quick';
+      const startedAt = Date.now();
+
+      let reply;
+      try {
+        reply = await clamav
+          .createScanner(this.host, this.port)
+          .scanFile(attachment.file_path, this.getTimeout(scanType, options.scan_options) * 1000);
+      } catch (error) {
+        return await this.handleScanFailure(attachment, error);
+      }
+
+      const result = this.parseReply(reply);
+      const scanMetadata = {
+        virus_scan: {
+          engine: 'clamd',
+          scan_type: scanType,
+          signature: result.signature || null,
+          duration_ms: Date.now() - startedAt
+        },
+        scan_attempts: 0
+      };
+
+      if (result.status === 'infected') {
+        // Other attachments of the same blob hold the same bytes. Found before
+        // quarantine drops this attachment's blob reference; files an admin
+        // released as false positives are left alone, as with rescans.
+        const sharing = attachment.blob_hash
+          ? await TicketAttachment.query()
+            .where('blob_hash', attachment.blob_hash)
+            .whereNot('id', attachment.id)
+            .whereRaw("metadata->'quarantine_release' IS NULL")
+          : [];
+
+        await attachment.markAsScanned('infected', `${result.signature} FOUND`, scanMetadata);
+        await this.handleInfectedFile(attachment, before, result.signature, options, context);
+
+        for (const other of sharing) {
+          const otherBefore = other.toJSON();
+          await other.markAsScanned('infected', `${result.signature} FOUND`, {
+            ...scanMetadata,
+            virus_scan: { ...scanMetadata.virus_scan, shared_blob_of: attachment.id }
+          });
+          await this.handleInfectedFile(other, otherBefore, result.signature, options, context);
+        }
+
+        return attachment;
+      }
+
+      if (result.status === 'clean') {
+        await attachment.markAsScanned('clean', 'No threats found', scanMetadata);
+        await this.generatePreviews(attachment);
+      } else {
+        await attachment.markAsScanned('error', `Scanner error: ${result.message}`, scanMetadata);
+      }
+
+      if (options.force_rescan) {
+        await auditService.recordUpdate('attachment', before, attachment, context, {
+          action: 'rescan',
+          fields: ['virus_scan_status', 'virus_scan_details']
+        });
+      }
+
+      return attachment;
+    } catch (error) {
+      logger.error('VirusScanService.scanAttachment error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue pending attachments missed by the upload hook: uploads made while
+   * the server restarted, or scans waiting to be retried
+   */
+  async runScanSweep() {
+    try {
+      if (!this.enabled) {
+        return { pending: 0, queued: 0 };
+      }
+
+      const pending = await TicketAttachment.query()
+        .where('virus_scan_status', 'pending')
+        .orderBy('created_at', 'asc')
+        .limit(SWEEP_BATCH_SIZE)
+        .select('id');
+
+      const queued = pending.filter(attachment => this.queueScan(attachment.id)).length;
+
+      if (queued > 0) {
+        logger.info(`Attachment scan sweep queued ${queued} file(s)`);
+      }
+
+      return { pending: pending.length, queued };
+    } catch (error) {
+      logger.error('VirusScanService.runScanSweep error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a scan an admin asked for. Files that were already scanned need
+   * options.force_rescan.
+   */
+  async requestScan(attachment, options = {}, context = {}) {
+    try {
+      if (!this.enabled) {
+        throw new Error('Virus scanning is disabled');
+      }
+
+      if (!attachment.isScanPending() && !options.force_rescan) {
+        throw new Error('Attachment has already been scanned; set force_rescan to scan it again');
+      }
+
+      if (!this.queueScan(attachment.id, options, context)) {
+        throw new Error('A scan is already queued for this attachment');
+      }
+
+      await auditService.record({
+        action: 'scan_requested',
+        resourceType: 'attachment',
+        resourceId: attachment.id,
+        newValues: options,
+        context
+      });
+    } catch (error) {
+      logger.error('VirusScanService.requestScan error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rescan attachments uploaded within attachment_rescan_days with a full
+   * scan, so files that pre-date a signature update are caught. Files an
+   * admin released from quarantine are left alone.
+   */
+  async runScheduledRescan() {
+    try {
+      if (!this.enabled) {
+        return { queued: 0 };
+      }
+
+      const days = await SystemSetting.getValue('attachment_rescan_days', 7);
+      if (!days || days <= 0) {
+        return { queued: 0 };
+      }
+
+      const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+      const attachments = await TicketAttachment.query()
+        .where('created_at', '>=', cutoff)
+        .whereIn('virus_scan_status', ['clean', 'error'])
+        .whereRaw("metadata->'quarantine_release' IS NULL")
+        .select('id');
+
+      const options = { scan_type: 'full', force_rescan: true };
+      const queued = attachments.filter(attachment => this.queueScan(attachment.id, options)).length;
+
+      await auditService.record({
+        action: 'scheduled_rescan',
+        resourceType: 'attachment',
+        newValues: { days, matched: attachments.length, queued }
+      });
+
+      logger.info(`Scheduled attachment rescan queued ${queued} file(s) from the last ${days} day(s)`);
+
+      return { queued };
+    } catch (error) {
+      logger.error('VirusScanService.runScheduledRescan error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Quarantined attachments, most recently quarantined first
+   */
+  async listQuarantine(filters = {}) {
+    try {
+      const { page = 1, limit = 20, ticket_id: ticketId } = filters;
+
+      let query = TicketAttachment.query()
+        .whereRaw("metadata->'quarantine' IS NOT NULL")
+        .withGraphFetched('[user(selectUser), ticket(selectTicket)]')
+        .modifiers({
+          selectUser: builder => builder.select('id', 'username', 'email'),
+          selectTicket: builder => builder.select('id', 'ticket_number', 'title')
+        });
+
+      if (ticketId) {
+        query = query.where('ticket_id', ticketId);
+      }
+
+      const result = await query
+        .orderByRaw("metadata->'quarantine'->>'quarantined_at' DESC")
+        .page(parseInt(page) - 1, parseInt(limit));
+
+      return {
+        attachments: result.results.map(attachment => this.formatQuarantined(attachment)),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total: result.total,
+          pages: Math.ceil(result.total / limit)
+        }
+      };
+    } catch (error) {
+      logger.error('VirusScanService.listQuarantine error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release a false positive: move the file back to the upload directory
+   * and mark it clean
+   */
+  async releaseFromQuarantine(attachmentId, reason, releasedBy, context = {}) {
+    try {
+      const attachment = await this.getQuarantinedAttachment(attachmentId);
+      const before = attachment.toJSON();
+      const { quarantine, ...metadata } = attachment.metadata;
+
+      // Files that came from blob storage go back in, sharing the blob again if it still exists
+      let target = quarantine.blob_hash
+        ? path.join(TicketAttachment.getUploadPath(), attachment.filename)
+        : quarantine.original_path || path.join(TicketAttachment.getUploadPath(), attachment.filename);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.chmod(attachment.file_path, 0o644);
+      await this.moveFile(attachment.file_path, target);
+
+      let blobHash = null;
+      if (quarantine.blob_hash) {
+        const blob = await AttachmentBlob.acquire(quarantine.blob_hash, target, attachment.file_size);
+        target = blob.file_path;
+        blobHash = blob.hash;
+      }
+
+      await attachment.$query().patch({
+        file_path: target,
+        blob_hash: blobHash,
+        virus_scan_status: 'clean',
+        virus_scan_details: `Released from quarantine: ${reason}`,
+        metadata: {
+          ...metadata,
+          quarantine_release: {
+            released_by: releasedBy,
+            released_at: new Date().toISOString(),
+            reason,
+            scan_details: before.virus_scan_details,
+            quarantined_at: quarantine.quarantined_at
+          }
+        }
+      });
+
+      await this.generatePreviews(attachment);
+
+      await auditService.recordUpdate('attachment', before, attachment, { userId: releasedBy, ...context }, {
+        action: 'quarantine_release',
+        fields: ['virus_scan_status', 'virus_scan_details', 'file_path']
+      });
+
+      logger.security.logAdminAction(
+        releasedBy,
+        'attachment_released',
+        attachment.id,
+        {
+          ticket_id: attachment.ticket_id,
+          filename: attachment.original_filename,
+          scan_details: before.virus_scan_details,
+          reason
+        },
+        context.ip
+      );
+
+      return attachment;
+    } catch (error) {
+      logger.error('VirusScanService.releaseFromQuarantine error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently delete a quarantined file and its attachment record
+   */
+  async purgeQuarantined(attachmentId, reason, purgedBy, context = {}) {
+    try {
+      const attachment = await this.getQuarantinedAttachment(attachmentId);
+
+      await attachment.deletePhysicalFile();
+      await attachment.$query().delete();
+
+      await auditService.recordDelete('attachment', attachment, { userId: purgedBy, ...context }, {
+        action: 'quarantine_purge'
+      });
+
+      logger.security.logAdminAction(
+        purgedBy,
+        'attachment_purged',
+        attachment.id,
+        {
+          ticket_id: attachment.ticket_id,
+          filename: attachment.original_filename,
+          scan_details: attachment.virus_scan_details,
+          reason
+        },
+        context.ip
+      );
+    } catch (error) {
+      logger.error('VirusScanService.purgeQuarantined error:', error);
+      throw error;
+    }
+  }
+
+  // Helper methods
+
+  async getQuarantinedAttachment(attachmentId) {
+    const attachment = await TicketAttachment.query().findById(attachmentId);
+    if (!attachment || !attachment.isQuarantined()) {
+      throw new Error('Quarantined attachment not found');
+    }
+
+    return attachment;
+  }
+
+  formatQuarantined(attachment) {
+    return {
+      id: attachment.id,
+      filename: attachment.original_filename,
+      size: attachment.file_size,
+      mime_type: attachment.mime_type,
+      virus_scan_status: attachment.virus_scan_status,
+      virus_scan_details: attachment.virus_scan_details,
+      signature: attachment.metadata?.virus_scan?.signature || null,
+      quarantined_at: attachment.metadata.quarantine.quarantined_at,
+      uploaded_at: attachment.created_at,
+      uploaded_by: attachment.user || null,
+      ticket: attachment.ticket || null
+    };
+  }
+
+  /**
+   * Parse a clamd INSTREAM reply: "stream: OK", "stream: <signature> FOUND"
+   * or "<message> ERROR"
+   */
+  parseReply(reply) {
+    const text = String(reply).replace(/\0/g, '').trim().replace(/^stream:\s*/, '');
+
+    if (text === 'OK') {
+      return { status: 'clean' };
+    }
+
+    if (text.endsWith(' FOUND')) {
+      return { status: 'infected', signature: text.slice(0, -' FOUND'.length).trim() };
+    }
+
+    return { status: 'error', message: text.replace(/\s*ERROR$/, '') || 'Empty reply from clamd' };
+  }
+
+  getTimeout(scanType, scanOptions = {}) {
+    if (scanType === 'custom' && scanOptions && scanOptions.max_scan_time) {
+      return scanOptions.max_scan_time;
+    }
+
+    return SCAN_TIMEOUTS[scanType] || SCAN_TIMEOUTS.quick;
+  }
+
+  /**
+   * clamd refusing the stream (e.g. over its size limit) fails at once.
+   * Connection problems keep the file pending so the sweep retries it,
+   * until MAX_SCAN_ATTEMPTS is reached.
+   */
+  async handleScanFailure(attachment, error) {
+    if (error.message.startsWith('Scan aborted')) {
+      await attachment.markAsScanned('error', `Scanner error: ${this.parseReply(error.message.replace(/^.*Reply from server:\s*/, '')).message}`);
+      return attachment;
+    }
+
+    const attempts = (attachment.metadata?.scan_attempts || 0) + 1;
+
+    if (attempts >= MAX_SCAN_ATTEMPTS) {
+      await attachment.markAsScanned('error', `Scanner unavailable after ${attempts} attempts: ${error.message}`, {
+        scan_attempts: attempts
+      });
+      return attachment;
+    }
+
+    await attachment.$query().patch({
+      virus_scan_status: 'pending',
+      metadata: { ...attachment.metadata, scan_attempts: attempts }
+    });
+
+    logger.warn(`Virus scan attempt ${attempts} failed for attachment ${attachment.id}; will retry: ${error.message}`);
+    return attachment;
+  }
+
+  /**
+   * Quarantine an infected file and tell the uploader and admins
+   */
+  async handleInfectedFile(attachment, before, signature, options = {}, context = {}) {
+    // Derivatives from an earlier clean scan must not stay downloadable
+    try {
+      await attachment.deletePreviews();
+    } catch (error) {
+      logger.error(`Failed to delete previews of attachment ${attachment.id}:`, error);
+    }
+
+    if (options.quarantine_infected !== false && !attachment.isQuarantined()) {
+      try {
+        await this.quarantineFile(attachment);
+      } catch (error) {
+        logger.error(`Failed to quarantine attachment ${attachment.id}:`, error);
+      }
+    }
+
+    await auditService.recordUpdate('attachment', before, attachment, context, {
+      action: 'virus_detected',
+      fields: ['virus_scan_status', 'virus_scan_details', 'file_path']
+    });
+
+    logger.security.logSuspiciousActivity('infected_upload', {
+      attachment_id: attachment.id,
+      ticket_id: attachment.ticket_id,
+      user_id: attachment.user_id,
+      filename: attachment.original_filename,
+      signature,
+      quarantined: attachment.isQuarantined()
+    }, attachment.metadata?.upload_ip || null, attachment.metadata?.upload_user_agent || null);
+
+    if (options.notify_on_completion !== false) {
+      await this.sendInfectedNotifications(attachment, signature);
+    }
+  }
+
+  /**
+   * Move a file into the quarantine directory, which sits outside the
+   * statically served upload directory, and make it read-only
+   */
+  async quarantineFile(attachment) {
+    const quarantinePath = TicketAttachment.getQuarantinePath();
+    await fs.mkdir(quarantinePath, { recursive: true, mode: 0o700 });
+
+    // A shared blob is copied out and this attachment's reference dropped;
+    // scanAttachment quarantines the other attachments of the blob as well
+    const blobHash = attachment.blob_hash;
+    const target = path.join(quarantinePath, `${attachment.id}_${attachment.filename}`);
+    if (blobHash) {
+      await fs.copyFile(attachment.file_path, target);
+    } else {
+      await this.moveFile(attachment.file_path, target);
+    }
+    await fs.chmod(target, 0o400);
+
+    await attachment.$query().patch({
+      file_path: target,
+      blob_hash: null,
+      metadata: {
+        ...attachment.metadata,
+        quarantine: {
+          original_path: attachment.file_path,
+          blob_hash: blobHash,
+          quarantined_at: new Date().toISOString()
+        }
+      }
+    });
+
+    if (blobHash) {
+      await AttachmentBlob.release(blobHash);
+    }
+
+    logger.warn(`Attachment ${attachment.id} quarantined at ${target}`);
+  }
+
+  /**
+   * Thumbnail and preview for clean images. A failure only costs the
+   * inline preview, so it is logged rather than thrown.
+   */
+  async generatePreviews(attachment) {
+    if (!attachment.isImage()) {
+      return;
+    }
+
+    try {
+      await attachment.generateThumbnail();
+    } catch (error) {
+      logger.warn(`Failed to generate previews for attachment ${attachment.id}:`, error);
+    }
+  }
+
+  async moveFile(source, target) {
+    try {
+      await fs.rename(source, target);
+    } catch (error) {
+      // Quarantine may be on another volume
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+
+      await fs.copyFile(source, target);
+      await fs.unlink(source);
+    }
+  }
+
+  /**
+   * Email the uploader, the ticket's assignee and super admins. Failures are
+   * logged, never thrown.
+   */
+  async sendInfectedNotifications(attachment, signature) {
+    try {
+      const ticket = await Ticket.query().findById(attachment.ticket_id);
+      const uploader = await User.query().findById(attachment.user_id);
+
+      const admins = await User.query()
+        .where('status', 'active')
+        .where(builder => {
+          builder.where('role', 'super_admin');
+          if (ticket && ticket.assigned_to) {
+            builder.orWhere('id', ticket.assigned_to);
+          }
+        })
+        .whereNot('id', attachment.user_id);
+
+      await emailService.sendInfectedAttachmentEmail(attachment, ticket, signature, uploader, admins);
+    } catch (error) {
+      logger.error(`Failed to send infected file notifications for attachment ${attachment.id}:`, error);
+    }
+  }
+}
+
+module.exports = new VirusScanService();
@@ -0,0 +1,241 @@
+// src/services/workflowService.js - TPG Ticket Workflow Service
+const { UniqueViolationError } = require('objection');
+const TicketWorkflow = require('../models/TicketWorkflow');
+const User = require('../models/User');
+const auditService = require('./auditService');
+const logger = require('../config/logger');
+
+class WorkflowService {
+  /**
+   * List workflows. Filtering by category includes the default workflow.
+   */
+  async listWorkflows(filters = {}) {
+    try {
+      const { category, include_inactive: includeInactive = false } = filters;
+
+      let query = TicketWorkflow.query();
+
+      if (!includeInactive) {
+        query = query.where('is_active', true);
+      }
+
+      if (category) {
+        query = query.where(builder => {
+          builder.where('category', category).orWhereNull('category');
+        });
+      }
+
+      return await query
+        .orderByRaw('category NULLS FIRST')
+        .orderBy('created_at', 'desc');
+    } catch (error) {
+      logger.error('WorkflowService.listWorkflows error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a workflow by ID
+   */
+  async getWorkflow(id) {
+    try {
+      const workflow = await TicketWorkflow.query().findById(id);
+      if (!workflow) {
+        throw new Error('Workflow not found');
+      }
+
+      return workflow;
+    } catch (error) {
+      logger.error('WorkflowService.getWorkflow error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * The workflow tickets in a category follow: the category's own active
+   * workflow, else the active default, else the built-in one
+   */
+  async getWorkflowForCategory(category) {
+    try {
+      const workflows = await TicketWorkflow.query()
+        .where('is_active', true)
+        .where(builder => {
+          builder.where('category', category).orWhereNull('category');
+        });
+
+      return workflows.find(workflow => workflow.category === category)
+        || workflows.find(workflow => !workflow.category)
+        || TicketWorkflow.fromJson(TicketWorkflow.DEFAULT_DEFINITION);
+    } catch (error) {
+      logger.error('WorkflowService.getWorkflowForCategory error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a workflow
+   */
+  async createWorkflow(data, createdBy, context = {}) {
+    try {
+      this.checkDefinition(data.statuses, data.transitions);
+
+      const workflow = await TicketWorkflow.query().insert({
+        ...data,
+        created_by: createdBy,
+        updated_by: createdBy
+      });
+
+      await auditService.recordCreate('ticket_workflow', workflow, { userId: createdBy, ...context });
+
+      logger.info(`Ticket workflow created: ${workflow.name}`, {
+        workflow_id: workflow.id,
+        category: workflow.category,
+        created_by: createdBy
+      });
+
+      return workflow;
+    } catch (error) {
+      logger.error('WorkflowService.createWorkflow error:', error);
+      throw this.translateError(error);
+    }
+  }
+
+  /**
+   * Update a workflow. Inactive workflows must be reactivated first.
+   */
+  async updateWorkflow(id, updates, updatedBy, context = {}) {
+    try {
+      const workflow = await this.getWorkflow(id);
+
+      if (!workflow.is_active && updates.is_active !== true) {
+        throw new Error('Inactive workflows cannot be edited');
+      }
+
+      if (updates.statuses || updates.transitions) {
+        this.checkDefinition(updates.statuses || workflow.statuses, updates.transitions || workflow.transitions);
+      }
+
+      const changes = { ...updates, updated_by: updatedBy };
+
+      const before = workflow.toJSON();
+      const updatedWorkflow = await workflow.$query().patchAndFetch(changes);
+
+      await auditService.recordUpdate('ticket_workflow', before, updatedWorkflow, { userId: updatedBy, ...context }, {
+        action: updates.is_active === true ? 'restore' : 'update',
+        fields: Object.keys(updates)
+      });
+
+      return updatedWorkflow;
+    } catch (error) {
+      logger.error('WorkflowService.updateWorkflow error:', error);
+      throw this.translateError(error);
+    }
+  }
+
+  /**
+   * Deactivate a workflow. Its tickets fall back to the default workflow.
+   */
+  async deactivateWorkflow(id, deactivatedBy, context = {}) {
+    try {
+      const workflow = await this.getWorkflow(id);
+
+      if (!workflow.is_active) {
+        throw new Error('Workflow is already inactive');
+      }
+
+      const before = workflow.toJSON();
+      const deactivatedWorkflow = await workflow.$query().patchAndFetch({
+        is_active: false,
+        updated_by: deactivatedBy
+      });
+
+      await auditService.recordUpdate('ticket_workflow', before, deactivatedWorkflow, { userId: deactivatedBy, ...context }, {
+        action: 'deactivate',
+        fields: ['is_active']
+      });
+
+      return deactivatedWorkflow;
+    } catch (error) {
+      logger.error('WorkflowService.deactivateWorkflow error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check a status change against the ticket's workflow and return the
+   * transition. `role` is the acting user's role; automatic changes pass
+   * null and are not limited by role. `fields` holds the values given with
+   * the change (resolution_notes, reason, satisfaction_rating, assigned_to).
+   */
+  async checkTransition(ticket, status, { role = null, fields = {} } = {}) {
+    const workflow = await this.getWorkflowForCategory(ticket.category);
+    const transition = workflow.findTransition(ticket.status, status);
+    const change = `Cannot change status from ${ticket.status} to ${status}`;
+
+    if (!transition) {
+      throw new Error(change);
+    }
+
+    if (role && !transition.roles.includes(role)) {
+      throw new Error(`${change}: not permitted for the ${role} role`);
+    }
+
+    const missing = (transition.required_fields || []).filter(field => {
+      const value = fields[field] !== undefined ? fields[field] : (field === 'assigned_to' ? ticket.assigned_to : undefined);
+      return value === undefined || value === null || value === '';
+    });
+
+    if (missing.length > 0) {
+      throw new Error(`${change}: ${missing.join(', ')} ${missing.length === 1 ? 'is' : 'are'} required`);
+    }
+
+    return transition;
+  }
+
+  /**
+   * Role of the user making a change, or null for automatic changes
+   */
+  async getActorRole(userId) {
+    if (!userId) {
+      return null;
+    }
+
+    const user = await User.query().findById(userId).select('id', 'role');
+    return user ? user.role : null;
+  }
+
+  /**
+   * Status a ticket takes when it is assigned or unassigned: in-progress with
+   * an assignee, open without, where its workflow allows the move. Tickets
+   * waiting on the reporter keep waiting.
+   */
+  async getAssignmentStatus(ticket, assignedTo) {
+    const status = assignedTo ? 'in-progress' : 'open';
+
+    if (ticket.status === status || ticket.status === 'pending-customer') {
+      return ticket.status;
+    }
+
+    const workflow = await this.getWorkflowForCategory(ticket.category);
+    return workflow.findTransition(ticket.status, status) ? status : ticket.status;
+  }
+
+  // Helper methods
+
+  checkDefinition(statuses, transitions) {
+    const problems = TicketWorkflow.findDefinitionProblems(statuses, transitions);
+    if (problems.length > 0) {
+      throw new Error(`Invalid workflow: ${problems.join('; ')}`);
+    }
+  }
+
+  translateError(error) {
+    if (error instanceof UniqueViolationError) {
+      return new Error('An active workflow already exists for this category');
+    }
+
+    return error;
+  }
+}
+
+module.exports = new WorkflowService();
@@ -0,0 +1,44 @@
+// tests/jobs/index.test.js - Background job registration
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../src/services/escalationService', () => ({ runAutoEscalation: jest.fn(async () => null) }));
+jest.mock('../../src/services/slaService', () => ({ runBreachSweep: jest.fn(async () => null) }));
+jest.mock('../../src/services/pendingCustomerService', () => ({ runPendingSweep: jest.fn(async () => null) }));
+jest.mock('../../src/services/virusScanService', () => ({
+  runScanSweep: jest.fn(async () => null),
+  runScheduledRescan: jest.fn(async () => null)
+}));
+jest.mock('../../src/services/attachmentStorageService', () => ({ runIntegrityCheck: jest.fn(async () => null) }));
+
+const { startJobs, stopJobs, scheduler } = require('../../src/jobs');
+
+afterEach(() => {
+  stopJobs();
+});
+
+describe('startJobs', () => {
+  it('registers the jobs once however often it is called', () => {
+    startJobs();
+    const names = scheduler.getStatus().map(job => job.name);
+
+    expect(() => startJobs()).not.toThrow();
+    expect(scheduler.getStatus().map(job => job.name)).toEqual(names);
+    expect(names).toContain('sla_breach_sweep');
+  });
+
+  it('restarts the jobs after they were stopped', () => {
+    startJobs();
+    stopJobs();
+    expect(scheduler.started).toBe(false);
+
+    startJobs();
+
+    expect(scheduler.started).toBe(true);
+    scheduler.jobs.forEach(job => expect(job.timer).not.toBeNull());
+  });
+});
@@ -0,0 +1,368 @@
+// tests/models/AttachmentBlob.test.js - Content-addressed blob reference counting
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { raw } = require('objection');
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+const AttachmentBlob = require('../../src/models/AttachmentBlob');
+
+// In-memory attachment_blobs table. Upserts follow the ON CONFLICT merge the
+// model asks for; each transaction records whether the files of the blobs
+// it touched existed when it committed.
+let rows;
+let touched;
+let commits;
+// Saved attachments per blob, for recounts
+let attachmentCounts;
+
+const toRow = data => {
+  const row = Object.assign(new AttachmentBlob(), { integrity_status: 'ok', updated_at: new Date().toISOString() }, data);
+
+  row.$query = () => ({
+    patch: async fields => Object.assign(rows.get(row.hash), fields),
+    patchAndFetch: async fields => Object.assign(rows.get(row.hash), fields),
+    delete: async () => rows.delete(row.hash)
+  });
+  row.$relatedQuery = relation => ({
+    resultSize: async () => {
+      expect(relation).toBe('attachments');
+      return attachmentCounts.get(row.hash) || 0;
+    }
+  });
+
+  return row;
+};
+
+const queryBlobs = () => ({
+  findById: hash => ({
+    forUpdate: async () => {
+      touched.add(hash);
+      return rows.get(hash);
+    }
+  }),
+  insert: data => {
+    touched.add(data.hash);
+    return {
+      onConflict: column => ({
+        merge: merge => ({
+          returning: async () => {
+            expect(column).toBe('hash');
+
+            const existing = rows.get(data.hash);
+            if (!existing) {
+              rows.set(data.hash, toRow(data));
+              return rows.get(data.hash);
+            }
+
+            expect(merge.reference_count).toEqual(raw('attachment_blobs.reference_count + 1'));
+            existing.reference_count += 1;
+            existing.updated_at = merge.updated_at;
+            return existing;
+          }
+        })
+      })
+    };
+  }
+});
+
+let tmpDir;
+
+const hashOf = content => crypto.createHash('sha256').update(content).digest('hex');
+
+const writeUpload = async (name, content) => {
+  const uploadPath = path.join(tmpDir, 'incoming', name);
+  await fs.writeFile(uploadPath, content);
+  return uploadPath;
+};
+
+const exists = async filePath => {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+beforeAll(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tpg-blobs-'));
+  await fs.mkdir(path.join(tmpDir, 'incoming'));
+  process.env.UPLOAD_PATH = tmpDir;
+});
+
+afterAll(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  rows = new Map();
+  commits = [];
+  attachmentCounts = new Map();
+
+  jest.spyOn(AttachmentBlob, 'query').mockImplementation(queryBlobs);
+  jest.spyOn(AttachmentBlob, 'transaction').mockImplementation(async callback => {
+    touched = new Set();
+    const result = await callback({});
+    commits.push(Object.fromEntries(await Promise.all(
+      [...touched].map(async hash => [hash, await exists(AttachmentBlob.getBlobPath(hash))])
+    )));
+    return result;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('AttachmentBlob paths and hashes', () => {
+  it('fans blobs out under the upload path by hash prefix', () => {
+    const hash = hashOf('fan out');
+
+    expect(AttachmentBlob.getBlobPath(hash))
+      .toBe(path.join(tmpDir, 'blobs', hash.slice(0, 2), hash.slice(2, 4), hash));
+  });
+
+  it('streams a SHA-256 of the file', async () => {
+    const content = 'x'.repeat(200 * 1024);
+    const uploadPath = await writeUpload('large.bin', content);
+
+    await expect(AttachmentBlob.calculateFileHash(uploadPath)).resolves.toBe(hashOf(content));
+  });
+});
+
+describe('AttachmentBlob.acquire', () => {
+  it('stores new content once with one reference and removes the upload', async () => {
+    const content = 'first upload';
+    const hash = hashOf(content);
+    const uploadPath = await writeUpload('a.txt', content);
+
+    const blob = await AttachmentBlob.acquire(hash, uploadPath, content.length);
+
+    expect(blob).toMatchObject({ hash, reference_count: 1, file_path: AttachmentBlob.getBlobPath(hash) });
+    expect(await fs.readFile(blob.file_path, 'utf8')).toBe(content);
+    expect(await exists(uploadPath)).toBe(false);
+    // The file was in place before the reference was committed
+    expect(commits[0][hash]).toBe(true);
+  });
+
+  it('adds a reference for identical content and drops the duplicate upload', async () => {
+    const content = 'shared content';
+    const hash = hashOf(content);
+
+    await AttachmentBlob.acquire(hash, await writeUpload('b1.txt', content), content.length);
+    const duplicate = await writeUpload('b2.txt', content);
+    const blob = await AttachmentBlob.acquire(hash, duplicate, content.length);
+
+    expect(blob.reference_count).toBe(2);
+    expect(await exists(duplicate)).toBe(false);
+    expect(await fs.readFile(blob.file_path, 'utf8')).toBe(content);
+  });
+
+  it('restores a blob whose file went missing from the new upload', async () => {
+    const content = 'restored content';
+    const hash = hashOf(content);
+    rows.set(hash, toRow({
+      hash,
+      file_path: AttachmentBlob.getBlobPath(hash),
+      file_size: content.length,
+      reference_count: 1,
+      integrity_status: 'missing'
+    }));
+
+    const blob = await AttachmentBlob.acquire(hash, await writeUpload('c.txt', content), content.length);
+
+    expect(blob).toMatchObject({ reference_count: 2, integrity_status: 'ok' });
+    expect(await fs.readFile(blob.file_path, 'utf8')).toBe(content);
+  });
+
+  it('keeps the upload when the reference cannot be recorded', async () => {
+    const content = 'failed upload';
+    const hash = hashOf(content);
+    const uploadPath = await writeUpload('d.txt', content);
+
+    AttachmentBlob.transaction.mockImplementationOnce(async callback => {
+      await callback({});
+      throw new Error('could not serialize access');
+    });
+
+    await expect(AttachmentBlob.acquire(hash, uploadPath, content.length)).rejects.toThrow('could not serialize access');
+    expect(await fs.readFile(uploadPath, 'utf8')).toBe(content);
+  });
+
+  it('reuses a blob file left behind by a rolled back upload', async () => {
+    const content = 'left behind';
+    const hash = hashOf(content);
+    const blobPath = AttachmentBlob.getBlobPath(hash);
+    await fs.mkdir(path.dirname(blobPath), { recursive: true });
+    await fs.writeFile(blobPath, content);
+
+    const uploadPath = await writeUpload('e.txt', content);
+    const blob = await AttachmentBlob.acquire(hash, uploadPath, content.length);
+
+    expect(blob.reference_count).toBe(1);
+    expect(await exists(uploadPath)).toBe(false);
+  });
+});
+
+describe('AttachmentBlob.release', () => {
+  const acquireTwice = async content => {
+    const hash = hashOf(content);
+    await AttachmentBlob.acquire(hash, await writeUpload(`${hash}-1`, content), content.length);
+    await AttachmentBlob.acquire(hash, await writeUpload(`${hash}-2`, content), content.length);
+    return hash;
+  };
+
+  it('keeps the file while other references remain', async () => {
+    const hash = await acquireTwice('two references');
+
+    await AttachmentBlob.release(hash);
+
+    expect(rows.get(hash).reference_count).toBe(1);
+    expect(await exists(AttachmentBlob.getBlobPath(hash))).toBe(true);
+  });
+
+  it('deletes the row and the file together with the last reference', async () => {
+    const hash = await acquireTwice('last reference');
+
+    await AttachmentBlob.release(hash);
+    await AttachmentBlob.release(hash);
+
+    expect(rows.has(hash)).toBe(false);
+    // The file was already gone when the deletion committed, so no later
+    // upload can find the row missing but the old file still being removed
+    expect(commits[commits.length - 1][hash]).toBe(false);
+  });
+
+  it('lets the same content be uploaded again after the last release', async () => {
+    const content = 'uploaded again';
+    const hash = hashOf(content);
+
+    await AttachmentBlob.acquire(hash, await writeUpload('f1.txt', content), content.length);
+    await AttachmentBlob.release(hash);
+    const blob = await AttachmentBlob.acquire(hash, await writeUpload('f2.txt', content), content.length);
+
+    expect(blob.reference_count).toBe(1);
+    expect(await fs.readFile(blob.file_path, 'utf8')).toBe(content);
+  });
+
+  it('ignores unknown blobs', async () => {
+    await expect(AttachmentBlob.release(hashOf('never stored'))).resolves.toBeUndefined();
+  });
+});
+
+describe('AttachmentBlob.purge', () => {
+  it('deletes a blob untouched since the cutoff', async () => {
+    const content = 'orphaned';
+    const hash = hashOf(content);
+    await AttachmentBlob.acquire(hash, await writeUpload('g.txt', content), content.length);
+    rows.get(hash).updated_at = '2025-01-01T00:00:00.000Z';
+
+    await expect(AttachmentBlob.purge(hash, new Date('2025-02-01T00:00:00.000Z'))).resolves.toBe(true);
+
+    expect(rows.has(hash)).toBe(false);
+    expect(await exists(AttachmentBlob.getBlobPath(hash))).toBe(false);
+  });
+
+  it('keeps a blob acquired after the cutoff', async () => {
+    const content = 'recently used';
+    const hash = hashOf(content);
+    await AttachmentBlob.acquire(hash, await writeUpload('h.txt', content), content.length);
+
+    await expect(AttachmentBlob.purge(hash, new Date(Date.now() - 60 * 60 * 1000))).resolves.toBe(false);
+
+    expect(rows.has(hash)).toBe(true);
+    expect(await exists(AttachmentBlob.getBlobPath(hash))).toBe(true);
+  });
+});
+
+describe('AttachmentBlob.verify', () => {
+  const SETTLED = '2025-01-01T00:00:00.000Z';
+  const CUTOFF = new Date('2025-02-01T00:00:00.000Z');
+
+  const storeBlob = async (content, data = {}) => {
+    const hash = hashOf(content);
+    await AttachmentBlob.acquire(hash, await writeUpload(`${hash}.txt`, content), content.length);
+    Object.assign(rows.get(hash), { updated_at: SETTLED }, data);
+    return hash;
+  };
+
+  it('corrects a settled blob to the references counted under the lock', async () => {
+    const hash = await storeBlob('drifted count', { reference_count: 3 });
+    attachmentCounts.set(hash, 1);
+
+    const result = await AttachmentBlob.verify(hash, CUTOFF);
+
+    expect(result).toMatchObject({ status: 'ok', references: 1, correctedFrom: 3 });
+    expect(rows.get(hash)).toMatchObject({ reference_count: 1, integrity_status: 'ok' });
+    expect(rows.get(hash).last_verified_at).toEqual(expect.any(String));
+    expect(touched.has(hash)).toBe(true);
+  });
+
+  it('keeps a reference taken after the integrity check read its batch', async () => {
+    const content = 'acquired during the check';
+    const hash = await storeBlob(content);
+    attachmentCounts.set(hash, 1);
+
+    // The check read a count of 1; an upload then takes a second reference
+    const uploadPath = await writeUpload('late.txt', content);
+    await AttachmentBlob.acquire(hash, uploadPath, content.length);
+    attachmentCounts.set(hash, 2);
+
+    const result = await AttachmentBlob.verify(hash, CUTOFF);
+
+    expect(result.correctedFrom).toBeNull();
+    expect(rows.get(hash).reference_count).toBe(2);
+
+    // Both references are released before the file goes
+    await AttachmentBlob.release(hash);
+    expect(await exists(AttachmentBlob.getBlobPath(hash))).toBe(true);
+  });
+
+  it('leaves the count of a recently acquired blob alone', async () => {
+    const hash = await storeBlob('upload in flight', { reference_count: 2, updated_at: new Date().toISOString() });
+    attachmentCounts.set(hash, 1);
+
+    const result = await AttachmentBlob.verify(hash, CUTOFF);
+
+    expect(result.correctedFrom).toBeNull();
+    expect(rows.get(hash).reference_count).toBe(2);
+  });
+
+  it('reports a blob restored by an upload as ok', async () => {
+    const content = 'restored before the check';
+    const hash = await storeBlob(content);
+    attachmentCounts.set(hash, 1);
+    await fs.unlink(AttachmentBlob.getBlobPath(hash));
+    rows.get(hash).integrity_status = 'missing';
+
+    await AttachmentBlob.acquire(hash, await writeUpload('restore.txt', content), content.length);
+    attachmentCounts.set(hash, 2);
+
+    await expect(AttachmentBlob.verify(hash, CUTOFF)).resolves.toMatchObject({ status: 'ok' });
+    expect(rows.get(hash).integrity_status).toBe('ok');
+  });
+
+  it('marks missing and corrupted files', async () => {
+    const missing = await storeBlob('gone from disk');
+    await fs.unlink(AttachmentBlob.getBlobPath(missing));
+    const corrupted = await storeBlob('changed on disk');
+    await fs.writeFile(AttachmentBlob.getBlobPath(corrupted), 'tampered');
+
+    await expect(AttachmentBlob.verify(missing, CUTOFF)).resolves.toMatchObject({ status: 'missing' });
+    await expect(AttachmentBlob.verify(corrupted, CUTOFF)).resolves.toMatchObject({ status: 'corrupted' });
+    expect(rows.get(missing).integrity_status).toBe('missing');
+    expect(rows.get(corrupted).integrity_status).toBe('corrupted');
+  });
+
+  it('skips a blob released since its batch was read', async () => {
+    await expect(AttachmentBlob.verify(hashOf('released'), CUTOFF)).resolves.toBeNull();
+  });
+});
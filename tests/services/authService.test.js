@@ -0,0 +1,191 @@
+// tests/services/authService.test.js - Refresh token rotation and reuse detection
+process.env.JWT_SECRET = 'test-access-secret';
+process.env.JWT_REFRESH_SECRET = 'test-refresh-secret';
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  security: {
+    logAuth: jest.fn(),
+    logSuspiciousActivity: jest.fn()
+  }
+}));
+
+jest.mock('../../src/config/database', () => ({
+  executeTransaction: jest.fn(callback => callback({}))
+}));
+
+// In-memory refresh_tokens table
+const mockTokens = [];
+
+jest.mock('../../src/models/RefreshToken', () => {
+  const Actual = jest.requireActual('../../src/models/RefreshToken');
+
+  class MockRefreshToken extends Actual {
+    static query() {
+      return {
+        insert: async data => {
+          const record = Object.assign(new MockRefreshToken(), { id: `row-${mockTokens.length + 1}`, revoked_at: null }, data);
+          mockTokens.push(record);
+          return record;
+        },
+        findById: id => ({
+          forUpdate: async () => mockTokens.find(record => record.id === id)
+        })
+      };
+    }
+
+    static async findByTokenId(tokenId) {
+      return mockTokens.find(record => record.token_id === tokenId);
+    }
+
+    static async revokeFamily(familyId, reason) {
+      const live = mockTokens.filter(record => record.family_id === familyId && !record.revoked_at);
+      live.forEach(record => Object.assign(record, { revoked_at: new Date().toISOString(), revoked_reason: reason }));
+      return live.length;
+    }
+
+    $query() {
+      return { patch: async fields => Object.assign(this, fields) };
+    }
+  }
+
+  return MockRefreshToken;
+});
+
+const mockUser = {
+  id: '6f1c2b9e-3a4d-4e5f-8a7b-1c2d3e4f5a6b',
+  email: 'agent@tpg.gov.gh',
+  role: 'admin',
+  status: 'active'
+};
+
+jest.mock('../../src/models/User', () => ({
+  query: () => ({ findById: async () => mockUser })
+}));
+
+jest.mock('../../src/models/Session', () => ({
+  query: () => ({ findById: () => ({ patch: async () => 1 }) })
+}));
+
+const RefreshToken = require('../../src/models/RefreshToken');
+const authService = require('../../src/services/authService');
+const logger = require('../../src/config/logger');
+
+describe('AuthService refresh token rotation', () => {
+  beforeEach(() => {
+    mockTokens.length = 0;
+    mockUser.status = 'active';
+    jest.clearAllMocks();
+  });
+
+  it('revokes the presented token and issues a new one in the same family', async () => {
+    const issued = await authService.generateTokens(mockUser);
+
+    const refreshed = await authService.refreshAccessToken(issued.refreshToken, '127.0.0.1', 'jest');
+
+    expect(refreshed.refreshToken).not.toBe(issued.refreshToken);
+    expect(mockTokens).toHaveLength(2);
+
+    const [original, replacement] = mockTokens;
+    expect(original.revoked_reason).toBe('rotated');
+    expect(original.replaced_by_token_id).toBe(replacement.token_id);
+    expect(replacement.family_id).toBe(original.family_id);
+    expect(replacement.isActive()).toBe(true);
+  });
+
+  it('keeps rotating along the chain of replacement tokens', async () => {
+    const issued = await authService.generateTokens(mockUser);
+    const second = await authService.refreshAccessToken(issued.refreshToken);
+    const third = await authService.refreshAccessToken(second.refreshToken);
+
+    expect(third.refreshToken).toBeDefined();
+    expect(mockTokens.filter(record => record.isActive())).toHaveLength(1);
+    expect(new Set(mockTokens.map(record => record.family_id)).size).toBe(1);
+  });
+
+  it('revokes the whole family when a rotated token is presented again', async () => {
+    const issued = await authService.generateTokens(mockUser);
+    const refreshed = await authService.refreshAccessToken(issued.refreshToken);
+
+    await expect(authService.refreshAccessToken(issued.refreshToken, '10.0.0.9', 'attacker'))
+      .rejects.toThrow('Refresh token reuse detected');
+
+    expect(mockTokens[1].revoked_reason).toBe('reuse_detected');
+    expect(logger.security.logSuspiciousActivity).toHaveBeenCalledWith(
+      'refresh_token_reuse',
+      expect.objectContaining({ family_id: mockTokens[0].family_id }),
+      '10.0.0.9',
+      'attacker'
+    );
+
+    // The legitimate holder's newer token is dead too
+    await expect(authService.refreshAccessToken(refreshed.refreshToken))
+      .rejects.toThrow('Refresh token has been revoked or expired');
+  });
+
+  it('detects reuse under the row lock when a concurrent refresh rotated the token first', async () => {
+    const issued = await authService.generateTokens(mockUser);
+    // Both requests read the token while it was still active
+    const readBeforeRotation = Object.assign(new RefreshToken(), mockTokens[0]);
+
+    await authService.refreshAccessToken(issued.refreshToken);
+
+    const findByTokenId = jest.spyOn(RefreshToken, 'findByTokenId').mockResolvedValueOnce(readBeforeRotation);
+    try {
+      await expect(authService.refreshAccessToken(issued.refreshToken, '10.0.0.9', 'attacker'))
+        .rejects.toThrow('Refresh token reuse detected');
+    } finally {
+      findByTokenId.mockRestore();
+    }
+
+    // No token was issued for the second request and the family is dead
+    expect(mockTokens).toHaveLength(2);
+    expect(mockTokens[1].revoked_reason).toBe('reuse_detected');
+    expect(logger.security.logSuspiciousActivity).toHaveBeenCalledWith(
+      'refresh_token_reuse',
+      expect.objectContaining({ family_id: mockTokens[0].family_id }),
+      '10.0.0.9',
+      'attacker'
+    );
+  });
+
+  it('leaves other families alone on reuse', async () => {
+    const stolen = await authService.generateTokens(mockUser);
+    const otherDevice = await authService.generateTokens(mockUser);
+    await authService.refreshAccessToken(stolen.refreshToken);
+
+    await expect(authService.refreshAccessToken(stolen.refreshToken)).rejects.toThrow('reuse detected');
+
+    const other = mockTokens.find(record => record.token_id === otherDevice.tokenId);
+    expect(other.isActive()).toBe(true);
+  });
+
+  it('rejects a token revoked for another reason without revoking the family', async () => {
+    const issued = await authService.generateTokens(mockUser);
+    Object.assign(mockTokens[0], { revoked_at: new Date().toISOString(), revoked_reason: 'logout' });
+
+    await expect(authService.refreshAccessToken(issued.refreshToken))
+      .rejects.toThrow('Refresh token has been revoked or expired');
+    expect(mockTokens[0].revoked_reason).toBe('logout');
+  });
+
+  it('revokes the family when the user is no longer active', async () => {
+    const issued = await authService.generateTokens(mockUser);
+    mockUser.status = 'suspended';
+
+    await expect(authService.refreshAccessToken(issued.refreshToken))
+      .rejects.toThrow('User account is not active');
+    expect(mockTokens[0].revoked_reason).toBe('user_inactive');
+  });
+
+  it('rejects tokens that are not on record', async () => {
+    const issued = await authService.generateTokens(mockUser);
+    mockTokens.length = 0;
+
+    await expect(authService.refreshAccessToken(issued.refreshToken))
+      .rejects.toThrow('Refresh token not recognised');
+  });
+});
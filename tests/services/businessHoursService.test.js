@@ -0,0 +1,153 @@
+// tests/services/businessHoursService.test.js - Business-hours calendar arithmetic
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../src/models/SystemSetting', () => ({
+  getValue: jest.fn(async (key, defaultValue) => defaultValue)
+}));
+
+const businessHoursService = require('../../src/services/businessHoursService');
+const SystemSetting = require('../../src/models/SystemSetting');
+
+// Accra is UTC+0 all year, so local and UTC times agree.
+// 2025-06-02 is a Monday.
+const accra = (overrides = {}) => businessHoursService.buildCalendar({
+  start: '08:00',
+  end: '17:00',
+  days: [1, 2, 3, 4, 5],
+  timezone: 'Africa/Accra',
+  holidays: [],
+  ...overrides
+});
+
+const at = iso => new Date(iso);
+
+describe('BusinessHoursService.addBusinessHours', () => {
+  it('stays within the same working day when there is time left', () => {
+    expect(businessHoursService.addBusinessHours(accra(), at('2025-06-02T10:00:00Z'), 4))
+      .toEqual(at('2025-06-02T14:00:00Z'));
+  });
+
+  it('carries the remainder over to the next working day', () => {
+    expect(businessHoursService.addBusinessHours(accra(), at('2025-06-02T15:00:00Z'), 4))
+      .toEqual(at('2025-06-03T10:00:00Z'));
+  });
+
+  it('ends exactly at closing time rather than rolling over', () => {
+    expect(businessHoursService.addBusinessHours(accra(), at('2025-06-02T08:00:00Z'), 9))
+      .toEqual(at('2025-06-02T17:00:00Z'));
+  });
+
+  it('skips the weekend', () => {
+    expect(businessHoursService.addBusinessHours(accra(), at('2025-06-06T16:00:00Z'), 2))
+      .toEqual(at('2025-06-09T09:00:00Z'));
+  });
+
+  it('starts counting at the next opening time outside business hours', () => {
+    expect(businessHoursService.addBusinessHours(accra(), at('2025-06-02T06:00:00Z'), 1))
+      .toEqual(at('2025-06-02T09:00:00Z'));
+    expect(businessHoursService.addBusinessHours(accra(), at('2025-06-07T12:00:00Z'), 1))
+      .toEqual(at('2025-06-09T09:00:00Z'));
+    expect(businessHoursService.addBusinessHours(accra(), at('2025-06-02T19:30:00Z'), 1))
+      .toEqual(at('2025-06-03T09:00:00Z'));
+  });
+
+  it('skips recurring and one-off public holidays', () => {
+    // Wednesday 4 June recurring, Thursday 5 June 2025 only
+    const calendar = accra({ holidays: ['06-04', { date: '2025-06-05', name: 'One-off closure' }] });
+
+    expect(businessHoursService.addBusinessHours(calendar, at('2025-06-03T16:00:00Z'), 2))
+      .toEqual(at('2025-06-06T09:00:00Z'));
+
+    // The following year 4 June is still a holiday but 5 June is a working day
+    const nextYear = businessHoursService.addBusinessHours(calendar, at('2026-06-03T16:00:00Z'), 2);
+    expect(nextYear).toEqual(at('2026-06-05T09:00:00Z'));
+  });
+
+  it('converts working hours in other timezones', () => {
+    // Lagos is UTC+1: 08:00-17:00 local is 07:00-16:00 UTC
+    const lagos = accra({ timezone: 'Africa/Lagos' });
+
+    expect(businessHoursService.addBusinessHours(lagos, at('2025-06-02T06:00:00Z'), 1))
+      .toEqual(at('2025-06-02T08:00:00Z'));
+    expect(businessHoursService.addBusinessHours(lagos, at('2025-06-02T15:30:00Z'), 1))
+      .toEqual(at('2025-06-03T07:30:00Z'));
+  });
+
+  it('falls back to wall-clock hours without a usable calendar', () => {
+    const broken = accra({ start: '17:00', end: '08:00' });
+
+    expect(broken.valid).toBe(false);
+    expect(businessHoursService.addBusinessHours(broken, at('2025-06-07T12:00:00Z'), 5))
+      .toEqual(at('2025-06-07T17:00:00Z'));
+  });
+
+  it('throws when no day of the week is a working day within range', () => {
+    const noDays = accra({ days: [9] });
+
+    expect(() => businessHoursService.addBusinessHours(noDays, at('2025-06-02T10:00:00Z'), 1))
+      .toThrow('Business calendar has no working time');
+  });
+});
+
+describe('BusinessHoursService.businessHoursBetween', () => {
+  it('counts only the working part of each day', () => {
+    expect(businessHoursService.businessHoursBetween(accra(), at('2025-06-02T06:00:00Z'), at('2025-06-02T20:00:00Z')))
+      .toBe(9);
+    expect(businessHoursService.businessHoursBetween(accra(), at('2025-06-02T16:00:00Z'), at('2025-06-03T09:30:00Z')))
+      .toBe(2.5);
+  });
+
+  it('counts nothing over a weekend or a holiday', () => {
+    expect(businessHoursService.businessHoursBetween(accra(), at('2025-06-06T17:00:00Z'), at('2025-06-09T08:00:00Z')))
+      .toBe(0);
+
+    const calendar = accra({ holidays: ['06-04'] });
+    expect(businessHoursService.businessHoursBetween(calendar, at('2025-06-03T16:00:00Z'), at('2025-06-05T09:00:00Z')))
+      .toBe(2);
+  });
+
+  it('is zero when the end is not after the start', () => {
+    expect(businessHoursService.businessHoursBetween(accra(), at('2025-06-02T12:00:00Z'), at('2025-06-02T12:00:00Z'))).toBe(0);
+    expect(businessHoursService.businessHoursBetween(accra(), at('2025-06-02T12:00:00Z'), at('2025-06-02T10:00:00Z'))).toBe(0);
+  });
+
+  it('inverts addBusinessHours', () => {
+    const calendar = accra({ holidays: ['06-04'] });
+    const from = at('2025-06-02T13:17:00Z');
+
+    for (const hours of [0.5, 3, 9, 20, 47.25]) {
+      const due = businessHoursService.addBusinessHours(calendar, from, hours);
+      expect(businessHoursService.businessHoursBetween(calendar, from, due)).toBe(hours);
+    }
+  });
+});
+
+describe('BusinessHoursService.getCalendar', () => {
+  it('reads hours, days, timezone and holidays from system settings', async () => {
+    const values = {
+      business_hours_start: '09:00',
+      business_hours_end: '16:30',
+      business_days: [1, 2, 3, 4, 5, 6],
+      business_timezone: 'Africa/Accra',
+      public_holidays: ['03-06']
+    };
+    SystemSetting.getValue.mockImplementation(async key => values[key]);
+
+    const calendar = await businessHoursService.getCalendar();
+
+    expect(calendar).toMatchObject({ timezone: 'Africa/Accra', startMinutes: 540, endMinutes: 990, valid: true });
+    expect(calendar.days.has(6)).toBe(true);
+    expect(businessHoursService.isBusinessDay(calendar, { year: 2026, month: 3, day: 6 })).toBe(false);
+  });
+
+  it('marks malformed working hours as unusable', () => {
+    expect(accra({ start: '25:00' }).valid).toBe(false);
+    expect(accra({ end: '5pm' }).valid).toBe(false);
+    expect(accra({ days: [] }).valid).toBe(false);
+  });
+});
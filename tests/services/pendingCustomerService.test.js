@@ -0,0 +1,154 @@
+// tests/services/pendingCustomerService.test.js - Reporter reminders and auto-close sweep
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../src/config/database', () => ({
+  executeTransaction: jest.fn(callback => callback({}))
+}));
+
+jest.mock('../../src/models/SystemSetting', () => ({
+  getValue: jest.fn(async (key, defaultValue) => defaultValue)
+}));
+
+jest.mock('../../src/services/emailService', () => ({
+  sendPendingCustomerReminderEmail: jest.fn(async () => undefined)
+}));
+
+jest.mock('../../src/services/ticketService', () => ({
+  updateTicketStatus: jest.fn(async () => undefined)
+}));
+
+const Ticket = require('../../src/models/Ticket');
+const User = require('../../src/models/User');
+const SystemSetting = require('../../src/models/SystemSetting');
+const emailService = require('../../src/services/emailService');
+const ticketService = require('../../src/services/ticketService');
+const pendingCustomerService = require('../../src/services/pendingCustomerService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString();
+
+const REPORTER = { id: 'reporter-1', email: 'reporter@tpg.gov.gh' };
+
+let tickets;
+
+const buildTicket = (id, overrides = {}) => {
+  const ticket = {
+    id,
+    ticket_number: `TPG-${id}`,
+    status: 'pending-customer',
+    user_id: REPORTER.id,
+    pending_since: daysAgo(1),
+    pending_reminders_sent: 0,
+    last_pending_reminder_at: null,
+    ...overrides
+  };
+  ticket.$query = () => ({ patch: async fields => Object.assign(ticket, fields) });
+  return ticket;
+};
+
+const useSettings = settings => {
+  SystemSetting.getValue.mockImplementation(async (key, defaultValue) => (key in settings ? settings[key] : defaultValue));
+};
+
+beforeEach(() => {
+  tickets = [];
+  jest.clearAllMocks();
+  useSettings({});
+
+  // The sweep's date filters are left to the database; the service re-checks each ticket
+  jest.spyOn(Ticket, 'query').mockImplementation(() => {
+    const chain = {
+      where: () => chain,
+      whereNotNull: () => chain,
+      then: (resolve, reject) => Promise.resolve(tickets).then(resolve, reject)
+    };
+    return chain;
+  });
+  jest.spyOn(User, 'query').mockImplementation(() => ({
+    findById: async id => (id === REPORTER.id ? REPORTER : undefined)
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('PendingCustomerService.runPendingSweep', () => {
+  it('reminds a reporter once the reminder interval has passed and counts the reminder', async () => {
+    const ticket = buildTicket('waiting', { pending_since: daysAgo(3.5) });
+    tickets = [ticket];
+
+    const results = await pendingCustomerService.runPendingSweep();
+
+    expect(results).toEqual({ checked: 1, reminded: 1, closed: 0, failed: 0 });
+    expect(emailService.sendPendingCustomerReminderEmail).toHaveBeenCalledWith(ticket, REPORTER, expect.any(Date));
+    expect(ticket.pending_reminders_sent).toBe(1);
+    expect(ticket.last_pending_reminder_at).not.toBeNull();
+  });
+
+  it('measures the next reminder from the last one sent', async () => {
+    tickets = [buildTicket('reminded', { pending_since: daysAgo(4), last_pending_reminder_at: daysAgo(1), pending_reminders_sent: 1 })];
+
+    const results = await pendingCustomerService.runPendingSweep();
+
+    expect(results.reminded).toBe(0);
+    expect(emailService.sendPendingCustomerReminderEmail).not.toHaveBeenCalled();
+  });
+
+  it('closes tickets the reporter left unanswered past the auto-close window', async () => {
+    tickets = [buildTicket('silent', { pending_since: daysAgo(7.5), last_pending_reminder_at: daysAgo(4.5), pending_reminders_sent: 1 })];
+
+    const results = await pendingCustomerService.runPendingSweep();
+
+    expect(results).toEqual({ checked: 1, reminded: 0, closed: 1, failed: 0 });
+    expect(ticketService.updateTicketStatus).toHaveBeenCalledWith('silent', 'closed', null, {
+      resolutionNotes: 'Closed automatically: no reply from the reporter in 7 day(s)'
+    });
+    expect(emailService.sendPendingCustomerReminderEmail).not.toHaveBeenCalled();
+  });
+
+  it('skips a reminder that would fall on or after the auto-close', async () => {
+    tickets = [buildTicket('closing', { pending_since: daysAgo(6.5), last_pending_reminder_at: daysAgo(3.5), pending_reminders_sent: 1 })];
+    useSettings({ pending_customer_reminder_days: 4 });
+
+    const results = await pendingCustomerService.runPendingSweep();
+
+    expect(results).toEqual({ checked: 1, reminded: 0, closed: 0, failed: 0 });
+  });
+
+  it('keeps reminding but never closes when auto-close is off', async () => {
+    tickets = [buildTicket('long', { pending_since: daysAgo(30), last_pending_reminder_at: daysAgo(3), pending_reminders_sent: 9 })];
+    useSettings({ pending_customer_auto_close_days: 0 });
+
+    const results = await pendingCustomerService.runPendingSweep();
+
+    expect(results).toMatchObject({ reminded: 1, closed: 0 });
+    expect(emailService.sendPendingCustomerReminderEmail).toHaveBeenCalledWith(tickets[0], REPORTER, null);
+  });
+
+  it('does nothing when reminders and auto-close are both off', async () => {
+    tickets = [buildTicket('idle', { pending_since: daysAgo(30) })];
+    useSettings({ pending_customer_reminder_days: 0, pending_customer_auto_close_days: 0 });
+
+    const results = await pendingCustomerService.runPendingSweep();
+
+    expect(results).toEqual({ checked: 0, reminded: 0, closed: 0, failed: 0 });
+    expect(Ticket.query).not.toHaveBeenCalled();
+  });
+
+  it('counts a failed ticket and carries on with the rest', async () => {
+    const orphan = buildTicket('orphan', { pending_since: daysAgo(3.5), user_id: null });
+    const closing = buildTicket('closing', { pending_since: daysAgo(8) });
+    tickets = [orphan, closing];
+
+    const results = await pendingCustomerService.runPendingSweep();
+
+    expect(results).toEqual({ checked: 2, reminded: 0, closed: 1, failed: 1 });
+    expect(orphan.pending_reminders_sent).toBe(0);
+  });
+});
@@ -0,0 +1,147 @@
+// tests/services/slaService.test.js - SLA due dates, pauses and breaches in business hours
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+// Default calendar: Monday-Friday 08:00-17:00 in Africa/Accra (UTC+0), no holidays
+jest.mock('../../src/models/SystemSetting', () => ({
+  getValue: jest.fn(async (key, defaultValue) => defaultValue)
+}));
+
+const slaService = require('../../src/services/slaService');
+const businessHoursService = require('../../src/services/businessHoursService');
+
+// 2025-06-06 is a Friday
+const FRIDAY_4PM = '2025-06-06T16:00:00.000Z';
+
+const calendarPolicy = async (category = { id: 'c1', first_response_hours: 4, sla_hours: 18 }, urgency = 'medium') => {
+  const calendar = await businessHoursService.getCalendar();
+  return slaService.buildPolicy(category, urgency, undefined, calendar);
+};
+
+describe('SLAService policies', () => {
+  it('scales category targets by urgency', () => {
+    const category = { id: 'c1', first_response_hours: 4, sla_hours: 18 };
+
+    expect(slaService.buildPolicy(category, 'critical')).toMatchObject({ first_response_hours: 1, resolution_hours: 4.5 });
+    expect(slaService.buildPolicy(category, 'low')).toMatchObject({ first_response_hours: 6, resolution_hours: 27 });
+  });
+
+  it('falls back to the default targets without a category', () => {
+    expect(slaService.buildPolicy(null, 'medium')).toMatchObject({ first_response_hours: 8, resolution_hours: 48 });
+  });
+});
+
+describe('SLAService.calculateTicketSLA', () => {
+  it('counts due dates in business hours across the weekend', async () => {
+    const policy = await calendarPolicy();
+    const sla = slaService.calculateTicketSLA({ created_at: FRIDAY_4PM }, policy, new Date(FRIDAY_4PM));
+
+    // 1h on Friday, then Monday
+    expect(sla.first_response_due_at).toBe('2025-06-09T11:00:00.000Z');
+    // 1h Friday + 9h Monday + 8h Tuesday
+    expect(sla.resolution_due_at).toBe('2025-06-10T16:00:00.000Z');
+    expect(sla).toMatchObject({ first_response_breached: false, resolution_breached: false });
+  });
+
+  it('extends due dates by hours already spent paused', async () => {
+    const policy = await calendarPolicy();
+    const sla = slaService.calculateTicketSLA({ created_at: FRIDAY_4PM, sla_paused_hours: 2 }, policy, new Date(FRIDAY_4PM));
+
+    expect(sla.first_response_due_at).toBe('2025-06-09T13:00:00.000Z');
+  });
+
+  it('counts wall-clock hours when the policy has no calendar', () => {
+    const policy = slaService.buildPolicy({ id: 'c1', first_response_hours: 4, sla_hours: 18 }, 'medium');
+    const sla = slaService.calculateTicketSLA({ created_at: FRIDAY_4PM }, policy, new Date(FRIDAY_4PM));
+
+    expect(sla.first_response_due_at).toBe('2025-06-06T20:00:00.000Z');
+    expect(sla.resolution_due_at).toBe('2025-06-07T10:00:00.000Z');
+  });
+});
+
+describe('SLAService pauses', () => {
+  const ticket = {
+    created_at: FRIDAY_4PM,
+    first_response_at: '2025-06-09T09:00:00.000Z',
+    first_response_due_at: '2025-06-09T11:00:00.000Z',
+    resolution_due_at: '2025-06-10T16:00:00.000Z',
+    sla_paused_hours: 0
+  };
+
+  it('stops the clock only once and not on resolved tickets', () => {
+    const now = new Date('2025-06-09T10:00:00.000Z');
+
+    expect(slaService.getPauseFields(ticket, now)).toEqual({ sla_paused_at: now.toISOString() });
+    expect(slaService.getPauseFields({ ...ticket, sla_paused_at: now.toISOString() }, now)).toEqual({});
+    expect(slaService.getPauseFields({ ...ticket, resolved_at: now.toISOString() }, now)).toEqual({});
+  });
+
+  it('moves unmet targets on by the business hours spent paused', async () => {
+    // Paused Monday 10:00, resumed Tuesday 10:00: 7h Monday + 2h Tuesday
+    const paused = { ...ticket, sla_paused_at: '2025-06-09T10:00:00.000Z' };
+    const fields = await slaService.getResumeFields(paused, new Date('2025-06-10T10:00:00.000Z'));
+
+    expect(fields).toEqual({
+      sla_paused_at: null,
+      sla_paused_hours: 9,
+      // Tuesday 16:00 + 9h: 1h Tuesday + 8h Wednesday
+      resolution_due_at: '2025-06-11T16:00:00.000Z'
+    });
+  });
+
+  it('accumulates paused hours over several pauses', async () => {
+    const paused = { ...ticket, sla_paused_at: '2025-06-09T15:00:00.000Z', sla_paused_hours: 1.5 };
+    const fields = await slaService.getResumeFields(paused, new Date('2025-06-09T16:30:00.000Z'));
+
+    expect(fields.sla_paused_hours).toBe(3);
+  });
+
+  it('does not move targets that were already missed when the clock stopped', async () => {
+    const late = { ...ticket, first_response_at: null, sla_paused_at: '2025-06-09T12:00:00.000Z' };
+    const fields = await slaService.getResumeFields(late, new Date('2025-06-09T14:00:00.000Z'));
+
+    expect(fields.first_response_due_at).toBeUndefined();
+    expect(fields.resolution_due_at).toBe('2025-06-11T09:00:00.000Z');
+  });
+
+  it('judges breaches at the moment a paused clock stopped', () => {
+    const paused = { ...ticket, sla_paused_at: '2025-06-10T12:00:00.000Z' };
+    const muchLater = new Date('2025-06-20T12:00:00.000Z');
+
+    expect(slaService.getBreachFlags(paused, muchLater).resolution_breached).toBe(false);
+    expect(slaService.isOverdue(paused, muchLater)).toBe(false);
+    expect(slaService.getBreachFlags(ticket, muchLater).resolution_breached).toBe(true);
+  });
+
+  it('stops the clock when a ticket starts waiting on the reporter and restarts it after', async () => {
+    const now = new Date('2025-06-09T10:00:00.000Z');
+    const entering = await slaService.getStatusChangeFields({ ...ticket, status: 'in-progress' }, { status: 'pending-customer' }, now);
+
+    expect(entering).toMatchObject({
+      sla_paused_at: now.toISOString(),
+      pending_since: now.toISOString(),
+      pending_reminders_sent: 0
+    });
+
+    const waiting = { ...ticket, status: 'pending-customer', ...entering };
+    const leaving = await slaService.getStatusChangeFields(waiting, { status: 'in-progress' }, new Date('2025-06-09T13:00:00.000Z'));
+
+    expect(leaving).toMatchObject({ sla_paused_at: null, sla_paused_hours: 3, pending_since: null });
+  });
+});
+
+describe('SLAService.calculateBusinessResolutionHours', () => {
+  it('counts business hours to resolution less time spent paused', async () => {
+    const hours = await slaService.calculateBusinessResolutionHours(
+      { created_at: FRIDAY_4PM, sla_paused_hours: 2.5 },
+      '2025-06-10T12:00:00.000Z'
+    );
+
+    // 1h Friday + 9h Monday + 4h Tuesday - 2.5h paused
+    expect(hours).toBe(11.5);
+  });
+});
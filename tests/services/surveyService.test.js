@@ -0,0 +1,107 @@
+// tests/services/surveyService.test.js - Survey links bound to a ticket's resolution
+process.env.JWT_SECRET = 'test-access-secret';
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../src/config/database', () => ({
+  executeTransaction: jest.fn(callback => callback({}))
+}));
+
+const jwt = require('jsonwebtoken');
+const Ticket = require('../../src/models/Ticket');
+const surveyService = require('../../src/services/surveyService');
+
+const RESOLVED_AT = '2025-06-10T14:30:00.000Z';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let tickets;
+
+const buildTicket = (overrides = {}) => Object.assign(new Ticket(), {
+  id: '3f2a1b4c-5d6e-4f70-8a91-b2c3d4e5f607',
+  ticket_number: 'TPG-2025-0042',
+  status: 'resolved',
+  resolved_at: RESOLVED_AT,
+  ...overrides
+});
+
+beforeEach(() => {
+  tickets = [buildTicket()];
+  jest.spyOn(Ticket, 'query').mockImplementation(() => ({
+    findById: async id => tickets.find(ticket => ticket.id === id)
+  }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('SurveyService.verifySurveyToken', () => {
+  it('accepts a link for the resolution it was issued for', async () => {
+    const token = surveyService.generateSurveyToken(tickets[0], 14);
+
+    const { ticket, expiresAt } = await surveyService.verifySurveyToken(token);
+
+    expect(ticket).toBe(tickets[0]);
+    expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now() + 13 * DAY_MS);
+  });
+
+  it('compares resolution times as instants, not strings', async () => {
+    const token = surveyService.generateSurveyToken(tickets[0], 14);
+    tickets[0].resolved_at = new Date(RESOLVED_AT);
+
+    await expect(surveyService.verifySurveyToken(token)).resolves.toMatchObject({ ticket: tickets[0] });
+  });
+
+  it('rejects the link once the ticket is reopened', async () => {
+    const token = surveyService.generateSurveyToken(tickets[0], 14);
+    Object.assign(tickets[0], { status: 'in-progress', resolved_at: null });
+
+    await expect(surveyService.verifySurveyToken(token)).rejects.toThrow('Survey link is no longer valid');
+  });
+
+  it('rejects the old link after the ticket is resolved again', async () => {
+    const token = surveyService.generateSurveyToken(tickets[0], 14);
+    tickets[0].resolved_at = '2025-06-12T09:00:00.000Z';
+
+    await expect(surveyService.verifySurveyToken(token)).rejects.toThrow('Survey link is no longer valid');
+
+    // The new resolution gets a link of its own
+    const fresh = surveyService.generateSurveyToken(tickets[0], 14);
+    await expect(surveyService.verifySurveyToken(fresh)).resolves.toMatchObject({ ticket: tickets[0] });
+  });
+
+  it('rejects an expired link', async () => {
+    const token = surveyService.generateSurveyToken(tickets[0], 14);
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 15 * DAY_MS);
+
+    await expect(surveyService.verifySurveyToken(token)).rejects.toThrow('Survey link has expired');
+  });
+
+  it('rejects tokens that were not issued as survey links', async () => {
+    const accessToken = jwt.sign({ id: 'user-1', type: 'access' }, process.env.JWT_SECRET, { issuer: 'tpg-portal' });
+    const wrongType = jwt.sign({ type: 'access', tid: tickets[0].id, rat: RESOLVED_AT }, process.env.JWT_SECRET, {
+      issuer: 'tpg-portal',
+      audience: 'tpg-survey'
+    });
+    const forged = jwt.sign({ type: 'satisfaction_survey', tid: tickets[0].id, rat: RESOLVED_AT }, 'another-secret', {
+      issuer: 'tpg-portal',
+      audience: 'tpg-survey'
+    });
+
+    for (const token of [accessToken, wrongType, forged, 'not-a-token']) {
+      await expect(surveyService.verifySurveyToken(token)).rejects.toThrow('Invalid survey link');
+    }
+  });
+
+  it('rejects a link to a ticket that no longer exists', async () => {
+    const token = surveyService.generateSurveyToken(tickets[0], 14);
+    tickets = [];
+
+    await expect(surveyService.verifySurveyToken(token)).rejects.toThrow('Invalid survey link');
+  });
+});
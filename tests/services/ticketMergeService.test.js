@@ -0,0 +1,210 @@
+// tests/services/ticketMergeService.test.js - Ticket merge rules and consolidation
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  security: {
+    logAdminAction: jest.fn()
+  }
+}));
+
+jest.mock('../../src/config/database', () => ({
+  executeTransaction: jest.fn(callback => callback({}))
+}));
+
+jest.mock('../../src/services/auditService', () => ({
+  record: jest.fn(async () => null)
+}));
+
+jest.mock('../../src/services/emailService', () => ({
+  sendTicketMergedEmail: jest.fn(async () => undefined)
+}));
+
+// In-memory tables behind the models the merge touches
+const mockDb = { tickets: [], comments: [], attachments: [], followers: [], users: [] };
+
+function mockRow(table, data) {
+  const row = { ...data };
+  row.$query = () => ({
+    patch: async fields => Object.assign(row, fields),
+    patchAndFetch: async fields => Object.assign(row, fields)
+  });
+  mockDb[table].push(row);
+  return row;
+}
+
+function mockQuery(table) {
+  const result = rows => {
+    const chain = {
+      forUpdate: () => chain,
+      select: () => chain,
+      orderBy: column => result([...rows].sort((a, b) => String(a[column]).localeCompare(String(b[column])))),
+      then: (resolve, reject) => Promise.resolve(rows).then(resolve, reject)
+    };
+    return chain;
+  };
+
+  return {
+    findById: id => {
+      const found = mockDb[table].find(row => row.id === id);
+      const chain = result(found);
+      chain.forUpdate = async () => found;
+      return chain;
+    },
+    findByIds: ids => result(mockDb[table].filter(row => ids.includes(row.id))),
+    where: (column, value) => result(mockDb[table].filter(row => row[column] === value)),
+    insert: async data => mockRow(table, { id: `${table}-${mockDb[table].length + 1}`, metadata: {}, ...data })
+  };
+}
+
+jest.mock('../../src/models/Ticket', () => ({ query: () => mockQuery('tickets') }));
+jest.mock('../../src/models/TicketComment', () => ({ query: () => mockQuery('comments') }));
+jest.mock('../../src/models/TicketAttachment', () => ({ query: () => mockQuery('attachments') }));
+jest.mock('../../src/models/User', () => ({ query: () => mockQuery('users') }));
+jest.mock('../../src/models/TicketFollower', () => ({
+  query: () => mockQuery('followers'),
+  addFollowers: jest.fn(async (ticketId, userIds, { source }) => {
+    for (const userId of new Set(userIds)) {
+      if (!mockDb.followers.some(row => row.ticket_id === ticketId && row.user_id === userId)) {
+        mockRow('followers', { ticket_id: ticketId, user_id: userId, source });
+      }
+    }
+  })
+}));
+
+const ticketMergeService = require('../../src/services/ticketMergeService');
+const auditService = require('../../src/services/auditService');
+const emailService = require('../../src/services/emailService');
+
+const ADMIN = 'admin-1';
+
+const addTicket = (id, overrides = {}) => mockRow('tickets', {
+  id,
+  ticket_number: `TPG-${id.toUpperCase()}`,
+  title: `Ticket ${id}`,
+  description: `Description of ${id}`,
+  status: 'open',
+  user_id: `reporter-${id}`,
+  merged_into_id: null,
+  metadata: {},
+  created_at: '2025-06-02T09:00:00.000Z',
+  ...overrides
+});
+
+beforeEach(() => {
+  Object.values(mockDb).forEach(rows => { rows.length = 0; });
+  jest.clearAllMocks();
+});
+
+describe('TicketMergeService.mergeTickets', () => {
+  it('moves comments, attachments and followers to the target and closes the source', async () => {
+    const target = addTicket('target');
+    const source = addTicket('dup');
+    mockRow('comments', { id: 'c1', ticket_id: 'dup', content: 'Still broken', metadata: {} });
+    mockRow('attachments', { id: 'a1', ticket_id: 'dup', metadata: { note: 'kept' } });
+    mockRow('followers', { ticket_id: 'dup', user_id: 'watcher' });
+    mockRow('followers', { ticket_id: 'dup', user_id: 'reporter-target' });
+    mockRow('users', { id: 'reporter-dup', email: 'dup@tpg.gov.gh' });
+
+    const result = await ticketMergeService.mergeTickets('target', ['dup'], ADMIN, { reason: 'Same outage' });
+
+    expect(result).toMatchObject({ comments_moved: 1, attachments_moved: 1 });
+
+    const mergedFrom = { ticket_id: 'dup', ticket_number: 'TPG-DUP' };
+    expect(mockDb.comments.find(row => row.id === 'c1')).toMatchObject({ ticket_id: 'target', metadata: { merged_from: mergedFrom } });
+    expect(mockDb.attachments[0]).toMatchObject({ ticket_id: 'target', metadata: { note: 'kept', merged_from: mergedFrom } });
+
+    // The duplicate's report survives on the target under its reporter's name
+    expect(mockDb.comments).toContainEqual(expect.objectContaining({
+      ticket_id: 'target',
+      user_id: 'reporter-dup',
+      content: 'Merged from TPG-DUP: Ticket dup\n\nDescription of dup',
+      metadata: { merged_from: mergedFrom, original_report: true }
+    }));
+
+    expect(source).toMatchObject({
+      status: 'closed',
+      merged_into_id: 'target',
+      resolution_notes: 'Merged into TPG-TARGET. Reason: Same outage',
+      metadata: { merged_into: { ticket_id: 'target', ticket_number: 'TPG-TARGET' } }
+    });
+    expect(target.status).toBe('open');
+
+    // The source reporter and followers follow the target; its own reporter is not added
+    const targetFollowers = mockDb.followers.filter(row => row.ticket_id === 'target').map(row => row.user_id);
+    expect(targetFollowers.sort()).toEqual(['reporter-dup', 'watcher']);
+
+    expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'merge', resourceId: 'dup' }));
+    expect(auditService.record).toHaveBeenCalledWith(expect.objectContaining({ action: 'merge', resourceId: 'target' }));
+    expect(emailService.sendTicketMergedEmail).toHaveBeenCalledWith(source, expect.objectContaining({ id: 'target' }), mockDb.users[0]);
+  });
+
+  it('merges several sources oldest first', async () => {
+    addTicket('target');
+    addTicket('newer', { created_at: '2025-06-04T09:00:00.000Z' });
+    addTicket('older', { created_at: '2025-06-03T09:00:00.000Z' });
+
+    const result = await ticketMergeService.mergeTickets('target', ['newer', 'older'], ADMIN);
+
+    expect(result.merged.map(entry => entry.ticket.id)).toEqual(['older', 'newer']);
+    expect(mockDb.comments).toContainEqual(expect.objectContaining({
+      ticket_id: 'target',
+      content: 'Merged TPG-OLDER, TPG-NEWER into this ticket',
+      is_internal: true
+    }));
+  });
+
+  it('cuts a long original report down to the comment limit', async () => {
+    addTicket('target');
+    addTicket('dup', { description: 'x'.repeat(5000) });
+
+    await ticketMergeService.mergeTickets('target', ['dup'], ADMIN);
+
+    const report = mockDb.comments.find(row => row.metadata.original_report);
+    expect(report.content).toHaveLength(3000);
+  });
+
+  it('refuses to merge a ticket into itself', async () => {
+    addTicket('target');
+
+    await expect(ticketMergeService.mergeTickets('target', ['target'], ADMIN))
+      .rejects.toThrow('Cannot merge a ticket into itself');
+  });
+
+  it('refuses a closed target or one that was itself merged', async () => {
+    addTicket('closed', { status: 'closed' });
+    addTicket('gone', { merged_into_id: 'elsewhere' });
+    addTicket('dup');
+
+    await expect(ticketMergeService.mergeTickets('closed', ['dup'], ADMIN))
+      .rejects.toThrow('Cannot merge into a closed ticket');
+    await expect(ticketMergeService.mergeTickets('gone', ['dup'], ADMIN))
+      .rejects.toThrow('Cannot merge into a ticket that was itself merged');
+  });
+
+  it('refuses sources that are missing or already merged, before changing anything', async () => {
+    addTicket('target');
+    addTicket('dup');
+    addTicket('merged', { merged_into_id: 'other' });
+
+    await expect(ticketMergeService.mergeTickets('target', ['dup', 'missing'], ADMIN))
+      .rejects.toThrow('Source ticket not found');
+    await expect(ticketMergeService.mergeTickets('target', ['dup', 'merged'], ADMIN))
+      .rejects.toThrow('Cannot merge TPG-MERGED: it was already merged');
+
+    expect(mockDb.comments).toHaveLength(0);
+    expect(mockDb.tickets.find(row => row.id === 'dup').status).toBe('open');
+  });
+
+  it('keeps the merge when the notification email fails', async () => {
+    addTicket('target');
+    addTicket('dup');
+    mockRow('users', { id: 'reporter-dup', email: 'dup@tpg.gov.gh' });
+    emailService.sendTicketMergedEmail.mockRejectedValueOnce(new Error('SMTP down'));
+
+    const result = await ticketMergeService.mergeTickets('target', ['dup'], ADMIN);
+
+    expect(result.merged).toHaveLength(1);
+  });
+});
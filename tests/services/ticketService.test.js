@@ -0,0 +1,275 @@
+// tests/services/ticketService.test.js - Ticket service rules
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  security: {
+    logAdminAction: jest.fn()
+  }
+}));
+
+jest.mock('../../src/config/database', () => ({
+  executeTransaction: jest.fn(callback => callback({}))
+}));
+
+jest.mock('../../src/models/SystemSetting', () => ({
+  getValue: jest.fn(async (key, defaultValue) => defaultValue)
+}));
+
+const Ticket = require('../../src/models/Ticket');
+const User = require('../../src/models/User');
+const TicketWorkflow = require('../../src/models/TicketWorkflow');
+const SystemSetting = require('../../src/models/SystemSetting');
+const ticketService = require('../../src/services/ticketService');
+const auditService = require('../../src/services/auditService');
+const assignmentService = require('../../src/services/assignmentService');
+const logger = require('../../src/config/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY_MS).toISOString();
+
+const buildUser = (role, overrides = {}) => Object.assign(new User(), {
+  id: `${role}-1`,
+  role,
+  status: 'active',
+  ...overrides
+});
+
+const buildTicket = (id, overrides = {}) => {
+  const ticket = Object.assign(new Ticket(), {
+    id,
+    ticket_number: `TPG-${id}`,
+    user_id: 'reporter-1',
+    status: 'open',
+    urgency: 'medium',
+    category: 'general',
+    assigned_to: null,
+    metadata: {},
+    ...overrides
+  });
+  ticket.$query = () => ({ patchAndFetch: async fields => Object.assign(ticket, fields) });
+  return ticket;
+};
+
+const admin = buildUser('admin');
+const superAdmin = buildUser('super_admin');
+const assignee = buildUser('admin', { id: 'agent-2' });
+
+let tickets;
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  tickets = [];
+
+  jest.spyOn(Ticket, 'query').mockImplementation(() => ({
+    findById: async id => tickets.find(ticket => ticket.id === id),
+    findByIds: async ids => tickets.filter(ticket => ids.includes(ticket.id))
+  }));
+  jest.spyOn(User, 'query').mockImplementation(() => ({
+    findById: id => {
+      const user = [assignee, buildUser('user', { id: 'reporter-2' })].find(candidate => candidate.id === id);
+      return { select: async () => user, then: (resolve, reject) => Promise.resolve(user).then(resolve, reject) };
+    }
+  }));
+  // No stored workflows: tickets follow the built-in one
+  jest.spyOn(TicketWorkflow, 'query').mockImplementation(() => {
+    const chain = { where: () => chain, then: (resolve, reject) => Promise.resolve([]).then(resolve, reject) };
+    return chain;
+  });
+
+  jest.spyOn(ticketService, 'assignTicket').mockImplementation(async (id, assignedTo) => ({ status: 'in-progress', assigned_to: assignedTo }));
+  jest.spyOn(ticketService, 'updateTicketStatus').mockImplementation(async (id, status) => ({ status }));
+  jest.spyOn(ticketService, 'updateTicket').mockImplementation(async (id, updates) => updates);
+  jest.spyOn(ticketService, 'softDeleteTicket').mockImplementation(async () => ({ status: 'closed' }));
+  jest.spyOn(ticketService, 'createSystemComment').mockResolvedValue();
+  jest.spyOn(ticketService, 'sendStatusUpdateNotifications').mockResolvedValue();
+  jest.spyOn(auditService, 'recordUpdate').mockResolvedValue(null);
+  jest.spyOn(assignmentService, 'isOutOfOffice').mockResolvedValue(false);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('TicketService.bulkOperation', () => {
+  it('reports each ticket as succeeded, skipped or failed', async () => {
+    tickets = [
+      buildTicket('1'),
+      buildTicket('2', { assigned_to: 'agent-2' }),
+      buildTicket('3', { status: 'resolved' })
+    ];
+
+    const { summary, results } = await ticketService.bulkOperation(
+      ['1', '2', '3', 'missing'], 'assign', { assigned_to: 'agent-2' }, admin
+    );
+
+    expect(summary).toEqual({ total: 4, succeeded: 1, skipped: 1, failed: 2 });
+    expect(results).toEqual([
+      { ticket_id: '1', ticket_number: 'TPG-1', success: true, status: 'in-progress', assigned_to: 'agent-2' },
+      { ticket_id: '2', ticket_number: 'TPG-2', success: true, skipped: true, message: 'Ticket already has this assignee' },
+      { ticket_id: '3', ticket_number: 'TPG-3', success: false, error: 'Cannot assign a resolved ticket' },
+      { ticket_id: 'missing', success: false, error: 'Ticket not found' }
+    ]);
+    expect(ticketService.assignTicket).toHaveBeenCalledTimes(1);
+    expect(logger.security.logAdminAction).toHaveBeenCalledWith(
+      admin.id, 'bulk_ticket_operation', null, expect.objectContaining({ operation: 'assign', failed: 2 }), undefined
+    );
+  });
+
+  it('checks the permission for the operation on every ticket', async () => {
+    tickets = [buildTicket('1'), buildTicket('2')];
+
+    // Admins may edit all tickets but not delete them
+    const { summary, results } = await ticketService.bulkOperation(['1', '2'], 'delete', {}, admin);
+
+    expect(summary).toMatchObject({ succeeded: 0, failed: 2 });
+    results.forEach(result => expect(result.error).toBe('Access denied'));
+    expect(ticketService.softDeleteTicket).not.toHaveBeenCalled();
+  });
+
+  it('denies tickets the user cannot edit', async () => {
+    tickets = [buildTicket('1', { user_id: 'reporter-2' })];
+    const reporter = buildUser('user', { id: 'reporter-2' });
+
+    const { results } = await ticketService.bulkOperation(['1'], 'change_priority', { urgency: 'high' }, reporter);
+
+    expect(results[0]).toMatchObject({ success: false, error: 'Access denied' });
+    expect(ticketService.updateTicket).not.toHaveBeenCalled();
+  });
+
+  it('skips tickets already in the requested state', async () => {
+    tickets = [
+      buildTicket('1', { urgency: 'high' }),
+      buildTicket('2', { metadata: { deleted: true } }),
+      buildTicket('3')
+    ];
+
+    const priority = await ticketService.bulkOperation(['1', '3'], 'change_priority', { urgency: 'high' }, admin);
+    expect(priority.summary).toMatchObject({ succeeded: 1, skipped: 1 });
+    expect(ticketService.updateTicket).toHaveBeenCalledWith('3', { urgency: 'high' }, admin.id, {});
+
+    const deletion = await ticketService.bulkOperation(['2', '3'], 'delete', {}, superAdmin);
+    expect(deletion.summary).toMatchObject({ succeeded: 1, skipped: 1 });
+  });
+
+  it('carries on past a ticket whose update fails', async () => {
+    tickets = [buildTicket('1'), buildTicket('2')];
+    ticketService.updateTicketStatus.mockRejectedValueOnce(new Error('Database unavailable'));
+
+    const { summary, results } = await ticketService.bulkOperation(['1', '2'], 'close', { reason: 'Duplicate' }, admin);
+
+    expect(summary).toMatchObject({ succeeded: 1, failed: 1 });
+    expect(results[0]).toMatchObject({ ticket_id: '1', success: false, error: 'Database unavailable' });
+    expect(results[1]).toMatchObject({ ticket_id: '2', success: true, status: 'closed' });
+  });
+
+  it('handles a ticket listed twice once', async () => {
+    tickets = [buildTicket('1')];
+
+    const { summary } = await ticketService.bulkOperation(['1', '1'], 'close', {}, admin);
+
+    expect(summary.total).toBe(1);
+    expect(ticketService.updateTicketStatus).toHaveBeenCalledTimes(1);
+  });
+
+  it('validates the assignee once before touching any ticket', async () => {
+    tickets = [buildTicket('1')];
+
+    await expect(ticketService.bulkOperation(['1'], 'assign', { assigned_to: 'reporter-2' }, admin))
+      .rejects.toThrow('Tickets can only be assigned to admin users');
+    await expect(ticketService.bulkOperation(['1'], 'assign', { assigned_to: 'nobody' }, admin))
+      .rejects.toThrow('Assignee not found');
+
+    assignmentService.isOutOfOffice.mockResolvedValueOnce(true);
+    await expect(ticketService.bulkOperation(['1'], 'assign', { assigned_to: 'agent-2' }, admin))
+      .rejects.toThrow('Cannot assign tickets to agents who are out of office');
+    expect(ticketService.assignTicket).not.toHaveBeenCalled();
+  });
+});
+
+describe('TicketService.reopenTicket', () => {
+  it('reopens a ticket inside the window and counts the reopen', async () => {
+    tickets = [buildTicket('1', {
+      status: 'resolved',
+      assigned_to: 'agent-2',
+      resolved_at: daysAgo(2),
+      actual_resolution_hours: 5,
+      reopen_count: 1
+    })];
+
+    const reopened = await ticketService.reopenTicket('1', 'reporter-1', { reason: 'Printer still jams' });
+
+    expect(reopened).toMatchObject({
+      status: 'in-progress',
+      resolved_at: null,
+      closed_at: null,
+      actual_resolution_hours: null,
+      reopen_count: 2
+    });
+    expect(reopened.last_reopened_at).toEqual(expect.any(String));
+    expect(auditService.recordUpdate).toHaveBeenCalledWith(
+      'ticket', expect.objectContaining({ status: 'resolved' }), reopened, { userId: 'reporter-1' },
+      expect.objectContaining({ action: 'reopen' })
+    );
+    expect(ticketService.createSystemComment).toHaveBeenCalledWith('1', 'Ticket reopened (reopen #2). Reason: Printer still jams', 'reporter-1');
+  });
+
+  it('reopens an unassigned ticket as open', async () => {
+    tickets = [buildTicket('1', { status: 'closed', closed_at: daysAgo(1) })];
+
+    await expect(ticketService.reopenTicket('1', 'reporter-1')).resolves.toMatchObject({ status: 'open', reopen_count: 1 });
+  });
+
+  it('refuses once the window since resolution has passed', async () => {
+    tickets = [buildTicket('1', { status: 'resolved', resolved_at: daysAgo(8) })];
+
+    await expect(ticketService.reopenTicket('1', 'reporter-1'))
+      .rejects.toThrow('Reopen window has expired: tickets can only be reopened within 7 day(s) of resolution');
+    expect(tickets[0].status).toBe('resolved');
+  });
+
+  it('measures the window from closing when the ticket was never resolved', async () => {
+    SystemSetting.getValue.mockResolvedValueOnce(3);
+    tickets = [buildTicket('1', { status: 'closed', closed_at: daysAgo(4) })];
+
+    await expect(ticketService.reopenTicket('1', 'reporter-1'))
+      .rejects.toThrow('within 3 day(s)');
+  });
+
+  it('treats a zero-day window as reopening switched off', async () => {
+    SystemSetting.getValue.mockResolvedValueOnce(0);
+    tickets = [buildTicket('1', { status: 'resolved', resolved_at: new Date().toISOString() })];
+
+    await expect(ticketService.reopenTicket('1', 'reporter-1')).rejects.toThrow('Reopen window has expired');
+  });
+
+  it('lets the override reopen past the window', async () => {
+    tickets = [buildTicket('1', { status: 'resolved', resolved_at: daysAgo(30) })];
+
+    await expect(ticketService.reopenTicket('1', superAdmin.id, { ignoreWindow: true }))
+      .resolves.toMatchObject({ status: 'open', reopen_count: 1 });
+    expect(SystemSetting.getValue).not.toHaveBeenCalled();
+  });
+
+  it('refuses tickets that are still active or were merged away', async () => {
+    tickets = [
+      buildTicket('1', { status: 'in-progress' }),
+      buildTicket('2', { status: 'closed', closed_at: daysAgo(1), merged_into_id: '9' })
+    ];
+
+    await expect(ticketService.reopenTicket('1', 'reporter-1')).rejects.toThrow('Cannot reopen a ticket that is in-progress');
+    await expect(ticketService.reopenTicket('2', 'reporter-1'))
+      .rejects.toThrow('Cannot reopen a ticket that was merged into another ticket');
+  });
+
+  it('applies the override in bulk only for users who hold it', async () => {
+    tickets = [buildTicket('1', { status: 'closed', closed_at: daysAgo(30) })];
+
+    const denied = await ticketService.bulkOperation(['1'], 'reopen', {}, admin);
+    expect(denied.results[0]).toMatchObject({ success: false, error: expect.stringContaining('Reopen window has expired') });
+
+    const allowed = await ticketService.bulkOperation(['1'], 'reopen', {}, superAdmin);
+    expect(allowed.results[0]).toMatchObject({ success: true, status: 'open', reopen_count: 1 });
+  });
+});
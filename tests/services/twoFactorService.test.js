@@ -0,0 +1,176 @@
+// tests/services/twoFactorService.test.js - TOTP codes, drift window, replay and recovery codes
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  security: {
+    logAuth: jest.fn()
+  }
+}));
+
+jest.mock('../../src/models/SystemSetting', () => ({
+  getValue: jest.fn(async (key, defaultValue) => defaultValue)
+}));
+
+const twoFactorService = require('../../src/services/twoFactorService');
+
+// RFC 4226 / RFC 6238 test secret: ASCII "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const PERIOD_MS = 30 * 1000;
+
+const buildUser = (overrides = {}) => {
+  const user = {
+    id: '0b8d4a52-7c1e-4f3a-9d26-5e8f7a6b4c3d',
+    email: 'admin@tpg.gov.gh',
+    role: 'admin',
+    two_factor_enabled: true,
+    two_factor_secret: twoFactorService.encrypt(RFC_SECRET),
+    two_factor_recovery_codes: [],
+    two_factor_last_step: null,
+    ...overrides
+  };
+  user.$query = () => ({ patch: async fields => Object.assign(user, fields) });
+  return user;
+};
+
+describe('TwoFactorService TOTP primitives', () => {
+  it('encodes and decodes base32 per RFC 4648', () => {
+    const raw = Buffer.from('12345678901234567890');
+
+    expect(twoFactorService.base32Encode(raw)).toBe(RFC_SECRET);
+    expect(twoFactorService.base32Decode(RFC_SECRET).equals(raw)).toBe(true);
+    expect(twoFactorService.base32Decode(RFC_SECRET.toLowerCase()).equals(raw)).toBe(true);
+  });
+
+  it('rejects secrets with characters outside the base32 alphabet', () => {
+    expect(() => twoFactorService.base32Decode('ABC1')).toThrow('Invalid base32 character');
+  });
+
+  it('generates the RFC 4226 HOTP values', () => {
+    const expected = ['755224', '287082', '359152', '969429', '338314', '254676', '287922', '162583', '399871', '520489'];
+
+    expected.forEach((code, counter) => {
+      expect(twoFactorService.generateCode(RFC_SECRET, counter)).toBe(code);
+    });
+  });
+
+  it('matches the RFC 6238 SHA-1 vectors at their timestamps', () => {
+    // Last six digits of the eight-digit values in RFC 6238 appendix B
+    const vectors = [
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037']
+    ];
+
+    for (const [seconds, code] of vectors) {
+      expect(twoFactorService.matchCode(RFC_SECRET, code, seconds * 1000)).toBe(Math.floor(seconds / 30));
+    }
+  });
+
+  it('accepts one step of clock drift either side and no more', () => {
+    const now = 1234567890 * 1000;
+    const step = Math.floor(now / PERIOD_MS);
+
+    expect(twoFactorService.matchCode(RFC_SECRET, twoFactorService.generateCode(RFC_SECRET, step - 1), now)).toBe(step - 1);
+    expect(twoFactorService.matchCode(RFC_SECRET, twoFactorService.generateCode(RFC_SECRET, step + 1), now)).toBe(step + 1);
+    expect(twoFactorService.matchCode(RFC_SECRET, twoFactorService.generateCode(RFC_SECRET, step - 2), now)).toBeNull();
+    expect(twoFactorService.matchCode(RFC_SECRET, twoFactorService.generateCode(RFC_SECRET, step + 2), now)).toBeNull();
+  });
+
+  it('ignores spaces but rejects malformed codes', () => {
+    const now = 59 * 1000;
+
+    expect(twoFactorService.matchCode(RFC_SECRET, '287 082', now)).toBe(1);
+    expect(twoFactorService.matchCode(RFC_SECRET, '28708', now)).toBeNull();
+    expect(twoFactorService.matchCode(RFC_SECRET, '2870823', now)).toBeNull();
+    expect(twoFactorService.matchCode(RFC_SECRET, 'abcdef', now)).toBeNull();
+    expect(twoFactorService.matchCode(RFC_SECRET, undefined, now)).toBeNull();
+  });
+
+  it('builds an otpauth URI for authenticator apps', () => {
+    const uri = new URL(twoFactorService.getProvisioningUri('admin@tpg.gov.gh', RFC_SECRET));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/TPG Portal:admin@tpg.gov.gh');
+    expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(uri.searchParams.get('digits')).toBe('6');
+    expect(uri.searchParams.get('period')).toBe('30');
+  });
+});
+
+describe('TwoFactorService secret storage', () => {
+  it('round-trips secrets through AES-256-GCM with a fresh IV each time', () => {
+    const first = twoFactorService.encrypt(RFC_SECRET);
+    const second = twoFactorService.encrypt(RFC_SECRET);
+
+    expect(first).not.toBe(second);
+    expect(twoFactorService.decrypt(first)).toBe(RFC_SECRET);
+  });
+
+  it('refuses a tampered ciphertext', () => {
+    const [iv, tag, encrypted] = twoFactorService.encrypt(RFC_SECRET).split(':');
+    const flipped = (parseInt(encrypted.slice(0, 2), 16) ^ 1).toString(16).padStart(2, '0') + encrypted.slice(2);
+
+    expect(() => twoFactorService.decrypt([iv, tag, flipped].join(':'))).toThrow();
+  });
+});
+
+describe('TwoFactorService login verification', () => {
+  const now = 1234567890 * 1000;
+  const step = Math.floor(now / PERIOD_MS);
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a current code and records its time step', async () => {
+    const user = buildUser();
+
+    await expect(twoFactorService.verifyLogin(user, { code: '005924' })).resolves.toBe(true);
+    expect(user.two_factor_last_step).toBe(step);
+  });
+
+  it('rejects a code from a step that was already used', async () => {
+    const user = buildUser();
+
+    await twoFactorService.verifyLogin(user, { code: '005924' });
+    await expect(twoFactorService.verifyLogin(user, { code: '005924' })).resolves.toBe(false);
+
+    // An older code inside the drift window is a replay too
+    const previous = twoFactorService.generateCode(RFC_SECRET, step - 1);
+    await expect(twoFactorService.verifyLogin(user, { code: previous })).resolves.toBe(false);
+  });
+
+  it('rejects a wrong code', async () => {
+    await expect(twoFactorService.verifyLogin(buildUser(), { code: '000000' })).resolves.toBe(false);
+  });
+
+  it('uses each recovery code once, ignoring case and dashes', async () => {
+    const codes = twoFactorService.generateRecoveryCodes();
+    const user = buildUser({ two_factor_recovery_codes: codes.map(code => twoFactorService.hashRecoveryCode(code)) });
+
+    expect(codes).toHaveLength(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+
+    const entered = codes[3].toUpperCase().replace('-', '');
+    await expect(twoFactorService.verifyLogin(user, { recoveryCode: entered })).resolves.toBe(true);
+    expect(user.two_factor_recovery_codes).toHaveLength(9);
+
+    await expect(twoFactorService.verifyLogin(user, { recoveryCode: codes[3] })).resolves.toBe(false);
+  });
+
+  it('refuses verification when two-factor is not enabled', async () => {
+    const user = buildUser({ two_factor_enabled: false });
+
+    await expect(twoFactorService.verifyLogin(user, { code: '005924' }))
+      .rejects.toThrow('Two-factor authentication is not enabled');
+  });
+});
@@ -0,0 +1,342 @@
+// tests/services/virusScanService.test.js - clamd replies and quarantine, against a local stub clamd
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn(),
+  security: {
+    logSuspiciousActivity: jest.fn(),
+    logAdminAction: jest.fn()
+  }
+}));
+
+jest.mock('../../src/services/auditService', () => ({
+  record: jest.fn(async () => null),
+  recordUpdate: jest.fn(async () => null)
+}));
+
+jest.mock('../../src/services/emailService', () => ({}));
+
+jest.mock('../../src/models/AttachmentBlob', () => ({
+  release: jest.fn(async () => undefined)
+}));
+
+const TicketAttachment = require('../../src/models/TicketAttachment');
+const AttachmentBlob = require('../../src/models/AttachmentBlob');
+const auditService = require('../../src/services/auditService');
+const virusScanService = require('../../src/services/virusScanService');
+
+// The stub reports any stream containing this marker as infected
+const INFECTED_MARKER = 'TPG-TEST-INFECTED-MARKER';
+const SIGNATURE = 'Tpg.Test.Marker-1';
+
+const stubClamd = { mode: 'scan', streams: 0 };
+
+/**
+ * Minimal clamd speaking the zINSTREAM protocol node-clamav uses:
+ * length-prefixed chunks terminated by a zero-length chunk.
+ */
+const startStubClamd = () => new Promise(resolve => {
+  const server = net.createServer(socket => {
+    let buffer = Buffer.alloc(0);
+    let replied = false;
+
+    const reply = text => {
+      replied = true;
+      socket.end(`${text}\0`);
+    };
+
+    socket.on('error', () => {});
+    socket.on('data', chunk => {
+      if (replied) {
+        return;
+      }
+
+      if (stubClamd.mode === 'limit') {
+        return reply('INSTREAM size limit exceeded. ERROR');
+      }
+
+      buffer = Buffer.concat([buffer, chunk]);
+      const command = 'zINSTREAM\0';
+      if (buffer.length < command.length) {
+        return;
+      }
+
+      const parts = [];
+      let offset = command.length;
+      while (offset + 4 <= buffer.length) {
+        const size = buffer.readUInt32BE(offset);
+        if (size === 0) {
+          stubClamd.streams++;
+          const content = Buffer.concat(parts).toString();
+          return reply(content.includes(INFECTED_MARKER) ? `stream: ${SIGNATURE} FOUND` : 'stream: OK');
+        }
+
+        if (offset + 4 + size > buffer.length) {
+          return;
+        }
+
+        parts.push(buffer.subarray(offset + 4, offset + 4 + size));
+        offset += 4 + size;
+      }
+    });
+  });
+
+  server.listen(0, '127.0.0.1', () => resolve(server));
+});
+
+// In-memory ticket_attachments table
+let attachments = [];
+
+const queryAttachments = () => {
+  const filters = [];
+  const builder = {
+    findById: async id => attachments.find(attachment => attachment.id === id),
+    where: (column, value) => {
+      filters.push(attachment => attachment[column] === value);
+      return builder;
+    },
+    whereNot: (column, value) => {
+      filters.push(attachment => attachment[column] !== value);
+      return builder;
+    },
+    whereRaw: sql => {
+      if (sql.includes('quarantine_release')) {
+        filters.push(attachment => !attachment.metadata.quarantine_release);
+      }
+      return builder;
+    },
+    then: (resolve, reject) => Promise.resolve(attachments.filter(attachment => filters.every(filter => filter(attachment))))
+      .then(resolve, reject)
+  };
+  return builder;
+};
+
+let tmpDir;
+let server;
+let sequence = 0;
+
+const createAttachment = async (content, overrides = {}) => {
+  sequence++;
+  const filePath = overrides.file_path || path.join(tmpDir, 'uploads', `file-${sequence}.txt`);
+  if (!overrides.file_path) {
+    await fs.writeFile(filePath, content);
+  }
+
+  const attachment = Object.assign(new TicketAttachment(), {
+    id: `00000000-0000-4000-8000-${String(sequence).padStart(12, '0')}`,
+    ticket_id: '11111111-1111-4111-8111-111111111111',
+    user_id: '22222222-2222-4222-8222-222222222222',
+    filename: `file-${sequence}.txt`,
+    original_filename: 'report.txt',
+    file_path: filePath,
+    file_size: Buffer.byteLength(content),
+    mime_type: 'text/plain',
+    virus_scan_status: 'pending',
+    blob_hash: null,
+    metadata: {},
+    ...overrides
+  });
+  attachment.$query = () => ({ patch: async fields => Object.assign(attachment, fields) });
+
+  attachments.push(attachment);
+  return attachment;
+};
+
+const exists = async filePath => {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+beforeAll(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'tpg-scan-'));
+  await fs.mkdir(path.join(tmpDir, 'uploads'));
+  process.env.QUARANTINE_PATH = path.join(tmpDir, 'quarantine');
+
+  server = await startStubClamd();
+  virusScanService.host = '127.0.0.1';
+  virusScanService.port = server.address().port;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  attachments = [];
+  stubClamd.mode = 'scan';
+  stubClamd.streams = 0;
+  virusScanService.enabled = true;
+  jest.clearAllMocks();
+  jest.spyOn(TicketAttachment, 'query').mockImplementation(queryAttachments);
+  jest.spyOn(virusScanService, 'sendInfectedNotifications').mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('VirusScanService.parseReply', () => {
+  it('reads a clean reply', () => {
+    expect(virusScanService.parseReply('stream: OK\0')).toEqual({ status: 'clean' });
+  });
+
+  it('reads the signature from an infected reply', () => {
+    expect(virusScanService.parseReply('stream: Win.Test.EICAR_HDB-1 FOUND\0'))
+      .toEqual({ status: 'infected', signature: 'Win.Test.EICAR_HDB-1' });
+  });
+
+  it('reads clamd errors', () => {
+    expect(virusScanService.parseReply('INSTREAM size limit exceeded. ERROR\0'))
+      .toEqual({ status: 'error', message: 'INSTREAM size limit exceeded.' });
+    expect(virusScanService.parseReply(Buffer.from('')))
+      .toEqual({ status: 'error', message: 'Empty reply from clamd' });
+  });
+});
+
+describe('VirusScanService.scanAttachment', () => {
+  it('marks a clean file clean', async () => {
+    const attachment = await createAttachment('quarterly figures');
+
+    await virusScanService.scanAttachment(attachment.id);
+
+    expect(attachment.virus_scan_status).toBe('clean');
+    expect(attachment.virus_scan_details).toBe('No threats found');
+    expect(attachment.metadata.virus_scan).toMatchObject({ engine: 'clamd', scan_type: 'quick', signature: null });
+    expect(attachment.isSafe()).toBe(true);
+  });
+
+  it('quarantines an infected file outside the upload directory, read-only', async () => {
+    const attachment = await createAttachment(`prefix ${INFECTED_MARKER} suffix`);
+    const originalPath = attachment.file_path;
+
+    await virusScanService.scanAttachment(attachment.id);
+
+    expect(attachment.virus_scan_status).toBe('infected');
+    expect(attachment.virus_scan_details).toBe(`${SIGNATURE} FOUND`);
+    expect(attachment.isQuarantined()).toBe(true);
+    expect(attachment.isSafe()).toBe(false);
+    expect(attachment.metadata.quarantine.original_path).toBe(originalPath);
+
+    expect(path.dirname(attachment.file_path)).toBe(process.env.QUARANTINE_PATH);
+    expect(await exists(originalPath)).toBe(false);
+    expect((await fs.stat(attachment.file_path)).mode & 0o777).toBe(0o400);
+
+    expect(auditService.recordUpdate).toHaveBeenCalledWith(
+      'attachment', expect.any(Object), attachment, {}, expect.objectContaining({ action: 'virus_detected' })
+    );
+    expect(virusScanService.sendInfectedNotifications).toHaveBeenCalledWith(attachment, SIGNATURE);
+  });
+
+  it('leaves an infected file in place when quarantine is turned off', async () => {
+    const attachment = await createAttachment(INFECTED_MARKER);
+    const originalPath = attachment.file_path;
+
+    await virusScanService.scanAttachment(attachment.id, { quarantine_infected: false, notify_on_completion: false });
+
+    expect(attachment.virus_scan_status).toBe('infected');
+    expect(attachment.isQuarantined()).toBe(false);
+    expect(attachment.file_path).toBe(originalPath);
+    expect(virusScanService.sendInfectedNotifications).not.toHaveBeenCalled();
+  });
+
+  it('quarantines every attachment that shares an infected blob', async () => {
+    const hash = 'a'.repeat(64);
+    const blobPath = path.join(tmpDir, 'uploads', 'shared-blob');
+    await fs.writeFile(blobPath, INFECTED_MARKER);
+
+    const scanned = await createAttachment(INFECTED_MARKER, { file_path: blobPath, blob_hash: hash });
+    const sibling = await createAttachment(INFECTED_MARKER, { file_path: blobPath, blob_hash: hash, virus_scan_status: 'clean' });
+    const released = await createAttachment(INFECTED_MARKER, {
+      file_path: blobPath,
+      blob_hash: hash,
+      virus_scan_status: 'clean',
+      metadata: { quarantine_release: { reason: 'False positive' } }
+    });
+    const unrelated = await createAttachment('unrelated content');
+
+    await virusScanService.scanAttachment(scanned.id);
+
+    for (const attachment of [scanned, sibling]) {
+      expect(attachment.virus_scan_status).toBe('infected');
+      expect(attachment.isQuarantined()).toBe(true);
+      expect(attachment.blob_hash).toBeNull();
+      expect(attachment.metadata.quarantine.blob_hash).toBe(hash);
+      expect(await exists(attachment.file_path)).toBe(true);
+    }
+    expect(sibling.metadata.virus_scan.shared_blob_of).toBe(scanned.id);
+    expect(AttachmentBlob.release).toHaveBeenCalledTimes(2);
+    expect(AttachmentBlob.release).toHaveBeenCalledWith(hash);
+
+    // One scan covers them all
+    expect(stubClamd.streams).toBe(1);
+    expect(virusScanService.sendInfectedNotifications).toHaveBeenCalledTimes(2);
+
+    expect(released.virus_scan_status).toBe('clean');
+    expect(released.isQuarantined()).toBe(false);
+    expect(unrelated.virus_scan_status).toBe('pending');
+  });
+
+  it('records a clamd refusal as a scan error', async () => {
+    stubClamd.mode = 'limit';
+    const attachment = await createAttachment('x'.repeat(256 * 1024));
+
+    await virusScanService.scanAttachment(attachment.id);
+
+    expect(attachment.virus_scan_status).toBe('error');
+    expect(attachment.virus_scan_details).toBe('Scanner error: INSTREAM size limit exceeded.');
+  });
+
+  it('keeps the file pending for a retry when clamd is unreachable', async () => {
+    const closed = await startStubClamd();
+    const closedPort = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+    virusScanService.port = closedPort;
+
+    // node-clamav leaves its connect timer running when the connection is refused
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+
+    try {
+      const attachment = await createAttachment('quarterly figures');
+
+      await virusScanService.scanAttachment(attachment.id);
+
+      expect(attachment.virus_scan_status).toBe('pending');
+      expect(attachment.metadata.scan_attempts).toBe(1);
+    } finally {
+      jest.useRealTimers();
+      virusScanService.port = server.address().port;
+    }
+  });
+
+  it('marks a file whose upload is gone as an error', async () => {
+    const attachment = await createAttachment('quarterly figures');
+    await fs.unlink(attachment.file_path);
+
+    await virusScanService.scanAttachment(attachment.id);
+
+    expect(attachment.virus_scan_status).toBe('error');
+    expect(attachment.virus_scan_details).toBe('File not found on disk');
+  });
+
+  it('leaves files pending, and so not downloadable, while scanning is disabled', async () => {
+    virusScanService.enabled = false;
+    const attachment = await createAttachment(INFECTED_MARKER);
+
+    await virusScanService.scanAttachment(attachment.id);
+
+    expect(attachment.virus_scan_status).toBe('pending');
+    expect(attachment.isSafe()).toBe(false);
+    await expect(virusScanService.runScanSweep()).resolves.toEqual({ pending: 0, queued: 0 });
+  });
+});
@@ -0,0 +1,123 @@
+// tests/services/workflowService.test.js - Status changes checked against ticket workflows
+jest.mock('../../src/config/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../src/config/database', () => ({
+  executeTransaction: jest.fn(callback => callback({}))
+}));
+
+const TicketWorkflow = require('../../src/models/TicketWorkflow');
+const workflowService = require('../../src/services/workflowService');
+
+let workflows;
+
+const buildWorkflow = (category, transitions) => TicketWorkflow.fromJson({
+  name: `${category || 'Default'} workflow`,
+  category,
+  statuses: [...TicketWorkflow.STATUSES],
+  transitions,
+  is_active: true
+});
+
+const buildTicket = (overrides = {}) => ({
+  id: 'ticket-1',
+  status: 'open',
+  category: 'payment-gateway',
+  assigned_to: null,
+  ...overrides
+});
+
+beforeEach(() => {
+  workflows = [];
+
+  // Stored workflows are all active; the category filter is applied here
+  jest.spyOn(TicketWorkflow, 'query').mockImplementation(() => {
+    let category;
+    const chain = {
+      where: (column, value) => {
+        if (typeof column === 'function') {
+          column({ where: (field, wanted) => { category = wanted; return { orWhereNull: () => undefined }; } });
+        }
+        return chain;
+      },
+      then: (resolve, reject) => Promise.resolve(
+        workflows.filter(workflow => !workflow.category || workflow.category === category)
+      ).then(resolve, reject)
+    };
+    return chain;
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('WorkflowService.checkTransition', () => {
+  it('returns the transition a role may perform under the built-in workflow', async () => {
+    const transition = await workflowService.checkTransition(buildTicket(), 'in-progress', { role: 'admin' });
+
+    expect(transition).toMatchObject({ from: 'open', to: 'in-progress' });
+  });
+
+  it('refuses a status change the workflow has no transition for', async () => {
+    await expect(workflowService.checkTransition(buildTicket({ status: 'closed' }), 'resolved', { role: 'super_admin' }))
+      .rejects.toThrow('Cannot change status from closed to resolved');
+  });
+
+  it('refuses a transition the acting role is not listed for', async () => {
+    await expect(workflowService.checkTransition(buildTicket(), 'pending-customer', { role: 'user' }))
+      .rejects.toThrow('Cannot change status from open to pending-customer: not permitted for the user role');
+  });
+
+  it('does not limit automatic changes by role', async () => {
+    await expect(workflowService.checkTransition(buildTicket(), 'pending-customer'))
+      .resolves.toMatchObject({ to: 'pending-customer' });
+  });
+
+  it('requires the fields the transition lists, treating blanks as missing', async () => {
+    const ticket = buildTicket({ status: 'in-progress' });
+
+    await expect(workflowService.checkTransition(ticket, 'resolved', { role: 'admin' }))
+      .rejects.toThrow('Cannot change status from in-progress to resolved: resolution_notes is required');
+    await expect(workflowService.checkTransition(ticket, 'resolved', { role: 'admin', fields: { resolution_notes: '' } }))
+      .rejects.toThrow('resolution_notes is required');
+    await expect(workflowService.checkTransition(ticket, 'resolved', { role: 'admin', fields: { resolution_notes: 'Gateway key rotated' } }))
+      .resolves.toMatchObject({ to: 'resolved' });
+  });
+
+  it('reads the assignee from the ticket unless one is given with the change', async () => {
+    workflows = [buildWorkflow('payment-gateway', [
+      { from: 'open', to: 'resolved', roles: ['admin'], required_fields: ['assigned_to', 'resolution_notes'] }
+    ])];
+    const fields = { resolution_notes: 'Refund issued' };
+
+    await expect(workflowService.checkTransition(buildTicket(), 'resolved', { role: 'admin' }))
+      .rejects.toThrow('assigned_to, resolution_notes are required');
+    await expect(workflowService.checkTransition(buildTicket(), 'resolved', { role: 'admin', fields }))
+      .rejects.toThrow('assigned_to is required');
+    await expect(workflowService.checkTransition(buildTicket({ assigned_to: 'agent-1' }), 'resolved', { role: 'admin', fields }))
+      .resolves.toMatchObject({ to: 'resolved' });
+    await expect(workflowService.checkTransition(buildTicket(), 'resolved', { role: 'admin', fields: { ...fields, assigned_to: 'agent-2' } }))
+      .resolves.toMatchObject({ to: 'resolved' });
+  });
+
+  it('follows the category workflow over the stored default', async () => {
+    workflows = [
+      buildWorkflow(null, [{ from: 'open', to: 'closed', roles: ['user', 'admin', 'super_admin'], required_fields: [] }]),
+      buildWorkflow('payment-gateway', [{ from: 'open', to: 'closed', roles: ['super_admin'], required_fields: ['reason'] }])
+    ];
+
+    await expect(workflowService.checkTransition(buildTicket(), 'closed', { role: 'admin' }))
+      .rejects.toThrow('not permitted for the admin role');
+    await expect(workflowService.checkTransition(buildTicket({ category: 'cpd-points' }), 'closed', { role: 'admin' }))
+      .resolves.toMatchObject({ to: 'closed' });
+
+    // The stored default replaces the built-in workflow entirely
+    await expect(workflowService.checkTransition(buildTicket({ category: 'cpd-points' }), 'in-progress', { role: 'admin' }))
+      .rejects.toThrow('Cannot change status from open to in-progress');
+  });
+});